@@ -0,0 +1,90 @@
+import { CronJob } from 'cron';
+import AutoReleaseService from '../services/AutoReleaseService.js';
+import ChainJobService from '../services/ChainJobService.js';
+import CheckoutService from '../services/CheckoutService.js';
+import ReservationSweepService from '../services/ReservationSweepService.js';
+import ProductVerificationService from '../services/ProductVerificationService.js';
+import NotificationService from '../services/NotificationService.js';
+import SessionService from '../services/SessionService.js';
+import UserOperationService from '../services/UserOperationService.js';
+import WebhookService from '../services/WebhookService.js';
+import { ChainJobType, TransactionType } from '../utils/types.js';
+
+/**
+ * Wrap a task so a slow run is never overlapped by the next tick
+ */
+const guarded = (name, task) => {
+  let running = false;
+  return async () => {
+    if (running) {
+      console.warn(`Cron ${name} still running, skipping tick`);
+      return;
+    }
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Cron ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+const autoReleaseService = new AutoReleaseService();
+const reservationSweepService = new ReservationSweepService();
+const productVerificationService = new ProductVerificationService();
+const checkoutService = new CheckoutService();
+const chainJobService = new ChainJobService()
+  .use(ChainJobType.escrow_create, checkoutService.escrowService.escrowCreateJobHandler())
+  .use(ChainJobType.escrow_create_batch, checkoutService.escrowBatchJobHandler());
+const userOperationService = new UserOperationService()
+  .use(TransactionType.escrow_release, checkoutService.escrowService.releaseOperationHandler())
+  .use(TransactionType.escrow_refund, checkoutService.escrowService.refundOperationHandler())
+  .use(TransactionType.escrow_dispute, checkoutService.escrowService.disputeOperationHandler());
+
+export const jobs = [
+  new CronJob(
+    process.env.AUTO_RELEASE_CRON || '*/10 * * * *',
+    guarded('auto-release', () => autoReleaseService.run())
+  ),
+  new CronJob(
+    process.env.CHAIN_JOB_CRON || '* * * * *',
+    guarded('chain-jobs', () => chainJobService.run())
+  ),
+  new CronJob(
+    process.env.USER_OPERATION_CRON || '*/15 * * * * *',
+    guarded('user-operations', () => userOperationService.run())
+  ),
+  new CronJob(
+    process.env.RESERVATION_SWEEP_CRON || '* * * * *',
+    guarded('reservation-sweep', () => reservationSweepService.run())
+  ),
+  new CronJob(
+    process.env.PRODUCT_VERIFICATION_CRON || '* * * * *',
+    guarded('product-verification', () => productVerificationService.run())
+  ),
+  new CronJob(
+    process.env.SESSION_PRUNE_CRON || '0 3 * * *',
+    guarded('session-prune', () => SessionService.pruneExpired())
+  ),
+  new CronJob(
+    process.env.WEBHOOK_DELIVERY_CRON || '*/10 * * * * *',
+    guarded('webhooks', () => WebhookService.run())
+  ),
+  new CronJob(
+    process.env.NOTIFICATION_CRON || '*/30 * * * * *',
+    guarded('notifications', () => NotificationService.run())
+  )
+];
+
+const job = {
+  start() {
+    jobs.forEach(cronJob => cronJob.start());
+  },
+  stop() {
+    jobs.forEach(cronJob => cronJob.stop());
+  }
+};
+
+export default job;
@@ -0,0 +1,52 @@
+// Prohibited-keyword rules for product verification.
+//
+// Each rule lists terms matched as whole words (case-insensitive) against a
+// listing's name, description and attribute values. A `block` hit keeps the
+// product out of the catalogue until a moderator looks at it; a `review` hit
+// only lowers the score by `penalty`. Extra blocked terms can be added with
+// MODERATION_BLOCKED_TERMS (comma separated).
+
+export const KEYWORD_RULES = [
+  {
+    category: 'weapons',
+    severity: 'block',
+    terms: ['firearm', 'handgun', 'pistol', 'rifle', 'ammunition', 'silencer', 'suppressor', 'ghost gun']
+  },
+  {
+    category: 'drugs',
+    severity: 'block',
+    terms: ['cocaine', 'heroin', 'methamphetamine', 'fentanyl', 'mdma', 'lsd']
+  },
+  {
+    category: 'wildlife',
+    severity: 'block',
+    terms: ['ivory', 'rhino horn', 'pangolin scales', 'tiger skin']
+  },
+  {
+    category: 'documents',
+    severity: 'block',
+    terms: ['fake passport', 'fake id', 'forged certificate', 'counterfeit currency']
+  },
+  {
+    category: 'counterfeit',
+    severity: 'review',
+    penalty: 0.5,
+    terms: ['replica', 'counterfeit', 'knockoff', '1:1 copy', 'first copy', 'mirror quality']
+  },
+  {
+    // Sellers steering buyers away from escrow
+    category: 'off_platform_payment',
+    severity: 'review',
+    penalty: 0.4,
+    terms: ['pay outside', 'whatsapp me', 'telegram me', 'dm to pay', 'wire transfer only', 'gift card payment']
+  }
+];
+
+const extraTerms = (process.env.MODERATION_BLOCKED_TERMS || '')
+  .split(',')
+  .map(term => term.trim())
+  .filter(Boolean);
+
+if (extraTerms.length > 0) {
+  KEYWORD_RULES.push({ category: 'custom', severity: 'block', terms: extraTerms });
+}
@@ -1,4 +1,4 @@
-import { base, baseSepolia, sepolia, arbitrum, arbitrumSepolia, lisk, liskSepolia } from 'viem/chains';
+import { base, baseSepolia, sepolia, arbitrum, arbitrumSepolia, lisk, liskSepolia, anvil } from 'viem/chains';
 
 export const NETWORK_CONFIG = {
   base: {
@@ -15,7 +15,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.BASE_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${base.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.BASE_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.BASE_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.BASE_ESCROW_FACTORY_ADDRESS
   },
 
   arbitrum: {
@@ -32,7 +33,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.ARBITRUM_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${arbitrum.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.ARBITRUM_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.ARBITRUM_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.ARBITRUM_ESCROW_FACTORY_ADDRESS
   },
 
   lisk: {
@@ -49,7 +51,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.LISK_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${lisk.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.LISK_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.LISK_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.LISK_ESCROW_FACTORY_ADDRESS
   },
 
   sepolia: {
@@ -66,7 +69,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.SEPOLIA_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${sepolia.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.SEPOLIA_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.SEPOLIA_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.SEPOLIA_ESCROW_FACTORY_ADDRESS
   },
 
   baseSepolia: {
@@ -83,7 +87,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.BASE_SEPOLIA_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${baseSepolia.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.BASE_SEPOLIA_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.BASE_SEPOLIA_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.BASE_SEPOLIA_ESCROW_FACTORY_ADDRESS
   },
 
   arbitrumSepolia: {
@@ -100,7 +105,8 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${arbitrumSepolia.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.ARBITRUM_SEPOLIA_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.ARBITRUM_SEPOLIA_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.ARBITRUM_SEPOLIA_ESCROW_FACTORY_ADDRESS
   },
 
   liskSepolia: {
@@ -117,10 +123,35 @@ export const NETWORK_CONFIG = {
     },
     rpcUrl: process.env.LISK_SEPOLIA_RPC_URL,
     bundlerUrl: `https://api.pimlico.io/v2/${liskSepolia.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`,
-    paymasterAddress: process.env.LISK_SEPOLIA_PAYMASTER_ADDRESS
+    paymasterAddress: process.env.LISK_SEPOLIA_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.LISK_SEPOLIA_ESCROW_FACTORY_ADDRESS
+  },
+
+  // Local Anvil/Hardhat node for integration testing. Token addresses default to
+  // the first contract deployed by the default Anvil account.
+  anvil: {
+    chain: anvil,
+    tokens: {
+      USDC: {
+        address: process.env.ANVIL_USDC_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+        decimals: 6
+      }
+    },
+    rpcUrl: process.env.ANVIL_RPC_URL || 'http://127.0.0.1:8545',
+    bundlerUrl: process.env.ANVIL_BUNDLER_URL || 'http://127.0.0.1:4337',
+    paymasterAddress: process.env.ANVIL_PAYMASTER_ADDRESS,
+    escrowFactoryAddress: process.env.ANVIL_ESCROW_FACTORY_ADDRESS
   }
 };
 
+const MAINNETS = ['base', 'arbitrum', 'lisk'];
+
+const describeNetwork = (networkName) => ({
+  ...NETWORK_CONFIG[networkName],
+  networkName,
+  isTestnet: !MAINNETS.includes(networkName)
+});
+
 export const getCurrentNetworkConfig = () => {
   const defaultNetwork = process.env.NODE_ENV === 'production' ? 'base' : 'baseSepolia';
   const selectedNetwork = process.env.SELECTED_NETWORK || defaultNetwork;
@@ -130,11 +161,45 @@ export const getCurrentNetworkConfig = () => {
     throw new Error(`Unsupported network: ${selectedNetwork}`);
   }
   
-  return {
-    ...config,
-    networkName: selectedNetwork,
-    isTestnet: !['base', 'arbitrum', 'lisk'].includes(selectedNetwork)
-  };
+  return describeNetwork(selectedNetwork);
+};
+
+/**
+ * Config for one network, looked up by name ("arbitrum") or chain id (42161)
+ */
+export const getNetworkConfig = (network) => {
+  const networkName = Object.keys(NETWORK_CONFIG).find(name =>
+    name === network || NETWORK_CONFIG[name].chain.id.toString() === String(network)
+  );
+
+  if (!networkName) {
+    throw new Error(`Unsupported network: ${network}`);
+  }
+
+  return describeNetwork(networkName);
+};
+
+/**
+ * Networks orders can settle on, from the comma-separated ENABLED_NETWORKS.
+ * The selected network is always enabled and comes first; it is the default
+ * for orders that do not name one.
+ */
+export const getEnabledNetworks = () => {
+  const current = getCurrentNetworkConfig();
+  const names = (process.env.ENABLED_NETWORKS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const enabled = [current];
+  for (const name of names) {
+    const config = getNetworkConfig(name);
+    if (!enabled.some(network => network.networkName === config.networkName)) {
+      enabled.push(config);
+    }
+  }
+
+  return enabled;
 };
 
 export const getTokenConfig = (networkName, tokenSymbol) => {
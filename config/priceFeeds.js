@@ -0,0 +1,18 @@
+// Chainlink <SYMBOL>/USD aggregators, keyed by network. Testnets have no
+// meaningful stablecoin feeds, so PRICE_FEED_NETWORK can point the oracle at
+// a mainnet regardless of SELECTED_NETWORK.
+export const PRICE_FEEDS = {
+  base: {
+    USDC: process.env.BASE_USDC_USD_FEED || '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B',
+    USDT: process.env.BASE_USDT_USD_FEED || '0xf19d560eB8d2ADf07BD6D13ed03e1D11215721F9'
+  },
+
+  arbitrum: {
+    USDC: process.env.ARBITRUM_USDC_USD_FEED || '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3',
+    USDT: process.env.ARBITRUM_USDT_USD_FEED || '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7'
+  }
+};
+
+export const getPriceFeeds = (networkName) => {
+  return PRICE_FEEDS[networkName] || {};
+};
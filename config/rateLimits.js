@@ -0,0 +1,94 @@
+// Rate limit policies, applied per route with rateLimit('<policy>').
+//
+// Each policy lists buckets. A bucket counts requests per key (client IP,
+// account email, ...) in a fixed window. `failuresOnly` buckets count only
+// responses with a status in `failureStatuses` and are cleared by a success,
+// so a user who gets it right is never throttled. `lockoutMinutes` makes
+// lockouts progressive: each time the bucket trips, the next step is used,
+// until `lockoutResetMinutes` pass without another lockout.
+
+const MINUTE = 60 * 1000;
+
+// Body fields arrive as whatever JSON the client sent; only strings make a key
+const normalize = value => (typeof value === 'string' ? value.trim().toLowerCase() || null : null);
+
+const byIp = req => req.ip;
+const byEmail = req => normalize(req.body?.email);
+const byUser = req => req.user?.id?.toString() || null;
+
+export const RATE_LIMIT_POLICIES = {
+  default: {
+    buckets: [
+      { name: 'ip', key: byIp, limit: parseInt(process.env.RATE_LIMIT_DEFAULT_PER_MINUTE || '300'), windowMs: MINUTE }
+    ]
+  },
+
+  login: {
+    failureStatuses: [400, 401, 403],
+    buckets: [
+      { name: 'ip', key: byIp, limit: 30, windowMs: 15 * MINUTE },
+      {
+        name: 'account',
+        // /auth/login takes an email or username as `identifier`
+        key: req => normalize(req.body?.identifier),
+        limit: 5,
+        windowMs: 15 * MINUTE,
+        failuresOnly: true,
+        lockoutMinutes: [1, 5, 15, 60],
+        lockoutResetMinutes: 24 * 60
+      }
+    ]
+  },
+
+  // Six-digit codes: a handful of guesses per code before lockouts kick in
+  otp: {
+    failureStatuses: [400, 401],
+    buckets: [
+      { name: 'ip', key: byIp, limit: 30, windowMs: 15 * MINUTE },
+      {
+        name: 'account',
+        key: byEmail,
+        limit: 5,
+        windowMs: 15 * MINUTE,
+        failuresOnly: true,
+        lockoutMinutes: [15, 60, 240],
+        lockoutResetMinutes: 24 * 60
+      }
+    ]
+  },
+
+  loginTwoFactor: {
+    buckets: [
+      { name: 'ip', key: byIp, limit: 20, windowMs: 15 * MINUTE }
+    ]
+  },
+
+  // Endpoints that send email
+  emailSend: {
+    buckets: [
+      { name: 'ip', key: byIp, limit: 10, windowMs: 60 * MINUTE },
+      { name: 'account', key: byEmail, limit: 3, windowMs: 60 * MINUTE }
+    ]
+  },
+
+  refresh: {
+    buckets: [
+      { name: 'ip', key: byIp, limit: 60, windowMs: 15 * MINUTE }
+    ]
+  },
+
+  // PIN checks already lock the PIN itself; this stops hammering the endpoint
+  pin: {
+    buckets: [
+      { name: 'user', key: byUser, limit: 20, windowMs: 15 * MINUTE }
+    ]
+  }
+};
+
+export const getRateLimitPolicy = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+  return policy;
+};
@@ -0,0 +1,71 @@
+import UserService from "../services/UserService.js";
+import AuditService from "../services/AuditService.js";
+import { ApiResponse } from "../utils/apiResponse.js";
+
+const handleRoleError = (res, error, fallback) => {
+  if (error.message.includes('User not found')) {
+    return ApiResponse.notFound(res, 'User not found');
+  }
+  if (error.message.includes('Invalid role') ||
+      error.message.includes('cannot revoke their own')) {
+    return ApiResponse.badRequest(res, error.message);
+  }
+  return ApiResponse.serverError(res, fallback);
+};
+
+export const getUserRoles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await UserService.getUserRoles(userId);
+    const history = await AuditService.getEntityHistory('user', userId);
+
+    return ApiResponse.success(res, {
+      user: result.user,
+      history
+    });
+
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    return handleRoleError(res, error, 'Failed to retrieve user roles. Please try again.');
+  }
+};
+
+export const grantRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!role) {
+      return ApiResponse.badRequest(res, 'Role is required');
+    }
+
+    const result = await UserService.grantRole(userId, role, req.user.id);
+
+    return ApiResponse.success(res, {
+      message: result.message,
+      user: result.user
+    });
+
+  } catch (error) {
+    console.error('Grant role error:', error);
+    return handleRoleError(res, error, 'Failed to grant role. Please try again.');
+  }
+};
+
+export const revokeRole = async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+
+    const result = await UserService.revokeRole(userId, role, req.user.id);
+
+    return ApiResponse.success(res, {
+      message: result.message,
+      user: result.user
+    });
+
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    return handleRoleError(res, error, 'Failed to revoke role. Please try again.');
+  }
+};
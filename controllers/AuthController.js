@@ -1,10 +1,12 @@
 import RegValidationService from '../services/validation/RegValidationService.js';
 import UserService from '../services/UserService.js';
+import TransactionAuthorizationService from '../services/TransactionAuthorizationService.js';
+import SessionService from '../services/SessionService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
 import EmailService from '../services/EmailService.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import LoginValidationService from '../services/validation/LoginValidationService.js';
 import bcrypt from "bcrypt"
-import jwt from "jsonwebtoken"
 
 export const register = async (req, res) => {
     try {
@@ -108,7 +110,15 @@ export const login = async (req, res) => {
       return ApiResponse.forbidden(res, 'Please verify your email address first');
     }
 
-    const token = generateJwtToken(user)
+    if (user.twoFactorEnabled) {
+      return ApiResponse.success(res, {
+        message: 'Enter the code from your authenticator app to finish logging in',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createLoginChallenge(user)
+      });
+    }
+
+    const session = await SessionService.createSession(user, getClientInfo(req));
 
     await UserService.updateLastLogin(user.id);
 
@@ -120,7 +130,7 @@ export const login = async (req, res) => {
         email: user.email,
         isverified: user.isverified
       },
-      token
+      ...serializeSession(session)
     });
 
   } catch (error) {
@@ -140,10 +150,10 @@ export const verifyEmail = async (req, res) => {
       const result = await UserService.verifyEmailToken(email, otp);
 
       if (result.success) {
-        const token = generateJwtToken(result.user)
+        const session = await SessionService.createSession(result.user, getClientInfo(req));
         return ApiResponse.success(res, { 
             message: result.message,
-            token: token
+            ...serializeSession(session)
          });
       } else {
         return ApiResponse.badRequest(res, result.message);
@@ -244,7 +254,7 @@ export const updatePin = async (req, res) => {
       return ApiResponse.badRequest(res, 'Current PIN, new PIN and password are required');
     }
 
-    const pinValid = await UserService.verifyUserPin(userId, password, currentPin);
+    const pinValid = await UserService.verifyUserPin(userId, currentPin, password);
     if (!pinValid) {
       return ApiResponse.unauthorized(res, 'Invalid current PIN');
     }
@@ -254,6 +264,9 @@ export const updatePin = async (req, res) => {
 
   } catch (error) {
     console.error('Update PIN error:', error);
+    if (error.message.includes('PIN is locked')) {
+      return ApiResponse.error(res, error.message, 423);
+    }
     if (error.message.includes('Invalid password') || 
         error.message.includes('PIN must be')) {
       return ApiResponse.badRequest(res, error.message);
@@ -267,11 +280,11 @@ export const verifyPin = async (req, res) => {
     const { pin, password } = req.body;
     const userId = req.user.id;
 
-    if (!pin || !password) {
-      return ApiResponse.badRequest(res, 'PIN and password are required');
+    if (!pin) {
+      return ApiResponse.badRequest(res, 'PIN is required');
     }
 
-    const isValid = await UserService.verifyUserPin(userId, password, pin);
+    const isValid = await UserService.verifyUserPin(userId, pin, password);
     if (!isValid) {
       return ApiResponse.unauthorized(res, 'Invalid PIN');
     }
@@ -280,25 +293,391 @@ export const verifyPin = async (req, res) => {
 
   } catch (error) {
     console.error('Verify PIN error:', error);
+    if (error.message.includes('PIN is locked')) {
+      return ApiResponse.error(res, error.message, 423);
+    }
+    if (error.message.includes('PIN not set') ||
+        error.message.includes('Password is required')) {
+      return ApiResponse.badRequest(res, error.message.replace(/^Failed to [^:]+: /, ''));
+    }
     return ApiResponse.serverError(res, 'Failed to verify PIN');
   }
 };
 
-  // helpers
-  function generateJwtToken(user) {
-    const JWT_SECRET = process.env.JWT_SECRET;
-    if (typeof JWT_SECRET !== 'string') {
-    throw new Error('JWT_SECRET environment variable is not defined or not a string');
+/**
+ * Verify the PIN and issue a short-lived token for one purchase, checkout,
+ * release, refund or dispute
+ */
+export const authorizeTransaction = async (req, res) => {
+  try {
+    const { pin, password, action, orderId, productId, variantId, quantity, tokenSymbol, amount } = req.body;
+    const userId = req.user.id;
+
+    if (!pin || !action) {
+      return ApiResponse.badRequest(res, 'PIN and action are required');
+    }
+
+    const result = await TransactionAuthorizationService.authorize({
+      userId,
+      pin,
+      password,
+      action,
+      orderId,
+      productId,
+      variantId,
+      quantity,
+      tokenSymbol,
+      amount
+    });
+
+    return ApiResponse.success(res, {
+      message: 'Transaction authorized',
+      ...result
+    }, 201);
+
+  } catch (error) {
+    console.error('Authorize transaction error:', error);
+    const message = error.message.replace(/^Failed to authorize transaction: (Failed to verify PIN: )?/, '');
+
+    if (message.includes('PIN is locked')) {
+      return ApiResponse.error(res, message, 423);
+    }
+    if (message.includes('Invalid PIN')) {
+      return ApiResponse.unauthorized(res, message);
+    }
+    if (message.includes('Order not found')) {
+      return ApiResponse.notFound(res, message);
+    }
+    if (message.includes('Not allowed')) {
+      return ApiResponse.forbidden(res, message);
+    }
+    if (message.includes('Action must be') ||
+        message.includes('is required') ||
+        message.includes('positive amount') ||
+        message.includes('PIN not set')) {
+      return ApiResponse.badRequest(res, message);
+    }
+    return ApiResponse.serverError(res, 'Failed to authorize transaction');
+  }
+};
+
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return ApiResponse.badRequest(res, 'Refresh token is required');
+    }
+
+    const session = await SessionService.refresh(refreshToken, getClientInfo(req));
+
+    return ApiResponse.success(res, {
+      message: 'Session refreshed',
+      ...serializeSession(session)
+    });
+
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    if (error.message.includes('Invalid refresh token') ||
+        error.message.includes('revoked') ||
+        error.message.includes('reuse detected') ||
+        error.message.includes('expired') ||
+        error.message.includes('User not found')) {
+      return ApiResponse.unauthorized(res, 'Session is no longer valid. Please log in again.');
+    }
+    return ApiResponse.serverError(res, 'Failed to refresh session');
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await SessionService.revokeSession(req.user.id, req.user.sid);
+    }
+
+    return ApiResponse.success(res, { message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    if (error.message.includes('Session not found')) {
+      return ApiResponse.success(res, { message: 'Logged out successfully' });
     }
-    if (!JWT_SECRET) {
-    throw new Error('JWT_SECRET environment variable is not defined');
+    return ApiResponse.serverError(res, 'Failed to log out');
+  }
+};
+
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await SessionService.revokeAllSessions(req.user.id);
+    return ApiResponse.success(res, {
+      message: 'Logged out of all devices',
+      revoked: result.revoked
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return ApiResponse.serverError(res, 'Failed to log out of all devices');
+  }
+};
+
+export const listSessions = async (req, res) => {
+  try {
+    const result = await SessionService.listSessions(req.user.id, req.user.sid);
+    return ApiResponse.success(res, {
+      message: 'Sessions retrieved successfully',
+      sessions: result.sessions
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return ApiResponse.serverError(res, 'Failed to retrieve sessions');
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await SessionService.revokeSession(req.user.id, sessionId);
+
+    return ApiResponse.success(res, { message: 'Session revoked' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.message.includes('Session not found')) {
+      return ApiResponse.notFound(res, 'Session not found');
     }
+    return ApiResponse.serverError(res, 'Failed to revoke session');
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return ApiResponse.badRequest(res, 'Email is required');
+    }
+
+    const reset = await UserService.createPasswordResetOtp(email);
+    if (reset) {
+      await EmailService.sendPasswordResetEmail(reset.user.email, reset.user.username, reset.otp);
+    }
+
+    // Same answer either way so the endpoint cannot be used to find accounts
+    return ApiResponse.success(res, {
+      message: 'If an account exists for this email, a reset code has been sent'
+    });
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return ApiResponse.serverError(res, 'Failed to start password reset. Please try again.');
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    if (!email || !otp || !newPassword) {
+      return ApiResponse.badRequest(res, 'Email, reset code and new password are required');
+    }
+
+    const passwordValidation = RegValidationService.validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return ApiResponse.badRequest(res, passwordValidation.message);
+    }
+
+    const result = await UserService.resetPassword(email, otp, newPassword);
+
+    return ApiResponse.success(res, {
+      message: result.message,
+      pinCleared: result.pinCleared
+    });
 
-    return token
-  }
\ No newline at end of file
+  } catch (error) {
+    console.error('Reset password error:', error);
+    if (error.message.includes('Invalid or expired reset code')) {
+      return ApiResponse.badRequest(res, 'Invalid or expired reset code');
+    }
+    return ApiResponse.serverError(res, 'Failed to reset password. Please try again.');
+  }
+};
+
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return ApiResponse.badRequest(res, 'Current password and new password are required');
+    }
+
+    const passwordValidation = RegValidationService.validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return ApiResponse.badRequest(res, passwordValidation.message);
+    }
+
+    const result = await UserService.changePassword(req.user.id, currentPassword, newPassword, req.user.sid);
+
+    return ApiResponse.success(res, { message: result.message });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    if (error.message.includes('Invalid password')) {
+      return ApiResponse.unauthorized(res, 'Current password is incorrect');
+    }
+    if (error.message.includes('must be different')) {
+      return ApiResponse.badRequest(res, 'New password must be different from the current password');
+    }
+    return ApiResponse.serverError(res, 'Failed to change password. Please try again.');
+  }
+};
+
+/**
+ * Second login step for accounts with 2FA: exchange the challenge token and
+ * a TOTP or backup code for a session
+ */
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return ApiResponse.badRequest(res, 'Challenge token and an authentication code or backup code are required');
+    }
+
+    const userId = TwoFactorService.verifyLoginChallenge(challengeToken);
+    const verification = await TwoFactorService.verify(userId, { code, backupCode });
+
+    const user = await UserService.findUserById(userId);
+    const session = await SessionService.createSession(user, getClientInfo(req), { twoFactorVerified: true });
+
+    await UserService.updateLastLogin(user.id);
+
+    return ApiResponse.success(res, {
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        isverified: user.isverified
+      },
+      backupCodesRemaining: verification.backupCodesRemaining,
+      ...serializeSession(session)
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return handleTwoFactorError(res, error, 'Login failed. Please try again.');
+  }
+};
+
+export const enrollTwoFactor = async (req, res) => {
+  try {
+    const result = await TwoFactorService.beginEnrollment(req.user.id);
+
+    return ApiResponse.success(res, {
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: result.secret,
+      otpauthUri: result.otpauthUri
+    });
+
+  } catch (error) {
+    console.error('Two-factor enrollment error:', error);
+    return handleTwoFactorError(res, error, 'Failed to start two-factor enrollment');
+  }
+};
+
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return ApiResponse.badRequest(res, 'Authentication code is required');
+    }
+
+    const result = await TwoFactorService.confirmEnrollment(req.user.id, code);
+
+    return ApiResponse.success(res, {
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      backupCodes: result.backupCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirmation error:', error);
+    return handleTwoFactorError(res, error, 'Failed to confirm two-factor enrollment');
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!password || (!code && !backupCode)) {
+      return ApiResponse.badRequest(res, 'Password and an authentication code or backup code are required');
+    }
+
+    const result = await TwoFactorService.disable(req.user.id, password, { code, backupCode });
+    return ApiResponse.success(res, { message: result.message });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    return handleTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+};
+
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return ApiResponse.badRequest(res, 'Authentication code is required');
+    }
+
+    const result = await TwoFactorService.regenerateBackupCodes(req.user.id, code);
+
+    return ApiResponse.success(res, {
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes: result.backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    return handleTwoFactorError(res, error, 'Failed to regenerate backup codes');
+  }
+};
+
+  // helpers
+  function getClientInfo(req) {
+    return {
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  function serializeSession(session) {
+    return {
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.refreshExpiresAt,
+      sessionId: session.sessionId
+    };
+  }
+
+  function handleTwoFactorError(res, error, fallbackMessage) {
+    const message = error.message.replace(/^(Failed to [^:]+: )+/, '');
+
+    if (message.includes('Invalid or expired login challenge') ||
+        message.includes('Invalid authentication code') ||
+        message.includes('Invalid password')) {
+      return ApiResponse.unauthorized(res, message);
+    }
+    if (message.includes('is locked until')) {
+      return ApiResponse.error(res, message, 423);
+    }
+    if (message.includes('already enabled') ||
+        message.includes('not been started') ||
+        message.includes('not enabled') ||
+        message.includes('is required')) {
+      return ApiResponse.badRequest(res, message);
+    }
+    return ApiResponse.serverError(res, fallbackMessage);
+  }
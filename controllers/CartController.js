@@ -0,0 +1,157 @@
+import CartService from '../services/CartService.js';
+import CheckoutService from '../services/CheckoutService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+class CartController {
+  constructor() {
+    this.checkoutService = new CheckoutService();
+  }
+
+  getCart = async (req, res) => {
+    try {
+      const result = await CartService.getCart(req.user.id);
+
+      return ApiResponse.success(res, {
+        cart: result.cart
+      });
+
+    } catch (error) {
+      console.error('Get cart error:', error);
+      return ApiResponse.serverError(res, 'Failed to retrieve cart. Please try again.');
+    }
+  };
+
+  addItem = async (req, res) => {
+    try {
+      const { productId, variantId = null, quantity = 1 } = req.body;
+
+      if (!productId) {
+        return ApiResponse.badRequest(res, 'Product ID is required');
+      }
+
+      const result = await CartService.addItem(req.user.id, productId, quantity, variantId);
+
+      return ApiResponse.success(res, {
+        message: 'Item added to cart',
+        cart: result.cart
+      });
+
+    } catch (error) {
+      console.error('Add cart item error:', error);
+      return this.handleCartError(res, error);
+    }
+  };
+
+  updateItem = async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { quantity } = req.body;
+      // Lines of a product with variants are addressed with ?variantId=
+
+      if (quantity === undefined) {
+        return ApiResponse.badRequest(res, 'Quantity is required');
+      }
+
+      const result = await CartService.updateItem(req.user.id, productId, quantity, req.query.variantId);
+
+      return ApiResponse.success(res, {
+        message: 'Cart item updated',
+        cart: result.cart
+      });
+
+    } catch (error) {
+      console.error('Update cart item error:', error);
+      return this.handleCartError(res, error);
+    }
+  };
+
+  removeItem = async (req, res) => {
+    try {
+      const { productId } = req.params;
+
+      const result = await CartService.removeItem(req.user.id, productId, req.query.variantId);
+
+      return ApiResponse.success(res, {
+        message: 'Item removed from cart',
+        cart: result.cart
+      });
+
+    } catch (error) {
+      console.error('Remove cart item error:', error);
+      return this.handleCartError(res, error);
+    }
+  };
+
+  clearCart = async (req, res) => {
+    try {
+      const result = await CartService.clearCart(req.user.id);
+
+      return ApiResponse.success(res, {
+        message: result.message
+      });
+
+    } catch (error) {
+      console.error('Clear cart error:', error);
+      return ApiResponse.serverError(res, 'Failed to clear cart. Please try again.');
+    }
+  };
+
+  checkout = async (req, res) => {
+    try {
+      const { tokenSymbol, network = null } = req.body;
+
+      if (!tokenSymbol) {
+        return ApiResponse.badRequest(res, 'Token symbol is required');
+      }
+
+      const buyerId = req.user.id;
+
+      const result = await this.checkoutService.checkout({
+        buyerId,
+        tokenSymbol,
+        network,
+        authorizationToken: req.transactionAuthorization
+      });
+
+      return ApiResponse.success(res, {
+        message: 'Checkout completed successfully',
+        ...result
+      }, 201);
+
+    } catch (error) {
+      console.error('Checkout error:', error);
+      if (error.message.includes('Transaction authorization')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('Cart needs review')) {
+        return ApiResponse.conflict(res, error.message);
+      }
+      if (error.message.includes('Cart is empty') ||
+          error.message.includes('is not supported') ||
+          error.message.includes('Unsupported network') ||
+          error.message.includes('is not enabled') ||
+          error.message.includes('does not accept') ||
+          error.message.includes('in common')) {
+        return ApiResponse.badRequest(res, error.message);
+      }
+      return ApiResponse.serverError(res, error.message);
+    }
+  };
+
+  handleCartError(res, error) {
+    if (error.message.includes('Product not found') ||
+        error.message.includes('Item not found in cart')) {
+      return ApiResponse.notFound(res, error.message.replace(/^Failed to [^:]+: /, ''));
+    }
+    if (error.message.includes('not available') ||
+        error.message.includes('Insufficient') ||
+        error.message.includes('Quantity must be') ||
+        error.message.includes('Select a product variant') ||
+        error.message.includes('your own product')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+    return ApiResponse.serverError(res, 'Failed to update cart. Please try again.');
+  }
+}
+
+export default CartController;
@@ -0,0 +1,111 @@
+import CategoryService from "../services/CategoryService.js";
+import { ApiResponse } from "../utils/apiResponse.js";
+
+const handleCategoryError = (res, error, fallback) => {
+  if (error.message.includes('Category not found')) {
+    return ApiResponse.notFound(res, 'Category not found');
+  }
+  if (error.message.includes('Validation error') ||
+      error.message.includes('already exists') ||
+      error.message.includes('has subcategories') ||
+      error.message.includes('still has products') ||
+      error.message.includes('too deep')) {
+    return ApiResponse.badRequest(res, error.message.replace(/^Failed to [^:]+: /, ''));
+  }
+  return ApiResponse.serverError(res, fallback);
+};
+
+export const getCategories = async (req, res) => {
+  try {
+    const result = await CategoryService.getCategoryTree();
+
+    return ApiResponse.success(res, {
+      categories: result.categories
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    return handleCategoryError(res, error, 'Failed to retrieve categories. Please try again.');
+  }
+};
+
+export const getCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const result = await CategoryService.getCategory(categoryId);
+
+    return ApiResponse.success(res, {
+      category: result.category
+    });
+
+  } catch (error) {
+    console.error('Get category error:', error);
+    return handleCategoryError(res, error, 'Failed to retrieve category. Please try again.');
+  }
+};
+
+export const createCategory = async (req, res) => {
+  try {
+    const { name, slug, parentId, description, attributeSchema, position } = req.body;
+
+    const result = await CategoryService.createCategory({
+      name,
+      slug,
+      parentId,
+      description,
+      attributeSchema,
+      position
+    });
+
+    return ApiResponse.success(res, {
+      message: 'Category created successfully',
+      category: result.category
+    }, 201);
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    return handleCategoryError(res, error, 'Failed to create category. Please try again.');
+  }
+};
+
+export const updateCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { name, slug, parentId, description, attributeSchema, position } = req.body;
+
+    const result = await CategoryService.updateCategory(categoryId, {
+      name,
+      slug,
+      parentId,
+      description,
+      attributeSchema,
+      position
+    });
+
+    return ApiResponse.success(res, {
+      message: 'Category updated successfully',
+      category: result.category
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    return handleCategoryError(res, error, 'Failed to update category. Please try again.');
+  }
+};
+
+export const deleteCategory = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+
+    const result = await CategoryService.deleteCategory(categoryId);
+
+    return ApiResponse.success(res, {
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    return handleCategoryError(res, error, 'Failed to delete category. Please try again.');
+  }
+};
@@ -0,0 +1,150 @@
+import DisputeService from '../services/DisputeService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+class DisputeController {
+  constructor() {
+    this.disputeService = new DisputeService();
+  }
+
+  listDisputes = async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await this.disputeService.listOpenDisputes({
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.success(res, {
+        disputes: result.disputes,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('List disputes error:', error);
+      return ApiResponse.serverError(res, 'Failed to retrieve disputes. Please try again.');
+    }
+  };
+
+  getDispute = async (req, res) => {
+    try {
+      const { orderId } = req.params;
+
+      const result = await this.disputeService.getDispute(orderId);
+
+      return ApiResponse.success(res, {
+        dispute: result.dispute
+      });
+
+    } catch (error) {
+      console.error('Get dispute error:', error);
+      if (error.message.includes('Order not found')) {
+        return ApiResponse.notFound(res, 'Order not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to retrieve dispute. Please try again.');
+    }
+  };
+
+  addArbitratorEvidence = async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { description, attachmentUris, internal = false } = req.body;
+
+      const result = await this.disputeService.addEvidence({
+        orderId,
+        userId: req.user.id,
+        description,
+        attachmentUris,
+        internal,
+        asArbitrator: true
+      });
+
+      return ApiResponse.created(res, {
+        message: result.message,
+        evidence: result.evidence
+      });
+
+    } catch (error) {
+      console.error('Add arbitrator evidence error:', error);
+      return this.handleEvidenceError(res, error);
+    }
+  };
+
+  submitEvidence = async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { description, attachmentUris } = req.body;
+
+      const result = await this.disputeService.addEvidence({
+        orderId,
+        userId: req.user.id,
+        description,
+        attachmentUris
+      });
+
+      return ApiResponse.created(res, {
+        message: result.message,
+        evidence: result.evidence
+      });
+
+    } catch (error) {
+      console.error('Submit evidence error:', error);
+      return this.handleEvidenceError(res, error);
+    }
+  };
+
+  resolveDispute = async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const { winner, notes } = req.body;
+
+      if (!winner) {
+        return ApiResponse.badRequest(res, 'Winner is required');
+      }
+
+      const result = await this.disputeService.resolveDispute({
+        orderId,
+        arbitratorId: req.user.id,
+        winner,
+        notes
+      });
+
+      return ApiResponse.success(res, {
+        message: `Dispute resolved in favour of ${result.winner}`,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Resolve dispute error:', error);
+      if (error.message.includes('Order not found')) {
+        return ApiResponse.notFound(res, 'Order not found');
+      }
+      if (error.message.includes('Winner must be') ||
+          error.message.includes('not under dispute') ||
+          error.message.includes('No escrow')) {
+        return ApiResponse.badRequest(res, error.message);
+      }
+      if (error.message.includes('already in progress')) {
+        return ApiResponse.conflict(res, error.message);
+      }
+      return ApiResponse.serverError(res, error.message);
+    }
+  };
+
+  handleEvidenceError(res, error) {
+    if (error.message.includes('Order not found')) {
+      return ApiResponse.notFound(res, 'Order not found');
+    }
+    if (error.message.includes('Only buyer or seller')) {
+      return ApiResponse.forbidden(res, error.message);
+    }
+    if (error.message.includes('is required') ||
+        error.message.includes('must be an array') ||
+        error.message.includes('not under dispute')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+    return ApiResponse.serverError(res, 'Failed to add evidence. Please try again.');
+  }
+}
+
+export default DisputeController;
@@ -1,4 +1,5 @@
 import EscrowTransactionService from '../services/EscrowTransactionService.js';
+import UserOperationService from '../services/UserOperationService.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import db from "../models/index.js"
 const { User } = db;
@@ -10,17 +11,17 @@ class EscrowController {
 
   createProductEscrow = async (req, res) => {
     try {
-      const { productId, quantity = 1, tokenSymbol } = req.body;
+      const { productId, variantId = null, quantity = 1, tokenSymbol, network = null } = req.body;
       const buyerId = req.user.id;
-      const user = await User.findByPk(buyerId);
-      const userPassword = user.password;
 
       const result = await this.escrowService.createProductEscrow({
         buyerId,
         productId,
+        variantId,
         quantity,
         tokenSymbol,
-        userPassword
+        network,
+        authorizationToken: req.transactionAuthorization
       });
 
       return ApiResponse.success(res, {
@@ -30,6 +31,15 @@ class EscrowController {
 
     } catch (error) {
       console.error('Create escrow error:', error);
+      if (error.message.includes('Transaction authorization')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('Unsupported network') ||
+          error.message.includes('is not enabled') ||
+          error.message.includes('does not accept') ||
+          error.message.includes('is not supported on')) {
+        return ApiResponse.badRequest(res, error.message);
+      }
       return ApiResponse.serverError(res, error.message);
     }
   };
@@ -44,16 +54,63 @@ class EscrowController {
       const result = await this.escrowService.releaseEscrow({
         buyerId,
         orderId,
-        userPassword
+        userPassword,
+        authorizationToken: req.transactionAuthorization
       });
 
       return ApiResponse.success(res, {
-        message: 'Funds released to seller',
+        message: 'Release submitted; poll the transaction for confirmation',
         ...result
-      });
+      }, 202);
 
     } catch (error) {
       console.error('Release escrow error:', error);
+      if (error.message.includes('Transaction authorization')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('already in progress')) {
+        return ApiResponse.conflict(res, error.message);
+      }
+      return ApiResponse.serverError(res, error.message);
+    }
+  };
+
+  refundEscrow = async (req, res) => {
+    try {
+      const { orderId } = req.params;
+      const sellerId = req.user.id;
+      const user = await User.findByPk(sellerId);
+      const userPassword = user.password;
+
+      const result = await this.escrowService.refundEscrow({
+        sellerId,
+        orderId,
+        userPassword,
+        authorizationToken: req.transactionAuthorization
+      });
+
+      return ApiResponse.success(res, {
+        message: 'Refund submitted; poll the transaction for confirmation',
+        ...result
+      }, 202);
+
+    } catch (error) {
+      console.error('Refund escrow error:', error);
+      if (error.message.includes('Transaction authorization')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('Only seller')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('already in progress')) {
+        return ApiResponse.conflict(res, error.message);
+      }
+      if (error.message.includes('cannot be refunded') || error.message.includes('No escrow')) {
+        return ApiResponse.badRequest(res, error.message);
+      }
+      if (error.message.includes('Order not found')) {
+        return ApiResponse.notFound(res, error.message);
+      }
       return ApiResponse.serverError(res, error.message);
     }
   };
@@ -62,26 +119,47 @@ class EscrowController {
     try {
       const { orderId } = req.params;
       const userId = req.user.id;
-      const { reason, password } = req.body;
+      const { reason } = req.body;
+      const user = await User.findByPk(userId);
 
       const result = await this.escrowService.raiseDispute({
         userId,
         orderId,
         reason,
-        userPassword: password
+        userPassword: user.password,
+        authorizationToken: req.transactionAuthorization
       });
 
       return ApiResponse.success(res, {
-        message: 'Dispute raised successfully',
+        message: 'Dispute submitted; poll the transaction for confirmation',
         ...result
-      });
+      }, 202);
 
     } catch (error) {
       console.error('Raise dispute error:', error);
+      if (error.message.includes('Transaction authorization')) {
+        return ApiResponse.forbidden(res, error.message);
+      }
+      if (error.message.includes('already in progress')) {
+        return ApiResponse.conflict(res, error.message);
+      }
       return ApiResponse.serverError(res, error.message);
     }
   };
 
+  getTransactionStatus = async (req, res) => {
+    try {
+      const result = await UserOperationService.getTransactionStatus(req.params.transactionId, req.user.id);
+      return ApiResponse.success(res, result);
+    } catch (error) {
+      console.error('Get transaction status error:', error);
+      if (error.message.includes('Transaction not found')) {
+        return ApiResponse.notFound(res, 'Transaction not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to retrieve transaction status. Please try again.');
+    }
+  };
+
   getOrderDetails = async (req, res) => {
     try {
       const { orderId } = req.params;
@@ -107,8 +185,9 @@ class EscrowController {
   getEscrowDetails = async (req, res) => {
     try {
       const { escrowAddress } = req.params;
+      const { network = null } = req.query;
 
-      const details = await this.escrowService.getEscrowDetails(escrowAddress);
+      const details = await this.escrowService.getEscrowDetails(escrowAddress, network);
 
       return ApiResponse.success(res, {
         escrow: details
@@ -0,0 +1,106 @@
+import ModerationService from '../services/ModerationService.js';
+import ProductVerificationService from '../services/ProductVerificationService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+class ModerationController {
+  constructor() {
+    this.verificationService = new ProductVerificationService();
+  }
+
+  listQueue = async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await ModerationService.getQueue({
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      return ApiResponse.success(res, {
+        queue: result.queue,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('List moderation queue error:', error);
+      return ApiResponse.serverError(res, 'Failed to retrieve moderation queue. Please try again.');
+    }
+  };
+
+  getProductReview = async (req, res) => {
+    try {
+      const { productId } = req.params;
+
+      const result = await ModerationService.getProductReview(productId);
+
+      return ApiResponse.success(res, {
+        product: result.product,
+        verifications: result.verifications
+      });
+
+    } catch (error) {
+      console.error('Get product review error:', error);
+      if (error.message.includes('Product not found')) {
+        return ApiResponse.notFound(res, 'Product not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to retrieve product review. Please try again.');
+    }
+  };
+
+  decide = async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { decision, reason } = req.body;
+
+      if (!decision) {
+        return ApiResponse.badRequest(res, 'Decision is required');
+      }
+
+      const result = await ModerationService.decide({
+        productId,
+        moderatorId: req.user.id,
+        decision,
+        reason
+      });
+
+      return ApiResponse.success(res, {
+        message: result.message,
+        product: result.product,
+        verification: result.verification
+      });
+
+    } catch (error) {
+      console.error('Moderate product error:', error);
+      if (error.message.includes('Product not found')) {
+        return ApiResponse.notFound(res, 'Product not found');
+      }
+      if (error.message.includes('Validation error')) {
+        return ApiResponse.badRequest(res, error.message.replace(/^Failed to [^:]+: Validation error: /, ''));
+      }
+      return ApiResponse.serverError(res, 'Failed to moderate product. Please try again.');
+    }
+  };
+
+  // Run the checks again now, e.g. after changing the keyword rules
+  reverify = async (req, res) => {
+    try {
+      const { productId } = req.params;
+
+      const result = await this.verificationService.verifyProduct(productId, 'manual');
+      if (result.outcome === 'skipped') {
+        return ApiResponse.notFound(res, 'Product not found');
+      }
+
+      return ApiResponse.success(res, {
+        message: `Product verification ${result.outcome}`,
+        result
+      });
+
+    } catch (error) {
+      console.error('Reverify product error:', error);
+      return ApiResponse.serverError(res, 'Failed to verify product. Please try again.');
+    }
+  };
+}
+
+export default ModerationController;
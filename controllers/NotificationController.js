@@ -0,0 +1,37 @@
+import NotificationService from '../services/NotificationService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+class NotificationController {
+  listTemplates = async (req, res) => {
+    return ApiResponse.success(res, { templates: NotificationService.listTemplates() });
+  };
+
+  // ?format=html renders the email as the recipient would see it; other
+  // query values (e.g. role=seller) override the template's sample data
+  previewTemplate = async (req, res) => {
+    try {
+      const { type } = req.params;
+      const { format, ...overrides } = req.query;
+
+      const email = NotificationService.preview(type, overrides);
+
+      if (format === 'html') {
+        return res.type('html').send(email.html);
+      }
+      if (format === 'text') {
+        return res.type('text').send(email.text);
+      }
+
+      return ApiResponse.success(res, { type, ...email });
+
+    } catch (error) {
+      console.error('Preview notification error:', error);
+      if (error.message.includes('Notification template not found')) {
+        return ApiResponse.notFound(res, 'Notification template not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to render notification. Please try again.');
+    }
+  };
+}
+
+export default NotificationController;
@@ -1,4 +1,8 @@
 import ProductService from '../services/ProductService.js';
+import ProductImageService from '../services/ProductImageService.js';
+import ProductVariantService from '../services/ProductVariantService.js';
+import ModerationService from '../services/ModerationService.js';
+import NetworkService from '../services/NetworkService.js';
 import ProductValidationService from '../services/validation/ProductValidationService.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import { ProductStatus } from '../utils/types.js';
@@ -11,7 +15,9 @@ export const createProduct = async (req, res) => {
       image_cid, 
       price, 
       quantity, 
-      currency = 'USD' 
+      currency = 'USD',
+      category_id,
+      attributes
     } = req.body;
 
     const seller_id = req.user.id;
@@ -23,7 +29,9 @@ export const createProduct = async (req, res) => {
       price,
       quantity,
       currency,
-      seller_id
+      seller_id,
+      category_id,
+      attributes
     });
 
     if (!validation.isValid) {
@@ -45,6 +53,7 @@ export const createProduct = async (req, res) => {
     
     if (error.message.includes('Validation error') || 
         error.message.includes('Seller not found') ||
+        error.message.includes('Category not found') ||
         error.message.includes('already exists')) {
       return ApiResponse.badRequest(res, error.message);
     }
@@ -82,6 +91,38 @@ export const getProduct = async (req, res) => {
   }
 };
 
+export const getProductQuote = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { tokenSymbol = 'USDC', quantity = 1, variantId = null } = req.query;
+
+    if (isNaN(quantity) || parseInt(quantity) < 1) {
+      return ApiResponse.badRequest(res, 'Quantity must be at least 1');
+    }
+
+    const result = await ProductService.getProductQuote(productId, tokenSymbol, quantity, variantId);
+
+    return ApiResponse.success(res, {
+      quote: result.quote
+    });
+
+  } catch (error) {
+    console.error('Get product quote error:', error);
+
+    if (error.message.includes('Product not found')) {
+      return ApiResponse.notFound(res, 'Product not found');
+    }
+    if (error.message.includes('variant')) {
+      return ApiResponse.badRequest(res, error.message.replace(/^Failed to quote product: /, ''));
+    }
+    if (error.message.includes('No fresh USD price')) {
+      return ApiResponse.serverError(res, 'Pricing is temporarily unavailable. Please try again.');
+    }
+
+    return ApiResponse.serverError(res, 'Failed to quote product. Please try again.');
+  }
+};
+
 export const getSellerProducts = async (req, res) => {
   try {
     const sellerId = req.user.id;
@@ -115,40 +156,66 @@ export const getSellerProducts = async (req, res) => {
 export const getAllProducts = async (req, res) => {
   try {
     const { 
-      page = 1, 
       limit = 20, 
       status, 
       minPrice, 
       maxPrice, 
       currency, 
       search,
-      sellerId 
+      sellerId,
+      categoryId,
+      sort,
+      cursor,
+      page,
+      facets = 'true'
     } = req.query;
 
     const options = {
-      page: parseInt(page),
       limit: parseInt(limit),
       status,
       minPrice: minPrice ? parseFloat(minPrice) : undefined,
       maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
       currency,
       search,
-      sellerId
+      sellerId,
+      categoryId,
+      sort,
+      cursor,
+      page,
+      includeFacets: facets !== 'false'
     };
 
     const result = await ProductService.getAllProducts(options);
 
     return ApiResponse.success(res, {
       products: result.products,
-      pagination: result.pagination
+      pagination: result.pagination,
+      sort: result.sort,
+      facets: result.facets
     });
 
   } catch (error) {
     console.error('Get all products error:', error);
+
+    if (error.message.includes('Invalid cursor') ||
+        error.message.includes('Invalid pagination') ||
+        error.message.includes('Invalid page') ||
+        error.message.includes('Invalid sort') ||
+        error.message.includes('Invalid product status')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+
     return ApiResponse.serverError(res, 'Failed to retrieve products. Please try again.');
   }
 };
 
+// Status changes reserved for moderators
+const isModerationLock = error =>
+  error.message.includes('waiting for moderation') ||
+  error.message.includes('rejected by moderation') ||
+  error.message.includes('Only moderators') ||
+  error.message.includes('Contact Admin');
+
 export const updateProduct = async (req, res) => {
   try {
     const { productId } = req.params;
@@ -173,9 +240,14 @@ export const updateProduct = async (req, res) => {
 
   } catch (error) {
     console.error('Update product error:', error);
+
+    if (isModerationLock(error)) {
+      return ApiResponse.forbidden(res, error.message.replace(/^Failed to [^:]+: /, ''));
+    }
     
     if (error.message.includes('Product not found') || 
         error.message.includes('access denied') ||
+        error.message.includes('Category not found') ||
         error.message.includes('Validation error')) {
       return ApiResponse.badRequest(res, error.message);
     }
@@ -207,6 +279,10 @@ export const updateProductStatus = async (req, res) => {
 
   } catch (error) {
     console.error('Update product status error:', error);
+
+    if (isModerationLock(error)) {
+      return ApiResponse.forbidden(res, error.message.replace(/^Failed to [^:]+: /, ''));
+    }
     
     if (error.message.includes('Product not found') || 
         error.message.includes('access denied') ||
@@ -245,6 +321,161 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
+export const addProductImages = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const sellerId = req.user.id;
+
+    const result = await ProductImageService.addImages(productId, sellerId, req.files || [], req.body.variantId || null);
+
+    return ApiResponse.success(res, {
+      message: 'Product images uploaded successfully',
+      images: result.uploaded,
+      product: ProductService.serializeProduct(result.product),
+      variant: result.variant ? ProductVariantService.serializeVariant(result.variant) : null
+    }, 201);
+
+  } catch (error) {
+    console.error('Upload product images error:', error);
+
+    if (error.message.includes('Product not found') ||
+        error.message.includes('access denied') ||
+        error.message.includes('Product variant not found') ||
+        error.message.includes('At least one image') ||
+        error.message.includes('Cannot upload more than') ||
+        error.message.includes('not a readable image') ||
+        error.message.includes('unsupported format') ||
+        error.message.includes('byte limit')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+
+    return ApiResponse.serverError(res, 'Failed to upload product images. Please try again.');
+  }
+};
+
+export const getProductVariants = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const result = await ProductVariantService.listVariants(productId);
+
+    return ApiResponse.success(res, {
+      variants: result.variants
+    });
+
+  } catch (error) {
+    console.error('Get product variants error:', error);
+
+    if (error.message.includes('Product not found')) {
+      return ApiResponse.notFound(res, 'Product not found');
+    }
+
+    return ApiResponse.serverError(res, 'Failed to retrieve product variants. Please try again.');
+  }
+};
+
+export const getProductNetworks = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const result = await NetworkService.getProductNetworks(productId);
+
+    return ApiResponse.success(res, {
+      networks: result.networks
+    });
+
+  } catch (error) {
+    console.error('Get product networks error:', error);
+
+    if (error.message.includes('Product not found')) {
+      return ApiResponse.notFound(res, 'Product not found');
+    }
+
+    return ApiResponse.serverError(res, 'Failed to retrieve payment networks. Please try again.');
+  }
+};
+
+export const createProductVariant = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { sku, attributes, price, quantity, image_cid } = req.body;
+
+    const result = await ProductVariantService.createVariant(productId, req.user.id, {
+      sku,
+      attributes,
+      price,
+      quantity,
+      image_cid
+    });
+
+    return ApiResponse.success(res, {
+      message: 'Product variant created successfully',
+      variant: result.variant
+    }, 201);
+
+  } catch (error) {
+    console.error('Create product variant error:', error);
+    return handleVariantError(res, error, 'Failed to create product variant. Please try again.');
+  }
+};
+
+export const updateProductVariant = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+    const { sku, attributes, price, quantity, image_cid, is_active } = req.body;
+
+    const result = await ProductVariantService.updateVariant(productId, variantId, req.user.id, {
+      sku,
+      attributes,
+      price,
+      quantity,
+      image_cid,
+      is_active
+    });
+
+    return ApiResponse.success(res, {
+      message: 'Product variant updated successfully',
+      variant: result.variant
+    });
+
+  } catch (error) {
+    console.error('Update product variant error:', error);
+    return handleVariantError(res, error, 'Failed to update product variant. Please try again.');
+  }
+};
+
+export const deleteProductVariant = async (req, res) => {
+  try {
+    const { productId, variantId } = req.params;
+
+    const result = await ProductVariantService.deactivateVariant(productId, variantId, req.user.id);
+
+    return ApiResponse.success(res, {
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Delete product variant error:', error);
+    return handleVariantError(res, error, 'Failed to remove product variant. Please try again.');
+  }
+};
+
+function handleVariantError(res, error, fallbackMessage) {
+  if (error.message.includes('Product not found') ||
+      error.message.includes('access denied') ||
+      error.message.includes('Product variant not found')) {
+    return ApiResponse.notFound(res, error.message.replace(/^Failed to [^:]+: /, ''));
+  }
+
+  if (error.message.includes('Validation error') ||
+      error.message.includes('Category not found') ||
+      error.message.includes('SKU already exists')) {
+    return ApiResponse.badRequest(res, error.message.replace(/^Failed to [^:]+: /, ''));
+  }
+
+  return ApiResponse.serverError(res, fallbackMessage);
+}
+
 export const updateProductQuantity = async (req, res) => {
   try {
     const { productId } = req.params;
@@ -271,6 +502,7 @@ export const updateProductQuantity = async (req, res) => {
     
     if (error.message.includes('Product not found') || 
         error.message.includes('access denied') ||
+        error.message.includes('tracked per variant') ||
         error.message.includes('Quantity must be')) {
       return ApiResponse.badRequest(res, error.message);
     }
@@ -295,6 +527,28 @@ export const getSellerProductStats = async (req, res) => {
   }
 };
 
+export const getProductVerification = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const result = await ModerationService.getSellerStatus(productId, req.user.id);
+
+    return ApiResponse.success(res, {
+      verification: result.verification
+    });
+
+  } catch (error) {
+    console.error('Get product verification error:', error);
+
+    if (error.message.includes('Product not found') ||
+        error.message.includes('access denied')) {
+      return ApiResponse.notFound(res, 'Product not found or access denied');
+    }
+
+    return ApiResponse.serverError(res, 'Failed to retrieve verification status. Please try again.');
+  }
+};
+
 // Admin-only endpoints
 export const updateAIVerificationScore = async (req, res) => {
   try {
@@ -1,6 +1,12 @@
 import ProductDeliveryService from '../services/ProductDeliveryService.js';
+import EscrowTransactionService from '../services/EscrowTransactionService.js';
 import ProductDeliveryValidationService from '../services/validation/ProductDeliveryValidationService.js';
 import { ApiResponse } from '../utils/apiResponse.js';
+import { getTransactionAuthorization } from '../middleware/TransactionAuthMiddleware.js';
+import db from '../models/index.js';
+
+const { User } = db;
+const escrowService = new EscrowTransactionService();
 
 export const createDelivery = async (req, res) => {
   try {
@@ -196,7 +202,9 @@ export const updateDeliveryStatus = async (req, res) => {
     
     if (error.message.includes('Delivery not found') || 
         error.message.includes('access denied') ||
-        error.message.includes('Invalid delivery status')) {
+        error.message.includes('Invalid delivery status') ||
+        error.message.includes('Disputes must be raised') ||
+        error.message.includes('Order must be')) {
       return ApiResponse.badRequest(res, error.message);
     }
     
@@ -223,4 +231,123 @@ export const checkDeliveryExists = async (req, res) => {
     console.error('Check delivery exists error:', error);
     return ApiResponse.serverError(res, 'Failed to check delivery details. Please try again.');
   }
-};
\ No newline at end of file
+};
+
+export const createShipment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { buyer_location, tracking_number, notes, pickup_location, estimated_delivery_days } = req.body;
+
+    const validation = ProductDeliveryValidationService.validateDeliveryUpdateData({
+      buyer_location,
+      notes,
+      pickup_location,
+      estimated_delivery_days
+    });
+    if (!validation.isValid) {
+      return ApiResponse.validationError(res, validation.errors);
+    }
+
+    const result = await ProductDeliveryService.createShipment({
+      orderId,
+      sellerId: req.user.id,
+      buyer_location,
+      tracking_number,
+      notes,
+      pickup_location,
+      estimated_delivery_days
+    });
+
+    return ApiResponse.success(res, {
+      message: result.message,
+      delivery: result.delivery
+    }, 201);
+
+  } catch (error) {
+    console.error('Create shipment error:', error);
+
+    if (error.message.includes('Order not found')) {
+      return ApiResponse.notFound(res, 'Order not found');
+    }
+    if (error.message.includes('Only seller')) {
+      return ApiResponse.forbidden(res, 'Only seller can create a shipment for this order');
+    }
+    if (error.message.includes('Cannot create a shipment') ||
+        error.message.includes('already exists') ||
+        error.message.includes('Pickup location is required')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+
+    return ApiResponse.serverError(res, 'Failed to create shipment. Please try again.');
+  }
+};
+
+export const getOrderShipment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const result = await ProductDeliveryService.getShipmentByOrder(orderId, req.user.id);
+
+    return ApiResponse.success(res, {
+      delivery: result.delivery
+    });
+
+  } catch (error) {
+    console.error('Get order shipment error:', error);
+
+    if (error.message.includes('Shipment not found')) {
+      return ApiResponse.notFound(res, 'Shipment not found');
+    }
+
+    return ApiResponse.serverError(res, 'Failed to retrieve shipment. Please try again.');
+  }
+};
+
+export const confirmReceipt = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { releaseEscrow = false } = req.body;
+    const buyerId = req.user.id;
+
+    const result = await ProductDeliveryService.confirmReceipt(orderId, buyerId);
+
+    let release = null;
+    if (releaseEscrow) {
+      try {
+        const user = await User.findByPk(buyerId);
+        release = await escrowService.releaseEscrow({
+          buyerId,
+          orderId,
+          userPassword: user.password,
+          authorizationToken: getTransactionAuthorization(req)
+        });
+      } catch (releaseError) {
+        // Receipt stays confirmed; the buyer can retry the release
+        console.error('Release after receipt confirmation failed:', releaseError);
+        release = { success: false, error: releaseError.message };
+      }
+    }
+
+    return ApiResponse.success(res, {
+      message: result.message,
+      delivery: result.delivery,
+      release
+    });
+
+  } catch (error) {
+    console.error('Confirm receipt error:', error);
+
+    if (error.message.includes('Shipment not found')) {
+      return ApiResponse.notFound(res, 'Shipment not found');
+    }
+    if (error.message.includes('Only buyer')) {
+      return ApiResponse.forbidden(res, 'Only buyer can confirm receipt');
+    }
+    if (error.message.includes('Invalid delivery status transition') ||
+        error.message.includes('Order must be')) {
+      return ApiResponse.badRequest(res, error.message);
+    }
+
+    return ApiResponse.serverError(res, 'Failed to confirm receipt. Please try again.');
+  }
+};
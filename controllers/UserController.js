@@ -1,5 +1,7 @@
 import db from "../models/index.js";
 import { ApiResponse } from "../utils/apiResponse.js";
+import NetworkService from "../services/NetworkService.js";
+import NotificationService from "../services/NotificationService.js";
 const { User, Product } = db;
 
 export const userDetails = async (req, res) => {  
@@ -57,4 +59,77 @@ export const usersAndProducts = async (req, res) => {
         console.log("Error fetching user details: ", error);
         return ApiResponse.serverError(res, "Error fetching user details");
     }
-}
\ No newline at end of file
+}
+
+export const getAcceptedNetworks = async (req, res) => {
+    try {
+        const result = await NetworkService.getAcceptedNetworks(req.user.id);
+
+        return ApiResponse.success(res, {
+            acceptsAll: result.acceptsAll,
+            networks: result.networks,
+            enabled: result.enabled
+        });
+    } catch (error) {
+        console.log("Error fetching accepted networks: ", error);
+        return ApiResponse.serverError(res, "Error fetching accepted networks");
+    }
+}
+
+export const updateAcceptedNetworks = async (req, res) => {
+    try {
+        const { networks } = req.body;
+
+        if (networks === undefined) {
+            return ApiResponse.badRequest(res, "networks is required; send null to accept every enabled network");
+        }
+
+        const result = await NetworkService.setAcceptedNetworks(req.user.id, networks);
+
+        return ApiResponse.success(res, {
+            message: "Accepted networks updated",
+            acceptsAll: result.acceptsAll,
+            networks: result.networks
+        });
+    } catch (error) {
+        console.log("Error updating accepted networks: ", error);
+        if (error.message.includes("Validation error")) {
+            return ApiResponse.badRequest(res, error.message.replace(/^Failed to update accepted networks: Validation error: /, ""));
+        }
+        return ApiResponse.serverError(res, "Error updating accepted networks");
+    }
+}
+
+export const getNotificationPreferences = async (req, res) => {
+    try {
+        const result = await NotificationService.getPreferences(req.user.id);
+
+        return ApiResponse.success(res, { preferences: result.preferences });
+    } catch (error) {
+        console.log("Error fetching notification preferences: ", error);
+        return ApiResponse.serverError(res, "Error fetching notification preferences");
+    }
+}
+
+export const updateNotificationPreferences = async (req, res) => {
+    try {
+        const { preferences } = req.body;
+
+        if (preferences === undefined) {
+            return ApiResponse.badRequest(res, "preferences is required");
+        }
+
+        const result = await NotificationService.updatePreferences(req.user.id, preferences);
+
+        return ApiResponse.success(res, {
+            message: "Notification preferences updated",
+            preferences: result.preferences
+        });
+    } catch (error) {
+        console.log("Error updating notification preferences: ", error);
+        if (error.message.includes("Validation error")) {
+            return ApiResponse.badRequest(res, error.message.replace(/^Failed to update notification preferences: Validation error: /, ""));
+        }
+        return ApiResponse.serverError(res, "Error updating notification preferences");
+    }
+}
@@ -0,0 +1,186 @@
+import WebhookService from '../services/WebhookService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+const validationMessage = (error) => error.message.replace(/^Failed to [^:]+: Validation error: /, '');
+
+class WebhookController {
+  listEvents = async (req, res) => {
+    return ApiResponse.success(res, { events: WebhookService.EVENTS });
+  };
+
+  listSubscriptions = async (req, res) => {
+    try {
+      const result = await WebhookService.listSubscriptions(req.user.id);
+
+      return ApiResponse.success(res, { subscriptions: result.subscriptions });
+
+    } catch (error) {
+      console.error('List webhooks error:', error);
+      return ApiResponse.serverError(res, 'Failed to retrieve webhooks. Please try again.');
+    }
+  };
+
+  createSubscription = async (req, res) => {
+    try {
+      const { name, url, events, platform = false } = req.body;
+
+      if (!url) {
+        return ApiResponse.badRequest(res, 'url is required');
+      }
+
+      const result = await WebhookService.createSubscription({
+        userId: req.user.id,
+        name,
+        url,
+        events,
+        platform: platform === true
+      });
+
+      return ApiResponse.created(res, {
+        message: result.message,
+        subscription: result.subscription,
+        secret: result.secret
+      });
+
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      if (error.message.includes('Only admins')) {
+        return ApiResponse.forbidden(res, 'Only admins can register platform webhooks');
+      }
+      if (error.message.includes('Validation error')) {
+        return ApiResponse.badRequest(res, validationMessage(error));
+      }
+      return ApiResponse.serverError(res, 'Failed to register webhook. Please try again.');
+    }
+  };
+
+  updateSubscription = async (req, res) => {
+    try {
+      const { name, url, events, isActive } = req.body;
+
+      const result = await WebhookService.updateSubscription(req.params.subscriptionId, req.user.id, {
+        name,
+        url,
+        events,
+        isActive
+      });
+
+      return ApiResponse.success(res, { subscription: result.subscription });
+
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      if (error.message.includes('Webhook subscription not found')) {
+        return ApiResponse.notFound(res, 'Webhook not found');
+      }
+      if (error.message.includes('Validation error')) {
+        return ApiResponse.badRequest(res, validationMessage(error));
+      }
+      return ApiResponse.serverError(res, 'Failed to update webhook. Please try again.');
+    }
+  };
+
+  deleteSubscription = async (req, res) => {
+    try {
+      const result = await WebhookService.deleteSubscription(req.params.subscriptionId, req.user.id);
+
+      return ApiResponse.success(res, { message: result.message });
+
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      if (error.message.includes('Webhook subscription not found')) {
+        return ApiResponse.notFound(res, 'Webhook not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to delete webhook. Please try again.');
+    }
+  };
+
+  rotateSecret = async (req, res) => {
+    try {
+      const result = await WebhookService.rotateSecret(req.params.subscriptionId, req.user.id);
+
+      return ApiResponse.success(res, {
+        message: result.message,
+        subscription: result.subscription,
+        secret: result.secret
+      });
+
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      if (error.message.includes('Webhook subscription not found')) {
+        return ApiResponse.notFound(res, 'Webhook not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to rotate webhook secret. Please try again.');
+    }
+  };
+
+  listDeliveries = async (req, res) => {
+    try {
+      const { status, event, page, limit } = req.query;
+
+      const result = await WebhookService.listDeliveries(req.params.subscriptionId, req.user.id, {
+        status,
+        eventType: event,
+        page,
+        limit
+      });
+
+      return ApiResponse.success(res, {
+        deliveries: result.deliveries,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      if (error.message.includes('Webhook subscription not found')) {
+        return ApiResponse.notFound(res, 'Webhook not found');
+      }
+      if (error.message.includes('Validation error')) {
+        return ApiResponse.badRequest(res, validationMessage(error));
+      }
+      return ApiResponse.serverError(res, 'Failed to retrieve webhook deliveries. Please try again.');
+    }
+  };
+
+  replayDelivery = async (req, res) => {
+    try {
+      const { subscriptionId, deliveryId } = req.params;
+
+      const result = await WebhookService.replayDelivery(subscriptionId, deliveryId, req.user.id);
+
+      return ApiResponse.success(res, {
+        message: result.message,
+        delivery: result.delivery
+      }, 202);
+
+    } catch (error) {
+      console.error('Replay webhook delivery error:', error);
+      if (error.message.includes('Webhook subscription not found') || error.message.includes('Webhook delivery not found')) {
+        return ApiResponse.notFound(res, 'Webhook delivery not found');
+      }
+      if (error.message.includes('already queued')) {
+        return ApiResponse.conflict(res, 'Delivery is already queued');
+      }
+      return ApiResponse.serverError(res, 'Failed to replay webhook delivery. Please try again.');
+    }
+  };
+
+  replayDeadLetters = async (req, res) => {
+    try {
+      const result = await WebhookService.replayDeadLetters(req.params.subscriptionId, req.user.id);
+
+      return ApiResponse.success(res, {
+        message: result.message,
+        replayed: result.replayed
+      }, 202);
+
+    } catch (error) {
+      console.error('Replay dead-lettered webhooks error:', error);
+      if (error.message.includes('Webhook subscription not found')) {
+        return ApiResponse.notFound(res, 'Webhook not found');
+      }
+      return ApiResponse.serverError(res, 'Failed to replay webhook deliveries. Please try again.');
+    }
+  };
+}
+
+export default WebhookController;
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { ApiResponse } from '../utils/apiResponse.js';
+import SessionService from '../services/SessionService.js';
 
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -9,7 +10,7 @@ function authenticateToken(req, res, next) {
         return ApiResponse.unauthorized(res, 'Access denied. No token provided.');
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
         if (err) {
             if (err.name === 'TokenExpiredError') {
                 return ApiResponse.unauthorized(res, 'Session expired. Please log in again.');
@@ -20,6 +21,11 @@ function authenticateToken(req, res, next) {
             return ApiResponse.unauthorized(res, 'Unable to authenticate token.');
         }
 
+        // Login challenges and other purpose-bound tokens are not access tokens
+        if (decoded.purpose) {
+            return ApiResponse.unauthorized(res, 'Invalid authentication token.');
+        }
+
         req.user = decoded.user || decoded;
         console.log('Decoded JWT:', decoded);
         
@@ -27,10 +33,22 @@ function authenticateToken(req, res, next) {
             return ApiResponse.unauthorized(res, 'Session expired. Please log in again.');
         }
 
+        // Tokens issued before sessions existed carry no sid and simply run out
+        if (decoded.sid) {
+            try {
+                if (!await SessionService.isSessionActive(decoded.sid)) {
+                    return ApiResponse.unauthorized(res, 'Session has been revoked. Please log in again.');
+                }
+            } catch (error) {
+                console.error('Session check error:', error);
+                return ApiResponse.serverError(res, 'Unable to verify session');
+            }
+        }
+
         console.log('Attached user to request:', req.user);
         
         next();
     });
 }
 
-export default authenticateToken;
\ No newline at end of file
+export default authenticateToken;
@@ -0,0 +1,52 @@
+import RateLimitService from '../services/RateLimitService.js';
+import { getRateLimitPolicy } from '../config/rateLimits.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+/**
+ * Throttle a route with a policy from config/rateLimits.js. Rejected
+ * requests get 429 with Retry-After. If the store is unreachable the request
+ * is let through rather than taking the API down with it; a request whose
+ * keys cannot be read is rejected, so a malformed body cannot skip a limit.
+ */
+export function rateLimit(policyName) {
+    const policy = getRateLimitPolicy(policyName);
+    const tracksFailures = policy.buckets.some(bucket => bucket.failuresOnly);
+    const failureStatuses = policy.failureStatuses || [400, 401, 403];
+
+    return async (req, res, next) => {
+        try {
+            RateLimitService.resolveBuckets(policyName, req);
+        } catch (error) {
+            console.warn(`Rate limit key could not be read for ${policyName}:`, error.message);
+            return ApiResponse.badRequest(res, 'Malformed request');
+        }
+
+        try {
+            const result = await RateLimitService.consume(policyName, req);
+            if (!result.allowed) {
+                return ApiResponse.tooManyRequests(
+                    res,
+                    'Too many attempts. Please try again later.',
+                    result.retryAfterSeconds
+                );
+            }
+        } catch (error) {
+            console.error(`Rate limit check failed for ${policyName}:`, error.message);
+            return next();
+        }
+
+        if (tracksFailures) {
+            res.on('finish', () => {
+                const outcome = failureStatuses.includes(res.statusCode)
+                    ? RateLimitService.recordFailure(policyName, req)
+                    : res.statusCode < 400
+                        ? RateLimitService.recordSuccess(policyName, req)
+                        : null;
+
+                outcome?.catch(error => console.error(`Rate limit bookkeeping failed for ${policyName}:`, error.message));
+            });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,46 @@
+import db from '../models/index.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+
+const { User } = db;
+
+/**
+ * Allow the request through if the authenticated user holds any of `roles`.
+ * Must run after authenticateToken. Roles are read from the database rather
+ * than the token so a revocation takes effect immediately. Roles listed in
+ * TWO_FACTOR_REQUIRED_ROLES are only honoured for sessions that passed 2FA.
+ */
+export function requireAnyRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            if (!req.user?.id) {
+                return ApiResponse.unauthorized(res, 'Access denied. No token provided.');
+            }
+
+            const user = await User.findByPk(req.user.id, { attributes: ['id', 'roles'] });
+            const userRoles = user?.roles || [];
+
+            const matchedRoles = roles.filter(role => userRoles.includes(role));
+            if (matchedRoles.length === 0) {
+                return ApiResponse.forbidden(res, 'You do not have permission to perform this action');
+            }
+
+            if (TwoFactorService.isRequiredForRoles(matchedRoles) && !req.user.mfa) {
+                return ApiResponse.forbidden(res, 'Two-factor authentication is required for this action. Enable it and log in again.');
+            }
+
+            req.user.roles = userRoles;
+            next();
+        } catch (error) {
+            console.error('Role check error:', error);
+            return ApiResponse.serverError(res, 'Unable to verify permissions');
+        }
+    };
+}
+
+/**
+ * Allow the request through only if the authenticated user holds `role`
+ */
+export function requireRole(role) {
+    return requireAnyRole(role);
+}
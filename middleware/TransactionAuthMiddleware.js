@@ -0,0 +1,24 @@
+import { ApiResponse } from '../utils/apiResponse.js';
+
+/**
+ * Token issued by POST /auth/transaction-authorizations, sent in the
+ * X-Transaction-Authorization header (or `authorizationToken` in the body)
+ */
+export function getTransactionAuthorization(req) {
+    return req.get('X-Transaction-Authorization') || req.body?.authorizationToken || null;
+}
+
+/**
+ * Reject value-moving requests that carry no transaction authorization.
+ * The token's binding to the order and amount is checked by the service
+ * that spends it.
+ */
+export function requireTransactionAuthorization(req, res, next) {
+    const token = getTransactionAuthorization(req);
+    if (!token) {
+        return ApiResponse.forbidden(res, 'Transaction authorization required. Verify your PIN to continue.');
+    }
+
+    req.transactionAuthorization = token;
+    next();
+}
@@ -0,0 +1,40 @@
+import multer from 'multer';
+import ProductImageService from '../services/ProductImageService.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+
+const productImageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: ProductImageService.MAX_FILE_BYTES,
+        files: ProductImageService.MAX_IMAGES
+    },
+    // Cheap early rejection; the decoder checks the real format afterwards
+    fileFilter: (req, file, cb) => {
+        if (!ProductImageService.ACCEPTED_TYPES.includes(file.mimetype)) {
+            return cb(new Error(`${file.originalname} must be a JPEG, PNG or WebP image`));
+        }
+        cb(null, true);
+    }
+}).array('images', ProductImageService.MAX_IMAGES);
+
+/**
+ * Parse multipart `images` fields into req.files (held in memory)
+ */
+export function uploadProductImages(req, res, next) {
+    productImageUpload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return ApiResponse.error(res, `Each image must be at most ${ProductImageService.MAX_FILE_BYTES} bytes`, 413);
+            }
+            if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                return ApiResponse.badRequest(res, `Upload up to ${ProductImageService.MAX_IMAGES} files in the "images" field`);
+            }
+        }
+
+        return ApiResponse.badRequest(res, error.message);
+    });
+}
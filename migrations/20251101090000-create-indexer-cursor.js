@@ -0,0 +1,38 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('indexer_cursors', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    network: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    last_block: {
+      type: Sequelize.BIGINT,
+      allowNull: false
+    },
+    last_block_hash: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('indexer_cursors');
+}
@@ -0,0 +1,60 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('dispute_evidence', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    order_id: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      },
+      onDelete: 'CASCADE'
+    },
+    submitted_by: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    submitter_role: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    attachment_uris: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      defaultValue: []
+    },
+    internal: {
+      type: Sequelize.BOOLEAN,
+      defaultValue: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('dispute_evidence', ['order_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('dispute_evidence');
+}
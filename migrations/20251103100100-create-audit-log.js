@@ -0,0 +1,48 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('audit_logs', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    actor_id: {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    action: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    entity_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    entity_id: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    details: {
+      type: Sequelize.JSONB,
+      defaultValue: {}
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('audit_logs', ['entity_type', 'entity_id']);
+  await queryInterface.addIndex('audit_logs', ['actor_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('audit_logs');
+}
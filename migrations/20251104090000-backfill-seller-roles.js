@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Seller routes now require the seller role. Grant it to every user who
+ * already owns a product so existing sellers keep access.
+ */
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.sequelize.query(`
+    UPDATE users
+    SET roles = array_append(COALESCE(roles, ARRAY[]::varchar[]), 'seller')
+    WHERE id IN (SELECT DISTINCT seller_id FROM products)
+      AND NOT ('seller' = ANY(COALESCE(roles, ARRAY[]::varchar[])))
+  `);
+}
+
+export async function down(queryInterface, Sequelize) {
+  // Role grants made after this migration cannot be told apart, so this is a no-op
+}
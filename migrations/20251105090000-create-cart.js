@@ -0,0 +1,82 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('carts', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    user_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.createTable('cart_items', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    cart_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'carts',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    product_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    unit_price: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('cart_items', ['cart_id', 'product_id'], { unique: true });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('cart_items');
+  await queryInterface.dropTable('carts');
+}
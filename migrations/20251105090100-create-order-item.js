@@ -0,0 +1,56 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('order_items', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    order_id: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      },
+      onDelete: 'CASCADE'
+    },
+    product_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    unit_price: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false
+    },
+    subtotal: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('order_items', ['order_id']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('order_items');
+}
@@ -0,0 +1,72 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('stock_reservations', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    order_id: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      },
+      onDelete: 'CASCADE'
+    },
+    product_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    quantity: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('active', 'committed', 'released'),
+      defaultValue: 'active'
+    },
+    expires_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    committed_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    released_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    release_reason: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('stock_reservations', ['order_id']);
+  await queryInterface.addIndex('stock_reservations', ['product_id', 'status']);
+  await queryInterface.addIndex('stock_reservations', ['status', 'expires_at']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('stock_reservations');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_reservations_status";');
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('product_deliveries', 'order_id', {
+    type: Sequelize.STRING,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'orders',
+      key: 'order_id'
+    },
+    onDelete: 'CASCADE'
+  });
+
+  await queryInterface.addColumn('product_deliveries', 'buyer_id', {
+    type: Sequelize.BIGINT,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  });
+
+  await queryInterface.addColumn('product_deliveries', 'tracking_number', {
+    type: Sequelize.STRING,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('product_deliveries', 'in_transit_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('product_deliveries', 'disputed_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('product_deliveries', 'buyer_confirmed_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('product_deliveries', 'buyer_confirmed_at');
+  await queryInterface.removeColumn('product_deliveries', 'disputed_at');
+  await queryInterface.removeColumn('product_deliveries', 'in_transit_at');
+  await queryInterface.removeColumn('product_deliveries', 'tracking_number');
+  await queryInterface.removeColumn('product_deliveries', 'buyer_id');
+  await queryInterface.removeColumn('product_deliveries', 'order_id');
+}
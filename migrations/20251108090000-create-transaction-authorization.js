@@ -0,0 +1,80 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('users', 'pinFailedAttempts', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  await queryInterface.addColumn('users', 'pinLockedUntil', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.createTable('transaction_authorizations', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    token_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    user_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    action: {
+      type: Sequelize.ENUM('purchase', 'checkout', 'release', 'refund', 'dispute'),
+      allowNull: false
+    },
+    reference: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false
+    },
+    token_symbol: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    expires_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('transaction_authorizations', ['user_id', 'action', 'reference']);
+  await queryInterface.addIndex('transaction_authorizations', ['expires_at']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('transaction_authorizations');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_transaction_authorizations_action";');
+  await queryInterface.removeColumn('users', 'pinLockedUntil');
+  await queryInterface.removeColumn('users', 'pinFailedAttempts');
+}
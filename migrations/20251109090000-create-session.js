@@ -0,0 +1,79 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('sessions', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    user_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    family_id: {
+      type: Sequelize.UUID,
+      allowNull: false
+    },
+    refresh_token_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    user_agent: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    ip_address: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    started_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    last_seen_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    expires_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+    rotated_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('sessions', ['family_id']);
+  await queryInterface.addIndex('sessions', ['user_id', 'revoked_at']);
+  await queryInterface.addIndex('sessions', ['expires_at']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('sessions');
+}
@@ -0,0 +1,32 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('users', 'passwordResetToken', {
+    type: Sequelize.STRING(64),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'passwordResetExpiresAt', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'passwordResetAttempts', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  await queryInterface.addColumn('users', 'passwordChangedAt', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('users', 'passwordChangedAt');
+  await queryInterface.removeColumn('users', 'passwordResetAttempts');
+  await queryInterface.removeColumn('users', 'passwordResetExpiresAt');
+  await queryInterface.removeColumn('users', 'passwordResetToken');
+}
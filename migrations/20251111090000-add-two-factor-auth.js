@@ -0,0 +1,58 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('users', 'twoFactorEnabled', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorSecret', {
+    type: Sequelize.TEXT,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorBackupCodes', {
+    type: Sequelize.ARRAY(Sequelize.STRING),
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorLastStep', {
+    type: Sequelize.BIGINT,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorFailedAttempts', {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorLockedUntil', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('users', 'twoFactorEnabledAt', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addColumn('sessions', 'two_factor_verified', {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.removeColumn('sessions', 'two_factor_verified');
+  await queryInterface.removeColumn('users', 'twoFactorEnabledAt');
+  await queryInterface.removeColumn('users', 'twoFactorLockedUntil');
+  await queryInterface.removeColumn('users', 'twoFactorFailedAttempts');
+  await queryInterface.removeColumn('users', 'twoFactorLastStep');
+  await queryInterface.removeColumn('users', 'twoFactorBackupCodes');
+  await queryInterface.removeColumn('users', 'twoFactorSecret');
+  await queryInterface.removeColumn('users', 'twoFactorEnabled');
+}
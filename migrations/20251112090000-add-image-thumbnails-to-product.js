@@ -0,0 +1,15 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  // Image CID -> thumbnail CID for images uploaded through the API
+  await queryInterface.addColumn('products', 'image_thumbnails', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('products', 'image_thumbnails');
+}
@@ -0,0 +1,42 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface) {
+  await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // Generated column, so Postgres keeps it in sync on every insert and update
+  await queryInterface.sequelize.query(`
+    ALTER TABLE products
+    ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(descrption, '')), 'B')
+    ) STORED
+  `);
+
+  await queryInterface.sequelize.query(
+    'CREATE INDEX products_search_vector_index ON products USING GIN (search_vector)'
+  );
+
+  // Trigram index for typo-tolerant name matching
+  await queryInterface.sequelize.query(
+    'CREATE INDEX products_name_trgm_index ON products USING GIN (name gin_trgm_ops)'
+  );
+
+  // Keyset pagination orders
+  await queryInterface.addIndex('products', ['status', 'createdAt', 'id'], {
+    name: 'products_status_created_at_index'
+  });
+
+  await queryInterface.addIndex('products', ['status', 'price', 'id'], {
+    name: 'products_status_price_index'
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeIndex('products', 'products_status_price_index');
+  await queryInterface.removeIndex('products', 'products_status_created_at_index');
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS products_name_trgm_index');
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS products_search_vector_index');
+  await queryInterface.removeColumn('products', 'search_vector');
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('categories', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.INTEGER
+    },
+    parent_id: {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      },
+      onDelete: 'RESTRICT'
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    slug: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    attribute_schema: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    position: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('categories', ['parent_id']);
+
+  await queryInterface.addColumn('products', 'category_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  });
+
+  await queryInterface.addColumn('products', 'attributes', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  });
+
+  await queryInterface.addIndex('products', ['category_id']);
+
+  await queryInterface.createTable('product_variants', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    product_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    sku: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    attributes: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    price: {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false
+    },
+    quantity: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    image_cid: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('product_variants', ['product_id']);
+
+  // Stock, carts and orders reference the variant when the product has them
+  for (const table of ['stock_reservations', 'cart_items', 'order_items', 'orders']) {
+    await queryInterface.addColumn(table, 'variant_id', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+  }
+
+  await queryInterface.addIndex('stock_reservations', ['variant_id', 'status']);
+
+  // One cart line per product variant; products without variants use NULL
+  await queryInterface.removeIndex('cart_items', ['cart_id', 'product_id']);
+  await queryInterface.sequelize.query(
+    'CREATE UNIQUE INDEX cart_items_cart_product_variant ON cart_items (cart_id, product_id, COALESCE(variant_id, 0))'
+  );
+}
+
+export async function down(queryInterface) {
+  await queryInterface.sequelize.query('DROP INDEX IF EXISTS cart_items_cart_product_variant');
+  await queryInterface.addIndex('cart_items', ['cart_id', 'product_id'], { unique: true });
+
+  for (const table of ['orders', 'order_items', 'cart_items', 'stock_reservations']) {
+    await queryInterface.removeColumn(table, 'variant_id');
+  }
+
+  await queryInterface.dropTable('product_variants');
+  await queryInterface.removeColumn('products', 'attributes');
+  await queryInterface.removeColumn('products', 'category_id');
+  await queryInterface.dropTable('categories');
+}
@@ -0,0 +1,113 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.sequelize.query(`ALTER TYPE "enum_products_status" ADD VALUE IF NOT EXISTS 'rejected'`);
+
+  // Set when a product is created or its listing content changes; cleared by the worker
+  await queryInterface.addColumn('products', 'verification_requested_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+
+  await queryInterface.addIndex('products', ['verification_requested_at']);
+
+  await queryInterface.createTable('product_verifications', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    product_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    trigger: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    score: {
+      type: Sequelize.DECIMAL(5, 4),
+      allowNull: true
+    },
+    outcome: {
+      type: Sequelize.ENUM('passed', 'needs_review'),
+      allowNull: true
+    },
+    checks: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    decision: {
+      type: Sequelize.ENUM('approved', 'flagged', 'rejected'),
+      allowNull: true
+    },
+    decision_reason: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    decided_by: {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    decided_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('product_verifications', ['product_id', 'createdAt']);
+  await queryInterface.addIndex('product_verifications', ['outcome', 'decision']);
+
+  // Perceptual hashes of uploaded images. CIDs are content addresses, so a
+  // CID always has the same hash and rows never go stale.
+  await queryInterface.createTable('image_hashes', {
+    cid: {
+      allowNull: false,
+      primaryKey: true,
+      type: Sequelize.STRING
+    },
+    hash: {
+      type: Sequelize.BIGINT,
+      allowNull: false
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('image_hashes');
+  await queryInterface.dropTable('product_verifications');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_verifications_outcome"');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_verifications_decision"');
+  await queryInterface.removeColumn('products', 'verification_requested_at');
+
+  // Postgres cannot drop an enum value; park rejected listings instead
+  await queryInterface.sequelize.query(`UPDATE products SET status = 'paused' WHERE status = 'rejected'`);
+}
@@ -0,0 +1,34 @@
+'use strict';
+import { getCurrentNetworkConfig } from '../config/networks.js';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.addColumn('orders', 'chain_id', {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  });
+
+  // Every existing order was placed on the single network configured so far
+  await queryInterface.sequelize.query('UPDATE orders SET chain_id = :chainId', {
+    replacements: { chainId: getCurrentNetworkConfig().chain.id }
+  });
+
+  await queryInterface.changeColumn('orders', 'chain_id', {
+    type: Sequelize.INTEGER,
+    allowNull: false
+  });
+
+  await queryInterface.addIndex('orders', ['chain_id', 'status']);
+
+  // Null means the seller accepts every enabled network
+  await queryInterface.addColumn('users', 'acceptedChainIds', {
+    type: Sequelize.ARRAY(Sequelize.INTEGER),
+    allowNull: true
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('users', 'acceptedChainIds');
+  await queryInterface.removeIndex('orders', ['chain_id', 'status']);
+  await queryInterface.removeColumn('orders', 'chain_id');
+}
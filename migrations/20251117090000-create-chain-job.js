@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('chain_jobs', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    idempotency_key: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    order_ids: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    chain_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    payload: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'running', 'completed', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    locked_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    result: {
+      type: Sequelize.JSONB,
+      allowNull: true
+    },
+    last_error: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    completed_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('chain_jobs', ['status', 'locked_at']);
+  await queryInterface.addIndex('chain_jobs', ['order_ids'], { using: 'GIN' });
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('chain_jobs');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_chain_jobs_status";');
+}
@@ -0,0 +1,117 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('user_operations', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    user_op_hash: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    transaction_id: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      references: {
+        model: 'transactions',
+        key: 'transaction_id'
+      },
+      onDelete: 'CASCADE'
+    },
+    chain_id: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+    signer_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    sender: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    nonce: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    call_data: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    max_fee_per_gas: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    max_priority_fee_per_gas: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    token_symbol: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('submitted', 'confirmed', 'reverted', 'replaced', 'dropped'),
+      allowNull: false,
+      defaultValue: 'submitted'
+    },
+    replacement_count: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    replaced_by: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    blockchain_tx_hash: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    block_number: {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    },
+    gas_used: {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    },
+    last_error: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    last_checked_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    settled_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('user_operations', ['transaction_id']);
+  await queryInterface.addIndex('user_operations', ['status']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('user_operations');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_operations_status";');
+}
@@ -0,0 +1,163 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  await queryInterface.createTable('webhook_subscriptions', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    // Null for platform apps (e.g. logistics partners), which receive every matching event
+    user_id: {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    url: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    events: {
+      type: Sequelize.ARRAY(Sequelize.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    secret: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+    is_active: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('webhook_subscriptions', ['user_id']);
+  await queryInterface.addIndex('webhook_subscriptions', ['events'], { using: 'GIN' });
+
+  await queryInterface.createTable('webhook_deliveries', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    delivery_id: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    subscription_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'webhook_subscriptions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    event_id: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    event_type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'delivered', 'dead'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    },
+    next_attempt_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    last_status_code: {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    },
+    last_error: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    attempt_log: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    replay_count: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    delivered_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    dead_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  // An event reaches each subscription once, however many places emit it
+  await queryInterface.addIndex('webhook_deliveries', ['subscription_id', 'event_id'], { unique: true });
+  await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at']);
+}
+
+export async function down(queryInterface, Sequelize) {
+  await queryInterface.dropTable('webhook_deliveries');
+  await queryInterface.dropTable('webhook_subscriptions');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_deliveries_status";');
+}
@@ -0,0 +1,91 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  // Types a user has switched on or off; anything missing (or null) is on
+  await queryInterface.addColumn('users', 'notificationPreferences', {
+    type: Sequelize.JSONB,
+    allowNull: true
+  });
+
+  await queryInterface.createTable('email_notifications', {
+    id: {
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: Sequelize.BIGINT
+    },
+    user_id: {
+      type: Sequelize.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    type: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+    // One email per event and recipient, however many places report the event
+    dedupe_key: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+    data: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: Sequelize.ENUM('pending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    next_attempt_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    last_error: {
+      type: Sequelize.TEXT,
+      allowNull: true
+    },
+    message_id: {
+      type: Sequelize.STRING,
+      allowNull: true
+    },
+    sent_at: {
+      type: Sequelize.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    },
+    updatedAt: {
+      allowNull: false,
+      type: Sequelize.DATE
+    }
+  });
+
+  await queryInterface.addIndex('email_notifications', ['status', 'next_attempt_at']);
+  await queryInterface.addIndex('email_notifications', ['user_id']);
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('email_notifications');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_email_notifications_status";');
+  await queryInterface.removeColumn('users', 'notificationPreferences');
+}
@@ -0,0 +1,14 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+export async function up(queryInterface, Sequelize) {
+  // When a job whose send failed may be tried again; null for jobs that never failed a send
+  await queryInterface.addColumn('chain_jobs', 'retry_at', {
+    type: Sequelize.DATE,
+    allowNull: true
+  });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('chain_jobs', 'retry_at');
+}
@@ -0,0 +1,60 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class AuditLog extends Model {
+    static associate(models) {
+      AuditLog.belongsTo(models.User, {
+        foreignKey: 'actor_id',
+        as: 'actor'
+      });
+    }
+  }
+
+  AuditLog.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actor_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    entity_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    entity_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    sequelize,
+    modelName: 'AuditLog',
+    tableName: 'audit_logs',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['entity_type', 'entity_id']
+      },
+      {
+        fields: ['actor_id']
+      }
+    ]
+  });
+
+  return AuditLog;
+};
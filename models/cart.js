@@ -0,0 +1,41 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class Cart extends Model {
+    static associate(models) {
+      Cart.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      Cart.hasMany(models.CartItem, {
+        foreignKey: 'cart_id',
+        as: 'items',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+
+  Cart.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Cart',
+    tableName: 'carts'
+  });
+
+  return Cart;
+};
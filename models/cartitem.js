@@ -0,0 +1,78 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class CartItem extends Model {
+    static associate(models) {
+      CartItem.belongsTo(models.Cart, {
+        foreignKey: 'cart_id',
+        as: 'cart'
+      });
+      CartItem.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+      CartItem.belongsTo(models.ProductVariant, {
+        foreignKey: 'variant_id',
+        as: 'variant'
+      });
+    }
+  }
+
+  CartItem.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    cart_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'carts',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    variant_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Product price when the item was added, re-checked at checkout'
+    }
+  }, {
+    sequelize,
+    modelName: 'CartItem',
+    tableName: 'cart_items',
+    indexes: [
+      {
+        unique: true,
+        fields: ['cart_id', 'product_id', 'variant_id']
+      }
+    ]
+  });
+
+  return CartItem;
+};
@@ -0,0 +1,62 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class Category extends Model {
+    static associate(models) {
+      Category.belongsTo(models.Category, {
+        foreignKey: 'parent_id',
+        as: 'parent'
+      });
+      Category.hasMany(models.Category, {
+        foreignKey: 'parent_id',
+        as: 'children'
+      });
+      Category.hasMany(models.Product, {
+        foreignKey: 'category_id',
+        as: 'products'
+      });
+    }
+  }
+
+  Category.init({
+    parent_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'categories',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    slug: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attribute_schema: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Attribute definitions, inherited by subcategories (see CategoryService)'
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    sequelize,
+    modelName: 'Category',
+    tableName: 'categories'
+  });
+
+  return Category;
+};
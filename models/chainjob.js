@@ -0,0 +1,92 @@
+'use strict';
+import { Model } from 'sequelize';
+import { ChainJobStatus } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class ChainJob extends Model {
+    static associate(models) {
+      // order_ids is an array, so orders are looked up rather than associated
+    }
+
+    isFinished() {
+      return [ChainJobStatus.completed, ChainJobStatus.failed].includes(this.status);
+    }
+  }
+
+  ChainJob.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    idempotency_key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    order_ids: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    chain_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM(
+        ChainJobStatus.pending,
+        ChainJobStatus.running,
+        ChainJobStatus.completed,
+        ChainJobStatus.failed
+      ),
+      allowNull: false,
+      defaultValue: ChainJobStatus.pending
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3
+    },
+    locked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    retry_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ChainJob',
+    tableName: 'chain_jobs'
+  });
+
+  return ChainJob;
+};
@@ -0,0 +1,65 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class DisputeEvidence extends Model {
+    static associate(models) {
+      DisputeEvidence.belongsTo(models.User, {
+        foreignKey: 'submitted_by',
+        as: 'submitter'
+      });
+    }
+  }
+
+  DisputeEvidence.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        key: 'order_id',
+        model: 'orders'
+      }
+    },
+    submitted_by: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    submitter_role: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    attachment_uris: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    internal: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Arbitrator notes hidden from buyer and seller'
+    }
+  }, {
+    sequelize,
+    modelName: 'DisputeEvidence',
+    tableName: 'dispute_evidence',
+    indexes: [
+      {
+        fields: ['order_id']
+      }
+    ]
+  });
+
+  return DisputeEvidence;
+};
@@ -0,0 +1,81 @@
+'use strict';
+import { Model } from 'sequelize';
+import { NotificationStatus } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class EmailNotification extends Model {
+    static associate(models) {
+      EmailNotification.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'recipient'
+      });
+    }
+  }
+
+  EmailNotification.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    dedupe_key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    data: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM(
+        NotificationStatus.pending,
+        NotificationStatus.sent,
+        NotificationStatus.failed
+      ),
+      allowNull: false,
+      defaultValue: NotificationStatus.pending
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    message_id: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'EmailNotification',
+    tableName: 'email_notifications'
+  });
+
+  return EmailNotification;
+};
@@ -0,0 +1,24 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class ImageHash extends Model {}
+
+  ImageHash.init({
+    cid: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    hash: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: '64-bit difference hash, stored signed'
+    }
+  }, {
+    sequelize,
+    modelName: 'ImageHash',
+    tableName: 'image_hashes'
+  });
+
+  return ImageHash;
+};
@@ -0,0 +1,37 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class IndexerCursor extends Model {
+    static associate(models) {
+      // no associations
+    }
+  }
+
+  IndexerCursor.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    network: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    last_block: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    last_block_hash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'IndexerCursor',
+    tableName: 'indexer_cursors'
+  });
+
+  return IndexerCursor;
+};
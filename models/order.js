@@ -17,14 +17,24 @@ export default (sequelize, DataTypes) => {
         foreignKey: 'product_id',
         as: 'product'
       });
+      Order.belongsTo(models.ProductVariant, {
+        foreignKey: 'variant_id',
+        as: 'variant'
+      });
+      Order.hasMany(models.OrderItem, {
+        foreignKey: 'order_id',
+        sourceKey: 'order_id',
+        as: 'items'
+      });
       Order.hasOne(models.Transaction, {
         foreignKey: 'order_id',
         as: 'transaction'
       });
-      // Order.hasOne(models.ProductDelivery, {
-      //   foreignKey: 'order_id',
-      //   as: 'delivery'
-      // });
+      Order.hasOne(models.ProductDelivery, {
+        foreignKey: 'order_id',
+        sourceKey: 'order_id',
+        as: 'delivery'
+      });
     }
 
     isActive() {
@@ -80,11 +90,23 @@ export default (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    variant_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      }
+    },
     order_id: {
       type: DataTypes.STRING,
       allowNull: false,
       unique: true
     },
+    chain_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
     escrow_address: {
       type: DataTypes.STRING,
       allowNull: true
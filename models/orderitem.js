@@ -0,0 +1,77 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class OrderItem extends Model {
+    static associate(models) {
+      OrderItem.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        targetKey: 'order_id',
+        as: 'order'
+      });
+      OrderItem.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+      OrderItem.belongsTo(models.ProductVariant, {
+        foreignKey: 'variant_id',
+        as: 'variant'
+      });
+    }
+  }
+
+  OrderItem.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      }
+    },
+    product_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    variant_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderItem',
+    tableName: 'order_items',
+    indexes: [
+      {
+        fields: ['order_id']
+      }
+    ]
+  });
+
+  return OrderItem;
+};
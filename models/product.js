@@ -25,6 +25,23 @@ export default (sequelize, DataTypes) => {
         as: 'product',
         onDelete: 'CASCADE'
       })
+
+      Product.belongsTo(models.Category, {
+        foreignKey: 'category_id',
+        as: 'category'
+      });
+
+      Product.hasMany(models.ProductVariant, {
+        foreignKey: 'product_id',
+        as: 'variants',
+        onDelete: 'CASCADE'
+      });
+
+      Product.hasMany(models.ProductVerification, {
+        foreignKey: 'product_id',
+        as: 'verifications',
+        onDelete: 'CASCADE'
+      });
     }
   }
 
@@ -33,6 +50,10 @@ export default (sequelize, DataTypes) => {
     name: DataTypes.STRING,
     descrption: DataTypes.TEXT,
     image_cid: DataTypes.ARRAY(DataTypes.STRING),
+    image_thumbnails: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
     price: DataTypes.DECIMAL,
     quantity: DataTypes.BIGINT,
     currency: DataTypes.STRING,
@@ -41,9 +62,20 @@ export default (sequelize, DataTypes) => {
       ProductStatus.paused,
       ProductStatus.sold_out,
       ProductStatus.under_review,
-      ProductStatus.flagged
+      ProductStatus.flagged,
+      ProductStatus.rejected
     ),
-    ai_verification_score: DataTypes.DECIMAL
+    ai_verification_score: DataTypes.DECIMAL,
+    // Set when the listing needs (re)checking by ProductVerificationService
+    verification_requested_at: DataTypes.DATE,
+    category_id: DataTypes.INTEGER,
+    // Values for the category's non-variant attributes
+    attributes: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+    // search_vector is a generated tsvector column; Postgres maintains it and
+    // it is only read through ProductSearchService
   }, {
     sequelize,
     modelName: 'Product',
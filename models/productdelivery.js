@@ -24,12 +24,53 @@ export default (sequelize, DataTypes) => {
         as: 'product',
         onDelete: 'CASCADE'
       });
+
+      ProductDelivery.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        targetKey: 'order_id',
+        as: 'order'
+      });
+
+      ProductDelivery.belongsTo(models.User, {
+        foreignKey: 'buyer_id',
+        as: 'buyer'
+      });
+    }
+
+    /**
+     * Deliveries with an order_id are shipments; without one they hold the
+     * product's default delivery details
+     */
+    isShipment() {
+      return this.order_id !== null && this.order_id !== undefined;
+    }
+
+    canTransitionTo(status) {
+      return (ProductDelivery.TRANSITIONS[this.delivery_status] || []).includes(status);
     }
   }
 
+  ProductDelivery.TRANSITIONS = {
+    [DeliveryStatus.pending]: [DeliveryStatus.in_transit, DeliveryStatus.disputed],
+    [DeliveryStatus.in_transit]: [DeliveryStatus.delivered, DeliveryStatus.disputed],
+    [DeliveryStatus.delivered]: [DeliveryStatus.disputed],
+    [DeliveryStatus.disputed]: []
+  };
+
   ProductDelivery.init({
     product_id: DataTypes.BIGINT,
     seller_id: DataTypes.BIGINT,
+    order_id: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      }
+    },
+    buyer_id: DataTypes.BIGINT,
+    tracking_number: DataTypes.STRING,
     pickup_location: DataTypes.STRING,
     estimated_delivery_days: DataTypes.INTEGER,
     buyer_location: DataTypes.STRING,
@@ -40,7 +81,10 @@ export default (sequelize, DataTypes) => {
       DeliveryStatus.in_transit,
       DeliveryStatus.pending
     ),
-    notes: DataTypes.TEXT
+    notes: DataTypes.TEXT,
+    in_transit_at: DataTypes.DATE,
+    disputed_at: DataTypes.DATE,
+    buyer_confirmed_at: DataTypes.DATE
   }, {
     sequelize,
     modelName: 'ProductDelivery',
@@ -0,0 +1,71 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class ProductVariant extends Model {
+    static associate(models) {
+      ProductVariant.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+    }
+  }
+
+  ProductVariant.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    sku: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    attributes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Values of the category attributes marked as variant options, e.g. { size: "M" }'
+    },
+    price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'On-hand stock of this variant'
+    },
+    image_cid: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductVariant',
+    tableName: 'product_variants',
+    indexes: [
+      {
+        fields: ['product_id']
+      }
+    ]
+  });
+
+  return ProductVariant;
+};
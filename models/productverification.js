@@ -0,0 +1,90 @@
+'use strict';
+import { Model } from 'sequelize';
+import { ModerationDecision, VerificationOutcome } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class ProductVerification extends Model {
+    static associate(models) {
+      ProductVerification.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+
+      ProductVerification.belongsTo(models.User, {
+        foreignKey: 'decided_by',
+        as: 'moderator'
+      });
+    }
+  }
+
+  ProductVerification.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    trigger: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'created | updated | manual'
+    },
+    score: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: true,
+      comment: 'Weighted score of the checks, 0 (reject) to 1 (clean)'
+    },
+    outcome: {
+      type: DataTypes.ENUM(VerificationOutcome.passed, VerificationOutcome.needs_review),
+      allowNull: true,
+      comment: 'Null for a moderator decision taken without an automated run'
+    },
+    checks: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ name, status, score, weight, blocking, reasons, details }]'
+    },
+    decision: {
+      type: DataTypes.ENUM(ModerationDecision.approved, ModerationDecision.flagged, ModerationDecision.rejected),
+      allowNull: true
+    },
+    decision_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    decided_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    decided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ProductVerification',
+    tableName: 'product_verifications',
+    indexes: [
+      {
+        fields: ['product_id', 'createdAt']
+      },
+      {
+        fields: ['outcome', 'decision']
+      }
+    ]
+  });
+
+  return ProductVerification;
+};
@@ -0,0 +1,99 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  /**
+   * One row per issued refresh token. Tokens issued from the same login share
+   * a family_id; only the newest token in a family is live (rotated_at null).
+   */
+  class Session extends Model {
+    static associate(models) {
+      Session.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+
+    isActive() {
+      return !this.revoked_at && !this.rotated_at && this.expires_at > new Date();
+    }
+  }
+
+  Session.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    rotated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    two_factor_verified: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Session',
+    tableName: 'sessions',
+    indexes: [
+      {
+        fields: ['family_id']
+      },
+      {
+        fields: ['user_id', 'revoked_at']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  return Session;
+};
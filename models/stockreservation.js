@@ -0,0 +1,107 @@
+'use strict';
+import { Model } from 'sequelize';
+import { ReservationStatus } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class StockReservation extends Model {
+    static associate(models) {
+      StockReservation.belongsTo(models.Product, {
+        foreignKey: 'product_id',
+        as: 'product'
+      });
+      StockReservation.belongsTo(models.ProductVariant, {
+        foreignKey: 'variant_id',
+        as: 'variant'
+      });
+      StockReservation.belongsTo(models.Order, {
+        foreignKey: 'order_id',
+        targetKey: 'order_id',
+        as: 'order'
+      });
+    }
+
+    isExpired() {
+      return this.status === ReservationStatus.active && this.expires_at < new Date();
+    }
+  }
+
+  StockReservation.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'order_id'
+      }
+    },
+    product_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    variant_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'product_variants',
+        key: 'id'
+      }
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(
+        ReservationStatus.active,
+        ReservationStatus.committed,
+        ReservationStatus.released
+      ),
+      defaultValue: ReservationStatus.active
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    committed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    released_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    release_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'StockReservation',
+    tableName: 'stock_reservations',
+    indexes: [
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['product_id', 'status']
+      },
+      {
+        fields: ['variant_id', 'status']
+      },
+      {
+        fields: ['status', 'expires_at']
+      }
+    ]
+  });
+
+  return StockReservation;
+};
@@ -17,35 +17,42 @@ export default (sequelize, DataTypes) => {
         foreignKey: 'product_id',
         as: 'product'
       });
+      Transaction.hasMany(models.UserOperation, {
+        foreignKey: 'transaction_id',
+        sourceKey: 'transaction_id',
+        as: 'operations'
+      });
     //   Transaction.belongsTo(models.Order, {
     //     foreignKey: 'order_id',
     //     as: 'order'
     //   });
     }
 
-    markAsSubmitted(txHash) {
+    markAsSubmitted(txHash, userOpHash = null, options = {}) {
       return this.update({
         status: 'submitted',
         blockchain_tx_hash: txHash,
+        ...(userOpHash && { user_op_hash: userOpHash }),
         submitted_at: new Date()
-      });
+      }, options);
     }
 
-    markAsConfirmed(blockNumber, gasUsed) {
+    markAsConfirmed(blockNumber, gasUsed, txHash = null, options = {}) {
       return this.update({
         status: 'confirmed',
         block_number: blockNumber,
         gas_used: gasUsed,
+        ...(txHash && { blockchain_tx_hash: txHash }),
         confirmed_at: new Date()
-      });
+      }, options);
     }
 
-    markAsFailed(error = null) {
+    markAsFailed(error = null, options = {}) {
       return this.update({
         status: 'failed',
         failed_at: new Date(),
         ...(error && { failure_reason: error })
-      });
+      }, options);
     }
 
     isFinal() {
@@ -0,0 +1,78 @@
+'use strict';
+import { Model } from 'sequelize';
+import { AuthorizedAction } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class TransactionAuthorization extends Model {
+    static associate(models) {
+      TransactionAuthorization.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+    }
+
+    isExpired() {
+      return this.expires_at < new Date();
+    }
+  }
+
+  TransactionAuthorization.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM(...Object.values(AuthorizedAction)),
+      allowNull: false
+    },
+    // Order id for order actions, product:<id>:<quantity> for a purchase, cart for checkout
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    token_symbol: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TransactionAuthorization',
+    tableName: 'transaction_authorizations',
+    indexes: [
+      {
+        fields: ['user_id', 'action', 'reference']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  return TransactionAuthorization;
+};
@@ -32,17 +32,28 @@ export default (sequelize, DataTypes) => {
      * Get safe user data (without sensitive fields)
      */
     getSafeUserData() {
-      const { password, verificationToken, privateKey, ...safeData } = this.toJSON();
+      const { password, verificationToken, privateKey, pin, passwordResetToken, twoFactorSecret, twoFactorBackupCodes, ...safeData } = this.toJSON();
       return safeData;
     }
 
         /**
      * Assign role dynamically
      */
-    async assignRole(role) {
-      if (!this.roles.includes(role)) {
-        this.roles.push(role);
-        await this.save();
+    async assignRole(role, options = {}) {
+      if (!this.hasRole(role)) {
+        // Reassign rather than push so Sequelize detects the array change
+        this.roles = [...(this.roles || []), role];
+        await this.save(options);
+      }
+    }
+
+    /**
+     * Remove role dynamically
+     */
+    async removeRole(role, options = {}) {
+      if (this.hasRole(role)) {
+        this.roles = this.roles.filter(existing => existing !== role);
+        await this.save(options);
       }
     }
 
@@ -50,7 +61,7 @@ export default (sequelize, DataTypes) => {
      * Check if user has a specific role
      */
     hasRole(role) {
-      return this.roles.includes(role);
+      return (this.roles || []).includes(role);
     }
   }
   User.init({
@@ -59,9 +70,36 @@ export default (sequelize, DataTypes) => {
     password: DataTypes.STRING,
     privateKey: DataTypes.TEXT,
     pin: DataTypes.STRING,
+    pinFailedAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    pinLockedUntil: DataTypes.DATE,
+    passwordResetToken: DataTypes.STRING(64),
+    passwordResetExpiresAt: DataTypes.DATE,
+    passwordResetAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    passwordChangedAt: DataTypes.DATE,
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    twoFactorSecret: DataTypes.TEXT,
+    twoFactorBackupCodes: DataTypes.ARRAY(DataTypes.STRING),
+    twoFactorLastStep: DataTypes.BIGINT,
+    twoFactorFailedAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    twoFactorLockedUntil: DataTypes.DATE,
+    twoFactorEnabledAt: DataTypes.DATE,
     walletAddress: DataTypes.STRING,
     smartAccountAddress: DataTypes.STRING,
     smartAccountBalance: DataTypes.DECIMAL(20, 9),
+    acceptedChainIds: DataTypes.ARRAY(DataTypes.INTEGER),
+    notificationPreferences: DataTypes.JSONB,
     country: DataTypes.STRING,
     lastLoginAt: DataTypes.DATE,
     isverified: DataTypes.BOOLEAN,
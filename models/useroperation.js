@@ -0,0 +1,122 @@
+'use strict';
+import { Model } from 'sequelize';
+import { UserOperationStatus } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class UserOperation extends Model {
+    static associate(models) {
+      UserOperation.belongsTo(models.Transaction, {
+        foreignKey: 'transaction_id',
+        targetKey: 'transaction_id',
+        as: 'transaction'
+      });
+      UserOperation.belongsTo(models.User, {
+        foreignKey: 'signer_id',
+        as: 'signer'
+      });
+    }
+
+    isOpen() {
+      return [UserOperationStatus.submitted, UserOperationStatus.replaced].includes(this.status);
+    }
+  }
+
+  UserOperation.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_op_hash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    transaction_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    chain_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    signer_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    sender: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    nonce: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    call_data: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    max_fee_per_gas: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    max_priority_fee_per_gas: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    token_symbol: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(
+        UserOperationStatus.submitted,
+        UserOperationStatus.confirmed,
+        UserOperationStatus.reverted,
+        UserOperationStatus.replaced,
+        UserOperationStatus.dropped
+      ),
+      allowNull: false,
+      defaultValue: UserOperationStatus.submitted
+    },
+    replacement_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    replaced_by: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    blockchain_tx_hash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    block_number: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    gas_used: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    last_checked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    settled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'UserOperation',
+    tableName: 'user_operations'
+  });
+
+  return UserOperation;
+};
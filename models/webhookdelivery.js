@@ -0,0 +1,104 @@
+'use strict';
+import { Model } from 'sequelize';
+import { WebhookDeliveryStatus } from '../utils/types.js';
+
+export default (sequelize, DataTypes) => {
+  class WebhookDelivery extends Model {
+    static associate(models) {
+      WebhookDelivery.belongsTo(models.WebhookSubscription, {
+        foreignKey: 'subscription_id',
+        as: 'subscription'
+      });
+    }
+  }
+
+  WebhookDelivery.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    delivery_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    subscription_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    event_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    event_type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(
+        WebhookDeliveryStatus.pending,
+        WebhookDeliveryStatus.delivered,
+        WebhookDeliveryStatus.dead
+      ),
+      allowNull: false,
+      defaultValue: WebhookDeliveryStatus.pending
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_status_code: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attempt_log: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    replay_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dead_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'WebhookDelivery',
+    tableName: 'webhook_deliveries',
+    indexes: [
+      {
+        unique: true,
+        fields: ['subscription_id', 'event_id']
+      }
+    ]
+  });
+
+  return WebhookDelivery;
+};
@@ -0,0 +1,65 @@
+'use strict';
+import { Model } from 'sequelize';
+
+export default (sequelize, DataTypes) => {
+  class WebhookSubscription extends Model {
+    static associate(models) {
+      WebhookSubscription.belongsTo(models.User, {
+        foreignKey: 'user_id',
+        as: 'owner'
+      });
+      WebhookSubscription.hasMany(models.WebhookDelivery, {
+        foreignKey: 'subscription_id',
+        as: 'deliveries'
+      });
+    }
+
+    isPlatform() {
+      return this.user_id === null;
+    }
+  }
+
+  WebhookSubscription.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    events: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    secret: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'WebhookSubscription',
+    tableName: 'webhook_subscriptions'
+  });
+
+  return WebhookSubscription;
+};
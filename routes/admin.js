@@ -0,0 +1,37 @@
+import express from 'express';
+import DisputeController from '../controllers/DisputeController.js';
+import ModerationController from '../controllers/ModerationController.js';
+import NotificationController from '../controllers/NotificationController.js';
+import { getUserRoles, grantRole, revokeRole } from '../controllers/AdminController.js';
+import { requireAnyRole, requireRole } from '../middleware/RoleMiddleware.js';
+import { UserRoles } from '../utils/types.js';
+
+const router = express.Router();
+const disputeController = new DisputeController();
+const moderationController = new ModerationController();
+const notificationController = new NotificationController();
+
+router.use(requireAnyRole(UserRoles.admin, UserRoles.sub_admin));
+
+// Arbitration console
+router.get('/disputes', disputeController.listDisputes);
+router.get('/disputes/:orderId', disputeController.getDispute);
+router.post('/disputes/:orderId/evidence', disputeController.addArbitratorEvidence);
+router.post('/disputes/:orderId/resolve', disputeController.resolveDispute);
+
+// Product moderation queue
+router.get('/moderation/products', moderationController.listQueue);
+router.get('/moderation/products/:productId', moderationController.getProductReview);
+router.post('/moderation/products/:productId/decision', moderationController.decide);
+router.post('/moderation/products/:productId/verify', moderationController.reverify);
+
+// Email notification templates
+router.get('/notifications/templates', notificationController.listTemplates);
+router.get('/notifications/templates/:type/preview', notificationController.previewTemplate);
+
+// Role management (admin only)
+router.get('/users/:userId/roles', requireRole(UserRoles.admin), getUserRoles);
+router.post('/users/:userId/roles', requireRole(UserRoles.admin), grantRole);
+router.delete('/users/:userId/roles/:role', requireRole(UserRoles.admin), revokeRole);
+
+export default router;
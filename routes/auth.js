@@ -1,15 +1,52 @@
 import express from "express"
-import { login, register, resendVerification, setPin, updatePin, verifyEmail, verifyPin } from "../controllers/AuthController.js";
+import {
+  authorizeTransaction,
+  changePassword,
+  confirmTwoFactor,
+  disableTwoFactor,
+  enrollTwoFactor,
+  forgotPassword,
+  listSessions,
+  login,
+  loginTwoFactor,
+  logout,
+  logoutAll,
+  refreshSession,
+  regenerateBackupCodes,
+  register,
+  resendVerification,
+  resetPassword,
+  revokeSession,
+  setPin,
+  updatePin,
+  verifyEmail,
+  verifyPin
+} from "../controllers/AuthController.js";
 import authenticateToken from "../middleware/AuthMiddleware.js";
+import { rateLimit } from "../middleware/RateLimitMiddleware.js";
 
 const router = express.Router();
 
 router.post("/register", register);
-router.post("/verify-email", verifyEmail);
-router.post("/login", login);
-router.post("/resend-email-verification", resendVerification)
+router.post("/verify-email", rateLimit("otp"), verifyEmail);
+router.post("/login", rateLimit("login"), login);
+router.post("/login/2fa", rateLimit("loginTwoFactor"), loginTwoFactor);
+router.post("/refresh", rateLimit("refresh"), refreshSession);
+router.post("/forgot-password", rateLimit("emailSend"), forgotPassword);
+router.post("/reset-password", rateLimit("otp"), resetPassword);
+router.post("/change-password", authenticateToken, changePassword);
+router.post("/logout", authenticateToken, logout);
+router.post("/logout-all", authenticateToken, logoutAll);
+router.get("/sessions", authenticateToken, listSessions);
+router.delete("/sessions/:sessionId", authenticateToken, revokeSession);
+router.post("/2fa/enroll", authenticateToken, enrollTwoFactor);
+router.post("/2fa/confirm", authenticateToken, rateLimit("pin"), confirmTwoFactor);
+router.post("/2fa/disable", authenticateToken, rateLimit("pin"), disableTwoFactor);
+router.post("/2fa/backup-codes", authenticateToken, regenerateBackupCodes);
+router.post("/resend-email-verification", rateLimit("emailSend"), resendVerification)
 router.post('/set-pin', authenticateToken, setPin);
-router.post('/update-pin', authenticateToken, updatePin);
-router.post('/verify-pin', authenticateToken, verifyPin);
+router.post('/update-pin', authenticateToken, rateLimit('pin'), updatePin);
+router.post('/verify-pin', authenticateToken, rateLimit('pin'), verifyPin);
+router.post('/transaction-authorizations', authenticateToken, rateLimit('pin'), authorizeTransaction);
 
 export default router;
\ No newline at end of file
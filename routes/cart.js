@@ -0,0 +1,15 @@
+import express from 'express';
+import CartController from '../controllers/CartController.js';
+import { requireTransactionAuthorization } from '../middleware/TransactionAuthMiddleware.js';
+
+const router = express.Router();
+const cartController = new CartController();
+
+router.get('/', cartController.getCart);
+router.post('/items', cartController.addItem);
+router.patch('/items/:productId', cartController.updateItem);
+router.delete('/items/:productId', cartController.removeItem);
+router.delete('/', cartController.clearCart);
+router.post('/checkout', requireTransactionAuthorization, cartController.checkout);
+
+export default router;
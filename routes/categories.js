@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../controllers/CategoryController.js';
+import { requireAnyRole } from '../middleware/RoleMiddleware.js';
+import { UserRoles } from '../utils/types.js';
+
+const router = express.Router();
+
+// Browsing
+router.get('/', getCategories);
+router.get('/:categoryId', getCategory);
+
+// Catalogue management (admins and sub-admins)
+router.post('/', requireAnyRole(UserRoles.admin, UserRoles.sub_admin), createCategory);
+router.patch('/:categoryId', requireAnyRole(UserRoles.admin, UserRoles.sub_admin), updateCategory);
+router.delete('/:categoryId', requireAnyRole(UserRoles.admin, UserRoles.sub_admin), deleteCategory);
+
+export default router;
@@ -1,14 +1,20 @@
 import express from 'express';
 import EscrowController from '../controllers/EscrowController.js';
+import DisputeController from '../controllers/DisputeController.js';
 import authenticateToken from '../middleware/AuthMiddleware.js';
+import { requireTransactionAuthorization } from '../middleware/TransactionAuthMiddleware.js';
 
 const router = express.Router();
 const escrowController = new EscrowController();
+const disputeController = new DisputeController();
 
-router.post('/purchase/product', authenticateToken, escrowController.createProductEscrow);
-router.post('/:orderId/release', authenticateToken, escrowController.releaseEscrow);
-router.post('/:orderId/dispute', authenticateToken, escrowController.raiseDispute);
+router.post('/purchase/product', authenticateToken, requireTransactionAuthorization, escrowController.createProductEscrow);
+router.post('/:orderId/release', authenticateToken, requireTransactionAuthorization, escrowController.releaseEscrow);
+router.post('/:orderId/refund', authenticateToken, requireTransactionAuthorization, escrowController.refundEscrow);
+router.post('/:orderId/dispute', authenticateToken, requireTransactionAuthorization, escrowController.raiseDispute);
+router.post('/:orderId/dispute/evidence', authenticateToken, disputeController.submitEvidence);
 router.get('/order/:orderId', authenticateToken, escrowController.getOrderDetails);
+router.get('/transactions/:transactionId', authenticateToken, escrowController.getTransactionStatus);
 router.get('/:escrowAddress', authenticateToken, escrowController.getEscrowDetails);
 router.get('/user/balance', authenticateToken, escrowController.getBalances);
 
@@ -6,18 +6,29 @@ import {
   getSellerDeliveries,
   updateDelivery,
   updateDeliveryStatus,
-  checkDeliveryExists
+  checkDeliveryExists,
+  createShipment,
+  getOrderShipment,
+  confirmReceipt
 } from "../controllers/ProductDeliveryController.js";
 import authenticateToken from "../middleware/AuthMiddleware.js";
+import { requireRole } from "../middleware/RoleMiddleware.js";
+import { UserRoles } from "../utils/types.js";
 
 const router = express.Router();
+const requireSeller = requireRole(UserRoles.seller);
 
-router.post("/", authenticateToken, createDelivery);
-router.get("/seller/my-deliveries", authenticateToken, getSellerDeliveries);
+router.post("/", authenticateToken, requireSeller, createDelivery);
+router.get("/seller/my-deliveries", authenticateToken, requireSeller, getSellerDeliveries);
 router.get("/product/:productId", authenticateToken, getDeliveryByProduct);
 router.get("/check/:productId", authenticateToken, checkDeliveryExists);
-router.put("/:deliveryId", authenticateToken, updateDelivery);
-router.patch("/:deliveryId/status", authenticateToken, updateDeliveryStatus);
+router.put("/:deliveryId", authenticateToken, requireSeller, updateDelivery);
+router.patch("/:deliveryId/status", authenticateToken, requireSeller, updateDeliveryStatus);
+
+// Order shipments
+router.post("/orders/:orderId", authenticateToken, requireSeller, createShipment);
+router.get("/orders/:orderId", authenticateToken, getOrderShipment);
+router.post("/orders/:orderId/confirm", authenticateToken, confirmReceipt);
 
 router.get("/:deliveryId", getDelivery);
 
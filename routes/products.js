@@ -2,33 +2,57 @@ import express from "express";
 import { 
   createProduct,
   getProduct,
+  getProductQuote,
   getSellerProducts,
   getAllProducts,
   updateProduct,
   updateProductStatus,
   deleteProduct,
+  addProductImages,
+  getProductVariants,
+  getProductNetworks,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
   updateProductQuantity,
   getSellerProductStats,
+  getProductVerification,
   updateAIVerificationScore,
   getProductsForVerification
 } from "../controllers/ProductController.js";
 import authenticateToken from "../middleware/AuthMiddleware.js";
-// import { requireRole } from "../middleware/RoleMiddleware.js";
+import { requireRole, requireAnyRole } from "../middleware/RoleMiddleware.js";
+import { uploadProductImages } from "../middleware/UploadMiddleware.js";
 import { UserRoles } from "../utils/types.js";
 
 const router = express.Router();
 
+const requireSeller = requireRole(UserRoles.seller);
+const requireModerator = requireAnyRole(UserRoles.admin, UserRoles.sub_admin);
+
 // Public routes
 router.get("/", getAllProducts);
 router.get("/:productId", getProduct);
+router.get("/:productId/quote", getProductQuote);
+router.get("/:productId/variants", getProductVariants);
+router.get("/:productId/networks", getProductNetworks);
 
 // Seller routes (authenticated)
-router.post("/", authenticateToken, createProduct);
-router.get("/seller/my-products", authenticateToken, getSellerProducts);
-router.put("/:productId", authenticateToken, updateProduct);
-router.patch("/:productId/status", authenticateToken, updateProductStatus);
-router.patch("/:productId/quantity", authenticateToken, updateProductQuantity);
-router.delete("/:productId", authenticateToken, deleteProduct);
-router.get("/seller/stats", authenticateToken, getSellerProductStats);
+router.post("/", authenticateToken, requireSeller, createProduct);
+router.get("/seller/my-products", authenticateToken, requireSeller, getSellerProducts);
+router.put("/:productId", authenticateToken, requireSeller, updateProduct);
+router.patch("/:productId/status", authenticateToken, requireSeller, updateProductStatus);
+router.patch("/:productId/quantity", authenticateToken, requireSeller, updateProductQuantity);
+router.delete("/:productId", authenticateToken, requireSeller, deleteProduct);
+router.post("/:productId/images", authenticateToken, requireSeller, uploadProductImages, addProductImages);
+router.post("/:productId/variants", authenticateToken, requireSeller, createProductVariant);
+router.patch("/:productId/variants/:variantId", authenticateToken, requireSeller, updateProductVariant);
+router.delete("/:productId/variants/:variantId", authenticateToken, requireSeller, deleteProductVariant);
+router.get("/seller/stats", authenticateToken, requireSeller, getSellerProductStats);
+router.get("/:productId/verification", authenticateToken, requireSeller, getProductVerification);
+
+// Moderation routes
+router.get("/moderation/verification-queue", authenticateToken, requireModerator, getProductsForVerification);
+router.patch("/:productId/ai-score", authenticateToken, requireModerator, updateAIVerificationScore);
 
 export default router;
\ No newline at end of file
@@ -1,10 +1,16 @@
 import express from "express";
-import { userDetails, usersAndProducts } from "../controllers/UserController.js";
+import { userDetails, usersAndProducts, getAcceptedNetworks, updateAcceptedNetworks, getNotificationPreferences, updateNotificationPreferences } from "../controllers/UserController.js";
+import { requireRole, requireAnyRole } from "../middleware/RoleMiddleware.js";
+import { UserRoles } from "../utils/types.js";
 
 const router = express.Router();
 
 router.get('/user', userDetails)
-router.get('/all/products', usersAndProducts)
+router.get('/all/products', requireAnyRole(UserRoles.admin, UserRoles.sub_admin), usersAndProducts)
+router.get('/networks', requireRole(UserRoles.seller), getAcceptedNetworks)
+router.put('/networks', requireRole(UserRoles.seller), updateAcceptedNetworks)
+router.get('/notifications', getNotificationPreferences)
+router.put('/notifications', updateNotificationPreferences)
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+import express from 'express';
+import WebhookController from '../controllers/WebhookController.js';
+
+const router = express.Router();
+const webhookController = new WebhookController();
+
+router.get('/events', webhookController.listEvents);
+router.get('/', webhookController.listSubscriptions);
+router.post('/', webhookController.createSubscription);
+router.patch('/:subscriptionId', webhookController.updateSubscription);
+router.delete('/:subscriptionId', webhookController.deleteSubscription);
+router.post('/:subscriptionId/rotate-secret', webhookController.rotateSecret);
+
+// Delivery log and replay
+router.get('/:subscriptionId/deliveries', webhookController.listDeliveries);
+router.post('/:subscriptionId/deliveries/replay-dead', webhookController.replayDeadLetters);
+router.post('/:subscriptionId/deliveries/:deliveryId/replay', webhookController.replayDelivery);
+
+export default router;
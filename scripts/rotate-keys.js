@@ -0,0 +1,91 @@
+import 'dotenv/config';
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import KeyVaultService from '../services/KeyVaultService.js';
+
+/**
+ * Re-wrap every User.privateKey under the current key-encryption key.
+ *
+ *   node scripts/rotate-keys.js              re-wrap anything behind the current KEK
+ *   node scripts/rotate-keys.js --new-kek    create a new KEK version first
+ *   node scripts/rotate-keys.js --dry-run    report what would change
+ *   node scripts/rotate-keys.js --batch 200  rows per batch (default 100)
+ *
+ * Safe to run against a live database: old KEK versions stay readable and
+ * each row is updated only if it still holds the value that was read. Running
+ * servers pick up a new KEK as soon as the keystore file changes, so a row
+ * skipped because of a concurrent write is normally on the current version
+ * already; one sealed in the moment of the rotation is caught by running the
+ * script again.
+ */
+
+const { User, sequelize } = db;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const newKek = args.includes('--new-kek');
+const batchIndex = args.indexOf('--batch');
+const batchSize = batchIndex >= 0 ? parseInt(args[batchIndex + 1]) : 100;
+
+const run = async () => {
+  if (newKek && !dryRun) {
+    const { keyVersion } = await KeyVaultService.rotateKeyEncryptionKey();
+    console.log(`Created KEK version ${keyVersion}`);
+  }
+
+  const currentVersion = await KeyVaultService.getCurrentKeyVersion();
+  console.log(`Re-wrapping user keys to ${KeyVaultService.providerName} KEK v${currentVersion}${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = { scanned: 0, rewrapped: 0, skipped: 0, failed: 0 };
+  let lastId = 0;
+
+  while (true) {
+    const users = await User.findAll({
+      where: { id: { [Op.gt]: lastId }, privateKey: { [Op.ne]: null } },
+      attributes: ['id', 'privateKey'],
+      order: [['id', 'ASC']],
+      limit: batchSize
+    });
+
+    if (users.length === 0) {
+      break;
+    }
+
+    for (const user of users) {
+      stats.scanned++;
+      try {
+        const { value, changed } = await KeyVaultService.rewrap(user.privateKey, user.id.toString(), currentVersion);
+        if (!changed) {
+          continue;
+        }
+
+        if (dryRun) {
+          stats.rewrapped++;
+          continue;
+        }
+
+        const [updated] = await User.update(
+          { privateKey: value },
+          { where: { id: user.id, privateKey: user.privateKey } }
+        );
+        stats[updated ? 'rewrapped' : 'skipped']++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`Failed to re-wrap key for user ${user.id}:`, error.message);
+      }
+    }
+
+    lastId = users[users.length - 1].id;
+  }
+
+  console.log(`Done: ${stats.scanned} scanned, ${stats.rewrapped} re-wrapped, ${stats.skipped} changed concurrently, ${stats.failed} failed`);
+  return stats.failed === 0;
+};
+
+run()
+  .then(ok => process.exitCode = ok ? 0 : 1)
+  .catch(error => {
+    console.error('Key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -8,19 +8,31 @@ import userRoutes from "./routes/users.js"
 import deliveryRoutes from "./routes/product_deliveries.js"
 import escrowRoutes from "./routes/escrow.js"
 import linkedAccounttRoutes from "./routes/linked_accounts.js"
+import adminRoutes from "./routes/admin.js"
+import cartRoutes from "./routes/cart.js"
+import categoryRoutes from "./routes/categories.js"
+import webhookRoutes from "./routes/webhooks.js"
 // import invoiceRoutes from "./routes/invoices.js"
 import authenticateToken from "./middleware/AuthMiddleware.js";
-// import job from "./config/cron.js";
+import { rateLimit } from "./middleware/RateLimitMiddleware.js";
+import EscrowIndexerService from "./services/EscrowIndexerService.js";
+import job from "./config/cron.js";
 
 dotenv.config()
 
 const app = express()
 app.use(express.json())
 
+// Needed behind a load balancer so req.ip (used for rate limiting) is the client
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors({
   origin: "*",
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Transaction-Authorization'],
   credentials: true
 }));
 
@@ -47,12 +59,17 @@ const initializeDatabase = async () => {
 };
 
 // Routes
+app.use(url, rateLimit('default'))
 app.use(`${url}/auth`, authRoutes)
 app.use(`${url}/products`, authenticateToken, productRoutes)
 app.use(`${url}/link-account`, authenticateToken, linkedAccounttRoutes)
 app.use(`${url}/users`, authenticateToken, userRoutes)
 app.use(`${url}/escrows`, authenticateToken, escrowRoutes)
 app.use(`${url}/deliveries`, authenticateToken, deliveryRoutes)
+app.use(`${url}/admin`, authenticateToken, adminRoutes)
+app.use(`${url}/cart`, authenticateToken, cartRoutes)
+app.use(`${url}/categories`, authenticateToken, categoryRoutes)
+app.use(`${url}/webhooks`, authenticateToken, webhookRoutes)
 // app.use(`${url}/clients`, authenticateToken, clientRoutes)
 // app.use(`${url}/invoices`, authenticateToken, invoiceRoutes)
 
@@ -71,6 +88,14 @@ const startServer = async () => {
     
     const host = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost';
     
+    if (process.env.ESCROW_INDEXER_ENABLED === 'true') {
+      EscrowIndexerService.startAll();
+    }
+
+    if (process.env.CRON_ENABLED === 'true') {
+      job.start();
+    }
+
     app.listen(port, host, () => {
       console.log(`Trustmart API running in ${process.env.NODE_ENV || 'development'} mode`);
       console.log(`Listening on http://${host}:${port}`);
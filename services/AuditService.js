@@ -0,0 +1,49 @@
+import db from '../models/index.js';
+
+const { AuditLog, User } = db;
+
+class AuditService {
+  /**
+   * Append an audit record
+   * @param {object} entry - { actorId, action, entityType, entityId, details }
+   * @param {object} transaction - Optional Sequelize transaction
+   */
+  static async record({ actorId = null, action, entityType, entityId, details = {} }, transaction = null) {
+    try {
+      return await AuditLog.create({
+        actor_id: actorId,
+        action,
+        entity_type: entityType,
+        entity_id: entityId.toString(),
+        details
+      }, { transaction });
+    } catch (error) {
+      console.error('Error writing audit record:', error);
+      throw new Error(`Failed to write audit record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Audit history for one entity, newest first
+   */
+  static async getEntityHistory(entityType, entityId) {
+    try {
+      const entries = await AuditLog.findAll({
+        where: { entity_type: entityType, entity_id: entityId.toString() },
+        include: [{
+          model: User,
+          as: 'actor',
+          attributes: ['id', 'username']
+        }],
+        order: [['createdAt', 'DESC']]
+      });
+
+      return entries.map(entry => entry.toJSON());
+    } catch (error) {
+      console.error('Error getting audit history:', error);
+      throw new Error(`Failed to retrieve audit history: ${error.message}`);
+    }
+  }
+}
+
+export default AuditService;
@@ -0,0 +1,210 @@
+import GaslessPaymentService from './GasslessPaymentService.js';
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import crypto from 'crypto';
+import { OrderStatus, PaymentStatus, TransactionType } from '../utils/types.js';
+
+const { Order, Transaction, sequelize } = db;
+
+class AutoReleaseService {
+  static RELEASE_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+  // A claim with no UserOperation/tx hash after this long is treated as abandoned
+  static STALE_CLAIM_MINUTES = 30;
+
+  /**
+   * Release every eligible escrow whose window has passed
+   * @param {number} limit - Max orders to process in one run
+   */
+  async run(limit = 25) {
+    if (!process.env.RELAYER_PRIVATE_KEY) {
+      console.warn('Auto release skipped: RELAYER_PRIVATE_KEY is not configured');
+      return [];
+    }
+
+    const candidates = await this.findCandidates(limit);
+    const results = [];
+
+    for (const order of candidates) {
+      try {
+        results.push(await this.releaseOrder(order.order_id));
+      } catch (error) {
+        console.error(`Auto release failed for order ${order.order_id}:`, error);
+        results.push({ success: false, orderId: order.order_id, error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Auto release run: ${results.filter(r => r.success).length}/${results.length} released`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Orders past the release window that are still holding funds in escrow
+   */
+  async findCandidates(limit) {
+    const windowStart = new Date(Date.now() - AutoReleaseService.RELEASE_WINDOW_SECONDS * 1000);
+
+    return Order.findAll({
+      where: {
+        status: { [Op.in]: [OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered] },
+        escrow_address: { [Op.ne]: null },
+        paid_at: { [Op.lte]: windowStart }
+      },
+      attributes: ['id', 'order_id'],
+      order: [['paid_at', 'ASC']],
+      limit
+    });
+  }
+
+  /**
+   * Claim, verify and release a single order's escrow
+   */
+  async releaseOrder(orderId) {
+    const claim = await this.claimOrder(orderId);
+    if (!claim) {
+      return { success: false, orderId, skipped: true };
+    }
+
+    const { order, transactionRecord } = claim;
+    const paymentService = GaslessPaymentService.forNetwork(order.chain_id);
+
+    const canRelease = await paymentService.canAutoRelease(order.escrow_address);
+    if (!canRelease) {
+      await transactionRecord.update({
+        status: PaymentStatus.cancelled,
+        failure_reason: 'Escrow not yet eligible for auto release on chain'
+      });
+      return { success: false, orderId, skipped: true };
+    }
+
+    const executionResult = await paymentService.autoReleaseEscrow(order.escrow_address);
+
+    if (!executionResult.success) {
+      await transactionRecord.markAsFailed(executionResult.error);
+      throw new Error(`Auto release failed: ${executionResult.error}`);
+    }
+
+    const updateTransaction = await sequelize.transaction();
+    try {
+      await transactionRecord.update({
+        status: PaymentStatus.confirmed,
+        blockchain_tx_hash: executionResult.transactionHash,
+        block_number: executionResult.blockNumber,
+        gas_used: executionResult.gasUsed,
+        submitted_at: new Date(),
+        confirmed_at: new Date(),
+        metadata: {
+          ...transactionRecord.metadata,
+          relayer: executionResult.signer
+        }
+      }, { transaction: updateTransaction });
+
+      await order.update({
+        status: OrderStatus.completed,
+        completed_at: new Date()
+      }, { transaction: updateTransaction });
+
+      await updateTransaction.commit();
+    } catch (updateError) {
+      await updateTransaction.rollback();
+      console.error('Failed to update after auto release:', updateError);
+      throw new Error('Auto release completed but status update failed');
+    }
+
+    return {
+      success: true,
+      orderId,
+      transactionId: transactionRecord.transaction_id,
+      transactionHash: executionResult.transactionHash
+    };
+  }
+
+  /**
+   * Lock the order row and record a pending escrow_release transaction as a
+   * claim. Another instance holding the lock (SKIP LOCKED) or an existing live
+   * claim makes this return null, so a release is never submitted twice.
+   */
+  async claimOrder(orderId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const order = await Order.findOne({
+        where: {
+          order_id: orderId,
+          status: { [Op.in]: [OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered] }
+        },
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (!order) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const staleBefore = new Date(Date.now() - AutoReleaseService.STALE_CLAIM_MINUTES * 60 * 1000);
+
+      await Transaction.update({
+        status: PaymentStatus.failed,
+        failed_at: new Date(),
+        failure_reason: 'Abandoned auto release claim'
+      }, {
+        where: {
+          order_id: orderId,
+          transaction_type: TransactionType.escrow_release,
+          status: PaymentStatus.pending,
+          blockchain_tx_hash: null,
+          createdAt: { [Op.lt]: staleBefore }
+        },
+        transaction
+      });
+
+      const inFlight = await Transaction.findOne({
+        where: {
+          order_id: orderId,
+          transaction_type: TransactionType.escrow_release,
+          status: { [Op.in]: [PaymentStatus.pending, PaymentStatus.submitted, PaymentStatus.confirmed] }
+        },
+        transaction
+      });
+
+      if (inFlight) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const transactionRecord = await Transaction.create({
+        transaction_id: this.generateTransactionId(),
+        sender_id: order.buyer_id,
+        recipient_id: order.seller_id,
+        product_id: order.product_id,
+        order_id: orderId,
+        escrow_address: order.escrow_address,
+        token_address: GaslessPaymentService.forNetwork(order.chain_id).supportedTokens[order.token_symbol].address,
+        token_symbol: order.token_symbol,
+        amount: order.amount.toString(),
+        transaction_type: TransactionType.escrow_release,
+        status: PaymentStatus.pending,
+        metadata: { trigger: 'auto_release' }
+      }, { transaction });
+
+      await transaction.commit();
+      return { order, transactionRecord };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  generateTransactionId() {
+    const timestamp = Date.now().toString(36);
+    const random = crypto.randomBytes(6).toString('hex');
+    return `TXN-${timestamp}-${random}`.toUpperCase();
+  }
+}
+
+export default AutoReleaseService;
@@ -0,0 +1,254 @@
+import db from '../models/index.js';
+import StockReservationService from './StockReservationService.js';
+import PriceOracleService from './PriceOracleService.js';
+import ProductVariantService from './ProductVariantService.js';
+import { ProductStatus } from '../utils/types.js';
+
+const { Cart, CartItem, Product, ProductVariant } = db;
+
+class CartService {
+  /**
+   * Fetch the user's cart, creating an empty one on first use
+   */
+  static async getOrCreateCart(userId, transaction = null) {
+    const [cart] = await Cart.findOrCreate({
+      where: { user_id: userId },
+      defaults: { user_id: userId },
+      transaction
+    });
+
+    return cart;
+  }
+
+  /**
+   * Get the user's cart with current product details and totals
+   */
+  static async getCart(userId) {
+    try {
+      const cart = await this.getOrCreateCart(userId);
+
+      const items = await CartItem.findAll({
+        where: { cart_id: cart.id },
+        include: [{
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'seller_id', 'name', 'price', 'currency', 'quantity', 'status', 'image_cid']
+        }, {
+          model: ProductVariant,
+          as: 'variant',
+          attributes: ['id', 'sku', 'attributes', 'price', 'quantity', 'image_cid', 'is_active']
+        }],
+        order: [['createdAt', 'ASC']]
+      });
+
+      const reserved = await StockReservationService.getReservedQuantities(
+        items.filter(item => !item.variant_id).map(item => item.product_id)
+      );
+      const reservedVariants = await StockReservationService.getReservedVariantQuantities(
+        items.filter(item => item.variant_id).map(item => item.variant_id)
+      );
+      const serializedItems = items.map(item => this.serializeItem(
+        item,
+        (item.variant_id ? reservedVariants[item.variant_id] : reserved[item.product_id]) || 0
+      ));
+      const totals = serializedItems.reduce((acc, item) => {
+        const currency = item.product?.currency || 'USD';
+        acc[currency] = (acc[currency] || 0) + item.subtotal;
+        return acc;
+      }, {});
+
+      return {
+        success: true,
+        cart: {
+          id: cart.id,
+          items: serializedItems,
+          itemCount: serializedItems.reduce((sum, item) => sum + item.quantity, 0),
+          sellerCount: new Set(serializedItems.map(item => item.product?.seller_id)).size,
+          totals,
+          totalUsd: await this.valueInUsd(totals)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting cart:', error);
+      throw new Error(`Failed to retrieve cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a product (or one of its variants) to the cart, or increase its
+   * quantity if already present
+   */
+  static async addItem(userId, productId, quantity = 1, variantId = null) {
+    try {
+      const parsedQuantity = parseInt(quantity);
+      if (!Number.isInteger(parsedQuantity) || parsedQuantity < 1) {
+        throw new Error('Quantity must be a positive integer');
+      }
+
+      const product = await this.getPurchasableProduct(userId, productId);
+      const variant = await ProductVariantService.resolvePurchaseVariant(product, variantId);
+      const unitPrice = ProductVariantService.unitPrice(product, variant);
+      const cart = await this.getOrCreateCart(userId);
+
+      const existing = await CartItem.findOne({
+        where: { cart_id: cart.id, product_id: product.id, variant_id: variant?.id || null }
+      });
+
+      const newQuantity = (existing?.quantity || 0) + parsedQuantity;
+      const available = await StockReservationService.getAvailableQuantity(product, null, variant);
+      if (newQuantity > available) {
+        throw new Error(`Insufficient product quantity. Available: ${Math.max(available, 0)}`);
+      }
+
+      if (existing) {
+        await existing.update({ quantity: newQuantity, unit_price: unitPrice });
+      } else {
+        await CartItem.create({
+          cart_id: cart.id,
+          product_id: product.id,
+          variant_id: variant?.id || null,
+          quantity: newQuantity,
+          unit_price: unitPrice
+        });
+      }
+
+      return this.getCart(userId);
+    } catch (error) {
+      console.error('Error adding cart item:', error);
+      throw new Error(`Failed to add item to cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the quantity of a product (or variant) already in the cart
+   */
+  static async updateItem(userId, productId, quantity, variantId = null) {
+    try {
+      const parsedQuantity = parseInt(quantity);
+      if (!Number.isInteger(parsedQuantity) || parsedQuantity < 1) {
+        throw new Error('Quantity must be a positive integer');
+      }
+
+      const cart = await this.getOrCreateCart(userId);
+      const item = await CartItem.findOne({
+        where: { cart_id: cart.id, product_id: productId, variant_id: variantId || null }
+      });
+
+      if (!item) {
+        throw new Error('Item not found in cart');
+      }
+
+      const product = await this.getPurchasableProduct(userId, productId);
+      const variant = await ProductVariantService.resolvePurchaseVariant(product, item.variant_id);
+      const available = await StockReservationService.getAvailableQuantity(product, null, variant);
+      if (parsedQuantity > available) {
+        throw new Error(`Insufficient product quantity. Available: ${Math.max(available, 0)}`);
+      }
+
+      await item.update({ quantity: parsedQuantity, unit_price: ProductVariantService.unitPrice(product, variant) });
+
+      return this.getCart(userId);
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      throw new Error(`Failed to update cart item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a product (or variant) from the cart
+   */
+  static async removeItem(userId, productId, variantId = null) {
+    try {
+      const cart = await this.getOrCreateCart(userId);
+      const removed = await CartItem.destroy({
+        where: { cart_id: cart.id, product_id: productId, variant_id: variantId || null }
+      });
+
+      if (removed === 0) {
+        throw new Error('Item not found in cart');
+      }
+
+      return this.getCart(userId);
+    } catch (error) {
+      console.error('Error removing cart item:', error);
+      throw new Error(`Failed to remove cart item: ${error.message}`);
+    }
+  }
+
+  /**
+   * Empty the cart
+   */
+  static async clearCart(userId, transaction = null) {
+    try {
+      const cart = await this.getOrCreateCart(userId, transaction);
+      await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
+
+      return { success: true, message: 'Cart cleared' };
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      throw new Error(`Failed to clear cart: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sum per-currency totals in USD; null if any currency cannot be priced
+   */
+  static async valueInUsd(totals) {
+    try {
+      let totalUsd = 0;
+      for (const [currency, amount] of Object.entries(totals)) {
+        totalUsd += await PriceOracleService.toUsd(amount, currency);
+      }
+      return Math.round(totalUsd * 100) / 100;
+    } catch (error) {
+      console.warn('Could not value cart in USD:', error.message);
+      return null;
+    }
+  }
+
+  static async getPurchasableProduct(userId, productId) {
+    const product = await Product.findByPk(productId);
+
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    if (product.status !== ProductStatus.active) {
+      throw new Error('Product is not available for purchase');
+    }
+
+    if (product.seller_id === userId.toString()) {
+      throw new Error('You cannot buy your own product');
+    }
+
+    return product;
+  }
+
+  /**
+   * @param {number} reservedQuantity - Units held by pending orders, for the
+   *   item's variant when it has one
+   */
+  static serializeItem(item, reservedQuantity = 0) {
+    const unitPrice = parseFloat(item.unit_price);
+    const stockSource = item.variant_id ? item.variant : item.product;
+    const currentPrice = item.product ? ProductVariantService.unitPrice(item.product, item.variant_id ? item.variant : null) : null;
+
+    return {
+      id: item.id,
+      productId: item.product_id,
+      variantId: item.variant_id,
+      quantity: item.quantity,
+      unitPrice,
+      subtotal: unitPrice * item.quantity,
+      priceChanged: currentPrice !== null && currentPrice !== unitPrice,
+      available: Boolean(item.product && stockSource) &&
+        item.product.status === ProductStatus.active &&
+        (!item.variant_id || item.variant.is_active) &&
+        parseInt(stockSource.quantity) - reservedQuantity >= item.quantity,
+      product: item.product,
+      variant: item.variant || null
+    };
+  }
+}
+
+export default CartService;
@@ -0,0 +1,285 @@
+import db from '../models/index.js';
+import ProductValidationService from './validation/ProductValidationService.js';
+
+const { Category, Product } = db;
+
+/**
+ * Category tree with attribute schemas. A category inherits its ancestors'
+ * attribute definitions; redefining a key lower down overrides it, so
+ * "Clothing" can declare `size` once and "Shoes" can narrow its options.
+ */
+class CategoryService {
+  // Guards against a corrupt parent chain; real trees are a few levels deep
+  static MAX_DEPTH = 10;
+
+  static slugify(value) {
+    return value
+      .toString()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 100);
+  }
+
+  /**
+   * Root-first chain of categories ending at `categoryId`
+   */
+  static async getAncestry(categoryId, transaction = null) {
+    const chain = [];
+    let currentId = categoryId;
+
+    while (currentId) {
+      if (chain.length >= CategoryService.MAX_DEPTH) {
+        throw new Error('Category tree is too deep');
+      }
+
+      const category = await Category.findByPk(currentId, { transaction });
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      chain.unshift(category);
+      currentId = category.parent_id;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Attribute definitions that apply to products in a category, including
+   * inherited ones. Products without a category have none.
+   */
+  static async getEffectiveSchema(categoryId, transaction = null) {
+    if (!categoryId) {
+      return [];
+    }
+
+    const merged = new Map();
+    for (const category of await this.getAncestry(categoryId, transaction)) {
+      for (const definition of category.attribute_schema || []) {
+        merged.set(definition.key, definition);
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Ids of a category and everything below it, for browsing a whole branch
+   */
+  static async getDescendantIds(categoryId) {
+    const categories = await Category.findAll({ attributes: ['id', 'parent_id'], raw: true });
+    const ids = [parseInt(categoryId)];
+
+    for (let index = 0; index < ids.length; index++) {
+      categories
+        .filter(category => category.parent_id === ids[index])
+        .forEach(category => ids.push(category.id));
+    }
+
+    return ids;
+  }
+
+  /**
+   * The whole tree, ordered by position then name
+   */
+  static async getCategoryTree() {
+    try {
+      const categories = await Category.findAll({
+        order: [['position', 'ASC'], ['name', 'ASC']]
+      });
+
+      const nodes = new Map(categories.map(category => [category.id, { ...this.serializeCategory(category), children: [] }]));
+      const roots = [];
+
+      for (const node of nodes.values()) {
+        const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+      }
+
+      return { success: true, categories: roots };
+    } catch (error) {
+      console.error('Error getting category tree:', error);
+      throw new Error(`Failed to retrieve categories: ${error.message}`);
+    }
+  }
+
+  /**
+   * One category by id or slug, with its breadcrumb, children and effective schema
+   */
+  static async getCategory(idOrSlug) {
+    try {
+      const where = /^\d+$/.test(String(idOrSlug)) ? { id: idOrSlug } : { slug: idOrSlug };
+      const category = await Category.findOne({
+        where,
+        include: [{ model: Category, as: 'children' }]
+      });
+
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      const ancestry = await this.getAncestry(category.id);
+
+      return {
+        success: true,
+        category: {
+          ...this.serializeCategory(category),
+          path: ancestry.map(ancestor => ({ id: ancestor.id, name: ancestor.name, slug: ancestor.slug })),
+          children: (category.children || []).map(child => this.serializeCategory(child)),
+          effective_schema: await this.getEffectiveSchema(category.id)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting category:', error);
+      throw new Error(`Failed to retrieve category: ${error.message}`);
+    }
+  }
+
+  static async createCategory({ name, slug, parentId = null, description = null, attributeSchema = [], position = 0 }) {
+    try {
+      if (!name || name.trim().length < 2) {
+        throw new Error('Validation error: Category name must be at least 2 characters long');
+      }
+
+      const schemaErrors = ProductValidationService.validateAttributeSchema(attributeSchema);
+      if (schemaErrors.length > 0) {
+        throw new Error(`Validation error: ${schemaErrors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+      }
+
+      if (parentId) {
+        await this.getAncestry(parentId);
+      }
+
+      const category = await Category.create({
+        parent_id: parentId || null,
+        name: name.trim(),
+        slug: this.slugify(slug || name),
+        description,
+        attribute_schema: attributeSchema,
+        position: parseInt(position) || 0
+      });
+
+      return { success: true, category: this.serializeCategory(category) };
+    } catch (error) {
+      console.error('Error creating category:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('Failed to create category: A category with this slug already exists');
+      }
+
+      throw new Error(`Failed to create category: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename, move or change the schema of a category. Products already
+   * listed keep their stored attribute values; they are re-validated the
+   * next time the seller edits them.
+   */
+  static async updateCategory(categoryId, updates) {
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      const fields = {};
+
+      if (updates.name !== undefined) {
+        if (!updates.name || updates.name.trim().length < 2) {
+          throw new Error('Validation error: Category name must be at least 2 characters long');
+        }
+        fields.name = updates.name.trim();
+      }
+
+      if (updates.slug !== undefined) {
+        fields.slug = this.slugify(updates.slug);
+      }
+
+      if (updates.description !== undefined) {
+        fields.description = updates.description;
+      }
+
+      if (updates.position !== undefined) {
+        fields.position = parseInt(updates.position) || 0;
+      }
+
+      if (updates.attributeSchema !== undefined) {
+        const schemaErrors = ProductValidationService.validateAttributeSchema(updates.attributeSchema);
+        if (schemaErrors.length > 0) {
+          throw new Error(`Validation error: ${schemaErrors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+        }
+        fields.attribute_schema = updates.attributeSchema;
+      }
+
+      if (updates.parentId !== undefined) {
+        if (updates.parentId) {
+          // A category cannot move below itself
+          const ancestry = await this.getAncestry(updates.parentId);
+          if (ancestry.some(ancestor => ancestor.id === category.id)) {
+            throw new Error('Validation error: A category cannot be moved under itself or its descendants');
+          }
+        }
+        fields.parent_id = updates.parentId || null;
+      }
+
+      await category.update(fields);
+
+      return { success: true, category: this.serializeCategory(category) };
+    } catch (error) {
+      console.error('Error updating category:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('Failed to update category: A category with this slug already exists');
+      }
+
+      throw new Error(`Failed to update category: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an empty leaf category
+   */
+  static async deleteCategory(categoryId) {
+    try {
+      const category = await Category.findByPk(categoryId);
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      if (await Category.count({ where: { parent_id: category.id } }) > 0) {
+        throw new Error('Category has subcategories; move or delete them first');
+      }
+
+      if (await Product.count({ where: { category_id: category.id } }) > 0) {
+        throw new Error('Category still has products; recategorise them first');
+      }
+
+      await category.destroy();
+
+      return { success: true, message: 'Category deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      throw new Error(`Failed to delete category: ${error.message}`);
+    }
+  }
+
+  static serializeCategory(category) {
+    const serialized = category.toJSON ? category.toJSON() : category;
+
+    return {
+      id: serialized.id,
+      parent_id: serialized.parent_id,
+      name: serialized.name,
+      slug: serialized.slug,
+      description: serialized.description,
+      attribute_schema: serialized.attribute_schema || [],
+      position: serialized.position
+    };
+  }
+}
+
+export default CategoryService;
@@ -0,0 +1,315 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { ChainJobStatus } from '../utils/types.js';
+
+const { ChainJob, sequelize } = db;
+
+/**
+ * Transactional outbox for on-chain side effects.
+ *
+ * A chain action is written as a ChainJob in the same DB transaction as the
+ * rows it acts on, so an order never exists without the job that funds it
+ * (and vice versa). The request that created the job runs it straight away;
+ * the cron worker picks up jobs nobody ran and claims whose process died.
+ *
+ * Before anything is sent, the handler checks the chain for the action's
+ * effect (e.g. EscrowFactory.orderEscrow(orderId)), so a job that crashed
+ * after its UserOperation landed is recorded rather than sent again. The
+ * idempotency key (derived from the order id) keeps the same action from
+ * being queued twice.
+ *
+ * A send that fails without a visible effect is not proof that nothing
+ * happened: the UserOperation can still be waiting in the bundler after the
+ * receipt wait gave up. Such a job is retried with backoff, checking the
+ * chain first each time, and only undone once it is out of attempts. Only a
+ * first attempt that failed before sending anything (see notSent()) is undone
+ * straight away.
+ */
+class ChainJobService {
+  // A claim older than this is treated as abandoned. It has to outlast the
+  // slowest UserOperation, receipt wait included.
+  static LEASE_SECONDS = parseInt(process.env.CHAIN_JOB_LEASE_SECONDS || '600');
+  // Unclaimed jobs are left to the request that wrote them for this long
+  static PENDING_GRACE_SECONDS = parseInt(process.env.CHAIN_JOB_PENDING_GRACE_SECONDS || '30');
+  static MAX_ATTEMPTS = parseInt(process.env.CHAIN_JOB_MAX_ATTEMPTS || '3');
+  // Wait before the next attempt after a failed send, doubled per attempt
+  static RETRY_SECONDS = parseInt(process.env.CHAIN_JOB_RETRY_SECONDS || '120');
+
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Handle a job type
+   * @param {string} type - ChainJobType
+   * @param {object} handler - Exposes
+   *   `async reconcile(job)`: the result if the action is already on chain, otherwise null;
+   *   `async perform(job)`: send the action and return its result, throwing if it did not happen
+   *     (with an error from ChainJobService.notSent() if it failed before sending anything);
+   *   `async complete(job, result, transaction)`: record the result;
+   *   `async fail(job, error, transaction)`: undo the DB side of an action that never happened
+   */
+  use(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Write a job inside the caller's DB transaction. Queueing an action whose
+   * key already exists returns the existing job.
+   * @param {object} params - { type, key, orderIds, chainId, payload }
+   */
+  static async enqueue({ type, key, orderIds, chainId, payload = {} }, transaction) {
+    const [job] = await ChainJob.findOrCreate({
+      where: { idempotency_key: `${type}:${key}` },
+      defaults: {
+        type,
+        order_ids: orderIds,
+        chain_id: chainId,
+        payload,
+        max_attempts: ChainJobService.MAX_ATTEMPTS
+      },
+      transaction
+    });
+
+    return job;
+  }
+
+  /**
+   * Error for a perform() that failed before sending anything, e.g. because
+   * the order is no longer awaiting payment
+   */
+  static notSent(message) {
+    const error = new Error(message);
+    error.notSent = true;
+    return error;
+  }
+
+  /**
+   * Whether an order still has a chain action waiting or in flight
+   */
+  static async hasOpenJob(orderId, transaction = null) {
+    const count = await ChainJob.count({
+      where: {
+        order_ids: { [Op.contains]: [orderId] },
+        status: { [Op.in]: [ChainJobStatus.pending, ChainJobStatus.running] }
+      },
+      transaction
+    });
+    return count > 0;
+  }
+
+  /**
+   * Run jobs that were never started or whose worker died
+   * @param {number} limit - Max jobs to process in one run
+   */
+  async run(limit = 20) {
+    const now = Date.now();
+    const due = await ChainJob.findAll({
+      where: {
+        [Op.or]: [
+          {
+            status: ChainJobStatus.pending,
+            retry_at: null,
+            updatedAt: { [Op.lt]: new Date(now - ChainJobService.PENDING_GRACE_SECONDS * 1000) }
+          },
+          {
+            status: ChainJobStatus.pending,
+            retry_at: { [Op.lte]: new Date(now) }
+          },
+          {
+            status: ChainJobStatus.running,
+            locked_at: { [Op.lt]: new Date(now - ChainJobService.LEASE_SECONDS * 1000) }
+          }
+        ]
+      },
+      attributes: ['id'],
+      order: [['id', 'ASC']],
+      limit,
+      raw: true
+    });
+    const results = [];
+
+    for (const { id } of due) {
+      try {
+        const job = await this.execute(id);
+        results.push({ jobId: id, status: job?.status });
+      } catch (error) {
+        console.error(`Chain job ${id} failed:`, error);
+        results.push({ jobId: id, status: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Chain jobs: ${results.filter(r => r.status === ChainJobStatus.completed).length}/${results.length} completed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Claim and run one job
+   * @returns {Promise<object>} The job as it stands afterwards; still running
+   *   when another worker holds it or its result could not be recorded yet
+   */
+  async execute(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) {
+      return ChainJob.findByPk(jobId);
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      await job.update({ status: ChainJobStatus.pending, locked_at: null });
+      throw new Error(`No handler for chain job type ${job.type}`);
+    }
+
+    // A result saved by an earlier attempt only needs recording
+    let result = job.result;
+
+    if (!result) {
+      try {
+        result = await handler.reconcile(job);
+      } catch (error) {
+        // Without knowing what is on chain nothing is sent; try again later
+        return this.release(job, error);
+      }
+    }
+
+    if (!result) {
+      if (job.attempts >= job.max_attempts) {
+        return this.fail(job, handler, new Error(`Gave up after ${job.attempts} attempts: ${job.last_error}`));
+      }
+
+      await job.update({ attempts: job.attempts + 1 });
+
+      try {
+        result = await handler.perform(job);
+      } catch (error) {
+        // The action can still have landed, e.g. when the receipt wait timed out
+        let landed;
+        try {
+          landed = await handler.reconcile(job);
+        } catch (reconcileError) {
+          return this.release(job, error);
+        }
+
+        if (!landed) {
+          // Nothing can be in flight if the first attempt never got as far as sending
+          if (error.notSent && job.attempts === 1) {
+            return this.fail(job, handler, error);
+          }
+          return this.retryLater(job, error);
+        }
+        result = landed;
+      }
+
+      await job.update({ result });
+    }
+
+    return this.complete(job, handler, result);
+  }
+
+  /**
+   * Lock a job that is waiting, or whose claim has gone stale, and mark it running
+   */
+  async claim(jobId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const job = await ChainJob.findByPk(jobId, {
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      const staleBefore = new Date(Date.now() - ChainJobService.LEASE_SECONDS * 1000);
+      const claimable = job && (
+        job.status === ChainJobStatus.pending ||
+        (job.status === ChainJobStatus.running && job.locked_at < staleBefore)
+      );
+
+      if (!claimable) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await job.update({ status: ChainJobStatus.running, locked_at: new Date() }, { transaction });
+      await transaction.commit();
+      return job;
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  async complete(job, handler, result) {
+    const transaction = await sequelize.transaction();
+    try {
+      await handler.complete(job, result, transaction);
+      await job.update({
+        status: ChainJobStatus.completed,
+        locked_at: null,
+        last_error: null,
+        completed_at: new Date()
+      }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      // The result is saved on the job; the worker records it once the claim goes stale
+      console.error(`Failed to record result of chain job ${job.id}:`, error);
+      await job.reload();
+      await job.update({ last_error: `Recording result failed: ${error.message}` });
+    }
+
+    return job;
+  }
+
+  async fail(job, handler, error) {
+    const transaction = await sequelize.transaction();
+    try {
+      await handler.fail(job, error, transaction);
+      await job.update({
+        status: ChainJobStatus.failed,
+        locked_at: null,
+        last_error: error.message
+      }, { transaction });
+      await transaction.commit();
+    } catch (failError) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error(`Failed to record failure of chain job ${job.id}:`, failError);
+      await job.reload();
+    }
+
+    return job;
+  }
+
+  /**
+   * Put a job whose send failed back in the queue. The chain is checked again
+   * before the next attempt, and a job out of attempts is failed then.
+   */
+  async retryLater(job, error) {
+    const delaySeconds = ChainJobService.RETRY_SECONDS * 2 ** (job.attempts - 1);
+    console.warn(`Chain job ${job.id} attempt ${job.attempts} failed, checking again in ${delaySeconds}s:`, error.message);
+    await job.update({
+      status: ChainJobStatus.pending,
+      locked_at: null,
+      last_error: error.message,
+      retry_at: new Date(Date.now() + delaySeconds * 1000)
+    });
+    return job;
+  }
+
+  async release(job, error) {
+    console.warn(`Chain job ${job.id} will be retried:`, error.message);
+    await job.update({ status: ChainJobStatus.pending, locked_at: null, retry_at: null, last_error: error.message });
+    return job;
+  }
+}
+
+export default ChainJobService;
@@ -0,0 +1,513 @@
+import EscrowTransactionService from './EscrowTransactionService.js';
+import CartService from './CartService.js';
+import StockReservationService from './StockReservationService.js';
+import PriceOracleService from './PriceOracleService.js';
+import TransactionAuthorizationService from './TransactionAuthorizationService.js';
+import ProductVariantService from './ProductVariantService.js';
+import NetworkService from './NetworkService.js';
+import GaslessPaymentService from './GasslessPaymentService.js';
+import ChainJobService from './ChainJobService.js';
+import NotificationService from './NotificationService.js';
+import db from '../models/index.js';
+import crypto from 'crypto';
+import { AuthorizedAction, ChainJobStatus, ChainJobType, NotificationType, OrderStatus, PaymentStatus, ProductStatus, TransactionType } from '../utils/types.js';
+
+const { User, Product, Order, OrderItem, Transaction, CartItem, sequelize } = db;
+
+class CheckoutService {
+  static RELEASE_AFTER_SECONDS = 7 * 24 * 60 * 60;
+
+  constructor() {
+    this.escrowService = new EscrowTransactionService();
+    this.ipfsService = this.escrowService.ipfsService;
+    this.chainJobs = new ChainJobService().use(ChainJobType.escrow_create_batch, this.escrowBatchJobHandler());
+  }
+
+  /**
+   * Check out the buyer's cart: one order and escrow per seller, all escrows
+   * created in a single batched UserOperation. The batch runs on one network,
+   * so every seller in the cart has to accept the one chosen.
+   * @param {object} params - { buyerId, tokenSymbol, network (name or chain id), authorizationToken }
+   */
+  async checkout({ buyerId, tokenSymbol, network = null, authorizationToken }) {
+    const checkoutId = this.generateCheckoutId();
+    const { groups, networkConfig, chainJob } = await this.reserveCart({ buyerId, tokenSymbol, network, checkoutId, authorizationToken });
+
+    const job = await this.chainJobs.execute(chainJob.id);
+
+    if (job.status === ChainJobStatus.failed) {
+      throw new Error(`Checkout failed: ${job.last_error}`);
+    }
+
+    return {
+      ...this.summarizeCheckout(checkoutId, tokenSymbol, groups, job),
+      network: networkConfig.networkName,
+      chainId: networkConfig.chain.id
+    };
+  }
+
+  /**
+   * Lock and re-validate every cart item, then create the per-seller orders,
+   * order items and pending transactions and reserve the units.
+   * The cart is emptied and the batched escrow creation queued in the same
+   * DB transaction, so it cannot be checked out twice while the
+   * UserOperation is in flight and no order exists without its job.
+   */
+  async reserveCart({ buyerId, tokenSymbol, network, checkoutId, authorizationToken }) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const buyer = await User.findByPk(buyerId, { transaction });
+      if (!buyer) {
+        throw new Error('Buyer not found');
+      }
+
+      const cart = await CartService.getOrCreateCart(buyerId, transaction);
+      await cart.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+      const cartItems = await CartItem.findAll({
+        where: { cart_id: cart.id },
+        order: [['product_id', 'ASC'], ['variant_id', 'ASC']],
+        transaction
+      });
+
+      if (cartItems.length === 0) {
+        throw new Error('Cart is empty');
+      }
+
+      const issues = [];
+      const lines = [];
+
+      // Lock products in id order so concurrent checkouts cannot deadlock
+      for (const item of cartItems) {
+        const product = await Product.findByPk(item.product_id, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!product) {
+          issues.push({ productId: item.product_id, variantId: item.variant_id, reason: 'Product no longer exists' });
+          continue;
+        }
+
+        let variant = null;
+        try {
+          variant = await ProductVariantService.resolvePurchaseVariant(product, item.variant_id, transaction);
+        } catch (variantError) {
+          issues.push({ productId: product.id, variantId: item.variant_id, reason: variantError.message });
+          continue;
+        }
+
+        const available = await StockReservationService.getAvailableQuantity(product, transaction, variant);
+        const unitPrice = ProductVariantService.unitPrice(product, variant);
+        const issue = { productId: product.id, variantId: item.variant_id };
+
+        if (product.status !== ProductStatus.active) {
+          issues.push({ ...issue, reason: 'Product is not available for purchase' });
+        } else if (available < item.quantity) {
+          issues.push({ ...issue, reason: `Insufficient product quantity. Available: ${Math.max(available, 0)}` });
+        } else if (unitPrice !== parseFloat(item.unit_price)) {
+          issues.push({ ...issue, reason: `Price changed from ${item.unit_price} to ${unitPrice}`, price: unitPrice });
+        } else if (product.seller_id === buyerId.toString()) {
+          issues.push({ ...issue, reason: 'You cannot buy your own product' });
+        }
+
+        lines.push({ item, product, variant, unitPrice });
+      }
+
+      if (issues.length > 0) {
+        await transaction.rollback();
+        await this.refreshCartPrices(cart.id, issues);
+        const error = new Error(`Cart needs review: ${issues.map(issue =>
+          `product ${issue.productId}${issue.variantId ? ` variant ${issue.variantId}` : ''}: ${issue.reason}`
+        ).join('; ')}`);
+        error.issues = issues;
+        throw error;
+      }
+
+      const { groups, networkConfig } = await this.createSellerOrders({ buyer, lines, tokenSymbol, network, checkoutId, transaction });
+
+      await TransactionAuthorizationService.consume({
+        token: authorizationToken,
+        userId: buyerId,
+        action: AuthorizedAction.checkout,
+        reference: TransactionAuthorizationService.checkoutReference(),
+        amount: groups.reduce((sum, group) => sum + group.totalAmount, 0),
+        tokenSymbol
+      }, transaction);
+
+      await CartItem.destroy({ where: { cart_id: cart.id }, transaction });
+
+      const chainJob = await ChainJobService.enqueue({
+        type: ChainJobType.escrow_create_batch,
+        key: checkoutId,
+        orderIds: groups.map(group => group.order.order_id),
+        chainId: networkConfig.chain.id,
+        payload: {
+          checkoutId,
+          buyerId: buyer.id,
+          tokenSymbol,
+          releaseAfter: CheckoutService.RELEASE_AFTER_SECONDS,
+          escrows: groups.map(group => ({
+            orderId: group.order.order_id,
+            transactionId: group.transactionRecord.transaction_id,
+            sellerAddress: group.seller.smartAccountAddress,
+            amount: group.totalAmount,
+            metadataUri: group.order.metadata_uri
+          }))
+        }
+      }, transaction);
+
+      await transaction.commit();
+      return { buyer, cart, groups, networkConfig, chainJob };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Checkout reservation failed:', error);
+      throw error;
+    }
+  }
+
+  async createSellerOrders({ buyer, lines, tokenSymbol, network, checkoutId, transaction }) {
+    const linesBySeller = new Map();
+    for (const line of lines) {
+      const sellerId = line.product.seller_id.toString();
+      if (!linesBySeller.has(sellerId)) {
+        linesBySeller.set(sellerId, []);
+      }
+      linesBySeller.get(sellerId).push(line);
+    }
+
+    const sellers = await User.findAll({
+      where: { id: [...linesBySeller.keys()] },
+      attributes: ['id', 'username', 'smartAccountAddress', 'acceptedChainIds'],
+      transaction
+    });
+
+    const networkConfig = NetworkService.resolveForSellers(sellers, network);
+    const paymentService = GaslessPaymentService.forNetwork(networkConfig.networkName);
+    if (!paymentService.supportedTokens[tokenSymbol]) {
+      throw new Error(`Token ${tokenSymbol} is not supported on ${networkConfig.networkName}`);
+    }
+
+    const groups = [];
+
+    for (const [sellerId, sellerLines] of linesBySeller) {
+      const seller = sellers.find(candidate => candidate.id.toString() === sellerId);
+      if (!seller?.smartAccountAddress) {
+        throw new Error(`Seller ${sellerId} has no smart account`);
+      }
+
+      const orderId = this.escrowService.generateOrderId();
+      const expiresAt = StockReservationService.getExpiry();
+      // Price each line in the settlement token; listings may be in different currencies
+      for (const line of sellerLines) {
+        line.settlement = await PriceOracleService.settle(
+          line.unitPrice * line.item.quantity,
+          line.product.currency || 'USD',
+          tokenSymbol
+        );
+      }
+
+      const totalAmount = Math.round(sellerLines.reduce((sum, line) => sum + line.settlement.amount, 0) * 100) / 100;
+      const amountUsd = Math.round(sellerLines.reduce((sum, line) => sum + line.settlement.amountUsd, 0) * 100) / 100;
+      const totalQuantity = sellerLines.reduce((sum, { item }) => sum + item.quantity, 0);
+
+      const orderMetadata = {
+        orderId,
+        checkoutId,
+        buyer: {
+          id: buyer.id,
+          username: buyer.username,
+          address: buyer.smartAccountAddress
+        },
+        seller: {
+          id: seller.id,
+          username: seller.username,
+          address: seller.smartAccountAddress
+        },
+        items: sellerLines.map(({ item, product, variant, unitPrice, settlement }) => ({
+          id: product.id,
+          name: product.name,
+          variant: variant ? { id: variant.id, sku: variant.sku, attributes: variant.attributes } : null,
+          price: unitPrice,
+          currency: product.currency,
+          quantity: item.quantity,
+          tokenAmount: settlement.amount,
+          rate: settlement.rate
+        })),
+        totalAmount,
+        tokenSymbol,
+        network: {
+          name: networkConfig.networkName,
+          chainId: networkConfig.chain.id
+        },
+        pricing: {
+          amountUsd,
+          sources: [...new Set(sellerLines.flatMap(line => line.settlement.sources))]
+        },
+        createdAt: new Date().toISOString(),
+        platform: 'TrustMart',
+        version: '1.0.0'
+      };
+
+      const metadataUri = await this.ipfsService.uploadJSON(orderMetadata);
+
+      const order = await Order.create({
+        order_id: orderId,
+        buyer_id: buyer.id,
+        seller_id: seller.id,
+        // First product keeps single-product consumers working; order_items is authoritative
+        product_id: sellerLines[0].product.id,
+        variant_id: sellerLines[0].variant?.id || null,
+        amount: totalAmount,
+        token_symbol: tokenSymbol,
+        chain_id: networkConfig.chain.id,
+        quantity: totalQuantity,
+        status: OrderStatus.pending,
+        metadata_uri: metadataUri,
+        metadata: orderMetadata,
+        expires_at: expiresAt
+      }, { transaction });
+
+      await OrderItem.bulkCreate(sellerLines.map(({ item, product, variant, unitPrice }) => ({
+        order_id: orderId,
+        product_id: product.id,
+        variant_id: variant?.id || null,
+        quantity: item.quantity,
+        unit_price: unitPrice,
+        subtotal: unitPrice * item.quantity
+      })), { transaction });
+
+      await NotificationService.notifyOrder(NotificationType.order_placed, order, transaction, {
+        productName: sellerLines.map(({ product }) => product.name).join(', ')
+      });
+
+      const transactionRecord = await Transaction.create({
+        transaction_id: this.escrowService.generateTransactionId(),
+        sender_id: buyer.id,
+        recipient_id: seller.id,
+        product_id: order.product_id,
+        order_id: orderId,
+        token_address: paymentService.supportedTokens[tokenSymbol].address,
+        token_symbol: tokenSymbol,
+        amount: totalAmount.toString(),
+        amount_usd: amountUsd,
+        transaction_type: TransactionType.escrow_create,
+        status: PaymentStatus.pending,
+        metadata_uri: metadataUri,
+        metadata: {
+          checkoutId,
+          quantity: totalQuantity,
+          sellerUsername: seller.username,
+          releaseAfter: CheckoutService.RELEASE_AFTER_SECONDS
+        }
+      }, { transaction });
+
+      for (const { item, product, variant } of sellerLines) {
+        await StockReservationService.reserve({
+          product,
+          variant,
+          orderId,
+          quantity: item.quantity,
+          expiresAt
+        }, transaction);
+      }
+
+      groups.push({ order, transactionRecord, seller, totalAmount, lines: sellerLines });
+    }
+
+    return { groups, networkConfig };
+  }
+
+  /**
+   * Chain job handler that funds every escrow of a checkout in one batch
+   */
+  escrowBatchJobHandler() {
+    return {
+      reconcile: job => this.findCheckoutEscrows(job),
+      perform: job => this.performEscrowBatch(job),
+      complete: (job, result, transaction) => this.recordCheckoutResult(job, result, transaction),
+      fail: (job, error, transaction) => this.releaseReservations(job, error.message, transaction)
+    };
+  }
+
+  /**
+   * The batch is a single UserOperation, so either every escrow exists or none does
+   */
+  async findCheckoutEscrows(job) {
+    const paymentService = GaslessPaymentService.forNetwork(job.chain_id);
+    const escrows = [];
+
+    for (const { orderId } of job.payload.escrows) {
+      const escrowAddress = await paymentService.findEscrowForOrder(orderId);
+      escrows.push(escrowAddress ? { orderId, escrowAddress } : { orderId, error: 'Escrow not registered for order' });
+    }
+
+    if (!escrows.some(escrow => escrow.escrowAddress)) {
+      return null;
+    }
+
+    return { success: true, escrows, reconciled: true };
+  }
+
+  async performEscrowBatch(job) {
+    const orders = await Order.findAll({ where: { order_id: job.order_ids } });
+
+    if (orders.length !== job.order_ids.length || orders.some(order => order.status !== OrderStatus.pending)) {
+      throw ChainJobService.notSent('Checkout orders are no longer awaiting payment');
+    }
+    if (orders.some(order => order.expires_at && order.expires_at < new Date())) {
+      throw ChainJobService.notSent('Stock reservation expired before payment');
+    }
+
+    const buyer = await User.findByPk(job.payload.buyerId);
+
+    const executionResult = await GaslessPaymentService.forNetwork(job.chain_id).createEscrowPurchaseBatch({
+      encryptedPrivateKey: buyer.privateKey,
+      userId: buyer.id.toString(),
+      userPassword: buyer.password,
+      tokenSymbol: job.payload.tokenSymbol,
+      releaseAfter: job.payload.releaseAfter,
+      escrows: job.payload.escrows.map(({ orderId, sellerAddress, amount, metadataUri }) => ({
+        orderId,
+        sellerAddress,
+        amount,
+        metadataUri
+      }))
+    });
+
+    if (!executionResult.success) {
+      throw new Error(executionResult.error);
+    }
+
+    return executionResult;
+  }
+
+  /**
+   * Record each escrow of the batch like a single-product purchase. Escrows
+   * that could not be confirmed keep their order pending for reconciliation.
+   */
+  async recordCheckoutResult(job, executionResult, transaction) {
+    const { escrows, ...execution } = executionResult;
+
+    for (const { orderId, transactionId } of job.payload.escrows) {
+      const escrowResult = escrows.find(result => result.orderId === orderId);
+      const result = escrowResult?.escrowAddress
+        ? { ...execution, escrowAddress: escrowResult.escrowAddress }
+        : { ...execution, escrowUnverified: true, error: escrowResult?.error || 'Escrow result missing from batch' };
+
+      await this.escrowService.recordEscrowCreated({ orderId, transactionId }, result, transaction);
+    }
+  }
+
+  /**
+   * The batched UserOperation never landed, so no escrow exists for any
+   * order: cancel them, release all reserved units and put the items back in
+   * the buyer's cart.
+   */
+  async releaseReservations(job, reason, transaction) {
+    const cancelled = [];
+    for (const orderId of job.order_ids) {
+      if (await this.escrowService.cancelUnfundedOrder(orderId, reason, transaction)) {
+        cancelled.push(orderId);
+      }
+    }
+
+    if (cancelled.length === 0) {
+      return;
+    }
+
+    const cart = await CartService.getOrCreateCart(job.payload.buyerId, transaction);
+    const items = await OrderItem.findAll({ where: { order_id: cancelled }, transaction });
+
+    for (const item of items) {
+      const [cartItem, created] = await CartItem.findOrCreate({
+        where: { cart_id: cart.id, product_id: item.product_id, variant_id: item.variant_id || null },
+        defaults: { quantity: item.quantity, unit_price: item.unit_price },
+        transaction
+      });
+
+      if (!created) {
+        await cartItem.increment('quantity', { by: item.quantity, transaction });
+      }
+    }
+  }
+
+  /**
+   * Response for a checkout whose job completed, or is still being confirmed
+   */
+  summarizeCheckout(checkoutId, tokenSymbol, groups, job) {
+    const completed = job.status === ChainJobStatus.completed;
+    const escrows = job.result?.escrows || [];
+
+    const orders = groups.map(group => {
+      const escrowResult = escrows.find(result => result.orderId === group.order.order_id);
+
+      if (!completed) {
+        return this.serializeGroup(group, { status: 'processing', escrowAddress: escrowResult?.escrowAddress || null });
+      }
+      if (!escrowResult?.escrowAddress) {
+        return this.serializeGroup(group, {
+          status: OrderStatus.pending,
+          error: escrowResult?.error || 'Escrow result missing from batch'
+        });
+      }
+      return this.serializeGroup(group, { status: OrderStatus.paid, escrowAddress: escrowResult.escrowAddress });
+    });
+
+    return {
+      success: true,
+      checkoutId,
+      transactionHash: job.result?.transactionHash || null,
+      userOpHash: job.result?.userOpHash || null,
+      tokenSymbol,
+      totalAmount: groups.reduce((sum, group) => sum + group.totalAmount, 0),
+      orders,
+      ...(completed ? {} : {
+        status: 'processing',
+        warning: 'Payment is being confirmed; orders will update shortly'
+      })
+    };
+  }
+
+  /**
+   * Store the current price on items whose price changed so the buyer can
+   * review and retry
+   */
+  async refreshCartPrices(cartId, issues) {
+    for (const issue of issues.filter(candidate => candidate.price !== undefined)) {
+      await CartItem.update(
+        { unit_price: issue.price },
+        { where: { cart_id: cartId, product_id: issue.productId, variant_id: issue.variantId || null } }
+      );
+    }
+  }
+
+  serializeGroup(group, result) {
+    return {
+      orderId: group.order.order_id,
+      sellerId: group.seller.id,
+      sellerUsername: group.seller.username,
+      amount: group.totalAmount,
+      items: group.lines.map(({ item, product, variant, unitPrice }) => ({
+        productId: product.id,
+        variantId: variant?.id || null,
+        sku: variant?.sku || null,
+        name: product.name,
+        quantity: item.quantity,
+        unitPrice
+      })),
+      ...result
+    };
+  }
+
+  generateCheckoutId() {
+    const timestamp = Date.now().toString(36);
+    const random = crypto.randomBytes(4).toString('hex');
+    return `CHK-${timestamp}-${random}`.toUpperCase();
+  }
+}
+
+export default CheckoutService;
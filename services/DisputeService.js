@@ -0,0 +1,332 @@
+import EscrowTransactionService from './EscrowTransactionService.js';
+import AuditService from './AuditService.js';
+import UserOperationService from './UserOperationService.js';
+import NotificationService from './NotificationService.js';
+import db from '../models/index.js';
+import { NotificationType, OrderStatus, PaymentStatus, TransactionType } from '../utils/types.js';
+
+const { Order, User, Product, Transaction, DisputeEvidence, sequelize } = db;
+
+class DisputeService {
+  static WINNERS = ['buyer', 'seller'];
+
+  constructor() {
+    this.escrowService = new EscrowTransactionService();
+  }
+
+  /**
+   * List disputed orders with their on-chain dispute info
+   */
+  async listOpenDisputes({ page = 1, limit = 20 } = {}) {
+    try {
+      const { count, rows } = await Order.findAndCountAll({
+        where: { status: OrderStatus.disputed },
+        include: [
+          { model: User, as: 'buyer', attributes: ['id', 'username', 'email', 'smartAccountAddress'] },
+          { model: User, as: 'seller', attributes: ['id', 'username', 'email', 'smartAccountAddress'] },
+          { model: Product, as: 'product', attributes: ['id', 'name', 'price', 'currency'] }
+        ],
+        order: [['updatedAt', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      const disputes = await Promise.all(rows.map(async order => ({
+        order: this.serializeOrder(order),
+        onChain: await this.readDisputeInfo(order),
+        evidenceCount: await DisputeEvidence.count({ where: { order_id: order.order_id } })
+      })));
+
+      return {
+        success: true,
+        disputes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error listing disputes:', error);
+      throw new Error(`Failed to retrieve disputes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Full dispute file for the arbitration console
+   */
+  async getDispute(orderId) {
+    try {
+      const order = await Order.findOne({
+        where: { order_id: orderId },
+        include: [
+          { model: User, as: 'buyer', attributes: ['id', 'username', 'email', 'smartAccountAddress'] },
+          { model: User, as: 'seller', attributes: ['id', 'username', 'email', 'smartAccountAddress'] },
+          { model: Product, as: 'product', attributes: ['id', 'name', 'price', 'currency'] }
+        ]
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const evidence = await DisputeEvidence.findAll({
+        where: { order_id: orderId },
+        include: [{ model: User, as: 'submitter', attributes: ['id', 'username'] }],
+        order: [['createdAt', 'ASC']]
+      });
+
+      const transactions = await Transaction.findAll({
+        where: { order_id: orderId },
+        order: [['id', 'ASC']]
+      });
+
+      return {
+        success: true,
+        dispute: {
+          order: this.serializeOrder(order),
+          onChain: await this.readDisputeInfo(order),
+          evidence: evidence.map(item => item.toJSON()),
+          transactions: transactions.map(item => item.toJSON()),
+          history: await AuditService.getEntityHistory('order', orderId)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting dispute:', error);
+      throw new Error(`Failed to retrieve dispute: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach evidence or a note to a dispute. Buyers and sellers may add
+   * evidence to their own order; arbitrators may also add internal notes.
+   */
+  async addEvidence({ orderId, userId, description, attachmentUris = [], internal = false, asArbitrator = false }) {
+    try {
+      if (!description || description.trim().length === 0) {
+        throw new Error('Evidence description is required');
+      }
+
+      if (!Array.isArray(attachmentUris)) {
+        throw new Error('Attachment URIs must be an array');
+      }
+
+      const order = await Order.findOne({ where: { order_id: orderId } });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.status !== OrderStatus.disputed) {
+        throw new Error('Order is not under dispute');
+      }
+
+      let submitterRole = 'arbitrator';
+      if (!asArbitrator) {
+        if (order.buyer_id === userId.toString()) {
+          submitterRole = 'buyer';
+        } else if (order.seller_id === userId.toString()) {
+          submitterRole = 'seller';
+        } else {
+          throw new Error('Only buyer or seller can submit evidence');
+        }
+      }
+
+      const evidence = await DisputeEvidence.create({
+        order_id: orderId,
+        submitted_by: userId,
+        submitter_role: submitterRole,
+        description: description.trim(),
+        attachment_uris: attachmentUris,
+        internal: asArbitrator && Boolean(internal)
+      });
+
+      await AuditService.record({
+        actorId: userId,
+        action: 'dispute.evidence_added',
+        entityType: 'order',
+        entityId: orderId,
+        details: { evidenceId: evidence.id, submitterRole, internal: evidence.internal }
+      });
+
+      return {
+        success: true,
+        evidence: evidence.toJSON(),
+        message: 'Evidence added successfully'
+      };
+    } catch (error) {
+      console.error('Error adding dispute evidence:', error);
+      throw new Error(`Failed to add evidence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rule on a dispute by calling EscrowFactory.resolveDispute from the arbitrator key
+   * @param {object} params - { orderId, arbitratorId, winner: 'buyer'|'seller', notes }
+   */
+  async resolveDispute({ orderId, arbitratorId, winner, notes }) {
+    const claimTransaction = await sequelize.transaction();
+    let transactionRecord = null;
+
+    try {
+      if (!DisputeService.WINNERS.includes(winner)) {
+        throw new Error('Winner must be either buyer or seller');
+      }
+
+      // Held until the pending ruling is recorded, so a second ruling waits and then sees it
+      await this.escrowService.lockOrder(orderId, claimTransaction);
+
+      const order = await Order.findOne({
+        where: { order_id: orderId },
+        include: [
+          { model: User, as: 'buyer', attributes: ['id', 'username', 'email', 'smartAccountAddress'] },
+          { model: User, as: 'seller', attributes: ['id', 'username', 'email', 'smartAccountAddress'] }
+        ],
+        transaction: claimTransaction
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.status !== OrderStatus.disputed) {
+        throw new Error('Order is not under dispute');
+      }
+
+      if (!order.escrow_address) {
+        throw new Error('No escrow associated with this order');
+      }
+
+      // A ruling is recorded as a release or refund, so this also catches one already being sent
+      for (const type of [TransactionType.escrow_release, TransactionType.escrow_refund]) {
+        if (await UserOperationService.hasInProgress(orderId, type, claimTransaction)) {
+          throw new Error('A ruling, release or refund is already in progress for this order');
+        }
+      }
+
+      const buyerWins = winner === 'buyer';
+      const winnerAddress = buyerWins ? order.buyer.smartAccountAddress : order.seller.smartAccountAddress;
+
+      transactionRecord = await Transaction.create({
+        transaction_id: this.escrowService.generateTransactionId(),
+        sender_id: buyerWins ? order.seller_id : order.buyer_id,
+        recipient_id: buyerWins ? order.buyer_id : order.seller_id,
+        product_id: order.product_id,
+        order_id: orderId,
+        escrow_address: order.escrow_address,
+        token_address: this.escrowService.paymentFor(order).supportedTokens[order.token_symbol].address,
+        token_symbol: order.token_symbol,
+        amount: order.amount.toString(),
+        transaction_type: buyerWins ? TransactionType.escrow_refund : TransactionType.escrow_release,
+        status: PaymentStatus.pending,
+        metadata: { trigger: 'arbitration', arbitrator_id: arbitratorId, winner }
+      }, { transaction: claimTransaction });
+
+      await claimTransaction.commit();
+
+      const executionResult = await this.escrowService.paymentFor(order).resolveDispute(order.escrow_address, winnerAddress);
+
+      if (!executionResult.success) {
+        await transactionRecord.markAsFailed(executionResult.error);
+        throw new Error(`Dispute resolution failed: ${executionResult.error}`);
+      }
+
+      const updateTransaction = await sequelize.transaction();
+      try {
+        await transactionRecord.update({
+          status: PaymentStatus.confirmed,
+          blockchain_tx_hash: executionResult.transactionHash,
+          block_number: executionResult.blockNumber,
+          gas_used: executionResult.gasUsed,
+          submitted_at: new Date(),
+          confirmed_at: new Date()
+        }, { transaction: updateTransaction });
+
+        const resolution = {
+          winner,
+          winner_address: winnerAddress,
+          arbitrator_id: arbitratorId,
+          notes: notes || null,
+          transaction_hash: executionResult.transactionHash,
+          resolved_at: new Date().toISOString()
+        };
+
+        await order.update({
+          status: buyerWins ? OrderStatus.refunded : OrderStatus.completed,
+          ...(buyerWins ? { cancelled_at: new Date() } : { completed_at: new Date() }),
+          metadata: { ...order.metadata, dispute_resolution: resolution }
+        }, { transaction: updateTransaction });
+
+        if (buyerWins) {
+          await this.escrowService.restoreOrderStock(order, updateTransaction);
+        }
+
+        await AuditService.record({
+          actorId: arbitratorId,
+          action: 'dispute.resolved',
+          entityType: 'order',
+          entityId: orderId,
+          details: resolution
+        }, updateTransaction);
+
+        await NotificationService.notifyOrder(NotificationType.dispute_resolved, order, updateTransaction, {
+          winner,
+          notes: notes || null
+        });
+
+        await updateTransaction.commit();
+      } catch (updateError) {
+        await updateTransaction.rollback();
+        console.error('Failed to update after dispute resolution:', updateError);
+        throw new Error('Dispute resolved on chain but status update failed');
+      }
+
+      return {
+        success: true,
+        orderId,
+        winner,
+        transactionId: transactionRecord.transaction_id,
+        transactionHash: executionResult.transactionHash,
+        status: buyerWins ? OrderStatus.refunded : OrderStatus.completed
+      };
+    } catch (error) {
+      if (!claimTransaction.finished) {
+        await claimTransaction.rollback();
+      }
+      console.error('Error resolving dispute:', error);
+      throw new Error(`Failed to resolve dispute: ${error.message}`);
+    }
+  }
+
+  async readDisputeInfo(order) {
+    if (!order.escrow_address) {
+      return null;
+    }
+
+    try {
+      return await this.escrowService.paymentFor(order).getDisputeInfo(order.escrow_address);
+    } catch (error) {
+      console.warn(`Failed to read dispute info for ${order.escrow_address}:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  serializeOrder(order) {
+    return {
+      id: order.order_id,
+      status: order.status,
+      amount: order.amount,
+      tokenSymbol: order.token_symbol,
+      chainId: order.chain_id,
+      quantity: order.quantity,
+      escrowAddress: order.escrow_address,
+      paidAt: order.paid_at,
+      updatedAt: order.updatedAt,
+      buyer: order.buyer,
+      seller: order.seller,
+      product: order.product
+    };
+  }
+}
+
+export default DisputeService;
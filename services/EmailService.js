@@ -1,14 +1,23 @@
 import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
+import { escapeHtml } from './notifications/templates.js';
 
 dotenv.config();
 
 class EmailService {
   constructor() {
+    // EMAIL_TRANSPORT=capture keeps outgoing mail in memory instead of sending it,
+    // for tests and local runs without an SMTP server
+    this.captureMode = process.env.EMAIL_TRANSPORT === 'capture';
+    this.captured = [];
     this.transporter = this.createTransporter();
   }
 
   createTransporter() {
+    if (this.captureMode) {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
     const requiredEnvVars = ['SMTP_HOST', 'SMTP_PORT', 'EMAIL_FROM', 'EMAIL_PASSWORD'];
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
     
@@ -75,6 +84,153 @@ class EmailService {
     }
   }
 
+  async sendProductModerationEmail(email, username, { productId, productName, decision, reason }) {
+    try {
+      const outcomeText = {
+        approved: `Your listing "${productName}" has been approved and is now visible to buyers.`,
+        flagged: `Your listing "${productName}" has been flagged by our moderators and hidden from buyers. Contact support if you believe this is a mistake.`,
+        rejected: `Your listing "${productName}" was not approved. Edit the listing to address the reason below and it will be reviewed again.`
+      }[decision];
+
+      const mailOptions = {
+        from: {
+          name: 'TrustMart',
+          address: process.env.EMAIL_FROM
+        },
+        to: email,
+        subject: `Your listing "${productName}" was ${decision}`,
+        html: this.getProductModerationEmailTemplate(username, productId, outcomeText, reason),
+        text: `Hello ${username},\n\n${outcomeText}\n\nProduct: #${productId}\n${reason ? `Reason: ${reason}\n` : ''}\nBest regards,\nTrustMart Team`
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('Product moderation email sent successfully:', info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Failed to send product moderation email:', error);
+      throw new Error(`Failed to send product moderation email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send an already rendered email
+   * @param {object} message - { to, subject, html, text }
+   */
+  async send({ to, subject, html, text }) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: {
+          name: 'TrustMart',
+          address: process.env.EMAIL_FROM
+        },
+        to,
+        subject,
+        html,
+        text
+      });
+
+      if (this.captureMode) {
+        this.captured.push({ to, subject, html, text, messageId: info.messageId });
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Failed to send email:', error);
+      throw new Error(`Failed to send email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Messages sent since the last call, when running with the capture transport
+   */
+  takeCaptured() {
+    const messages = this.captured;
+    this.captured = [];
+    return messages;
+  }
+
+  async sendPasswordResetEmail(email, username, resetOTP) {
+    try {
+      const mailOptions = {
+        from: {
+          name: 'TrustMart',
+          address: process.env.EMAIL_FROM
+        },
+        to: email,
+        subject: 'Reset Your Password',
+        html: this.getPasswordResetEmailTemplate(username, resetOTP),
+        text: `Hello ${username},\n\nUse this code to reset your TrustMart password: ${resetOTP}\n\nThis code expires in 15 minutes. If you did not ask to reset your password, you can ignore this email; your password has not been changed.\n\nBest regards,\nTrustMart Team`
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log('Password reset email sent successfully:', info.messageId);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      throw new Error(`Failed to send password reset email: ${error.message}`);
+    }
+  }
+
+  getPasswordResetEmailTemplate(username, resetOTP) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Reset Your Password - TrustMart</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+        <div style="background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #0f0f0f 100%); padding: 40px 30px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 300; letter-spacing: 1px;">TrustMart</h1>
+          <p style="color: #cccccc; margin: 10px 0 0 0; font-size: 14px;">Password Reset</p>
+        </div>
+        <div style="padding: 40px 30px;">
+          <h2 style="color: #2d3748; margin: 0 0 20px 0; font-size: 24px; font-weight: 600;">Hello ${username},</h2>
+          <p style="color: #4a5568; line-height: 1.6; font-size: 16px;">Use the code below to reset your password. It expires in 15 minutes.</p>
+          <div style="background-color: #edf2f7; padding: 20px; border-radius: 8px; margin: 25px 0; text-align: center;">
+            <span style="color: #1a1a1a; font-size: 32px; font-weight: 700; letter-spacing: 8px;">${resetOTP}</span>
+          </div>
+          <p style="color: #718096; font-size: 14px; line-height: 1.6;">If you did not ask to reset your password, you can ignore this email; your password has not been changed.</p>
+        </div>
+        <div style="background-color: #f7fafc; padding: 25px 30px; border-top: 1px solid #e2e8f0; text-align: center;">
+          <p style="color: #a0aec0; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} TrustMart. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  }
+
+  getProductModerationEmailTemplate(username, productId, outcomeText, reason) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>Listing Review - TrustMart</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+        <div style="background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #0f0f0f 100%); padding: 40px 30px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 300; letter-spacing: 1px;">TrustMart</h1>
+          <p style="color: #cccccc; margin: 10px 0 0 0; font-size: 14px;">Listing Review</p>
+        </div>
+        <div style="padding: 40px 30px;">
+          <h2 style="color: #2d3748; margin: 0 0 20px 0; font-size: 24px; font-weight: 600;">Hello ${escapeHtml(username)},</h2>
+          <p style="color: #4a5568; line-height: 1.6; font-size: 16px;">${escapeHtml(outcomeText)}</p>
+          <p style="color: #4a5568; font-size: 14px;">Product: <strong>#${escapeHtml(productId)}</strong></p>
+          ${reason ? `<div style="background-color: #edf2f7; padding: 20px; border-radius: 8px; margin: 25px 0;"><p style="color: #4a5568; margin: 0; font-size: 14px;"><strong>Reason:</strong> ${escapeHtml(reason)}</p></div>` : ''}
+        </div>
+        <div style="background-color: #f7fafc; padding: 25px 30px; border-top: 1px solid #e2e8f0; text-align: center;">
+          <p style="color: #a0aec0; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} TrustMart. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  }
+
   getTextVersion(username, verificationOTP) {
     return `
 Hello ${username}!
@@ -95,6 +251,10 @@ TrustMart Team
   }
 
   async testConnection() {
+    if (this.captureMode) {
+      return true;
+    }
+
     try {
       const isConnected = await this.transporter.verify();
       console.log('SMTP connection verified successfully');
@@ -0,0 +1,503 @@
+import { createPublicClient, http, getAbiItem } from 'viem';
+import crypto from 'crypto';
+import db from '../models/index.js';
+import { Op } from 'sequelize';
+import GaslessPaymentService from './GasslessPaymentService.js';
+import { getCurrentNetworkConfig, getEnabledNetworks } from '../config/networks.js';
+import StockReservationService from './StockReservationService.js';
+import ProductDeliveryService from './ProductDeliveryService.js';
+import NotificationService from './NotificationService.js';
+import WebhookService from './WebhookService.js';
+import EscrowFactoryABI from '../abis/EscrowFactory.json' with { type: 'json' };
+import EscrowImplementationABI from '../abis/EscrowImplementation.json' with { type: 'json' };
+import { NotificationType, OrderStatus, PaymentStatus, TransactionType, WebhookEvent } from '../utils/types.js';
+
+const { IndexerCursor, Order, Transaction, User, sequelize } = db;
+
+const FINAL_ORDER_STATUSES = [OrderStatus.completed, OrderStatus.cancelled, OrderStatus.refunded];
+
+const ESCROW_CREATED_EVENT = getAbiItem({ abi: EscrowFactoryABI, name: 'EscrowCreated' });
+const ESCROW_EVENTS = ['FundsReleased', 'FundsRefunded', 'DisputeRaised', 'DisputeResolved']
+  .map(name => getAbiItem({ abi: EscrowImplementationABI, name }));
+
+/**
+ * Follows EscrowFactory / EscrowImplementation events and reconciles
+ * Order and Transaction rows with on-chain escrow state.
+ *
+ * Only blocks at least `confirmations` deep are applied. The hash of the last
+ * indexed block is stored with the cursor; if it no longer matches the chain
+ * the cursor is rewound by `reorgWindow` blocks and that range is re-scanned.
+ * Every handler is idempotent, so re-scanning never moves an order twice.
+ *
+ * One indexer follows one network and only touches orders placed on that
+ * chain; `startAll` runs one per enabled network, each with its own cursor.
+ * INDEXER_RPC_URL and INDEXER_START_BLOCK apply to the selected network only.
+ */
+class EscrowIndexerService {
+  /**
+   * Start an indexer for every enabled network
+   * @returns {Array<EscrowIndexerService>}
+   */
+  static startAll(options = {}) {
+    return getEnabledNetworks().map(network => {
+      const indexer = new EscrowIndexerService({ ...options, network: network.networkName });
+      indexer.start();
+      return indexer;
+    });
+  }
+
+  constructor(options = {}) {
+    this.paymentService = options.paymentService || GaslessPaymentService.forNetwork(options.network ?? null);
+    this.networkConfig = this.paymentService.networkConfig;
+    this.networkName = this.networkConfig.networkName;
+    this.chainId = this.networkConfig.chain.id;
+    this.factoryAddress = options.factoryAddress || this.paymentService.escrowFactoryAddress;
+
+    const isSelectedNetwork = this.networkName === getCurrentNetworkConfig().networkName;
+
+    this.client = options.client || createPublicClient({
+      chain: this.networkConfig.chain,
+      transport: http(options.rpcUrl || (isSelectedNetwork && process.env.INDEXER_RPC_URL) || this.networkConfig.rpcUrl)
+    });
+
+    this.confirmations = BigInt(options.confirmations ?? process.env.INDEXER_CONFIRMATIONS ?? 5);
+    this.reorgWindow = BigInt(options.reorgWindow ?? process.env.INDEXER_REORG_WINDOW ?? 50);
+    this.batchSize = BigInt(options.batchSize ?? process.env.INDEXER_BATCH_SIZE ?? 2000);
+    // RPC providers cap how many addresses one getLogs filter may list
+    this.addressChunkSize = parseInt(options.addressChunkSize ?? process.env.INDEXER_ADDRESS_CHUNK_SIZE ?? 500);
+    this.pollInterval = parseInt(options.pollInterval ?? process.env.INDEXER_POLL_INTERVAL_MS ?? 15000);
+    this.startBlock = options.startBlock ?? (isSelectedNetwork ? process.env.INDEXER_START_BLOCK : undefined);
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling. Safe to call once per process.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Escrow indexer started on ${this.networkName} (factory ${this.factoryAddress})`);
+
+    const tick = async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('Escrow indexer run failed:', error);
+      } finally {
+        if (this.timer) {
+          this.timer = setTimeout(tick, this.pollInterval);
+        }
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Index every confirmed block since the stored cursor
+   * @returns {Promise<object>} Range that was processed and number of events applied
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: true };
+    }
+
+    this.running = true;
+    try {
+      const head = await this.client.getBlockNumber();
+      const safeHead = head - this.confirmations;
+
+      let fromBlock = await this.resolveStartBlock(safeHead);
+      let applied = 0;
+
+      while (fromBlock <= safeHead) {
+        const toBlock = fromBlock + this.batchSize - 1n < safeHead
+          ? fromBlock + this.batchSize - 1n
+          : safeHead;
+
+        applied += await this.processRange(fromBlock, toBlock);
+
+        const block = await this.client.getBlock({ blockNumber: toBlock });
+        await this.saveCursor(toBlock, block.hash);
+
+        fromBlock = toBlock + 1n;
+      }
+
+      return { head: head.toString(), safeHead: safeHead.toString(), applied };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Work out the first block to scan, rewinding when the stored block was reorged out
+   */
+  async resolveStartBlock(safeHead) {
+    const cursor = await IndexerCursor.findOne({ where: { network: this.networkName } });
+
+    if (!cursor) {
+      if (this.startBlock !== undefined && this.startBlock !== '') {
+        return BigInt(this.startBlock);
+      }
+      const initial = safeHead > this.reorgWindow ? safeHead - this.reorgWindow : 0n;
+      return initial;
+    }
+
+    const lastBlock = BigInt(cursor.last_block);
+
+    if (cursor.last_block_hash && lastBlock <= safeHead) {
+      const block = await this.client.getBlock({ blockNumber: lastBlock });
+      if (block.hash !== cursor.last_block_hash) {
+        const rewound = lastBlock > this.reorgWindow ? lastBlock - this.reorgWindow : 0n;
+        console.warn(`Reorg detected on ${this.networkName} at block ${lastBlock}, re-scanning from ${rewound}`);
+        return rewound;
+      }
+    }
+
+    return lastBlock + 1n;
+  }
+
+  async saveCursor(blockNumber, blockHash) {
+    await IndexerCursor.upsert({
+      network: this.networkName,
+      last_block: blockNumber.toString(),
+      last_block_hash: blockHash
+    }, {
+      conflictFields: ['network']
+    });
+  }
+
+  /**
+   * Fetch and apply all escrow events in [fromBlock, toBlock]
+   * @returns {Promise<number>} Number of events applied
+   */
+  async processRange(fromBlock, toBlock) {
+    const createdLogs = await this.client.getLogs({
+      address: this.factoryAddress,
+      event: ESCROW_CREATED_EVENT,
+      fromBlock,
+      toBlock
+    });
+
+    const newEscrows = createdLogs.map(log => log.args.escrow);
+    const escrowAddresses = [...new Set([
+      ...(await this.getTrackedEscrowAddresses()),
+      ...newEscrows
+    ].map(address => address.toLowerCase()))];
+
+    const escrowLogs = [];
+    for (let start = 0; start < escrowAddresses.length; start += this.addressChunkSize) {
+      escrowLogs.push(...await this.client.getLogs({
+        address: escrowAddresses.slice(start, start + this.addressChunkSize),
+        events: ESCROW_EVENTS,
+        fromBlock,
+        toBlock
+      }));
+    }
+
+    const logs = [...createdLogs, ...escrowLogs].sort((a, b) => {
+      if (a.blockNumber !== b.blockNumber) {
+        return a.blockNumber < b.blockNumber ? -1 : 1;
+      }
+      return a.logIndex - b.logIndex;
+    });
+
+    let applied = 0;
+    for (const log of logs) {
+      if (await this.applyLog(log)) {
+        applied++;
+      }
+    }
+
+    if (logs.length > 0) {
+      console.log(`Escrow indexer ${this.networkName}: blocks ${fromBlock}-${toBlock}, ${logs.length} logs, ${applied} applied`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Escrows on this indexer's chain whose orders can still change state
+   */
+  async getTrackedEscrowAddresses() {
+    const orders = await Order.findAll({
+      where: {
+        chain_id: this.chainId,
+        escrow_address: { [Op.ne]: null },
+        status: { [Op.notIn]: FINAL_ORDER_STATUSES }
+      },
+      attributes: ['escrow_address'],
+      raw: true
+    });
+
+    return orders.map(order => order.escrow_address);
+  }
+
+  async applyLog(log) {
+    switch (log.eventName) {
+      case 'EscrowCreated':
+        return this.handleEscrowCreated(log);
+      case 'DisputeRaised':
+        return this.handleDisputeRaised(log);
+      case 'FundsReleased':
+        return this.handleFundsReleased(log);
+      case 'FundsRefunded':
+        return this.handleFundsRefunded(log);
+      case 'DisputeResolved':
+        return this.handleDisputeResolved(log);
+      default:
+        return false;
+    }
+  }
+
+  async handleEscrowCreated(log) {
+    const { escrow, orderId } = log.args;
+
+    return this.withOrder({ order_id: orderId }, async (order, transaction) => {
+      if (order.escrow_address && order.escrow_address.toLowerCase() !== escrow.toLowerCase()) {
+        console.error(`Order ${orderId} has escrow ${order.escrow_address} but chain reports ${escrow}`);
+        return false;
+      }
+
+      const updates = { escrow_address: escrow };
+      // A cancelled order can still be funded if its reservation expired
+      // while the UserOperation was in flight
+      if ([OrderStatus.pending, OrderStatus.cancelled].includes(order.status)) {
+        updates.status = OrderStatus.paid;
+        updates.paid_at = order.paid_at || new Date();
+        updates.cancelled_at = null;
+      }
+      await order.update(updates, { transaction });
+
+      await StockReservationService.commitForOrder(orderId, transaction);
+
+      if (order.status === OrderStatus.paid) {
+        await WebhookService.emitOrderEvent(WebhookEvent.order_paid, order, transaction);
+        await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, transaction);
+      }
+
+      await this.confirmTransaction(order, TransactionType.escrow_create, log, transaction);
+      return true;
+    });
+  }
+
+  async handleDisputeRaised(log) {
+    return this.withOrder({ escrow_address: { [Op.iLike]: log.address } }, async (order, transaction) => {
+      if ([OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered].includes(order.status)) {
+        await order.update({ status: OrderStatus.disputed }, { transaction });
+        await ProductDeliveryService.markOrderDisputed(order.order_id, transaction);
+      }
+
+      if (order.status === OrderStatus.disputed) {
+        await WebhookService.emitOrderEvent(WebhookEvent.order_disputed, order, transaction);
+        await NotificationService.notifyOrder(NotificationType.dispute_opened, order, transaction);
+      }
+
+      await this.confirmTransaction(order, TransactionType.escrow_dispute, log, transaction, {
+        dispute_reason: log.args.reason,
+        raised_by: log.args.raisedBy
+      });
+      return true;
+    });
+  }
+
+  async handleFundsReleased(log) {
+    return this.withOrder({ escrow_address: { [Op.iLike]: log.address } }, async (order, transaction) => {
+      await this.finalizeOrder(order, OrderStatus.completed, transaction);
+
+      await this.confirmTransaction(order, TransactionType.escrow_release, log, transaction, {
+        net_amount: log.args.netAmount.toString(),
+        fee_amount: log.args.feeAmount.toString()
+      });
+      return true;
+    });
+  }
+
+  async handleFundsRefunded(log) {
+    return this.withOrder({ escrow_address: { [Op.iLike]: log.address } }, async (order, transaction) => {
+      await this.finalizeOrder(order, OrderStatus.refunded, transaction);
+
+      await this.confirmTransaction(order, TransactionType.escrow_refund, log, transaction, {
+        refunded_amount: log.args.amount.toString()
+      });
+      return true;
+    });
+  }
+
+  async handleDisputeResolved(log) {
+    return this.withOrder({ escrow_address: { [Op.iLike]: log.address } }, async (order, transaction) => {
+      const seller = await User.findByPk(order.seller_id, {
+        attributes: ['id', 'smartAccountAddress'],
+        transaction
+      });
+
+      const sellerWon = seller?.smartAccountAddress?.toLowerCase() === log.args.winner.toLowerCase();
+      const status = sellerWon ? OrderStatus.completed : OrderStatus.refunded;
+
+      await this.finalizeOrder(order, status, transaction, {
+        dispute_resolution: {
+          winner: log.args.winner,
+          resolved_for: sellerWon ? 'seller' : 'buyer',
+          block_number: log.blockNumber.toString(),
+          transaction_hash: log.transactionHash
+        }
+      });
+
+      await NotificationService.notifyOrder(NotificationType.dispute_resolved, order, transaction, {
+        winner: sellerWon ? 'seller' : 'buyer',
+        notes: order.metadata?.dispute_resolution?.notes || null
+      });
+
+      await this.confirmTransaction(
+        order,
+        sellerWon ? TransactionType.escrow_release : TransactionType.escrow_refund,
+        log,
+        transaction,
+        {
+          winner: log.args.winner,
+          net_amount: log.args.netAmount.toString(),
+          fee_amount: log.args.feeAmount.toString()
+        }
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Load and lock the order on this chain matching `where`, then run
+   * `handler` inside a DB transaction
+   */
+  async withOrder(where, handler) {
+    const transaction = await sequelize.transaction();
+    try {
+      const order = await Order.findOne({
+        where: { ...where, chain_id: this.chainId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!order) {
+        await transaction.rollback();
+        return false;
+      }
+
+      const applied = await handler(order, transaction);
+      await transaction.commit();
+      return applied;
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  async finalizeOrder(order, status, transaction, metadata = null) {
+    if (order.status !== status) {
+      const updates = { status };
+      if (status === OrderStatus.completed) {
+        updates.completed_at = order.completed_at || new Date();
+      }
+      if (metadata) {
+        updates.metadata = { ...order.metadata, ...metadata };
+      }
+
+      await order.update(updates, { transaction });
+    }
+
+    // Covers releases and refunds that happened on chain only (auto-release,
+    // arbitrator rulings); ones sent from here were emitted already and are deduplicated
+    const event = status === OrderStatus.completed ? WebhookEvent.order_released : WebhookEvent.order_refunded;
+    await WebhookService.emitOrderEvent(event, order, transaction);
+    if (status === OrderStatus.completed) {
+      await NotificationService.notifyOrder(NotificationType.funds_released, order, transaction);
+    }
+  }
+
+  /**
+   * Mark the matching Transaction as confirmed, creating one when the action
+   * happened outside this backend (e.g. auto-release or arbitrator ruling)
+   */
+  async confirmTransaction(order, transactionType, log, transaction, metadata = {}) {
+    const alreadyIndexed = await Transaction.findOne({
+      where: {
+        order_id: order.order_id,
+        transaction_type: transactionType,
+        blockchain_tx_hash: log.transactionHash,
+        status: PaymentStatus.confirmed
+      },
+      transaction
+    });
+
+    if (alreadyIndexed) {
+      return alreadyIndexed;
+    }
+
+    const confirmedFields = {
+      status: PaymentStatus.confirmed,
+      escrow_address: order.escrow_address,
+      blockchain_tx_hash: log.transactionHash,
+      block_number: log.blockNumber.toString(),
+      confirmed_at: new Date()
+    };
+
+    const pending = await Transaction.findOne({
+      where: {
+        order_id: order.order_id,
+        transaction_type: transactionType,
+        status: { [Op.in]: [PaymentStatus.pending, PaymentStatus.submitted] }
+      },
+      order: [['id', 'DESC']],
+      transaction
+    });
+
+    if (pending) {
+      return pending.update({
+        ...confirmedFields,
+        metadata: { ...pending.metadata, ...metadata, indexed_log_index: log.logIndex }
+      }, { transaction });
+    }
+
+    const isRefund = transactionType === TransactionType.escrow_refund;
+    const tokenConfig = this.networkConfig.tokens[order.token_symbol];
+
+    return Transaction.create({
+      ...confirmedFields,
+      transaction_id: this.generateTransactionId(),
+      sender_id: isRefund ? order.seller_id : order.buyer_id,
+      recipient_id: isRefund ? order.buyer_id : order.seller_id,
+      product_id: order.product_id,
+      order_id: order.order_id,
+      token_address: tokenConfig?.address || '',
+      token_symbol: order.token_symbol,
+      amount: order.amount.toString(),
+      transaction_type: transactionType,
+      submitted_at: new Date(),
+      metadata: {
+        ...metadata,
+        source: 'indexer',
+        event: log.eventName,
+        indexed_log_index: log.logIndex
+      }
+    }, { transaction });
+  }
+
+  generateTransactionId() {
+    const timestamp = Date.now().toString(36);
+    const random = crypto.randomBytes(6).toString('hex');
+    return `TXN-${timestamp}-${random}`.toUpperCase();
+  }
+}
+
+export default EscrowIndexerService;
@@ -2,25 +2,46 @@ import GaslessPaymentService from './GasslessPaymentService.js';
 import IPFSService from './IPFSService.js';
 import db from '../models/index.js';
 import { Op } from 'sequelize';
+import { getEnabledNetworks } from '../config/networks.js';
 import { ethers } from 'ethers';
 import crypto from 'crypto';
-import { OrderStatus, PaymentStatus, TransactionType } from '../utils/types.js';
+import { AuthorizedAction, ChainJobStatus, ChainJobType, NotificationType, OrderStatus, PaymentStatus, ProductStatus, TransactionType, WebhookEvent } from '../utils/types.js';
 import SmartAccountService from './SmartAccountService.js';
-
-const { User, Transaction, Product, Order, sequelize } = db;
+import StockReservationService from './StockReservationService.js';
+import ProductDeliveryService from './ProductDeliveryService.js';
+import PriceOracleService from './PriceOracleService.js';
+import TransactionAuthorizationService from './TransactionAuthorizationService.js';
+import ProductVariantService from './ProductVariantService.js';
+import NetworkService from './NetworkService.js';
+import ChainJobService from './ChainJobService.js';
+import UserOperationService from './UserOperationService.js';
+import WebhookService from './WebhookService.js';
+import NotificationService from './NotificationService.js';
+
+const { User, Transaction, Product, ProductVariant, Order, OrderItem, StockReservation, sequelize } = db;
 
 class EscrowTransactionService {
   constructor() {
-    this.paymentService = new GaslessPaymentService();
+    this.paymentService = GaslessPaymentService.forNetwork();
     this.ipfsService = new IPFSService();
+    this.chainJobs = new ChainJobService().use(ChainJobType.escrow_create, this.escrowCreateJobHandler());
+  }
+
+  /**
+   * Payment service for the chain an order was placed on
+   */
+  paymentFor(order) {
+    return GaslessPaymentService.forNetwork(order.chain_id);
   }
 
 async createProductEscrow({
     buyerId,
     productId,
+    variantId = null,
     quantity = 1,
     tokenSymbol,
-    userPassword
+    network = null,
+    authorizationToken
   }) {
     const transaction = await sequelize.transaction();
     let order = null;
@@ -34,12 +55,14 @@ async createProductEscrow({
         throw new Error('Buyer not found');
       }
 
+      // Lock the product row so concurrent purchases reserve against the same count
       const product = await Product.findByPk(productId, {
         include: [{
           model: User,
           as: 'seller',
-          attributes: ['id', 'username', 'smartAccountAddress']
+          attributes: ['id', 'username', 'smartAccountAddress', 'acceptedChainIds']
         }],
+        lock: { level: transaction.LOCK.UPDATE, of: Product },
         transaction
       });
 
@@ -51,12 +74,40 @@ async createProductEscrow({
         throw new Error('Product is not available for purchase');
       }
 
-      if (product.quantity < quantity) {
+      // The escrow is created on a network the seller accepts, chosen by the buyer
+      const networkConfig = NetworkService.resolveForSellers([product.seller], network);
+      const paymentService = GaslessPaymentService.forNetwork(networkConfig.networkName);
+      if (!paymentService.supportedTokens[tokenSymbol]) {
+        throw new Error(`Token ${tokenSymbol} is not supported on ${networkConfig.networkName}`);
+      }
+
+      // Products with variants are bought one variant at a time; the product
+      // row lock above also serialises purchases of its variants
+      const variant = await ProductVariantService.resolvePurchaseVariant(product, variantId, transaction);
+      const unitPrice = ProductVariantService.unitPrice(product, variant);
+
+      const availableQuantity = await StockReservationService.getAvailableQuantity(product, transaction, variant);
+      if (availableQuantity < quantity) {
         throw new Error('Insufficient product quantity');
       }
 
-      // Step 2: Calculate total amount and generate IDs
-      const totalAmount = parseFloat(product.price) * quantity;
+      // Step 2: Price the listing in the settlement token and generate IDs
+      const settlement = await PriceOracleService.settle(
+        unitPrice * quantity,
+        product.currency || 'USD',
+        tokenSymbol
+      );
+      const totalAmount = settlement.amount;
+
+      await TransactionAuthorizationService.consume({
+        token: authorizationToken,
+        userId: buyerId,
+        action: AuthorizedAction.purchase,
+        reference: TransactionAuthorizationService.purchaseReference(productId, quantity, variant?.id),
+        amount: totalAmount,
+        tokenSymbol
+      }, transaction);
+
       const orderId = this.generateOrderId();
       
       // Step 3: Create order metadata for IPFS
@@ -75,12 +126,23 @@ async createProductEscrow({
         product: {
           id: product.id,
           name: product.name,
-          price: product.price,
+          price: unitPrice,
           currency: product.currency,
-          quantity: quantity
+          quantity: quantity,
+          variant: variant ? { id: variant.id, sku: variant.sku, attributes: variant.attributes } : null
         },
         totalAmount,
         tokenSymbol,
+        network: {
+          name: networkConfig.networkName,
+          chainId: networkConfig.chain.id
+        },
+        pricing: {
+          currency: settlement.currency,
+          rate: settlement.rate,
+          amountUsd: settlement.amountUsd,
+          sources: settlement.sources
+        },
         createdAt: new Date().toISOString(),
         platform: 'TrustMart',
         version: '1.0.0'
@@ -112,14 +174,19 @@ async createProductEscrow({
         buyer_id: buyer.id,
         seller_id: product.seller.id,
         product_id: product.id,
+        variant_id: variant?.id || null,
         amount: totalAmount,
         token_symbol: tokenSymbol,
+        chain_id: networkConfig.chain.id,
         quantity: quantity,
         status: OrderStatus.pending,
         metadata_uri: metadataUri,
-        metadata: orderMetadata
+        metadata: orderMetadata,
+        expires_at: StockReservationService.getExpiry()
       }, { transaction });
 
+      await NotificationService.notifyOrder(NotificationType.order_placed, order, transaction, { productName: product.name });
+
       console.log("Order Created =================================================>")
 
       // Step 6: Create transaction record (child of order)
@@ -129,16 +196,17 @@ async createProductEscrow({
         recipient_id: product.seller.id,
         product_id: product.id,
         order_id: orderId, // Reference to order
-        token_address: this.paymentService.supportedTokens[tokenSymbol].address,
+        token_address: paymentService.supportedTokens[tokenSymbol].address,
         token_symbol: tokenSymbol,
         amount: totalAmount.toString(),
-        amount_usd: totalAmount,
+        amount_usd: settlement.amountUsd,
         transaction_type: 'escrow_create',
         status: 'pending',
         metadata_uri: metadataUri,
         metadata: {
           quantity,
           productName: product.name,
+          sku: variant?.sku,
           sellerUsername: product.seller.username,
           releaseAfter: 7 * 24 * 60 * 60
         }
@@ -146,88 +214,66 @@ async createProductEscrow({
 
         console.log("Transaction Created =================================================>")
 
-        console.log("QTY bEFORE",product.quantity)
-      // Step 7: Update product quantity
-      await product.decrement('quantity', { 
-        by: quantity,
-        transaction 
-      });
+      // Step 7: Hold the units until the escrow is funded or the order expires
+      await StockReservationService.reserve({
+        product,
+        variant,
+        orderId,
+        quantity,
+        expiresAt: order.expires_at
+      }, transaction);
+
+      // Step 8: Queue the escrow creation with the order so neither can exist
+      // without the other
+      const chainJob = await ChainJobService.enqueue({
+        type: ChainJobType.escrow_create,
+        key: orderId,
+        orderIds: [orderId],
+        chainId: networkConfig.chain.id,
+        payload: {
+          sellerAddress: product.seller.smartAccountAddress,
+          transactionId: dbTransaction.transaction_id,
+          releaseAfter: 7 * 24 * 60 * 60
+        }
+      }, transaction);
 
-      console.log("QTY AFTER",product.quantity)
+      // Step 9: Persist everything and release the row lock before going on
+      // chain; if the process dies from here the chain job worker finishes it
+      await transaction.commit();
 
+      // Step 10: Run the job now rather than waiting for the worker
+      const job = await this.chainJobs.execute(chainJob.id);
 
-      // Step 9: Execute blockchain transaction (outside DB transaction since it's external)
-      const executionResult = await this.paymentService.createEscrowPurchase({
-        encryptedPrivateKey: buyer.privateKey,
-        userId: buyer.id.toString(),
-        userPassword,
-        sellerAddress: product.seller.smartAccountAddress,
-        tokenSymbol,
-        amount: totalAmount,
+      const summary = {
+        success: true,
         orderId,
-        metadataUri,
-        releaseAfter: 7 * 24 * 60 * 60
-      });
-
-      if (!executionResult.success) {
-        // If blockchain fails, we need to rollback the order
-        await this.rollbackOrder(orderId, executionResult.error);
-        throw new Error(`Escrow creation failed: ${executionResult.error}`);
-      }
-
-    await transaction.commit();
-
-      const updateTransaction = await sequelize.transaction();
-      try {
-        await dbTransaction.update({
-          status: PaymentStatus.submitted,
-          escrow_address: executionResult.escrowAddress,
-          blockchain_tx_hash: executionResult.transactionHash,
-          user_op_hash: executionResult.userOpHash,
-          block_number: executionResult.blockNumber,
-          gas_used: executionResult.gasUsed,
-          submitted_at: new Date(),
-          metadata: {
-            ...dbTransaction.metadata,
-            escrowAddress: executionResult.escrowAddress
-          }
-        }, { transaction: updateTransaction });
-
-        await order.update({
-          escrow_address: executionResult.escrowAddress,
-          status: OrderStatus.paid,
-          paid_at: new Date()
-        }, { transaction: updateTransaction });
+        transactionId: dbTransaction.transaction_id,
+        amount: totalAmount,
+        tokenSymbol,
+        network: networkConfig.networkName,
+        chainId: networkConfig.chain.id
+      };
 
-        await updateTransaction.commit();
+      if (job.status === ChainJobStatus.failed) {
+        throw new Error(`Escrow creation failed: ${job.last_error}`);
+      }
 
-        return {
-          success: true,
-          orderId,
-          transactionId: dbTransaction.transaction_id,
-          escrowAddress: executionResult.escrowAddress,
-          amount: totalAmount,
-          tokenSymbol,
-          status: OrderStatus.paid
-        };
+      if (job.status === ChainJobStatus.completed && job.result.escrowUnverified) {
+        throw new Error(`Escrow verification failed: ${job.result.error}`);
+      }
 
-      } catch (updateError) {
-        await updateTransaction.rollback();
-        // Even if update fails, the blockchain transaction succeeded
-        // We can handle this gracefully or trigger a recovery process
-        console.log('Failed to update order after blockchain success:', updateError);
-        return {
-          success: true,
-          orderId,
-          transactionId: dbTransaction.transaction_id,
-          escrowAddress: executionResult.escrowAddress,
-          amount: totalAmount,
-          tokenSymbol,
-          status: 'paid_but_update_failed',
-          warning: 'Order created but status update failed'
-        };
+      if (job.status === ChainJobStatus.completed) {
+        return { ...summary, escrowAddress: job.result.escrowAddress, status: OrderStatus.paid };
       }
 
+      // Sent but not recorded yet, waiting for a retry, or the chain could not be read; the worker finishes it
+      return {
+        ...summary,
+        escrowAddress: job.result?.escrowAddress || null,
+        status: 'processing',
+        warning: 'Payment is being confirmed; the order will update shortly'
+      };
+
     } catch (error) {
       // Rollback the database transaction if anything fails
       if (transaction && !transaction.finished) {
@@ -244,12 +290,16 @@ async createProductEscrow({
   async releaseEscrow({
     buyerId,
     orderId,
-    userPassword
+    userPassword,
+    authorizationToken
   }) {
     const dbTransaction = await sequelize.transaction();
     let transactionRecord = null;
     
     try {
+      // Serializes release, refund and dispute requests for the order until commit
+      await this.lockOrder(orderId, dbTransaction);
+
       const order = await Order.findOne({ 
         where: { order_id: orderId },
         include: [{
@@ -272,10 +322,26 @@ async createProductEscrow({
         throw new Error('No escrow associated with this order');
       }
 
-      if (order.status !== OrderStatus.paid) {
-        throw new Error('Order is not in paid status');
+      const releasableStatuses = [OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered];
+      if (!releasableStatuses.includes(order.status)) {
+        throw new Error(`Order with status ${order.status} cannot be released`);
+      }
+
+      if (await UserOperationService.hasInProgress(orderId, TransactionType.escrow_release, dbTransaction)) {
+        throw new Error('A release is already in progress for this order');
       }
 
+      await TransactionAuthorizationService.consume({
+        token: authorizationToken,
+        userId: buyerId,
+        action: AuthorizedAction.release,
+        reference: orderId,
+        amount: order.amount,
+        tokenSymbol: order.token_symbol
+      }, dbTransaction);
+
+      const previousStatus = order.status;
+
       // Create release transaction record
       transactionRecord = await Transaction.create({
         transaction_id: this.generateTransactionId(),
@@ -284,11 +350,12 @@ async createProductEscrow({
         product_id: order.product_id,
         order_id: orderId,
         escrow_address: order.escrow_address,
-        token_address: this.paymentService.supportedTokens[order.token_symbol].address,
+        token_address: this.paymentFor(order).supportedTokens[order.token_symbol].address,
         token_symbol: order.token_symbol,
         amount: order.amount.toString(),
         transaction_type: TransactionType.escrow_release,
-        status: PaymentStatus.pending
+        status: PaymentStatus.pending,
+        metadata: { previous_status: previousStatus }
       }, { transaction: dbTransaction });
 
       await order.update({
@@ -297,7 +364,7 @@ async createProductEscrow({
 
       await dbTransaction.commit();
 
-      const executionResult = await this.paymentService.releaseEscrow({
+      const executionResult = await this.paymentFor(order).releaseEscrow({
         encryptedPrivateKey: order.buyer.privateKey,
         userId: buyerId.toString(),
         userPassword,
@@ -305,49 +372,120 @@ async createProductEscrow({
       });
 
       if (!executionResult.success) {
-        await this.rollbackOrderStatus(orderId, OrderStatus.paid);
+        await this.rollbackOrderStatus(orderId, previousStatus);
         throw new Error(`Escrow release failed: ${executionResult.error}`);
       }
 
-      const updateTransaction = await sequelize.transaction();
-      try {
-        await transactionRecord.update({
-          status: PaymentStatus.confirmed,
-          blockchain_tx_hash: executionResult.transactionHash,
-          user_op_hash: executionResult.userOpHash,
-          block_number: executionResult.blockNumber,
-          gas_used: executionResult.gasUsed,
-          submitted_at: new Date(),
-          confirmed_at: new Date()
-        }, { transaction: updateTransaction });
+      return this.trackSubmission(transactionRecord, order, buyerId, executionResult, {
+        action: 'released',
+        amount: order.amount
+      });
 
-        await order.update({
-          status: OrderStatus.completed,
-          completed_at: new Date()
-        }, { transaction: updateTransaction });
+    } catch (error) {
+      if (dbTransaction && !dbTransaction.finished) {
+        await dbTransaction.rollback();
+      }
+      console.error('Escrow release failed:', error);
+      throw new Error(`Release failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refund escrowed funds to the buyer at the seller's request
+   */
+  async refundEscrow({
+    sellerId,
+    orderId,
+    userPassword,
+    authorizationToken
+  }) {
+    const dbTransaction = await sequelize.transaction();
+    let transactionRecord = null;
 
-        await updateTransaction.commit();
+    try {
+      await this.lockOrder(orderId, dbTransaction);
 
-        return {
-          success: true,
-          transactionId: transactionRecord.transaction_id,
-          orderId,
-          action: 'released',
-          amount: order.amount
-        };
+      const order = await Order.findOne({
+        where: { order_id: orderId },
+        include: [{
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'privateKey']
+        }],
+        transaction: dbTransaction
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.seller_id !== sellerId.toString()) {
+        throw new Error('Only seller can refund this order');
+      }
+
+      if (!order.escrow_address) {
+        throw new Error('No escrow associated with this order');
+      }
+
+      const refundableStatuses = [OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered];
+      if (!refundableStatuses.includes(order.status)) {
+        throw new Error(`Order with status ${order.status} cannot be refunded`);
+      }
+
+      if (await UserOperationService.hasInProgress(orderId, TransactionType.escrow_refund, dbTransaction)) {
+        throw new Error('A refund is already in progress for this order');
+      }
+
+      await TransactionAuthorizationService.consume({
+        token: authorizationToken,
+        userId: sellerId,
+        action: AuthorizedAction.refund,
+        reference: orderId,
+        amount: order.amount,
+        tokenSymbol: order.token_symbol
+      }, dbTransaction);
+
+      const previousStatus = order.status;
+
+      transactionRecord = await Transaction.create({
+        transaction_id: this.generateTransactionId(),
+        sender_id: sellerId,
+        recipient_id: order.buyer_id,
+        product_id: order.product_id,
+        order_id: orderId,
+        escrow_address: order.escrow_address,
+        token_address: this.paymentFor(order).supportedTokens[order.token_symbol].address,
+        token_symbol: order.token_symbol,
+        amount: order.amount.toString(),
+        transaction_type: TransactionType.escrow_refund,
+        status: PaymentStatus.pending
+      }, { transaction: dbTransaction });
+
+      await dbTransaction.commit();
 
-      } catch (updateError) {
-        await updateTransaction.rollback();
-        console.error('Failed to update after release:', updateError);
-        throw new Error('Release completed but status update failed');
+      const executionResult = await this.paymentFor(order).sellerRefund({
+        encryptedPrivateKey: order.seller.privateKey,
+        userId: sellerId.toString(),
+        userPassword,
+        escrowAddress: order.escrow_address
+      });
+
+      if (!executionResult.success) {
+        await this.rollbackOrderStatus(orderId, previousStatus);
+        throw new Error(`Escrow refund failed: ${executionResult.error}`);
       }
 
+      return this.trackSubmission(transactionRecord, order, sellerId, executionResult, {
+        action: 'refunded',
+        amount: order.amount
+      });
+
     } catch (error) {
       if (dbTransaction && !dbTransaction.finished) {
         await dbTransaction.rollback();
       }
-      console.error('Escrow release failed:', error);
-      throw new Error(`Release failed: ${error.message}`);
+      console.error('Escrow refund failed:', error);
+      throw new Error(`Refund failed: ${error.message}`);
     }
   }
 
@@ -358,12 +496,15 @@ async createProductEscrow({
     userId,
     orderId,
     reason,
-    userPassword
+    userPassword,
+    authorizationToken
   }) {
     const dbTransaction = await sequelize.transaction();
     let transactionRecord = null;
     
     try {
+      await this.lockOrder(orderId, dbTransaction);
+
       const order = await Order.findOne({ 
         where: { order_id: orderId },
         include: [{
@@ -382,21 +523,35 @@ async createProductEscrow({
         throw new Error('Order not found');
       }
 
-      if (order.buyer_id !== userId && order.seller_id !== userId) {
+      const isBuyer = order.buyer_id === userId.toString();
+      if (!isBuyer && order.seller_id !== userId.toString()) {
         throw new Error('Only buyer or seller can raise dispute');
       }
 
-      const user = order.buyer_id === userId ? order.buyer : order.seller;
+      const user = isBuyer ? order.buyer : order.seller;
+
+      if (await UserOperationService.hasInProgress(orderId, TransactionType.escrow_dispute, dbTransaction)) {
+        throw new Error('A dispute is already in progress for this order');
+      }
+
+      await TransactionAuthorizationService.consume({
+        token: authorizationToken,
+        userId: userId,
+        action: AuthorizedAction.dispute,
+        reference: orderId,
+        amount: order.amount,
+        tokenSymbol: order.token_symbol
+      }, dbTransaction);
 
       // Create dispute transaction record
       transactionRecord = await Transaction.create({
         transaction_id: this.generateTransactionId(),
         sender_id: userId,
-        recipient_id: userId === order.buyer_id ? order.seller_id : order.buyer_id,
+        recipient_id: isBuyer ? order.seller_id : order.buyer_id,
         product_id: order.product_id,
         order_id: orderId,
         escrow_address: order.escrow_address,
-        token_address: this.paymentService.supportedTokens[order.token_symbol].address,
+        token_address: this.paymentFor(order).supportedTokens[order.token_symbol].address,
         token_symbol: order.token_symbol,
         amount: order.amount.toString(),
         transaction_type: 'escrow_dispute',
@@ -404,15 +559,12 @@ async createProductEscrow({
         metadata: { dispute_reason: reason }
       }, { transaction: dbTransaction });
 
-      // Update order status
-      await order.update({ 
-        status: 'dispute_pending' 
-      }, { transaction: dbTransaction });
+      const previousStatus = order.status;
 
       await dbTransaction.commit();
 
       // Execute blockchain dispute
-      const executionResult = await this.paymentService.raiseDispute({
+      const executionResult = await this.paymentFor(order).raiseDispute({
         encryptedPrivateKey: user.privateKey,
         userId: userId.toString(),
         userPassword,
@@ -421,41 +573,14 @@ async createProductEscrow({
       });
 
       if (!executionResult.success) {
-        await this.rollbackOrderStatus(orderId, 'paid');
+        await this.rollbackOrderStatus(orderId, previousStatus);
         throw new Error(`Dispute raise failed: ${executionResult.error}`);
       }
 
-      // Update with successful result
-      const updateTransaction = await sequelize.transaction();
-      try {
-        await transactionRecord.update({
-          status: 'disputed',
-          blockchain_tx_hash: executionResult.transactionHash,
-          user_op_hash: executionResult.userOpHash,
-          block_number: executionResult.blockNumber,
-          gas_used: executionResult.gasUsed,
-          submitted_at: new Date()
-        }, { transaction: updateTransaction });
-
-        await order.update({ 
-          status: 'disputed' 
-        }, { transaction: updateTransaction });
-
-        await updateTransaction.commit();
-
-        return {
-          success: true,
-          transactionId: transactionRecord.transaction_id,
-          orderId,
-          action: 'dispute_raised',
-          reason
-        };
-
-      } catch (updateError) {
-        await updateTransaction.rollback();
-        console.error('Failed to update after dispute:', updateError);
-        throw new Error('Dispute raised but status update failed');
-      }
+      return this.trackSubmission(transactionRecord, order, userId, executionResult, {
+        action: 'dispute_raised',
+        reason
+      });
 
     } catch (error) {
       if (dbTransaction && !dbTransaction.finished) {
@@ -466,30 +591,322 @@ async createProductEscrow({
     }
   }
 
-  // Helper methods for rollback operations
-  async rollbackOrder(orderId, error) {
-    const transaction = await sequelize.transaction();
+  /**
+   * Hand a submitted UserOperation to the tracker and answer the request
+   * without waiting for it to be included
+   */
+  async trackSubmission(transactionRecord, order, signerId, executionResult, summary) {
     try {
-      // Delete the transaction record
-      await Transaction.destroy({
-        where: { order_id: orderId },
-        transaction
+      await UserOperationService.track({
+        transactionRecord,
+        chainId: order.chain_id,
+        signerId,
+        submission: executionResult
       });
+    } catch (trackError) {
+      // The operation is out either way; the indexer confirms it from the contract event
+      console.error(`Failed to track UserOperation ${executionResult.userOpHash}:`, trackError);
+    }
 
-      // Delete the order
-      await Order.destroy({
-        where: { order_id: orderId },
+    return {
+      success: true,
+      transactionId: transactionRecord.transaction_id,
+      orderId: order.order_id,
+      status: PaymentStatus.submitted,
+      userOpHash: executionResult.userOpHash,
+      ...summary
+    };
+  }
+
+  /**
+   * UserOperationService handler for buyer releases. The order was moved to
+   * delivered when the release was sent; a release that never lands puts it back.
+   */
+  releaseOperationHandler() {
+    return {
+      confirmed: async (transactionRecord, receipt, transaction) => {
+        const order = await this.lockOrder(transactionRecord.order_id, transaction);
+        if (order.status !== OrderStatus.completed) {
+          await order.update({
+            status: OrderStatus.completed,
+            completed_at: order.completed_at || new Date()
+          }, { transaction });
+        }
+        await WebhookService.emitOrderEvent(WebhookEvent.order_released, order, transaction);
+        await NotificationService.notifyOrder(NotificationType.funds_released, order, transaction);
+      },
+      failed: async (transactionRecord, reason, transaction) => {
+        const order = await this.lockOrder(transactionRecord.order_id, transaction);
+        if (order.status === OrderStatus.delivered) {
+          await order.update({
+            status: transactionRecord.metadata?.previous_status || OrderStatus.paid
+          }, { transaction });
+        }
+      }
+    };
+  }
+
+  /**
+   * UserOperationService handler for seller refunds. The order keeps its
+   * status until the refund lands.
+   */
+  refundOperationHandler() {
+    return {
+      confirmed: async (transactionRecord, receipt, transaction) => {
+        const order = await this.lockOrder(transactionRecord.order_id, transaction);
+        // The indexer may have marked it refunded already, but only this path returns the stock
+        if (order.status !== OrderStatus.refunded) {
+          await order.update({
+            status: OrderStatus.refunded,
+            cancelled_at: new Date()
+          }, { transaction });
+        }
+        await this.restoreOrderStock(order, transaction);
+        await WebhookService.emitOrderEvent(WebhookEvent.order_refunded, order, transaction);
+      },
+      failed: async () => {}
+    };
+  }
+
+  /**
+   * UserOperationService handler for disputes raised by the buyer or seller
+   */
+  disputeOperationHandler() {
+    return {
+      confirmed: async (transactionRecord, receipt, transaction) => {
+        const order = await this.lockOrder(transactionRecord.order_id, transaction);
+        if ([OrderStatus.paid, OrderStatus.shipped, OrderStatus.delivered].includes(order.status)) {
+          await order.update({ status: OrderStatus.disputed }, { transaction });
+          await ProductDeliveryService.markOrderDisputed(order.order_id, transaction);
+        }
+        if (order.status === OrderStatus.disputed) {
+          await WebhookService.emitOrderEvent(WebhookEvent.order_disputed, order, transaction);
+          await NotificationService.notifyOrder(NotificationType.dispute_opened, order, transaction);
+        }
+      },
+      failed: async () => {}
+    };
+  }
+
+  async lockOrder(orderId, transaction) {
+    return Order.findOne({
+      where: { order_id: orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+  }
+
+  /**
+   * Chain job handler that funds a direct purchase's escrow
+   */
+  escrowCreateJobHandler() {
+    return {
+      reconcile: job => this.findOrderEscrow(job),
+      perform: job => this.performEscrowCreate(job),
+      complete: (job, result, transaction) => this.recordEscrowCreated({
+        orderId: job.order_ids[0],
+        transactionId: job.payload.transactionId
+      }, result, transaction),
+      fail: (job, error, transaction) => this.cancelUnfundedOrder(job.order_ids[0], error.message, transaction)
+    };
+  }
+
+  async findOrderEscrow(job) {
+    const escrowAddress = await GaslessPaymentService.forNetwork(job.chain_id).findEscrowForOrder(job.order_ids[0]);
+    return escrowAddress ? { escrowAddress, reconciled: true } : null;
+  }
+
+  async performEscrowCreate(job) {
+    const [orderId] = job.order_ids;
+    const order = await Order.findOne({ where: { order_id: orderId } });
+
+    if (!order || order.status !== OrderStatus.pending) {
+      throw ChainJobService.notSent(`Order ${orderId} is no longer awaiting payment`);
+    }
+    if (order.expires_at && order.expires_at < new Date()) {
+      throw ChainJobService.notSent('Stock reservation expired before payment');
+    }
+
+    const buyer = await User.findByPk(order.buyer_id);
+
+    const executionResult = await GaslessPaymentService.forNetwork(job.chain_id).createEscrowPurchase({
+      encryptedPrivateKey: buyer.privateKey,
+      userId: buyer.id.toString(),
+      userPassword: buyer.password,
+      sellerAddress: job.payload.sellerAddress,
+      tokenSymbol: order.token_symbol,
+      amount: order.amount,
+      orderId,
+      metadataUri: order.metadata_uri,
+      releaseAfter: job.payload.releaseAfter
+    });
+
+    // An unverified escrow is on chain, so it is recorded rather than failed
+    if (!executionResult.success && !executionResult.escrowUnverified) {
+      throw new Error(executionResult.error);
+    }
+
+    return executionResult;
+  }
+
+  /**
+   * Record an escrow creation that reached the chain, verified or not
+   * @param {object} target - { orderId, transactionId } of the escrow_create transaction
+   * @param {object} result - Execution result with escrowAddress, or escrowUnverified and error
+   */
+  async recordEscrowCreated({ orderId, transactionId }, result, transaction) {
+    const order = await Order.findOne({
+      where: { order_id: orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const transactionRecord = await Transaction.findOne({
+      where: { transaction_id: transactionId },
+      transaction
+    });
+
+    if (result.escrowUnverified) {
+      // Funds left the buyer's account but the escrow address could not be
+      // confirmed. Keep the order (unpaid) so it can be reconciled.
+      await transactionRecord.update({
+        status: PaymentStatus.failed,
+        blockchain_tx_hash: result.transactionHash,
+        user_op_hash: result.userOpHash,
+        block_number: result.blockNumber,
+        gas_used: result.gasUsed,
+        failed_at: new Date(),
+        failure_reason: result.error
+      }, { transaction });
+
+      await order.update({
+        metadata: { ...order.metadata, escrowVerificationError: result.error }
+      }, { transaction });
+      return;
+    }
+
+    // The indexer may already have confirmed it; never move a transaction backwards
+    if ([PaymentStatus.pending, PaymentStatus.failed, PaymentStatus.cancelled].includes(transactionRecord.status)) {
+      await transactionRecord.update({
+        status: PaymentStatus.submitted,
+        escrow_address: result.escrowAddress,
+        blockchain_tx_hash: result.transactionHash || transactionRecord.blockchain_tx_hash,
+        user_op_hash: result.userOpHash || transactionRecord.user_op_hash,
+        block_number: result.blockNumber || transactionRecord.block_number,
+        gas_used: result.gasUsed || transactionRecord.gas_used,
+        submitted_at: new Date(),
+        failed_at: null,
+        failure_reason: null,
+        metadata: {
+          ...transactionRecord.metadata,
+          escrowAddress: result.escrowAddress,
+          ...(result.reconciled ? { reconciled: true } : {})
+        }
+      }, { transaction });
+    }
+
+    const updates = { escrow_address: result.escrowAddress };
+    // A cancelled order can still be funded if it was given up on while the
+    // UserOperation was in flight
+    if ([OrderStatus.pending, OrderStatus.cancelled].includes(order.status)) {
+      updates.status = OrderStatus.paid;
+      updates.paid_at = order.paid_at || new Date();
+      updates.cancelled_at = null;
+    }
+    await order.update(updates, { transaction });
+
+    await StockReservationService.commitForOrder(orderId, transaction);
+
+    if (order.status === OrderStatus.paid) {
+      await WebhookService.emitOrderEvent(WebhookEvent.order_paid, order, transaction);
+      await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, transaction);
+    }
+  }
+
+  /**
+   * Cancel an order whose escrow was never created and free its units. The
+   * order is kept so a UserOperation that lands late still finds it.
+   * @returns {Promise<boolean>} Whether the order was cancelled
+   */
+  async cancelUnfundedOrder(orderId, reason, transaction) {
+    const order = await Order.findOne({
+      where: { order_id: orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order || order.status !== OrderStatus.pending) {
+      return false;
+    }
+
+    await StockReservationService.releaseForOrder(orderId, reason, transaction);
+
+    await order.update({
+      status: OrderStatus.cancelled,
+      cancelled_at: new Date(),
+      metadata: { ...order.metadata, cancellation_reason: reason }
+    }, { transaction });
+
+    await Transaction.update({
+      status: PaymentStatus.failed,
+      failed_at: new Date(),
+      failure_reason: reason
+    }, {
+      where: { order_id: orderId, status: PaymentStatus.pending },
+      transaction
+    });
+
+    return true;
+  }
+
+  /**
+   * Return refunded units to stock, reactivating sold-out products. Units of
+   * a variant go back to the variant as well as the product total.
+   */
+  async restoreProductQuantity(productId, quantity, transaction, variantId = null) {
+    const product = await Product.findByPk(productId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      return;
+    }
+
+    const restoredQuantity = parseInt(product.quantity) + parseInt(quantity);
+    await product.update({
+      quantity: restoredQuantity,
+      status: product.status === ProductStatus.sold_out ? ProductStatus.active : product.status
+    }, { transaction });
+
+    if (variantId) {
+      const variant = await ProductVariant.findByPk(variantId, {
+        lock: transaction.LOCK.UPDATE,
         transaction
       });
 
-      // Note: We don't rollback product quantity here since it's already committed
-      // In production, you might want a more sophisticated recovery mechanism
+      if (variant) {
+        await variant.update({ quantity: parseInt(variant.quantity) + parseInt(quantity) }, { transaction });
+      }
+    }
+  }
 
-      await transaction.commit();
-      console.log(`Rolled back order ${orderId} due to: ${error}`);
-    } catch (rollbackError) {
-      await transaction.rollback();
-      console.error(`Failed to rollback order ${orderId}:`, rollbackError);
+  /**
+   * Return every unit of an order to stock. Cart orders list their products in
+   * order_items; single-product orders fall back to product_id/quantity.
+   */
+  async restoreOrderStock(order, transaction) {
+    const items = await OrderItem.findAll({
+      where: { order_id: order.order_id },
+      transaction
+    });
+
+    if (items.length === 0) {
+      await this.restoreProductQuantity(order.product_id, order.quantity, transaction, order.variant_id);
+      return;
+    }
+
+    for (const item of items) {
+      await this.restoreProductQuantity(item.product_id, item.quantity, transaction, item.variant_id);
     }
   }
 
@@ -523,10 +940,20 @@ async createProductEscrow({
 
   /**
    * Get escrow details
+   * @param {string|number} network - Chain to read from; worked out from the
+   *   order holding the escrow when omitted
    */
-  async getEscrowDetails(escrowAddress) {
+  async getEscrowDetails(escrowAddress, network = null) {
     try {
-      return await this.paymentService.getEscrowDetails(escrowAddress);
+      if (network === null) {
+        const order = await Order.findOne({
+          where: { escrow_address: { [Op.iLike]: escrowAddress } },
+          attributes: ['chain_id']
+        });
+        network = order?.chain_id ?? null;
+      }
+
+      return await GaslessPaymentService.forNetwork(network).getEscrowDetails(escrowAddress);
     } catch (error) {
       throw new Error(`Failed to get escrow details: ${error.message}`);
     }
@@ -570,7 +997,7 @@ async createProductEscrow({
 
       let escrowDetails = null;
       if (order.escrow_address) {
-        escrowDetails = await this.getEscrowDetails(order.escrow_address);
+        escrowDetails = await this.getEscrowDetails(order.escrow_address, order.chain_id);
       }
 
       return {
@@ -578,6 +1005,8 @@ async createProductEscrow({
           id: order.order_id,
           amount: order.amount,
           tokenSymbol: order.token_symbol,
+          chainId: order.chain_id,
+          network: this.paymentFor(order).networkConfig.networkName,
           quantity: order.quantity,
           status: order.status,
           createdAt: order.createdAt,
@@ -610,28 +1039,44 @@ async createProductEscrow({
     return `TXN-${timestamp}-${random}`.toUpperCase();
   }
 
-async getUserTokenBalances(userId) {
+  /**
+   * Token balances of a user's smart account on every enabled network
+   */
+  async getUserTokenBalances(userId) {
     try {
       const user = await User.findByPk(userId);
 
-      console.log(user, userId);
       if (!user || !user.smartAccountAddress) {
         throw new Error('User or smart account not found');
       }
 
-      const balances = await this.paymentService.getAllTokenBalances(user.smartAccountAddress);
-      
-      const totalUSD = balances.reduce((sum, balance) => {
-        const usdValue = parseFloat(balance.formatted) * (balance.symbol === 'USDC' ? 1 : 1); // Mock USD rate
-        return sum + usdValue;
-      }, 0);
+      const networks = await Promise.all(getEnabledNetworks().map(async networkConfig => {
+        const paymentService = GaslessPaymentService.forNetwork(networkConfig.networkName);
+        const balances = await paymentService.getAllTokenBalances(user.smartAccountAddress);
+
+        const valuedBalances = await Promise.all(balances.map(async balance => {
+          try {
+            const usdValue = await PriceOracleService.toUsd(balance.formatted, balance.symbol);
+            return { ...balance, usdValue: usdValue.toFixed(2) };
+          } catch (error) {
+            console.warn(`Could not value ${balance.symbol} balance on ${networkConfig.networkName}:`, error.message);
+            return { ...balance, usdValue: null };
+          }
+        }));
+
+        return {
+          ...paymentService.getNetworkInfo(),
+          totalUSD: this.sumUsd(valuedBalances).toFixed(2),
+          balances: valuedBalances
+        };
+      }));
+
+      const balances = networks.flatMap(network => network.balances);
 
       return {
-        totalUSD: totalUSD.toFixed(2),
-        balances: balances.map(balance => ({
-          ...balance,
-          usdValue: (parseFloat(balance.formatted) * (balance.symbol === 'USDC' ? 1 : 1)).toFixed(2)
-        })),
+        totalUSD: this.sumUsd(balances).toFixed(2),
+        balances,
+        networks,
         smartAccountAddress: user.smartAccountAddress,
         networkInfo: this.paymentService.getNetworkInfo()
       };
@@ -640,6 +1085,12 @@ async getUserTokenBalances(userId) {
     }
   }
 
+  sumUsd(balances) {
+    return balances.reduce((sum, balance) => {
+      return sum + (balance.usdValue === null ? 0 : parseFloat(balance.usdValue));
+    }, 0);
+  }
+
 }
 
 export default EscrowTransactionService;
\ No newline at end of file
@@ -1,26 +1,57 @@
-import { createPublicClient, http, getContract, encodePacked, hexToBigInt } from 'viem';
+import { createPublicClient, createWalletClient, http, getContract, encodeFunctionData, encodePacked, hexToBigInt, parseEventLogs, isAddressEqual, zeroAddress } from 'viem';
 import { erc20Abi } from 'viem';
-import { createBundlerClient } from 'viem/account-abstraction';
+import {
+  createBundlerClient,
+  entryPoint07Abi,
+  entryPoint07Address,
+  UserOperationNotFoundError,
+  UserOperationReceiptNotFoundError
+} from 'viem/account-abstraction';
 import { privateKeyToAccount } from 'viem/accounts';
 import { toCircleSmartAccount } from '@circle-fin/modular-wallets-core';
-import { getCurrentNetworkConfig, getTokenConfig } from '../config/networks.js';
+import { getCurrentNetworkConfig, getNetworkConfig, getTokenConfig } from '../config/networks.js';
 import { signPermit } from '../utils/paymaster-permit.js';
 import SmartAccountService from './SmartAccountService.js';
 import { ethers } from 'ethers';
 import EscrowFactoryABI from '../abis/EscrowFactory.json' with { type: 'json' };
 import EscrowImplementationABI from '../abis/EscrowImplementation.json' with { type: 'json' };
-import EncryptionService from './EncryptionService.js';
 import { OrderStatus } from '../utils/types.js';
 
+const instances = new Map();
+
+/**
+ * Gasless escrow payments on one network. Each network has its own RPC,
+ * bundler, paymaster and escrow factory (see config/networks.js); the
+ * global ESCROW_FACTORY_ADDRESS / PAYMASTER_V07_ADDRESS apply where a network
+ * sets none. Use `forNetwork` to get the shared instance for an order's chain.
+ */
 class GaslessPaymentService {
-  constructor() {
-    this.networkConfig = getCurrentNetworkConfig();
+  /**
+   * @param {string|number} network - Network name or chain id; the selected network when omitted
+   */
+  constructor(network = null) {
+    this.networkConfig = network === null ? getCurrentNetworkConfig() : getNetworkConfig(network);
     this.chain = this.networkConfig.chain;
     this.supportedTokens = this.networkConfig.tokens;
+    this.bundlerUrl = this.networkConfig.bundlerUrl;
     
-    this.escrowFactoryAddress = process.env.ESCROW_FACTORY_ADDRESS || '0xFAFE1410d0BdfCF3892eDc3E1D43d14A503ed022';
+    this.escrowFactoryAddress = this.networkConfig.escrowFactoryAddress || process.env.ESCROW_FACTORY_ADDRESS || '0xFAFE1410d0BdfCF3892eDc3E1D43d14A503ed022';
     this.escrowImplementationAddress = process.env.ESCROW_IMPLEMENTATION_ADDRESS || '0x10027eD558656253A105F34C6316741A1C66079C';
-    this.paymasterAddress = process.env.PAYMASTER_V07_ADDRESS || '0x31BE08D380A21fc740883c0BC434FcFc88740b58';
+    this.paymasterAddress = this.networkConfig.paymasterAddress || process.env.PAYMASTER_V07_ADDRESS || '0x31BE08D380A21fc740883c0BC434FcFc88740b58';
+  }
+
+  /**
+   * Shared instance for a network, by name or chain id
+   */
+  static forNetwork(network = null) {
+    const networkName = network === null
+      ? getCurrentNetworkConfig().networkName
+      : getNetworkConfig(network).networkName;
+
+    if (!instances.has(networkName)) {
+      instances.set(networkName, new GaslessPaymentService(networkName));
+    }
+    return instances.get(networkName);
   }
 
   async checkTokenBalance(userAddress, tokenSymbol) {
@@ -51,7 +82,13 @@ class GaslessPaymentService {
     }
   }
 
-  async createPaymaster(account, client, tokenConfig) {
+  /**
+   * Paymaster that takes gas in the token of `tokenConfig`, authorised by a
+   * permit the account signs for each operation
+   */
+  createPaymaster(account, client, tokenConfig) {
+    const paymasterAddress = this.paymasterAddress;
+
     return {
       async getPaymasterData() {
         try {
@@ -61,18 +98,18 @@ class GaslessPaymentService {
             tokenAddress: tokenConfig.address,
             account,
             client,
-            spenderAddress: this.paymasterAddress,
+            spenderAddress: paymasterAddress,
             permitAmount,
           });
 
           return {
-            paymaster: this.paymasterAddress,
+            paymaster: paymasterAddress,
             paymasterData: encodePacked(
               ["uint8", "address", "uint256", "bytes"],
               [0, tokenConfig.address, permitAmount, permitSignature]
             ),
             paymasterVerificationGasLimit: 200000n,
-            paymasterPostOpGasLimit: 15000n,
+            paymasterPostOpGasLimit: 150000n,
             isFinal: true,
           };
         } catch (error) {
@@ -83,111 +120,24 @@ class GaslessPaymentService {
     };
   }
 
-  async estimateTransactionFees(tokenSymbol, amount) {
-    try {
-      const tokenConfig = getTokenConfig(this.networkConfig.networkName, tokenSymbol);
-      
-      return {
-        networkFee: {
-          amount: "0",
-          symbol: "ETH",
-          usd: "0.00",
-          description: "Gas fees covered by paymaster"
-        },
-        platformFee: {
-          amount: (parseFloat(amount) * 0.01).toFixed(6), // 1% platform fee
-          symbol: tokenSymbol.toUpperCase(),
-          percentage: "1.0%"
-        },
-        totalCost: "0.00", // User pays $0 in gas
-        estimatedTime: "30-90 seconds",
-        gasless: true,
-        network: this.networkConfig.networkName,
-        chainId: this.chain.id
-      };
-    } catch (error) {
-      throw new Error(`Fee estimation failed: ${error.message}`);
-    }
-  }
-
-  async getAllTokenBalances(userAddress) {
-    try {
-      const balances = [];
-      
-      for (const [symbol, config] of Object.entries(this.supportedTokens)) {
-        try {
-          const balance = await this.checkTokenBalance(userAddress, symbol);
-          balances.push({
-            ...balance,
-            tokenAddress: config.address,
-            network: this.networkConfig.networkName
-          });
-        } catch (error) {
-          console.warn(`Failed to fetch ${symbol} balance:`, error.message);
-          balances.push({
-            raw: "0",
-            formatted: "0",
-            decimals: config.decimals,
-            symbol: symbol,
-            tokenAddress: config.address,
-            network: this.networkConfig.networkName,
-            error: error.message
-          });
-        }
-      }
-      
-      return balances;
-    } catch (error) {
-      throw new Error(`Failed to fetch token balances: ${error.message}`);
-    }
-  }
-
-  validateTransactionParams({
-    recipientAddress,
-    tokenSymbol,
-    amount,
-    encryptedPrivateKey,
-    userId
-  }) {
-    const errors = [];
-
-    // Validate recipient address
-    if (!recipientAddress || !/^0x[a-fA-F0-9]{40}$/.test(recipientAddress)) {
-      errors.push('Invalid recipient address');
-    }
-
-    // Validate token symbol
-    if (!tokenSymbol || !this.supportedTokens[tokenSymbol.toUpperCase()]) {
-      errors.push(`Unsupported token: ${tokenSymbol}`);
-    }
-
-    // Validate amount
-    if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-      errors.push('Invalid amount');
-    }
-
-    // Validate required fields
-    if (!encryptedPrivateKey || !userId) {
-      errors.push('Missing required authentication data');
-    }
-
-    if (errors.length > 0) {
-      throw new Error(`Validation failed: ${errors.join(', ')}`);
-    }
-
-    return true;
-  }
+  /**
+   * Bundler client that sends the account's operations through the token
+   * paymaster at the bundler's current gas price. Every operation, including
+   * a replacement, is sent through one of these so all carry the same
+   * paymaster data and gas limits.
+   */
+  createUserOperationClient(account, client, tokenConfig) {
+    const bundlerClient = createBundlerClient({
+      account,
+      client,
+      paymaster: this.createPaymaster(account, client, tokenConfig),
+      userOperation: {
+        estimateFeesPerGas: () => this.getUserOperationGasPrice(bundlerClient),
+      },
+      transport: http(this.bundlerUrl),
+    });
 
-  getNetworkInfo() {
-    return {
-      networkName: this.networkConfig.networkName,
-      chainId: this.chain.id,
-      chainName: this.chain.name,
-      isTestnet: this.networkConfig.isTestnet,
-      supportedTokens: Object.keys(this.supportedTokens),
-      rpcUrl: this.networkConfig.rpcUrl,
-      blockExplorer: this.chain.blockExplorers?.default?.url
-    };
+    return bundlerClient;
   }
 
   /**
@@ -230,251 +180,720 @@ async createEscrowPurchase({
       throw new Error(`Insufficient ${tokenSymbol} balance. Required: ${amount}, Available: ${balance.formatted}`);
     }
 
-    // Store paymasterAddress in a local variable to avoid 'this' context issues
-    const paymasterAddress = this.paymasterAddress;
-    const pimlicoApiKey = process.env.PIMLICO_API_KEY;
+    const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
+
+    // STEP 1: Check and grant approval if needed
+    console.log('Checking token approval for escrow factory...');
+    const approvalResult = await this.ensureTokenApproval({
+      bundlerClient,
+      account,
+      tokenConfig,
+      tokenAddress: tokenConfig.address,
+      spenderAddress: this.escrowFactoryAddress,
+      amount: amountInWei
+    });
+
+    if (!approvalResult.success) {
+      throw new Error(`Token approval failed: ${approvalResult.error}`);
+    }
+
+    console.log('Token approval confirmed, creating escrow...');
+
+    // STEP 2: Create escrow via factory
+    console.log('Creating escrow with factory:', this.escrowFactoryAddress);
+    const userOpHash = await bundlerClient.sendUserOperation({
+      account,
+      calls: [{
+        to: this.escrowFactoryAddress,
+        abi: EscrowFactoryABI,
+        functionName: "createEscrow",
+        args: [
+          orderId,
+          sellerAddress,
+          tokenConfig.address,
+          amountInWei,
+          metadataUri,
+          releaseAfter
+        ],
+        chain: this.chain
+      }],
+    });
+
+    console.log('User operation submitted:', userOpHash);
+
+    const receipt = await bundlerClient.waitForUserOperationReceipt({
+      hash: userOpHash
+    });
+
+    console.log('User operation completed:', receipt);
+
+    if (!receipt.success) {
+      throw new Error(`Escrow creation reverted: ${receipt.reason || 'unknown reason'}`);
+    }
+
+    // The escrow exists on chain from here on; a verification failure must not
+    // be treated like a failed purchase, so report it separately.
+    let escrowAddress;
+    try {
+      escrowAddress = await this.verifyEscrowCreation({
+        client,
+        logs: receipt.logs,
+        orderId,
+        buyerAddress: account.address,
+        sellerAddress,
+        tokenAddress: tokenConfig.address,
+        amount: amountInWei
+      });
+    } catch (verificationError) {
+      console.error('Escrow verification failed:', verificationError);
+      return {
+        success: false,
+        escrowUnverified: true,
+        error: verificationError.message,
+        transactionHash: receipt.receipt.transactionHash,
+        userOpHash: userOpHash,
+        blockNumber: receipt.receipt.blockNumber.toString(),
+        gasUsed: receipt.receipt.gasUsed.toString()
+      };
+    }
+
+    console.log("escrow Address", escrowAddress)
+
+    return {
+      success: true,
+      transactionHash: receipt.receipt.transactionHash,
+      userOpHash: userOpHash,
+      escrowAddress: escrowAddress,
+      blockNumber: receipt.receipt.blockNumber.toString(),
+      gasUsed: receipt.receipt.gasUsed.toString(),
+      orderId: orderId,
+      amount: amount.toString(),
+      tokenSymbol: tokenSymbol.toUpperCase()
+    };
+
+  } catch (error) {
+    console.error("Escrow creation failed:", error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+  /**
+   * Create several escrows from one buyer in a single UserOperation. The token
+   * approval (if needed) and every createEscrow call share the operation, so
+   * either all escrows are funded or none are.
+   * @param {Array} escrows - [{ orderId, sellerAddress, amount, metadataUri }]
+   * @returns {Promise<object>} { success, transactionHash, userOpHash, escrows: [{ orderId, escrowAddress } | { orderId, error }] }
+   */
+  async createEscrowPurchaseBatch({
+    encryptedPrivateKey,
+    userId,
+    userPassword,
+    tokenSymbol,
+    escrows,
+    releaseAfter = 7 * 24 * 60 * 60
+  }) {
+    try {
+      const userPrivateKey = await SmartAccountService.decryptUserPrivateKey(
+        encryptedPrivateKey,
+        userId,
+        userPassword
+      );
+
+      const tokenConfig = getTokenConfig(this.networkConfig.networkName, tokenSymbol);
+      const escrowAmounts = escrows.map(escrow => ({
+        ...escrow,
+        amountInWei: ethers.parseUnits(escrow.amount.toString(), tokenConfig.decimals)
+      }));
+      const totalInWei = escrowAmounts.reduce((sum, escrow) => sum + escrow.amountInWei, 0n);
+
+      const client = createPublicClient({
+        chain: this.chain,
+        transport: http(this.networkConfig.rpcUrl)
+      });
+
+      const owner = privateKeyToAccount(userPrivateKey);
+      const account = await toCircleSmartAccount({ client, owner });
+
+      const balance = await this.checkTokenBalance(account.address, tokenSymbol);
+      const balanceInWei = ethers.parseUnits(balance.formatted, tokenConfig.decimals);
+
+      if (balanceInWei < totalInWei) {
+        throw new Error(`Insufficient ${tokenSymbol} balance. Required: ${ethers.formatUnits(totalInWei, tokenConfig.decimals)}, Available: ${balance.formatted}`);
+      }
+
+      const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
+
+      const calls = [];
+
+      const allowance = await client.readContract({
+        address: tokenConfig.address,
+        abi: erc20Abi,
+        functionName: 'allowance',
+        args: [account.address, this.escrowFactoryAddress]
+      });
+
+      if (BigInt(allowance) < totalInWei) {
+        calls.push({
+          to: tokenConfig.address,
+          abi: erc20Abi,
+          functionName: 'approve',
+          args: [this.escrowFactoryAddress, totalInWei],
+          chain: this.chain
+        });
+      }
+
+      for (const escrow of escrowAmounts) {
+        calls.push({
+          to: this.escrowFactoryAddress,
+          abi: EscrowFactoryABI,
+          functionName: 'createEscrow',
+          args: [
+            escrow.orderId,
+            escrow.sellerAddress,
+            tokenConfig.address,
+            escrow.amountInWei,
+            escrow.metadataUri,
+            releaseAfter
+          ],
+          chain: this.chain
+        });
+      }
+
+      const userOpHash = await bundlerClient.sendUserOperation({ account, calls });
+
+      const receipt = await bundlerClient.waitForUserOperationReceipt({
+        hash: userOpHash
+      });
+
+      if (!receipt.success) {
+        throw new Error(`Batched escrow creation reverted: ${receipt.reason || 'unknown reason'}`);
+      }
 
-    const paymaster = {
-      async getPaymasterData(parameters) {
+      // Every escrow exists on chain from here on; verification failures are
+      // reported per order rather than failing the whole batch.
+      const results = [];
+      for (const escrow of escrowAmounts) {
         try {
-          const permitAmount = ethers.parseUnits('10', tokenConfig.decimals);
-          
-          console.log(`Creating permit for amount: ${permitAmount.toString()}`);
-          console.log(`Using paymaster address: ${paymasterAddress}`);
-          
-          const permitSignature = await signPermit({
-            tokenAddress: tokenConfig.address,
-            account,
+          const escrowAddress = await this.verifyEscrowCreation({
             client,
-            spenderAddress: paymasterAddress,
-            permitAmount
+            logs: receipt.logs,
+            orderId: escrow.orderId,
+            buyerAddress: account.address,
+            sellerAddress: escrow.sellerAddress,
+            tokenAddress: tokenConfig.address,
+            amount: escrow.amountInWei
           });
-
-          return {
-            paymaster: paymasterAddress,
-            paymasterData: encodePacked(
-              ["uint8", "address", "uint256", "bytes"],
-              [0, tokenConfig.address, permitAmount, permitSignature]
-            ),
-            paymasterVerificationGasLimit: 200000n,
-            paymasterPostOpGasLimit: 150000n,
-            isFinal: true,
-          };
-        } catch (error) {
-          console.error('Paymaster data creation failed:', error);
-          throw new Error(`Paymaster setup failed: ${error.message}`);
+          results.push({ orderId: escrow.orderId, escrowAddress });
+        } catch (verificationError) {
+          console.error(`Escrow verification failed for ${escrow.orderId}:`, verificationError);
+          results.push({ orderId: escrow.orderId, error: verificationError.message });
         }
-      },
+      }
+
+      return {
+        success: true,
+        transactionHash: receipt.receipt.transactionHash,
+        userOpHash: userOpHash,
+        blockNumber: receipt.receipt.blockNumber.toString(),
+        gasUsed: receipt.receipt.gasUsed.toString(),
+        tokenSymbol: tokenSymbol.toUpperCase(),
+        escrows: results
+      };
+
+    } catch (error) {
+      console.error("Batched escrow creation failed:", error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Release escrow funds to seller
+   */
+  async releaseEscrow({
+    encryptedPrivateKey,
+    userId,
+    userPassword,
+    escrowAddress
+  }) {
+    try {
+      const userPrivateKey = await SmartAccountService.decryptUserPrivateKey(
+        encryptedPrivateKey,
+        userId,
+        userPassword
+      );
+
+      const client = createPublicClient({
+        chain: this.chain,
+        transport: http(this.networkConfig.rpcUrl)
+      });
+
+      const owner = privateKeyToAccount(userPrivateKey);
+      const account = await toCircleSmartAccount({ client, owner });
+
+      // Get token info from escrow
+      const escrowContract = getContract({
+        address: escrowAddress,
+        abi: EscrowImplementationABI,
+        client
+      });
+
+      const tokenAddress = await escrowContract.read.token();
+      const tokenConfig = Object.values(this.supportedTokens).find(t => 
+        t.address.toLowerCase() === tokenAddress.toLowerCase()
+      );
+
+      if (!tokenConfig) {
+        throw new Error('Token not supported for gasless transactions');
+      }
+
+      const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
+
+      // The receipt is picked up by UserOperationService, not waited for here
+      const submission = await this.submitUserOperation({
+        bundlerClient,
+        account,
+        calls: [{
+          to: escrowAddress,
+          abi: EscrowImplementationABI,
+          functionName: "buyerRelease",
+          args: []
+        }]
+      });
+
+      return {
+        success: true,
+        ...submission,
+        escrowAddress: escrowAddress,
+        action: OrderStatus.delivered
+      };
+
+    } catch (error) {
+      console.error("Escrow release failed:", error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Refund escrowed funds to the buyer (seller-initiated)
+   */
+  async sellerRefund({
+    encryptedPrivateKey,
+    userId,
+    userPassword,
+    escrowAddress
+  }) {
+    try {
+      const result = await this.executeEscrowCall({
+        encryptedPrivateKey,
+        userId,
+        userPassword,
+        escrowAddress,
+        functionName: 'sellerRefund',
+        args: []
+      });
+
+      return {
+        ...result,
+        action: OrderStatus.refunded
+      };
+    } catch (error) {
+      console.error("Seller refund failed:", error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send a gasless UserOperation calling `functionName` on an escrow from the
+   * user's smart account, paying gas in the escrow's token via the paymaster.
+   */
+  async executeEscrowCall({
+    encryptedPrivateKey,
+    userId,
+    userPassword,
+    escrowAddress,
+    functionName,
+    args = []
+  }) {
+    const userPrivateKey = await SmartAccountService.decryptUserPrivateKey(
+      encryptedPrivateKey,
+      userId,
+      userPassword
+    );
+
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
+
+    const owner = privateKeyToAccount(userPrivateKey);
+    const account = await toCircleSmartAccount({ client, owner });
+
+    const escrowContract = getContract({
+      address: escrowAddress,
+      abi: EscrowImplementationABI,
+      client
+    });
+
+    const tokenAddress = await escrowContract.read.token();
+    const tokenConfig = Object.values(this.supportedTokens).find(t =>
+      t.address.toLowerCase() === tokenAddress.toLowerCase()
+    );
+
+    if (!tokenConfig) {
+      throw new Error('Token not supported for gasless transactions');
+    }
+
+    const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
+
+    const submission = await this.submitUserOperation({
+      bundlerClient,
+      account,
+      calls: [{
+        to: escrowAddress,
+        abi: EscrowImplementationABI,
+        functionName,
+        args
+      }]
+    });
+
+    return {
+      success: true,
+      ...submission,
+      escrowAddress: escrowAddress
     };
+  }
 
-    const bundlerClient = createBundlerClient({
+  /**
+   * Bundler client for lookups that need no account
+   */
+  createReadBundlerClient() {
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
+    return createBundlerClient({ client, transport: http(this.bundlerUrl) });
+  }
+
+  /**
+   * Fee per gas the bundler currently accepts
+   */
+  async getUserOperationGasPrice(bundlerClient = this.createReadBundlerClient()) {
+    const { standard: fees } = await bundlerClient.request({
+      method: "pimlico_getUserOperationGasPrice",
+    });
+    return {
+      maxFeePerGas: hexToBigInt(fees.maxFeePerGas),
+      maxPriorityFeePerGas: hexToBigInt(fees.maxPriorityFeePerGas),
+    };
+  }
+
+  /**
+   * Send a UserOperation without waiting for it to be included. Nonce and
+   * fees are fixed up front and returned so the operation can be tracked and,
+   * if it gets stuck, replaced under the same nonce.
+   * @param {object} params - { bundlerClient, account, calls } or, for a
+   *   replacement, { bundlerClient, account, callData, nonce, fees }
+   * @returns {Promise<object>} { userOpHash, userOperation: { sender, nonce, callData, maxFeePerGas, maxPriorityFeePerGas } }
+   */
+  async submitUserOperation({ bundlerClient, account, calls = [], callData = null, nonce = null, fees = null }) {
+    const encodedCallData = callData ?? await account.encodeCalls(calls.map(call => ({
+      to: call.to,
+      value: call.value ?? 0n,
+      data: call.abi
+        ? encodeFunctionData({ abi: call.abi, functionName: call.functionName, args: call.args })
+        : call.data ?? '0x'
+    })));
+    const operationNonce = nonce ?? await account.getNonce();
+    const { maxFeePerGas, maxPriorityFeePerGas } = fees ?? await this.getUserOperationGasPrice(bundlerClient);
+
+    const userOpHash = await bundlerClient.sendUserOperation({
       account,
-      client,
-      paymaster,
+      callData: encodedCallData,
+      nonce: operationNonce,
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    });
+
+    console.log('User operation submitted:', userOpHash);
+
+    return {
+      userOpHash,
       userOperation: {
-        estimateFeesPerGas: async () => {
-          const { standard: fees } = await bundlerClient.request({
-            method: "pimlico_getUserOperationGasPrice",
-          });
-          return {
-            maxFeePerGas: hexToBigInt(fees.maxFeePerGas),
-            maxPriorityFeePerGas: hexToBigInt(fees.maxPriorityFeePerGas),
-          };
-        },
-      },
-      transport: http(`https://api.pimlico.io/v2/${this.chain.id}/rpc?apikey=${pimlicoApiKey}`),
+        sender: account.address,
+        nonce: operationNonce.toString(),
+        callData: encodedCallData,
+        maxFeePerGas: maxFeePerGas.toString(),
+        maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+      }
+    };
+  }
+
+  /**
+   * Receipt of an included UserOperation, or null while it is not included
+   */
+  async getUserOperationReceipt(userOpHash) {
+    const bundlerClient = this.createReadBundlerClient();
+
+    try {
+      const receipt = await bundlerClient.getUserOperationReceipt({ hash: userOpHash });
+      return {
+        success: receipt.success,
+        reason: receipt.reason || null,
+        transactionHash: receipt.receipt.transactionHash,
+        blockNumber: receipt.receipt.blockNumber.toString(),
+        gasUsed: receipt.receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      if (error instanceof UserOperationReceiptNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the bundler still holds a UserOperation. Bundlers drop operations
+   * that are underpriced or fail revalidation without telling the sender.
+   */
+  async isUserOperationKnown(userOpHash) {
+    const bundlerClient = this.createReadBundlerClient();
+
+    try {
+      await bundlerClient.getUserOperation({ hash: userOpHash });
+      return true;
+    } catch (error) {
+      if (error instanceof UserOperationNotFoundError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the EntryPoint has consumed a nonce, i.e. some operation with it
+   * was included
+   */
+  async isNonceUsed(sender, nonce) {
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
     });
 
-    // STEP 1: Check and grant approval if needed
-    console.log('Checking token approval for escrow factory...');
-    const approvalResult = await this.ensureTokenApproval({
-      bundlerClient,
-      account,
-      tokenConfig,
-      tokenAddress: tokenConfig.address,
-      spenderAddress: this.escrowFactoryAddress,
-      amount: amountInWei
+    const value = BigInt(nonce);
+    const current = await client.readContract({
+      address: entryPoint07Address,
+      abi: entryPoint07Abi,
+      functionName: 'getNonce',
+      // The upper 192 bits are the nonce key, the lower 64 its sequence
+      args: [sender, value >> 64n]
+    });
+
+    return current > value;
+  }
+
+  /**
+   * Re-send a stuck UserOperation with the same nonce and call data and
+   * higher fees. Bundlers only accept a replacement that raises both fees by
+   * at least 10%, so the new fees are the larger of the bumped old ones and
+   * the current gas price.
+   * @param {object} userOperation - As returned by submitUserOperation
+   * @param {number} bumpPercent - Minimum fee increase over the operation being replaced
+   */
+  async replaceUserOperation({
+    encryptedPrivateKey,
+    userId,
+    userPassword,
+    tokenSymbol,
+    userOperation,
+    bumpPercent
+  }) {
+    const userPrivateKey = await SmartAccountService.decryptUserPrivateKey(
+      encryptedPrivateKey,
+      userId,
+      userPassword
+    );
+
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
     });
 
-    if (!approvalResult.success) {
-      throw new Error(`Token approval failed: ${approvalResult.error}`);
+    const owner = privateKeyToAccount(userPrivateKey);
+    const account = await toCircleSmartAccount({ client, owner });
+
+    if (!isAddressEqual(account.address, userOperation.sender)) {
+      throw new Error('Signer does not own the operation sender');
     }
 
-    console.log('Token approval confirmed, creating escrow...');
+    const tokenConfig = getTokenConfig(this.networkConfig.networkName, tokenSymbol);
+    const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
 
-    // STEP 2: Create escrow via factory
-    console.log('Creating escrow with factory:', this.escrowFactoryAddress);
-    const userOpHash = await bundlerClient.sendUserOperation({
+    const current = await this.getUserOperationGasPrice(bundlerClient);
+    const bump = value => BigInt(value) * BigInt(100 + bumpPercent) / 100n;
+    const max = (a, b) => (a > b ? a : b);
+
+    return this.submitUserOperation({
+      bundlerClient,
       account,
-      calls: [{
-        to: this.escrowFactoryAddress,
-        abi: EscrowFactoryABI,
-        functionName: "createEscrow",
-        args: [
-          orderId,
-          sellerAddress,
-          tokenConfig.address,
-          amountInWei,
-          metadataUri,
-          releaseAfter
-        ],
-        chain: this.chain
-      }],
+      callData: userOperation.callData,
+      nonce: BigInt(userOperation.nonce),
+      fees: {
+        maxFeePerGas: max(bump(userOperation.maxFeePerGas), current.maxFeePerGas),
+        maxPriorityFeePerGas: max(bump(userOperation.maxPriorityFeePerGas), current.maxPriorityFeePerGas)
+      }
     });
+  }
 
-    console.log('User operation submitted:', userOpHash);
-
-    const receipt = await bundlerClient.waitForUserOperationReceipt({
-      hash: userOpHash
+  /**
+   * Check whether an escrow's release window has passed on chain
+   */
+  async canAutoRelease(escrowAddress) {
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
     });
 
-    console.log('User operation completed:', receipt);
+    const escrowContract = getContract({
+      address: escrowAddress,
+      abi: EscrowImplementationABI,
+      client
+    });
 
-    // Extract escrow address from event logs
-    const escrowAddress = this.extractEscrowAddressFromLogs(receipt.logs, orderId);
+    return escrowContract.read.canAutoRelease();
+  }
 
-    console.log("escrow Address", escrowAddress)
+  /**
+   * Escrow address the factory has registered for an order, or null if none
+   */
+  async findEscrowForOrder(orderId) {
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
 
-    return {
-      success: true,
-      transactionHash: receipt.receipt.transactionHash,
-      userOpHash: userOpHash,
-      escrowAddress: escrowAddress,
-      blockNumber: receipt.receipt.blockNumber.toString(),
-      gasUsed: receipt.receipt.gasUsed.toString(),
-      orderId: orderId,
-      amount: amount.toString(),
-      tokenSymbol: tokenSymbol.toUpperCase()
-    };
+    const factoryContract = getContract({
+      address: this.escrowFactoryAddress,
+      abi: EscrowFactoryABI,
+      client
+    });
 
-  } catch (error) {
-    console.error("Escrow creation failed:", error);
-    return {
-      success: false,
-      error: error.message
-    };
+    const escrowAddress = await factoryContract.read.orderEscrow([orderId]);
+    return isAddressEqual(escrowAddress, zeroAddress) ? null : escrowAddress;
   }
-}
 
   /**
-   * Release escrow funds to seller
+   * Send a contract call from a platform-held EOA (relayer, arbitrator).
+   * Gas is paid in the native token by that account, not through the paymaster.
    */
-  async releaseEscrow({
-    encryptedPrivateKey,
-    userId,
-    userPassword,
-    escrowAddress
+  async sendPlatformTransaction({
+    privateKey,
+    address,
+    abi,
+    functionName,
+    args = []
   }) {
-    try {
-      const userPrivateKey = await SmartAccountService.decryptUserPrivateKey(
-        encryptedPrivateKey,
-        userId,
-        userPassword
-      );
-
-      const client = createPublicClient({
-        chain: this.chain,
-        transport: http(this.networkConfig.rpcUrl)
-      });
+    if (!privateKey) {
+      throw new Error('Platform signer key is not configured');
+    }
 
-      const owner = privateKeyToAccount(userPrivateKey);
-      const account = await toCircleSmartAccount({ client, owner });
+    const account = privateKeyToAccount(privateKey);
 
-      // Get token info from escrow
-      const escrowContract = getContract({
-        address: escrowAddress,
-        abi: EscrowImplementationABI,
-        client
-      });
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
 
-      const tokenAddress = await escrowContract.read.token();
-      const tokenConfig = Object.values(this.supportedTokens).find(t => 
-        t.address.toLowerCase() === tokenAddress.toLowerCase()
-      );
+    const walletClient = createWalletClient({
+      account,
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
 
-      if (!tokenConfig) {
-        throw new Error('Token not supported for gasless transactions');
-      }
+    const { request } = await client.simulateContract({
+      account,
+      address,
+      abi,
+      functionName,
+      args
+    });
 
-    const paymasterAddress = this.paymasterAddress;
+    const transactionHash = await walletClient.writeContract(request);
+    const receipt = await client.waitForTransactionReceipt({ hash: transactionHash });
 
-    const paymaster = {
-      async getPaymasterData(parameters) {
-        try {
-          const permitAmount = ethers.parseUnits('10', tokenConfig.decimals);
-          
-          console.log(`Creating permit for amount: ${permitAmount.toString()}`);
-          console.log(`Using paymaster address: ${paymasterAddress}`);
-          
-          const permitSignature = await signPermit({
-            tokenAddress: tokenConfig.address,
-            account,
-            client,
-            spenderAddress: paymasterAddress,
-            permitAmount
-          });
+    if (receipt.status !== 'success') {
+      throw new Error(`${functionName} transaction ${transactionHash} reverted`);
+    }
 
-          return {
-            paymaster: paymasterAddress,
-            paymasterData: encodePacked(
-              ["uint8", "address", "uint256", "bytes"],
-              [0, tokenConfig.address, permitAmount, permitSignature]
-            ),
-            paymasterVerificationGasLimit: 200000n,
-            paymasterPostOpGasLimit: 150000n,
-            isFinal: true,
-          };
-        } catch (error) {
-          console.error('Paymaster data creation failed:', error);
-          throw new Error(`Paymaster setup failed: ${error.message}`);
-        }
-      },
+    return {
+      success: true,
+      transactionHash,
+      signer: account.address,
+      blockNumber: receipt.blockNumber.toString(),
+      gasUsed: receipt.gasUsed.toString()
     };
+  }
 
-      const bundlerClient = createBundlerClient({
-        account,
-        client,
-        paymaster,
-        userOperation: {
-          estimateFeesPerGas: async () => {
-            const { standard: fees } = await bundlerClient.request({
-              method: "pimlico_getUserOperationGasPrice",
-            });
-            return {
-              maxFeePerGas: hexToBigInt(fees.maxFeePerGas),
-              maxPriorityFeePerGas: hexToBigInt(fees.maxPriorityFeePerGas),
-            };
-          },
-        },
-        transport: http(`https://api.pimlico.io/v2/${this.chain.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`),
+  /**
+   * Release an escrow whose window has passed, signed by the platform relayer
+   */
+  async autoReleaseEscrow(escrowAddress) {
+    try {
+      const result = await this.sendPlatformTransaction({
+        privateKey: process.env.RELAYER_PRIVATE_KEY,
+        address: escrowAddress,
+        abi: EscrowImplementationABI,
+        functionName: 'autoRelease'
       });
 
-      const userOpHash = await bundlerClient.sendUserOperation({
-        account,
-        calls: [{
-          to: escrowAddress,
-          abi: EscrowImplementationABI,
-          functionName: "buyerRelease",
-          args: [],
-          chain: this.chain
-        }],
-      });
+      return {
+        ...result,
+        escrowAddress,
+        action: OrderStatus.completed
+      };
+    } catch (error) {
+      console.error("Auto release failed:", error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      const receipt = await bundlerClient.waitForUserOperationReceipt({
-        hash: userOpHash
+  /**
+   * Rule on a disputed escrow as the factory arbitrator
+   * @param {string} escrowAddress - Disputed escrow
+   * @param {string} winnerAddress - Buyer or seller smart account receiving the funds
+   */
+  async resolveDispute(escrowAddress, winnerAddress) {
+    try {
+      const result = await this.sendPlatformTransaction({
+        privateKey: process.env.ARBITRATOR_PRIVATE_KEY,
+        address: this.escrowFactoryAddress,
+        abi: EscrowFactoryABI,
+        functionName: 'resolveDispute',
+        args: [escrowAddress, winnerAddress]
       });
 
       return {
-        success: true,
-        transactionHash: receipt.receipt.transactionHash,
-        userOpHash: userOpHash,
-        escrowAddress: escrowAddress,
-        blockNumber: receipt.receipt.blockNumber.toString(),
-        action: OrderStatus.delivered
+        ...result,
+        escrowAddress,
+        winner: winnerAddress,
+        action: 'dispute_resolved'
       };
-
     } catch (error) {
-      console.error("Escrow release failed:", error);
+      console.error("Dispute resolution failed:", error);
       return {
         success: false,
         error: error.message
@@ -482,6 +901,26 @@ async createEscrowPurchase({
     }
   }
 
+  /**
+   * Read dispute state from an escrow
+   */
+  async getDisputeInfo(escrowAddress) {
+    const client = createPublicClient({
+      chain: this.chain,
+      transport: http(this.networkConfig.rpcUrl)
+    });
+
+    const escrowContract = getContract({
+      address: escrowAddress,
+      abi: EscrowImplementationABI,
+      client
+    });
+
+    const [isDisputed, raisedBy, reason] = await escrowContract.read.getDisputeInfo();
+
+    return { isDisputed, raisedBy, reason };
+  }
+
   /**
    * Raise dispute on escrow
    */
@@ -519,48 +958,24 @@ async createEscrowPurchase({
         t.address.toLowerCase() === tokenAddress.toLowerCase()
       );
 
-      const paymaster = await this.createPaymaster(account, client, tokenConfig);
-
-      const bundlerClient = createBundlerClient({
-        account,
-        client,
-        paymaster,
-        userOperation: {
-          estimateFeesPerGas: async () => {
-            const { standard: fees } = await bundlerClient.request({
-              method: "pimlico_getUserOperationGasPrice",
-            });
-            return {
-              maxFeePerGas: hexToBigInt(fees.maxFeePerGas),
-              maxPriorityFeePerGas: hexToBigInt(fees.maxPriorityFeePerGas),
-            };
-          },
-        },
-        transport: http(`https://api.pimlico.io/v2/${this.chain.id}/rpc?apikey=${process.env.PIMLICO_API_KEY}`),
-      });
+      const bundlerClient = this.createUserOperationClient(account, client, tokenConfig);
 
       // Raise dispute
-      const userOpHash = await bundlerClient.sendUserOperation({
+      const submission = await this.submitUserOperation({
+        bundlerClient,
         account,
         calls: [{
           to: escrowAddress,
           abi: EscrowImplementationABI,
           functionName: "raiseDispute",
-          args: [reason],
-          chain: this.chain
-        }],
-      });
-
-      const receipt = await bundlerClient.waitForUserOperationReceipt({
-        hash: userOpHash
+          args: [reason]
+        }]
       });
 
       return {
         success: true,
-        transactionHash: receipt.receipt.transactionHash,
-        userOpHash: userOpHash,
+        ...submission,
         escrowAddress: escrowAddress,
-        blockNumber: receipt.receipt.blockNumber.toString(),
         action: 'dispute_raised'
       };
 
@@ -810,184 +1225,81 @@ async grantMaxApproval({
 }
 
   // Helper methods
-  extractEscrowAddressFromLogs(logs, orderId) {
-  console.log('=== EXTRACTING ESCROW ADDRESS ===');
-  console.log('Total logs:', logs.length);
-  console.log('Looking for orderId:', orderId);
-  
-  // Method 1: Look for the EscrowInitialized event (most reliable)
-  const escrowAddress = this.extractFromEscrowInitializedEvent(logs);
-  if (escrowAddress) {
-    console.log('✅ Found via EscrowInitialized event:', escrowAddress);
-    return escrowAddress;
-  }
-  
-  // Method 2: Look for proxy contract creation pattern
-  const proxyAddress = this.extractFromProxyCreation(logs);
-  if (proxyAddress) {
-    console.log('✅ Found via proxy creation pattern:', proxyAddress);
-    return proxyAddress;
-  }
-  
-  // Method 3: Look for unknown addresses that receive token transfers
-  const transferAddress = this.extractFromTokenTransfers(logs, orderId);
-  if (transferAddress) {
-    console.log('✅ Found via token transfer pattern:', transferAddress);
-    return transferAddress;
-  }
-  
-  // Method 4: Fallback to positional logic
-  const positionalAddress = this.extractFromPosition(logs);
-  if (positionalAddress) {
-    console.log('✅ Found via positional pattern:', positionalAddress);
-    return positionalAddress;
-  }
-  
-  console.error('❌ Failed to extract escrow address from logs');
-  this.debugLogs(logs);
-  throw new Error('Escrow address not found in transaction logs');
-}
 
-/**
- * Method 1: Extract from EscrowInitialized event (most reliable)
- */
-extractFromEscrowInitializedEvent(logs) {
-  // Look for logs with EscrowInitialized event signature
-  // Event: EscrowInitialized(address buyer, address seller, address token, uint256 amount, string metadataUri)
-  
-  for (const log of logs) {
-    // Check if this log contains escrow initialization data
-    // Based on your logs, the EscrowInitialized event appears in logs from the escrow contract itself
-    if (this.isEscrowInitializedLog(log)) {
-      console.log('Found EscrowInitialized event at address:', log.address);
-      return log.address; // The escrow contract address itself
+  /**
+   * Decode the factory's EscrowCreated event for this order from a receipt's logs
+   * @param {Array} logs - Logs from the UserOperation receipt
+   * @param {string} orderId - Order ID passed to createEscrow
+   * @returns {object} Decoded event args (escrow, orderId, buyer, seller, token, amount)
+   */
+  extractEscrowCreatedEvent(logs, orderId) {
+    const events = parseEventLogs({
+      abi: EscrowFactoryABI,
+      eventName: 'EscrowCreated',
+      logs
+    }).filter(log =>
+      isAddressEqual(log.address, this.escrowFactoryAddress) &&
+      log.args.orderId === orderId
+    );
+
+    if (events.length === 0) {
+      throw new Error(`EscrowCreated event for order ${orderId} not found in transaction logs`);
     }
-  }
-  return null;
-}
 
-/**
- * Method 2: Extract from proxy creation pattern
- */
-extractFromProxyCreation(logs) {
-  const knownAddresses = [
-    this.escrowFactoryAddress.toLowerCase(),
-    this.paymasterAddress.toLowerCase(),
-    // Add token addresses from your supported tokens
-    ...Object.values(this.supportedTokens).map(t => t.address.toLowerCase())
-  ];
-  
-  // Look for addresses that appear in multiple logs (indicating new contract)
-  const addressCount = {};
-  
-  for (const log of logs) {
-    const address = log.address.toLowerCase();
-    addressCount[address] = (addressCount[address] || 0) + 1;
-  }
-  
-  // Find addresses that appear multiple times and aren't known addresses
-  for (const [address, count] of Object.entries(addressCount)) {
-    if (count >= 2 && !knownAddresses.includes(address)) {
-      console.log(`Found recurring unknown address: ${address} (appears ${count} times)`);
-      return address;
+    const escrowAddresses = new Set(events.map(event => event.args.escrow.toLowerCase()));
+    if (escrowAddresses.size > 1) {
+      throw new Error(`Multiple EscrowCreated events for order ${orderId}: ${[...escrowAddresses].join(', ')}`);
     }
+
+    return events[0].args;
   }
-  
-  return null;
-}
 
-/**
- * Method 3: Extract from token transfer patterns
- */
-extractFromTokenTransfers(logs, orderId) {
-  const tokenAddresses = Object.values(this.supportedTokens).map(t => t.address.toLowerCase());
-  
-  for (let i = 0; i < logs.length; i++) {
-    const log = logs[i];
-    
-    // Look for token transfer events (from known token addresses)
-    if (tokenAddresses.includes(log.address.toLowerCase())) {
-      console.log(`Found token log at index ${i}:`, log.address);
-      
-      // The next log might be the escrow contract receiving funds
-      if (i + 1 < logs.length) {
-        const nextLog = logs[i + 1];
-        // Check if next log is from an unknown address (likely the escrow)
-        if (!this.isKnownAddress(nextLog.address)) {
-          console.log(`Found potential escrow after token transfer: ${nextLog.address}`);
-          return nextLog.address;
-        }
-      }
+  /**
+   * Decode the escrow address from the receipt and confirm it with the factory's
+   * own records. Throws if any source disagrees.
+   * @returns {Promise<string>} Verified escrow address
+   */
+  async verifyEscrowCreation({ client, logs, orderId, buyerAddress, sellerAddress, tokenAddress, amount }) {
+    const event = this.extractEscrowCreatedEvent(logs, orderId);
+
+    const mismatches = [];
+    if (!isAddressEqual(event.buyer, buyerAddress)) {
+      mismatches.push(`buyer ${event.buyer} != ${buyerAddress}`);
+    }
+    if (!isAddressEqual(event.seller, sellerAddress)) {
+      mismatches.push(`seller ${event.seller} != ${sellerAddress}`);
+    }
+    if (!isAddressEqual(event.token, tokenAddress)) {
+      mismatches.push(`token ${event.token} != ${tokenAddress}`);
+    }
+    if (event.amount !== BigInt(amount)) {
+      mismatches.push(`amount ${event.amount} != ${amount}`);
     }
-  }
-  
-  return null;
-}
 
-/**
- * Method 4: Extract from positional pattern (fallback)
- */
-extractFromPosition(logs) {
-  // Based on both your transactions, the escrow is consistently at index 1 or 4
-  // First transaction: escrow at index 1 (0x99226f53b3501f192d1C38340Ab6C7bcAa8e53b6)
-  // Second transaction: escrow at index 4 (0x1483e573b924F41629BDB81F87C2e941F4D4f705)
-  
-  const potentialIndices = [1, 4]; // Most common positions based on your logs
-  
-  for (const index of potentialIndices) {
-    if (logs.length > index) {
-      const address = logs[index].address;
-      if (!this.isKnownAddress(address)) {
-        console.log(`Found potential escrow at index ${index}: ${address}`);
-        return address;
-      }
+    const factoryContract = getContract({
+      address: this.escrowFactoryAddress,
+      abi: EscrowFactoryABI,
+      client
+    });
+
+    const [registeredAddress, mappedAddress] = await Promise.all([
+      factoryContract.read.getEscrowAddress([orderId]),
+      factoryContract.read.orderEscrow([orderId])
+    ]);
+
+    if (isAddressEqual(registeredAddress, zeroAddress) || !isAddressEqual(registeredAddress, event.escrow)) {
+      mismatches.push(`getEscrowAddress ${registeredAddress} != ${event.escrow}`);
+    }
+    if (!isAddressEqual(mappedAddress, event.escrow)) {
+      mismatches.push(`orderEscrow ${mappedAddress} != ${event.escrow}`);
     }
-  }
-  
-  return null;
-}
 
-/**
- * Helper: Check if log contains EscrowInitialized event
- */
-isEscrowInitializedLog(log) {
-  // EscrowInitialized event typically has specific data pattern
-  // Look for logs that contain token address, amount, and metadata URI in data
-  if (!log.data || log.data === '0x') return false;
-  
-  // Check if data contains typical escrow initialization parameters
-  // This is a heuristic based on your log patterns
-  const data = log.data.toLowerCase();
-  
-  // Look for token address pattern in data (0x followed by 40 hex chars)
-  const tokenAddressPattern = /0x[0-9a-f]{40}/;
-  if (tokenAddressPattern.test(data)) {
-    // Also check if this is not a known address
-    if (!this.isKnownAddress(log.address)) {
-      return true;
+    if (mismatches.length > 0) {
+      throw new Error(`Escrow verification failed for order ${orderId}: ${mismatches.join('; ')}`);
     }
-  }
-  
-  return false;
-}
 
-/**
- * Helper: Check if address is a known contract (not the escrow)
- */
-isKnownAddress(address) {
-  const knownAddresses = [
-    this.escrowFactoryAddress.toLowerCase(),
-    this.paymasterAddress.toLowerCase(),
-    '0x036cbd53842c5426634e7929541ec2318f3dcf7e', // USDC token
-    '0x31be08d380a21fc740883c0bc434fcfc88740b58', // Paymaster
-    '0x0000000071727de22e5e9d8baf0edac6f37da032', // EntryPoint
-    '0x0000000df7e6c9dc387cafc5ecbfa6c3a6179add', // Factory
-    '0x4337021d22bcd0775a0fd1b4a6665051dc15d995', // From receipt
-    '0x4337031ade3a53d10121f350369907076b6d32a4'  // From receipt
-  ];
-  
-  return knownAddresses.includes(address.toLowerCase());
-}
+    return event.escrow;
+  }
 
   getStatusString(status) {
     const statuses = ['FUNDED', 'RELEASED', 'REFUNDED', 'DISPUTED', 'RESOLVED'];
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import EncryptionService from './EncryptionService.js';
+import LocalFileKeyProvider from './keyvault/LocalFileKeyProvider.js';
+import HttpKeyProvider from './keyvault/HttpKeyProvider.js';
+
+/**
+ * Envelope encryption for user signing keys.
+ *
+ * The private key is first encrypted with the user's master password
+ * (EncryptionService), then sealed with a random per-user data key. Only the
+ * data key is wrapped by the provider's versioned key-encryption key (KEK), so
+ * rotating the KEK re-wraps a few bytes per user and never needs the user's
+ * password. Values written before the vault existed (bare EncryptionService
+ * output) are still opened and are upgraded by the rotation command.
+ */
+class KeyVaultService {
+  static PREFIX = 'kv1:';
+  static ALGORITHM = 'aes-256-gcm';
+  static IV_LENGTH = 12;
+
+  constructor() {
+    this.providerName = process.env.KEYVAULT_PROVIDER || 'local';
+    this.providers = new Map();
+  }
+
+  createProvider(name) {
+    if (name === 'local') {
+      return new LocalFileKeyProvider({
+        filePath: process.env.KEYVAULT_LOCAL_KEYSTORE || '.keystore.json'
+      });
+    }
+
+    if (name === 'http') {
+      return new HttpKeyProvider({
+        baseUrl: process.env.KEYVAULT_HTTP_URL,
+        token: process.env.KEYVAULT_HTTP_TOKEN,
+        keyName: process.env.KEYVAULT_HTTP_KEY_NAME || 'user-keys',
+        mount: process.env.KEYVAULT_HTTP_MOUNT || 'transit'
+      });
+    }
+
+    throw new Error(`Unknown key provider "${name}"`);
+  }
+
+  /**
+   * Provider by name, defaulting to the one new envelopes are written with
+   */
+  getProvider(name = this.providerName) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.createProvider(name));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Use a custom provider (e.g. a PKCS#11 bridge) under its `name`
+   * @param {object} provider - Exposes name, wrapKey, unwrapKey, rewrapKey, rotate, getCurrentVersion
+   * @param {boolean} makeCurrent - Write new envelopes with this provider
+   */
+  registerProvider(provider, makeCurrent = false) {
+    this.providers.set(provider.name, provider);
+    if (makeCurrent) {
+      this.providerName = provider.name;
+    }
+  }
+
+  isEnvelope(storedValue) {
+    return typeof storedValue === 'string' && storedValue.startsWith(KeyVaultService.PREFIX);
+  }
+
+  parseEnvelope(storedValue) {
+    try {
+      return JSON.parse(Buffer.from(storedValue.slice(KeyVaultService.PREFIX.length), 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid key envelope');
+    }
+  }
+
+  serializeEnvelope(envelope) {
+    return KeyVaultService.PREFIX + Buffer.from(JSON.stringify(envelope)).toString('base64');
+  }
+
+  /**
+   * Encrypt a signing key for storage in User.privateKey
+   * @param {string} privateKey - Hex private key
+   * @param {string} userId - Owner; bound into the envelope so it cannot be moved to another user
+   * @param {string} userPassword - Input to the user's master password
+   * @returns {Promise<string>} Envelope string
+   */
+  async sealPrivateKey(privateKey, userId, userPassword) {
+    const masterPassword = await EncryptionService.generateMasterPassword(userPassword, userId);
+    const inner = await EncryptionService.encryptPrivateKey(privateKey, masterPassword);
+    return this.seal(inner, userId);
+  }
+
+  /**
+   * Decrypt a value from User.privateKey, enveloped or legacy
+   * @returns {Promise<string>} Hex private key
+   */
+  async openPrivateKey(storedValue, userId, userPassword) {
+    if (!storedValue) {
+      throw new Error('No private key stored for user');
+    }
+
+    const inner = this.isEnvelope(storedValue)
+      ? await this.open(storedValue, userId)
+      : storedValue;
+
+    const masterPassword = await EncryptionService.generateMasterPassword(userPassword, userId);
+    return EncryptionService.decryptPrivateKey(inner, masterPassword);
+  }
+
+  async seal(inner, userId) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(KeyVaultService.IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(KeyVaultService.ALGORITHM, dataKey, iv);
+    cipher.setAAD(Buffer.from(`user:${userId}`));
+    const ciphertext = Buffer.concat([cipher.update(inner, 'utf8'), cipher.final()]);
+
+    const provider = this.getProvider();
+    const { keyVersion, wrappedKey } = await provider.wrapKey(dataKey);
+
+    return this.serializeEnvelope({
+      provider: provider.name,
+      keyVersion,
+      wrappedKey,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  }
+
+  async open(storedValue, userId) {
+    const envelope = this.parseEnvelope(storedValue);
+    const dataKey = await this.getProvider(envelope.provider).unwrapKey(envelope);
+
+    const decipher = crypto.createDecipheriv(
+      KeyVaultService.ALGORITHM,
+      dataKey,
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(`user:${userId}`));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Bring a stored value up to the current provider and KEK version. The
+   * encrypted payload is untouched; only the data key is re-wrapped.
+   * @returns {Promise<object>} { value, changed }
+   */
+  async rewrap(storedValue, userId, currentVersion) {
+    if (!this.isEnvelope(storedValue)) {
+      return { value: await this.seal(storedValue, userId), changed: true };
+    }
+
+    const envelope = this.parseEnvelope(storedValue);
+    const current = this.getProvider();
+
+    if (envelope.provider === current.name) {
+      if (envelope.keyVersion >= currentVersion) {
+        return { value: storedValue, changed: false };
+      }
+
+      const { keyVersion, wrappedKey } = await current.rewrapKey(envelope);
+      return { value: this.serializeEnvelope({ ...envelope, keyVersion, wrappedKey }), changed: true };
+    }
+
+    // Moving between providers: the data key has to pass through this process
+    const dataKey = await this.getProvider(envelope.provider).unwrapKey(envelope);
+    const { keyVersion, wrappedKey } = await current.wrapKey(dataKey);
+    return {
+      value: this.serializeEnvelope({ ...envelope, provider: current.name, keyVersion, wrappedKey }),
+      changed: true
+    };
+  }
+
+  async getCurrentKeyVersion() {
+    return this.getProvider().getCurrentVersion();
+  }
+
+  /**
+   * Create a new KEK version on the current provider. Existing envelopes stay
+   * readable through their recorded version until they are re-wrapped.
+   */
+  async rotateKeyEncryptionKey() {
+    return this.getProvider().rotate();
+  }
+}
+
+export default new KeyVaultService();
@@ -0,0 +1,260 @@
+import { Op } from 'sequelize';
+import AuditService from './AuditService.js';
+import EmailService from './EmailService.js';
+import ProductService from './ProductService.js';
+import db from '../models/index.js';
+import { ModerationDecision, ProductStatus, VerificationOutcome } from '../utils/types.js';
+
+const { Product, ProductVerification, User, sequelize } = db;
+
+// Only a product's most recent run counts; older ones are history
+const LATEST_RUN_SQL = `"ProductVerification"."id" IN (
+  SELECT MAX(id) FROM product_verifications GROUP BY product_id
+)`;
+
+/**
+ * Moderation queue over the results of ProductVerificationService.
+ * Moderators approve (list it), flag (hide it; the seller cannot change it) or
+ * reject (hide it until the seller edits and resubmits) a product. Flagging
+ * and rejecting need a reason, which is emailed to the seller and shown on
+ * their verification status.
+ */
+class ModerationService {
+  static DECISIONS = Object.values(ModerationDecision);
+
+  /**
+   * Products whose latest verification needs a moderator, oldest first
+   */
+  static async getQueue({ page = 1, limit = 20 } = {}) {
+    try {
+      const { count, rows } = await ProductVerification.findAndCountAll({
+        where: {
+          outcome: VerificationOutcome.needs_review,
+          decision: null,
+          [Op.and]: [sequelize.literal(LATEST_RUN_SQL)]
+        },
+        include: [{
+          model: Product,
+          as: 'product',
+          where: { status: ProductStatus.under_review },
+          include: [{ model: User, as: 'seller', attributes: ['id', 'username', 'email'] }]
+        }],
+        order: [['createdAt', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      return {
+        success: true,
+        queue: rows.map(verification => ({
+          verification: this.serializeVerification(verification),
+          product: ProductService.serializeProduct(verification.product)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting moderation queue:', error);
+      throw new Error(`Failed to retrieve moderation queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * A product with its full verification and moderation history
+   */
+  static async getProductReview(productId) {
+    try {
+      const product = await Product.findByPk(productId, {
+        include: [{ model: User, as: 'seller', attributes: ['id', 'username', 'email'] }]
+      });
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const verifications = await ProductVerification.findAll({
+        where: { product_id: product.id },
+        include: [{ model: User, as: 'moderator', attributes: ['id', 'username'] }],
+        order: [['createdAt', 'DESC']]
+      });
+
+      return {
+        success: true,
+        product: ProductService.serializeProduct(product),
+        verifications: verifications.map(verification => this.serializeVerification(verification))
+      };
+    } catch (error) {
+      console.error('Error getting product review:', error);
+      throw new Error(`Failed to retrieve product review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve, flag or reject a product
+   * @param {object} params - { productId, moderatorId, decision: approved|flagged|rejected, reason }
+   */
+  static async decide({ productId, moderatorId, decision, reason }) {
+    try {
+      if (!ModerationService.DECISIONS.includes(decision)) {
+        throw new Error(`Validation error: Decision must be one of ${ModerationService.DECISIONS.join(', ')}`);
+      }
+
+      const trimmedReason = reason?.trim() || null;
+      if (decision !== ModerationDecision.approved && (!trimmedReason || trimmedReason.length < 5)) {
+        throw new Error('Validation error: A reason of at least 5 characters is required to flag or reject a product');
+      }
+
+      const transaction = await sequelize.transaction();
+      let product;
+      let verification;
+      try {
+        product = await Product.findByPk(productId, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!product) {
+          throw new Error('Product not found');
+        }
+
+        const previousStatus = product.status;
+        const status = decision === ModerationDecision.approved
+          ? (parseInt(product.quantity) > 0 ? ProductStatus.active : ProductStatus.sold_out)
+          : decision === ModerationDecision.flagged ? ProductStatus.flagged : ProductStatus.rejected;
+
+        // Record the decision on the run it answers, or on a manual entry when
+        // the latest run was already decided (or there is none)
+        const decisionFields = {
+          decision,
+          decision_reason: trimmedReason,
+          decided_by: moderatorId,
+          decided_at: new Date()
+        };
+        verification = await ProductVerification.findOne({
+          where: { product_id: product.id },
+          order: [['id', 'DESC']],
+          transaction
+        });
+
+        if (verification && !verification.decision) {
+          await verification.update(decisionFields, { transaction });
+        } else {
+          verification = await ProductVerification.create({
+            product_id: product.id,
+            trigger: 'manual',
+            checks: [],
+            ...decisionFields
+          }, { transaction });
+        }
+
+        await product.update({ status }, { transaction });
+
+        await AuditService.record({
+          actorId: moderatorId,
+          action: 'product.moderated',
+          entityType: 'product',
+          entityId: product.id,
+          details: { decision, reason: trimmedReason, from: previousStatus, to: status, verification_id: verification.id }
+        }, transaction);
+
+        await transaction.commit();
+      } catch (error) {
+        if (!transaction.finished) {
+          await transaction.rollback();
+        }
+        throw error;
+      }
+
+      await this.notifySeller(product, decision, trimmedReason);
+
+      return {
+        success: true,
+        product: ProductService.serializeProduct(product),
+        verification: this.serializeVerification(verification),
+        message: `Product ${decision}`
+      };
+    } catch (error) {
+      console.error('Error moderating product:', error);
+      throw new Error(`Failed to moderate product: ${error.message}`);
+    }
+  }
+
+  /**
+   * A seller's view of where their product stands: the latest run's
+   * reasons and any moderator decision, without internal check details
+   */
+  static async getSellerStatus(productId, sellerId) {
+    try {
+      const product = await Product.findOne({ where: { id: productId, seller_id: sellerId } });
+      if (!product) {
+        throw new Error('Product not found or access denied');
+      }
+
+      const latest = await ProductVerification.findOne({
+        where: { product_id: product.id },
+        order: [['id', 'DESC']]
+      });
+
+      return {
+        success: true,
+        verification: {
+          productId: product.id,
+          status: product.status,
+          pending: Boolean(product.verification_requested_at),
+          score: latest && latest.score !== null ? parseFloat(latest.score) : null,
+          outcome: latest?.outcome || null,
+          reasons: latest ? latest.checks.flatMap(check => check.status === 'ok' ? check.reasons : []) : [],
+          decision: latest?.decision || null,
+          decisionReason: latest?.decision_reason || null,
+          decidedAt: latest?.decided_at || null,
+          checkedAt: latest?.createdAt || null
+        }
+      };
+    } catch (error) {
+      console.error('Error getting product verification status:', error);
+      throw new Error(`Failed to retrieve verification status: ${error.message}`);
+    }
+  }
+
+  static async notifySeller(product, decision, reason) {
+    try {
+      const seller = await User.findByPk(product.seller_id, { attributes: ['id', 'username', 'email'] });
+      if (!seller) {
+        return;
+      }
+
+      await EmailService.sendProductModerationEmail(seller.email, seller.username, {
+        productId: product.id,
+        productName: product.name,
+        decision,
+        reason
+      });
+    } catch (emailError) {
+      console.error(`Failed to notify seller about moderation of product ${product.id}:`, emailError);
+    }
+  }
+
+  static serializeVerification(verification) {
+    const serialized = verification.toJSON ? verification.toJSON() : verification;
+
+    return {
+      id: serialized.id,
+      productId: serialized.product_id,
+      trigger: serialized.trigger,
+      score: serialized.score === null ? null : parseFloat(serialized.score),
+      outcome: serialized.outcome,
+      checks: serialized.checks || [],
+      decision: serialized.decision,
+      decisionReason: serialized.decision_reason,
+      decidedBy: serialized.moderator || serialized.decided_by,
+      decidedAt: serialized.decided_at,
+      createdAt: serialized.createdAt
+    };
+  }
+}
+
+export default ModerationService;
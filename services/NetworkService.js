@@ -0,0 +1,165 @@
+import { getEnabledNetworks, getNetworkConfig } from '../config/networks.js';
+import db from '../models/index.js';
+
+const { Product, User } = db;
+
+/**
+ * Networks an order can settle on. ENABLED_NETWORKS decides which networks
+ * the platform runs on; each seller accepts all of them or a subset
+ * (User.acceptedChainIds, null for all) and the buyer picks one of those when
+ * paying. The order keeps the chain id it was placed on, and every later
+ * escrow call for it goes to that chain.
+ */
+class NetworkService {
+  static describe(networkConfig) {
+    return {
+      network: networkConfig.networkName,
+      chainId: networkConfig.chain.id,
+      name: networkConfig.chain.name,
+      isTestnet: networkConfig.isTestnet,
+      tokens: Object.keys(networkConfig.tokens),
+      blockExplorer: networkConfig.chain.blockExplorers?.default?.url || null
+    };
+  }
+
+  /**
+   * Enabled networks a seller accepts. A network that is disabled later
+   * drops out without touching the seller's choice.
+   */
+  static acceptedBy(seller) {
+    const enabled = getEnabledNetworks();
+    if (!seller.acceptedChainIds) {
+      return enabled;
+    }
+    return enabled.filter(network => seller.acceptedChainIds.includes(network.chain.id));
+  }
+
+  /**
+   * The network an order with these sellers settles on
+   * @param {Array<object>} sellers - Users with acceptedChainIds
+   * @param {string|number} network - Buyer's choice by name or chain id. When
+   *   omitted, the first network every seller accepts (the selected network if possible).
+   * @returns {object} Network config
+   */
+  static resolveForSellers(sellers, network = null) {
+    const enabled = getEnabledNetworks();
+    const candidates = enabled.filter(candidate =>
+      sellers.every(seller => this.acceptedBy(seller).some(accepted => accepted.networkName === candidate.networkName))
+    );
+
+    if (network === null || network === undefined || network === '') {
+      if (candidates.length === 0) {
+        throw new Error(sellers.length > 1
+          ? 'Sellers in this order have no payment network in common'
+          : 'Seller does not accept any enabled network');
+      }
+      return candidates[0];
+    }
+
+    const requested = getNetworkConfig(network);
+    if (!enabled.some(candidate => candidate.networkName === requested.networkName)) {
+      throw new Error(`Network ${requested.networkName} is not enabled`);
+    }
+
+    const chosen = candidates.find(candidate => candidate.networkName === requested.networkName);
+    if (!chosen) {
+      throw new Error(`Seller does not accept payments on ${requested.networkName}`);
+    }
+
+    return chosen;
+  }
+
+  static listEnabled() {
+    return { success: true, networks: getEnabledNetworks().map(network => this.describe(network)) };
+  }
+
+  /**
+   * Networks a buyer can choose from for one product
+   */
+  static async getProductNetworks(productId) {
+    try {
+      const product = await Product.findByPk(productId, {
+        include: [{ model: User, as: 'seller', attributes: ['id', 'acceptedChainIds'] }]
+      });
+
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      return {
+        success: true,
+        networks: this.acceptedBy(product.seller).map(network => this.describe(network))
+      };
+    } catch (error) {
+      console.error('Error getting product networks:', error);
+      throw new Error(`Failed to retrieve product networks: ${error.message}`);
+    }
+  }
+
+  static async getAcceptedNetworks(userId) {
+    try {
+      const user = await User.findByPk(userId, { attributes: ['id', 'acceptedChainIds'] });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return {
+        success: true,
+        acceptsAll: user.acceptedChainIds === null,
+        networks: this.acceptedBy(user).map(network => this.describe(network)),
+        enabled: getEnabledNetworks().map(network => this.describe(network))
+      };
+    } catch (error) {
+      console.error('Error getting accepted networks:', error);
+      throw new Error(`Failed to retrieve accepted networks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the networks a seller accepts payment on
+   * @param {Array<string|number>|null} networks - Names or chain ids; null accepts every enabled network
+   */
+  static async setAcceptedNetworks(userId, networks) {
+    try {
+      let acceptedChainIds = null;
+
+      if (networks !== null) {
+        if (!Array.isArray(networks) || networks.length === 0) {
+          throw new Error('Validation error: networks must be a non-empty array, or null to accept every enabled network');
+        }
+
+        const enabled = getEnabledNetworks();
+        acceptedChainIds = [];
+        for (const network of networks) {
+          let config;
+          try {
+            config = getNetworkConfig(network);
+          } catch (lookupError) {
+            throw new Error(`Validation error: ${lookupError.message}`);
+          }
+
+          if (!enabled.some(candidate => candidate.networkName === config.networkName)) {
+            throw new Error(`Validation error: Network ${config.networkName} is not enabled`);
+          }
+          if (!acceptedChainIds.includes(config.chain.id)) {
+            acceptedChainIds.push(config.chain.id);
+          }
+        }
+      }
+
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await user.update({ acceptedChainIds });
+
+      return this.getAcceptedNetworks(userId);
+    } catch (error) {
+      console.error('Error updating accepted networks:', error);
+      throw new Error(`Failed to update accepted networks: ${error.message}`);
+    }
+  }
+}
+
+export default NetworkService;
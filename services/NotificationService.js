@@ -0,0 +1,313 @@
+import { Op } from 'sequelize';
+import EmailService from './EmailService.js';
+import { NOTIFICATION_TEMPLATES, renderNotification } from './notifications/templates.js';
+import db from '../models/index.js';
+import { NotificationStatus, NotificationType } from '../utils/types.js';
+
+const { EmailNotification, Product, User } = db;
+
+// Which side of an order hears about each event
+const ORDER_RECIPIENTS = {
+  [NotificationType.order_placed]: ['buyer'],
+  [NotificationType.payment_escrowed]: ['buyer', 'seller'],
+  [NotificationType.order_shipped]: ['buyer'],
+  [NotificationType.order_delivered]: ['buyer', 'seller'],
+  [NotificationType.funds_released]: ['buyer', 'seller'],
+  [NotificationType.dispute_opened]: ['buyer', 'seller'],
+  [NotificationType.dispute_resolved]: ['buyer', 'seller']
+};
+
+/**
+ * Transactional email for the order lifecycle.
+ *
+ * Notifications are queued in the DB transaction of the change they report,
+ * one row per recipient, and sent by the cron worker, so a slow or failing
+ * mail server never holds up an order. Each row has a dedupe key per event and
+ * recipient, which lets the request path and the chain indexer both report an
+ * event without mailing it twice. Failed sends are retried with backoff.
+ *
+ * Users switch types off in their notification preferences; a type that is
+ * switched off is not queued at all. Content lives in notifications/templates.js
+ * and is rendered when the email is sent, with the recipient's current details.
+ */
+class NotificationService {
+  static TYPES = Object.values(NotificationType);
+  static MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+  static RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS || '60');
+  // A claimed notification is left alone for this long before another run may pick it up
+  static CLAIM_SECONDS = 120;
+  // Remaining stock at or below which sellers are told to restock
+  static LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '3');
+
+  /**
+   * Queue a notification for users who have not switched its type off
+   * @param {object} params - { type, userIds, data, dedupeKey, dataFor(user) for per-recipient data }
+   * @param {object} transaction - The transaction that made the change
+   * @returns {Promise<number>} Recipients it was queued for
+   */
+  static async queue({ type, userIds, data = {}, dedupeKey, dataFor = null }, transaction = null) {
+    const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const users = await User.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id', 'email', 'notificationPreferences'],
+      transaction
+    });
+    const recipients = users.filter(user => user.email && this.isEnabled(user, type));
+
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    await EmailNotification.bulkCreate(recipients.map(user => ({
+      user_id: user.id,
+      type,
+      dedupe_key: `${dedupeKey}:${user.id}`,
+      data: { ...data, ...(dataFor ? dataFor(user) : {}) },
+      max_attempts: NotificationService.MAX_ATTEMPTS,
+      next_attempt_at: new Date()
+    })), { ignoreDuplicates: true, transaction });
+
+    return recipients.length;
+  }
+
+  /**
+   * Queue an order lifecycle notification for the order's buyer and/or seller
+   * @param {object} extra - Added to the template data, e.g. { shipment } or { winner, notes }
+   */
+  static async notifyOrder(type, order, transaction = null, extra = {}) {
+    const roles = ORDER_RECIPIENTS[type];
+    const roleOf = user => user.id.toString() === order.seller_id.toString() ? 'seller' : 'buyer';
+
+    return this.queue({
+      type,
+      userIds: roles.map(role => role === 'buyer' ? order.buyer_id : order.seller_id),
+      data: {
+        order: {
+          orderId: order.order_id,
+          status: order.status,
+          quantity: order.quantity,
+          amount: order.amount,
+          tokenSymbol: order.token_symbol,
+          chainId: order.chain_id,
+          escrowAddress: order.escrow_address || null
+        },
+        productName: extra.productName || await this.productName(order, transaction),
+        ...extra
+      },
+      dataFor: user => ({ role: roleOf(user) }),
+      dedupeKey: `${type}:${order.order_id}`
+    }, transaction);
+  }
+
+  /**
+   * Tell the seller when a sale takes a product or variant down to the
+   * low-stock threshold. At most one email per item and day.
+   * @param {object} params - { product, variant, previous, remaining }
+   */
+  static async notifyLowStock({ product, variant = null, previous, remaining }, transaction = null) {
+    const threshold = NotificationService.LOW_STOCK_THRESHOLD;
+    if (!(previous > threshold && remaining <= threshold)) {
+      return 0;
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    return this.queue({
+      type: NotificationType.low_stock,
+      userIds: [product.seller_id],
+      data: {
+        role: 'seller',
+        productId: product.id,
+        productName: product.name,
+        variantSku: variant?.sku || null,
+        remaining,
+        threshold
+      },
+      dedupeKey: `${NotificationType.low_stock}:${product.id}:${variant?.id || 0}:${day}`
+    }, transaction);
+  }
+
+  static isEnabled(user, type) {
+    return user.notificationPreferences?.[type] !== false;
+  }
+
+  static async getPreferences(userId) {
+    try {
+      const user = await User.findByPk(userId, { attributes: ['id', 'notificationPreferences'] });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return { success: true, preferences: this.serializePreferences(user) };
+    } catch (error) {
+      console.error('Error getting notification preferences:', error);
+      throw new Error(`Failed to retrieve notification preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Switch notification types on or off
+   * @param {object} preferences - { [NotificationType]: boolean }; types left out keep their setting
+   */
+  static async updatePreferences(userId, preferences) {
+    try {
+      if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        throw new Error('Validation error: preferences must be an object of notification types to true or false');
+      }
+
+      for (const [type, enabled] of Object.entries(preferences)) {
+        if (!NotificationService.TYPES.includes(type)) {
+          throw new Error(`Validation error: Unknown notification type ${type}. Supported: ${NotificationService.TYPES.join(', ')}`);
+        }
+        if (typeof enabled !== 'boolean') {
+          throw new Error(`Validation error: ${type} must be true or false`);
+        }
+      }
+
+      const user = await User.findByPk(userId, { attributes: ['id', 'notificationPreferences'] });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await user.update({
+        notificationPreferences: { ...(user.notificationPreferences || {}), ...preferences }
+      });
+
+      return { success: true, preferences: this.serializePreferences(user) };
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      throw new Error(`Failed to update notification preferences: ${error.message}`);
+    }
+  }
+
+  static listTemplates() {
+    return NotificationService.TYPES.map(type => ({ type, label: NOTIFICATION_TEMPLATES[type].label }));
+  }
+
+  /**
+   * Render a template with its sample data, optionally overridden
+   * @param {object} data - Merged over the sample, e.g. { role: 'seller' }
+   */
+  static preview(type, data = {}) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+      throw new Error('Notification template not found');
+    }
+
+    return renderNotification(type, { ...template.sample, ...data }, { username: 'Alex' });
+  }
+
+  /**
+   * Send notifications that are due
+   * @param {number} limit - Max notifications to send in one run
+   */
+  static async run(limit = 50) {
+    const due = await EmailNotification.findAll({
+      where: {
+        status: NotificationStatus.pending,
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      attributes: ['id', 'next_attempt_at'],
+      order: [['next_attempt_at', 'ASC']],
+      limit,
+      raw: true
+    });
+    const results = [];
+
+    for (const { id, next_attempt_at: dueAt } of due) {
+      try {
+        const notification = await this.claim(id, dueAt);
+        if (notification) {
+          await this.send(notification);
+          results.push({ id, status: notification.status });
+        }
+      } catch (error) {
+        console.error(`Notification ${id} failed:`, error);
+        results.push({ id, status: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Notifications: ${results.filter(r => r.status === NotificationStatus.sent).length}/${results.length} sent`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Push a notification's next attempt back so a concurrent run skips it.
+   * Returns null if another run claimed it first.
+   */
+  static async claim(id, dueAt) {
+    const [claimed] = await EmailNotification.update({
+      next_attempt_at: new Date(Date.now() + NotificationService.CLAIM_SECONDS * 1000)
+    }, {
+      where: { id, status: NotificationStatus.pending, next_attempt_at: dueAt }
+    });
+
+    if (claimed === 0) {
+      return null;
+    }
+
+    return EmailNotification.findByPk(id, {
+      include: [{ model: User, as: 'recipient', attributes: ['id', 'email', 'username'] }]
+    });
+  }
+
+  /**
+   * Render and send one notification, scheduling a retry if it fails
+   */
+  static async send(notification) {
+    const attempts = notification.attempts + 1;
+
+    try {
+      const recipient = notification.recipient;
+      if (!recipient?.email) {
+        throw new Error('Recipient has no email address');
+      }
+
+      const email = renderNotification(notification.type, notification.data, recipient);
+      const { messageId } = await EmailService.send({ to: recipient.email, ...email });
+
+      await notification.update({
+        status: NotificationStatus.sent,
+        attempts,
+        message_id: messageId,
+        sent_at: new Date(),
+        next_attempt_at: null,
+        last_error: null
+      });
+    } catch (error) {
+      const exhausted = attempts >= notification.max_attempts;
+
+      await notification.update({
+        status: exhausted ? NotificationStatus.failed : NotificationStatus.pending,
+        attempts,
+        last_error: error.message,
+        next_attempt_at: exhausted
+          ? null
+          : new Date(Date.now() + NotificationService.RETRY_BASE_SECONDS * 2 ** (attempts - 1) * 1000)
+      });
+
+      if (exhausted) {
+        console.warn(`Notification ${notification.id} (${notification.type}) failed after ${attempts} attempts: ${error.message}`);
+      }
+    }
+
+    return notification;
+  }
+
+  static async productName(order, transaction) {
+    const product = await Product.findByPk(order.product_id, { attributes: ['id', 'name'], transaction });
+    return product?.name || null;
+  }
+
+  static serializePreferences(user) {
+    return Object.fromEntries(NotificationService.TYPES.map(type => [type, this.isEnabled(user, type)]));
+  }
+}
+
+export default NotificationService;
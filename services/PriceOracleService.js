@@ -0,0 +1,159 @@
+import ChainlinkPriceProvider from './oracle/ChainlinkPriceProvider.js';
+import StaticPriceProvider from './oracle/StaticPriceProvider.js';
+import ExchangeRateApiProvider from './oracle/ExchangeRateApiProvider.js';
+import { getCurrentNetworkConfig } from '../config/networks.js';
+import { CurrencyType } from '../utils/types.js';
+
+/**
+ * Values fiat currencies and tokens in USD through an ordered list of
+ * providers. The first provider with a fresh quote wins; quotes are cached
+ * for PRICE_CACHE_TTL_SECONDS and rejected once older than
+ * PRICE_MAX_AGE_SECONDS.
+ */
+class PriceOracleService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.PRICE_CACHE_TTL_SECONDS || '60') * 1000;
+    // Stablecoin feeds update on a 24h heartbeat; allow a small buffer on top
+    this.maxAgeMs = parseInt(process.env.PRICE_MAX_AGE_SECONDS || '90000') * 1000;
+    this.cache = new Map();
+    this.providers = this.createProviders();
+  }
+
+  createProviders() {
+    const names = (process.env.PRICE_ORACLE_PROVIDERS || 'chainlink,fxrates,static')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    const providers = [];
+    for (const name of names) {
+      if (name === 'chainlink') {
+        const networkName = process.env.PRICE_FEED_NETWORK || getCurrentNetworkConfig().networkName;
+        providers.push(new ChainlinkPriceProvider({ networkName }));
+      } else if (name === 'fxrates') {
+        providers.push(new ExchangeRateApiProvider({
+          url: process.env.FX_RATES_URL || 'https://open.er-api.com/v6/latest/USD',
+          symbols: Object.values(CurrencyType).filter(currency => currency !== CurrencyType.USD)
+        }));
+      } else if (name === 'static') {
+        if (process.env.PRICE_ORACLE_STATIC_FILE) {
+          providers.push(new StaticPriceProvider({ filePath: process.env.PRICE_ORACLE_STATIC_FILE }));
+        }
+      } else {
+        console.warn(`Unknown price provider "${name}" ignored`);
+      }
+    }
+
+    return providers;
+  }
+
+  /**
+   * Add a provider; it is consulted after those already registered
+   * @param {object} provider - Exposes `name` and `async getUsdPrice(symbol)`
+   */
+  registerProvider(provider) {
+    this.providers.push(provider);
+    this.cache.clear();
+  }
+
+  /**
+   * USD price of one unit of `symbol`
+   * @returns {Promise<object>} { symbol, price, updatedAt, source }
+   */
+  async getUsdQuote(symbol) {
+    const normalized = symbol.toUpperCase();
+
+    if (normalized === CurrencyType.USD) {
+      return { symbol: normalized, price: 1, updatedAt: new Date(), source: 'identity' };
+    }
+
+    const cached = this.cache.get(normalized);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs && !this.isStale(cached.quote)) {
+      return cached.quote;
+    }
+
+    for (const provider of this.providers) {
+      try {
+        const result = await provider.getUsdPrice(normalized);
+        if (!result) {
+          continue;
+        }
+
+        const quote = { symbol: normalized, ...result };
+        if (this.isStale(quote)) {
+          console.warn(`Stale ${normalized} price from ${quote.source} (updated ${quote.updatedAt.toISOString()})`);
+          continue;
+        }
+
+        this.cache.set(normalized, { quote, fetchedAt: Date.now() });
+        return quote;
+      } catch (error) {
+        console.error(`Price provider ${provider.name} failed for ${normalized}:`, error.message);
+      }
+    }
+
+    throw new Error(`No fresh USD price available for ${normalized}`);
+  }
+
+  async getUsdPrice(symbol) {
+    const quote = await this.getUsdQuote(symbol);
+    return quote.price;
+  }
+
+  async toUsd(amount, symbol) {
+    const price = await this.getUsdPrice(symbol);
+    return parseFloat(amount) * price;
+  }
+
+  /**
+   * Convert an amount between currencies/tokens through USD
+   * @returns {Promise<object>} { amount, rate, from, to, sources }
+   */
+  async quote(amount, from, to) {
+    const [fromQuote, toQuote] = await Promise.all([
+      this.getUsdQuote(from),
+      this.getUsdQuote(to)
+    ]);
+
+    const rate = fromQuote.price / toQuote.price;
+
+    return {
+      amount: parseFloat(amount) * rate,
+      rate,
+      from: fromQuote.symbol,
+      to: toQuote.symbol,
+      sources: [fromQuote.source, toQuote.source]
+    };
+  }
+
+  async convert(amount, from, to) {
+    const result = await this.quote(amount, from, to);
+    return result.amount;
+  }
+
+  /**
+   * Price a listing in the token the buyer settles with. The token amount is
+   * rounded up to the cent so the seller never receives less than the
+   * listing price.
+   * @returns {Promise<object>} { amount, amountUsd, rate, currency, tokenSymbol, sources }
+   */
+  async settle(amount, currency, tokenSymbol) {
+    const result = await this.quote(amount, currency, tokenSymbol);
+    const amountUsd = await this.toUsd(amount, currency);
+
+    return {
+      amount: Math.ceil(Number((result.amount * 100).toFixed(6))) / 100,
+      amountUsd: Math.round(amountUsd * 100) / 100,
+      rate: result.rate,
+      currency: result.from,
+      tokenSymbol: result.to,
+      sources: result.sources
+    };
+  }
+
+  isStale(quote) {
+    return Date.now() - quote.updatedAt.getTime() > this.maxAgeMs;
+  }
+}
+
+export default new PriceOracleService();
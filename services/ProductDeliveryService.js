@@ -1,12 +1,15 @@
 import { Op } from 'sequelize';
 import db from '../models/index.js';
-import { DeliveryStatus, ProductStatus } from '../utils/types.js';
+import { DeliveryStatus, NotificationType, OrderStatus, ProductStatus, WebhookEvent } from '../utils/types.js';
+import NotificationService from './NotificationService.js';
+import WebhookService from './WebhookService.js';
 
-const { ProductDelivery, Product, User } = db;
+const { ProductDelivery, Product, User, Order, sequelize } = db;
 
 class ProductDeliveryService {
   /**
-   * Create delivery details for a product and activate the product
+   * Create delivery details for a product and activate the product, unless
+   * it is still waiting for moderation
    */
   static async createDelivery(deliveryData) {
     try {
@@ -33,7 +36,7 @@ class ProductDeliveryService {
 
       // Check if delivery already exists for this product
       const existingDelivery = await ProductDelivery.findOne({
-        where: { product_id }
+        where: { product_id, order_id: null }
       });
 
       if (existingDelivery) {
@@ -51,10 +54,15 @@ class ProductDeliveryService {
         delivery_status: DeliveryStatus.pending
       });
 
-      // Update product status to active
+      // Update product status to active; moderation decides for the rest
       await Product.update(
         { status: ProductStatus.active },
-        { where: { id: product_id } }
+        {
+          where: {
+            id: product_id,
+            status: { [Op.notIn]: [ProductStatus.under_review, ProductStatus.flagged, ProductStatus.rejected] }
+          }
+        }
       );
 
       // Refresh product data
@@ -131,7 +139,7 @@ class ProductDeliveryService {
    */
   static async getDeliveryByProductId(productId, sellerId = null) {
     try {
-      const whereClause = { product_id: productId };
+      const whereClause = { product_id: productId, order_id: null };
       
       if (sellerId) {
         whereClause.seller_id = sellerId;
@@ -233,10 +241,10 @@ class ProductDeliveryService {
       }
 
       // Prepare update data
+      // Status and delivery date only change through the shipment lifecycle
       const allowedFields = [
         'pickup_location', 'estimated_delivery_days', 
-        'buyer_location', 'notes', 'actual_delivery_date', 
-        'delivery_status'
+        'buyer_location', 'notes', 'tracking_number'
       ];
       
       const updateFields = {};
@@ -244,7 +252,7 @@ class ProductDeliveryService {
         if (updateData[field] !== undefined) {
           if (field === 'estimated_delivery_days') {
             updateFields[field] = parseInt(updateData[field]);
-          } else if (field === 'pickup_location' || field === 'buyer_location' || field === 'notes') {
+          } else if (['pickup_location', 'buyer_location', 'notes', 'tracking_number'].includes(field)) {
             updateFields[field] = updateData[field].trim();
           } else {
             updateFields[field] = updateData[field];
@@ -266,23 +274,33 @@ class ProductDeliveryService {
   }
 
   /**
-   * Update delivery status
+   * Move a delivery along its lifecycle. Seller-driven transitions are
+   * pending -> in_transit -> delivered; disputes come from the escrow flow.
    */
   static async updateDeliveryStatus(deliveryId, sellerId, delivery_status) {
+    const transaction = await sequelize.transaction();
     try {
       if (!Object.values(DeliveryStatus).includes(delivery_status)) {
         throw new Error('Invalid delivery status');
       }
 
+      if (delivery_status === DeliveryStatus.disputed) {
+        throw new Error('Disputes must be raised through the escrow dispute endpoint');
+      }
+
       const delivery = await ProductDelivery.findOne({
-        where: { id: deliveryId, seller_id: sellerId }
+        where: { id: deliveryId, seller_id: sellerId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
       });
 
       if (!delivery) {
         throw new Error('Delivery not found or access denied');
       }
 
-      await delivery.update({ delivery_status });
+      await this.applyTransition(delivery, delivery_status, transaction);
+
+      await transaction.commit();
 
       return {
         success: true,
@@ -290,11 +308,233 @@ class ProductDeliveryService {
         message: `Delivery status updated to ${delivery_status}`
       };
     } catch (error) {
+      await transaction.rollback();
       console.error('Error updating delivery status:', error);
       throw new Error(`Failed to update delivery status: ${error.message}`);
     }
   }
 
+  /**
+   * Create the shipment for a paid order, defaulting pickup details from the
+   * product's delivery details
+   */
+  static async createShipment({ orderId, sellerId, buyer_location, tracking_number, notes, pickup_location, estimated_delivery_days }) {
+    try {
+      const order = await Order.findOne({ where: { order_id: orderId } });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      if (order.seller_id !== sellerId.toString()) {
+        throw new Error('Only seller can create a shipment for this order');
+      }
+
+      if (order.status !== OrderStatus.paid) {
+        throw new Error(`Cannot create a shipment for an order with status ${order.status}`);
+      }
+
+      const existingShipment = await ProductDelivery.findOne({ where: { order_id: orderId } });
+      if (existingShipment) {
+        throw new Error('Shipment already exists for this order');
+      }
+
+      const productDelivery = await ProductDelivery.findOne({
+        where: { product_id: order.product_id, order_id: null }
+      });
+
+      const pickupLocation = pickup_location?.trim() || productDelivery?.pickup_location;
+      if (!pickupLocation) {
+        throw new Error('Pickup location is required');
+      }
+
+      const shipment = await ProductDelivery.create({
+        product_id: order.product_id,
+        seller_id: order.seller_id,
+        buyer_id: order.buyer_id,
+        order_id: orderId,
+        pickup_location: pickupLocation,
+        estimated_delivery_days: parseInt(estimated_delivery_days || productDelivery?.estimated_delivery_days || 1),
+        buyer_location: buyer_location?.trim() || productDelivery?.buyer_location,
+        tracking_number: tracking_number?.trim(),
+        notes: notes?.trim(),
+        delivery_status: DeliveryStatus.pending
+      });
+
+      return {
+        success: true,
+        delivery: this.serializeDelivery(shipment),
+        message: 'Shipment created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating shipment:', error);
+      throw new Error(`Failed to create shipment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an order's shipment; visible to its buyer and seller
+   */
+  static async getShipmentByOrder(orderId, userId) {
+    try {
+      const shipment = await ProductDelivery.findOne({
+        where: { order_id: orderId },
+        include: [
+          {
+            model: Product,
+            as: 'product',
+            attributes: ['id', 'name', 'price', 'currency']
+          },
+          {
+            model: Order,
+            as: 'order',
+            attributes: ['order_id', 'status', 'buyer_id', 'seller_id', 'paid_at', 'completed_at']
+          }
+        ]
+      });
+
+      if (!shipment) {
+        throw new Error('Shipment not found');
+      }
+
+      if (![shipment.buyer_id?.toString(), shipment.seller_id?.toString()].includes(userId.toString())) {
+        throw new Error('Shipment not found');
+      }
+
+      return {
+        success: true,
+        delivery: this.serializeDelivery(shipment)
+      };
+    } catch (error) {
+      console.error('Error getting shipment:', error);
+      throw new Error(`Failed to retrieve shipment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buyer confirms the goods arrived. Marks the shipment delivered if the
+   * seller has not already done so.
+   */
+  static async confirmReceipt(orderId, buyerId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const shipment = await ProductDelivery.findOne({
+        where: { order_id: orderId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!shipment) {
+        throw new Error('Shipment not found');
+      }
+
+      if (shipment.buyer_id?.toString() !== buyerId.toString()) {
+        throw new Error('Only buyer can confirm receipt');
+      }
+
+      if (shipment.delivery_status !== DeliveryStatus.delivered) {
+        await this.applyTransition(shipment, DeliveryStatus.delivered, transaction);
+      }
+
+      await shipment.update({ buyer_confirmed_at: new Date() }, { transaction });
+
+      await transaction.commit();
+
+      return {
+        success: true,
+        delivery: this.serializeDelivery(shipment),
+        message: 'Receipt confirmed'
+      };
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Error confirming receipt:', error);
+      throw new Error(`Failed to confirm receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mirror an escrow dispute onto the order's shipment, if it has one
+   */
+  static async markOrderDisputed(orderId, transaction) {
+    const shipment = await ProductDelivery.findOne({
+      where: { order_id: orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!shipment || !shipment.canTransitionTo(DeliveryStatus.disputed)) {
+      return null;
+    }
+
+    return this.applyTransition(shipment, DeliveryStatus.disputed, transaction);
+  }
+
+  /**
+   * Validate a status change, stamp its time and move the linked order
+   */
+  static async applyTransition(delivery, status, transaction) {
+    if (!delivery.canTransitionTo(status)) {
+      throw new Error(`Invalid delivery status transition from ${delivery.delivery_status} to ${status}`);
+    }
+
+    const now = new Date();
+    const updates = { delivery_status: status };
+
+    if (status === DeliveryStatus.in_transit) {
+      updates.in_transit_at = now;
+    } else if (status === DeliveryStatus.delivered) {
+      updates.actual_delivery_date = delivery.actual_delivery_date || now;
+    } else if (status === DeliveryStatus.disputed) {
+      updates.disputed_at = now;
+    }
+
+    let order = null;
+    if (delivery.isShipment() && status !== DeliveryStatus.disputed) {
+      order = await Order.findOne({
+        where: { order_id: delivery.order_id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const orderTransitions = {
+        [DeliveryStatus.in_transit]: { from: OrderStatus.paid, to: OrderStatus.shipped },
+        [DeliveryStatus.delivered]: { from: OrderStatus.shipped, to: OrderStatus.delivered }
+      };
+      const { from, to } = orderTransitions[status];
+
+      if (!order || order.status !== from) {
+        throw new Error(`Order must be ${from} to mark its shipment ${status}`);
+      }
+
+      await order.update({ status: to }, { transaction });
+    }
+
+    await delivery.update(updates, { transaction });
+
+    if (order) {
+      const shipped = status === DeliveryStatus.in_transit;
+      await WebhookService.emitOrderEvent(
+        shipped ? WebhookEvent.order_shipped : WebhookEvent.order_delivered,
+        order,
+        transaction,
+        { shipment: this.serializeDelivery(delivery) }
+      );
+      await NotificationService.notifyOrder(
+        shipped ? NotificationType.order_shipped : NotificationType.order_delivered,
+        order,
+        transaction,
+        {
+          shipment: {
+            trackingNumber: delivery.tracking_number || null,
+            estimatedDeliveryDays: parseInt(delivery.estimated_delivery_days) || null
+          }
+        }
+      );
+    }
+
+    return delivery;
+  }
+
   /**
    * Serialize delivery data for response
    */
@@ -305,16 +545,23 @@ class ProductDeliveryService {
       id: serialized.id,
       product_id: serialized.product_id,
       seller_id: serialized.seller_id,
+      order_id: serialized.order_id,
+      buyer_id: serialized.buyer_id,
       pickup_location: serialized.pickup_location,
       estimated_delivery_days: parseInt(serialized.estimated_delivery_days),
       buyer_location: serialized.buyer_location,
       actual_delivery_date: serialized.actual_delivery_date,
       delivery_status: serialized.delivery_status,
+      tracking_number: serialized.tracking_number,
+      in_transit_at: serialized.in_transit_at,
+      disputed_at: serialized.disputed_at,
+      buyer_confirmed_at: serialized.buyer_confirmed_at,
       notes: serialized.notes,
       createdAt: serialized.createdAt,
       updatedAt: serialized.updatedAt,
       product: serialized.product, // Include product info if populated
-      seller: serialized.seller // Include seller info if populated
+      seller: serialized.seller, // Include seller info if populated
+      order: serialized.order // Include order info if populated
     };
   }
 
@@ -324,7 +571,7 @@ class ProductDeliveryService {
   static async hasDeliveryDetails(productId) {
     try {
       const delivery = await ProductDelivery.findOne({
-        where: { product_id: productId }
+        where: { product_id: productId, order_id: null }
       });
       return !!delivery;
     } catch (error) {
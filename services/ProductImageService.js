@@ -0,0 +1,284 @@
+import sharp from 'sharp';
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { differenceHash } from '../utils/imageHash.js';
+import PinataStorageProvider from './storage/PinataStorageProvider.js';
+import IpfsNodeStorageProvider from './storage/IpfsNodeStorageProvider.js';
+import FilesystemStorageProvider from './storage/FilesystemStorageProvider.js';
+
+const { Product, ProductVariant, ImageHash, sequelize } = db;
+
+// Output settings per accepted input format; re-encoding drops EXIF/XMP/ICC
+const FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', encode: image => image.jpeg({ quality: 90, mozjpeg: true }) },
+  png: { contentType: 'image/png', extension: 'png', encode: image => image.png({ compressionLevel: 9 }) },
+  webp: { contentType: 'image/webp', extension: 'webp', encode: image => image.webp({ quality: 90 }) }
+};
+
+/**
+ * Product image pipeline: validate, normalise, thumbnail and pin to IPFS.
+ *
+ * Every upload is decoded (so the real format is checked, not the declared
+ * MIME type), auto-rotated from its EXIF orientation, re-encoded without
+ * metadata and capped at MAX_DIMENSION. A square thumbnail is pinned next to
+ * it and recorded in Product.image_thumbnails, for variant images too, and a
+ * perceptual hash is kept for duplicate-image checks. New images send the
+ * product back through verification. The storage provider is chosen with
+ * STORAGE_PROVIDER (pinata | ipfs | filesystem).
+ */
+class ProductImageService {
+  static MAX_IMAGES = 10;
+  static MAX_FILE_BYTES = parseInt(process.env.PRODUCT_IMAGE_MAX_BYTES || String(5 * 1024 * 1024));
+  static MAX_DIMENSION = parseInt(process.env.PRODUCT_IMAGE_MAX_DIMENSION || '2048');
+  static THUMBNAIL_SIZE = parseInt(process.env.PRODUCT_THUMBNAIL_SIZE || '320');
+  // Refuse decompression bombs before sharp allocates the full bitmap
+  static MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+  static ACCEPTED_TYPES = Object.values(FORMATS).map(format => format.contentType);
+
+  constructor() {
+    this.providerName = process.env.STORAGE_PROVIDER || 'pinata';
+    this.provider = null;
+  }
+
+  createProvider(name) {
+    if (name === 'pinata') {
+      return new PinataStorageProvider({ jwt: process.env.PINATA_JWT });
+    }
+
+    if (name === 'ipfs') {
+      return new IpfsNodeStorageProvider({ apiUrl: process.env.IPFS_API_URL });
+    }
+
+    if (name === 'filesystem') {
+      return new FilesystemStorageProvider({ directory: process.env.STORAGE_FS_DIR || '.ipfs-store' });
+    }
+
+    throw new Error(`Unknown storage provider "${name}"`);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(this.providerName);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Use a custom provider
+   * @param {object} provider - Exposes name, `async pin(buffer, { filename, contentType })` and `async unpin(cid)`
+   */
+  useProvider(provider) {
+    this.provider = provider;
+    this.providerName = provider.name;
+  }
+
+  /**
+   * Decode and re-encode one upload
+   * @param {object} file - Multer file ({ buffer, originalname, size })
+   * @returns {Promise<object>} { image, thumbnail, hash }; image and thumbnail are { buffer, contentType, extension }
+   */
+  async processImage(file) {
+    if (file.size > ProductImageService.MAX_FILE_BYTES) {
+      throw new Error(`${file.originalname} exceeds the ${ProductImageService.MAX_FILE_BYTES} byte limit`);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer, { limitInputPixels: ProductImageService.MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+      throw new Error(`${file.originalname} is not a readable image`);
+    }
+
+    const format = FORMATS[metadata.format];
+    if (!format) {
+      throw new Error(`${file.originalname} has unsupported format ${metadata.format}; use JPEG, PNG or WebP`);
+    }
+
+    const source = () => sharp(file.buffer, { limitInputPixels: ProductImageService.MAX_INPUT_PIXELS }).rotate();
+
+    const image = await format.encode(
+      source().resize({
+        width: ProductImageService.MAX_DIMENSION,
+        height: ProductImageService.MAX_DIMENSION,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+    ).toBuffer();
+
+    const thumbnail = await source()
+      .resize({ width: ProductImageService.THUMBNAIL_SIZE, height: ProductImageService.THUMBNAIL_SIZE, fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return {
+      image: { buffer: image, contentType: format.contentType, extension: format.extension },
+      thumbnail: { buffer: thumbnail, contentType: FORMATS.webp.contentType, extension: FORMATS.webp.extension },
+      hash: await differenceHash(image)
+    };
+  }
+
+  /**
+   * Process, pin and attach uploaded images to a seller's product, or to one
+   * of its variants. If the product cannot be updated, the files pinned for
+   * this request are unpinned.
+   * @returns {Promise<object>} { product, variant, uploaded: [{ cid, thumbnailCid, hash }] }
+   */
+  async addImages(productId, sellerId, files = [], variantId = null) {
+    try {
+      if (files.length === 0) {
+        throw new Error('At least one image is required');
+      }
+
+      const product = await Product.findOne({ where: { id: productId, seller_id: sellerId } });
+      if (!product) {
+        throw new Error('Product not found or access denied');
+      }
+
+      let existingImages = product.image_cid || [];
+      if (variantId) {
+        const variant = await ProductVariant.findOne({ where: { id: variantId, product_id: product.id } });
+        if (!variant) {
+          throw new Error('Product variant not found');
+        }
+        existingImages = variant.image_cid || [];
+      }
+
+      if (existingImages.length + files.length > ProductImageService.MAX_IMAGES) {
+        throw new Error(`Cannot upload more than ${ProductImageService.MAX_IMAGES} images`);
+      }
+
+      const processed = [];
+      for (const file of files) {
+        processed.push(await this.processImage(file));
+      }
+
+      const uploaded = [];
+      try {
+        for (const [index, { image, thumbnail, hash }] of processed.entries()) {
+          const name = `product-${productId}-${Date.now()}-${index}`;
+          const cid = await this.getProvider().pin(image.buffer, {
+            filename: `${name}.${image.extension}`,
+            contentType: image.contentType
+          });
+          const thumbnailCid = await this.getProvider().pin(thumbnail.buffer, {
+            filename: `${name}-thumb.${thumbnail.extension}`,
+            contentType: thumbnail.contentType
+          });
+          uploaded.push({ cid, thumbnailCid, hash });
+        }
+
+        const { product: updated, variant } = await this.attach(productId, sellerId, uploaded, variantId);
+        return { product: updated, variant, uploaded };
+      } catch (error) {
+        await this.releaseImages(uploaded);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error uploading product images:', error);
+      throw new Error(`Failed to upload product images: ${error.message}`);
+    }
+  }
+
+  async attach(productId, sellerId, uploaded, variantId = null) {
+    const transaction = await sequelize.transaction();
+    try {
+      const product = await Product.findOne({
+        where: { id: productId, seller_id: sellerId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!product) {
+        throw new Error('Product not found or access denied');
+      }
+
+      const variant = variantId
+        ? await ProductVariant.findOne({ where: { id: variantId, product_id: product.id }, transaction })
+        : null;
+      if (variantId && !variant) {
+        throw new Error('Product variant not found');
+      }
+
+      const imageCids = [...((variant || product).image_cid || [])];
+      const thumbnails = { ...(product.image_thumbnails || {}) };
+      for (const { cid, thumbnailCid } of uploaded) {
+        if (!imageCids.includes(cid)) {
+          imageCids.push(cid);
+        }
+        thumbnails[cid] = thumbnailCid;
+      }
+
+      // Re-check under the lock in case another upload landed meanwhile
+      if (imageCids.length > ProductImageService.MAX_IMAGES) {
+        throw new Error(`Cannot upload more than ${ProductImageService.MAX_IMAGES} images`);
+      }
+
+      const productFields = { image_thumbnails: thumbnails, verification_requested_at: new Date() };
+      if (variant) {
+        await variant.update({ image_cid: imageCids }, { transaction });
+      } else {
+        productFields.image_cid = imageCids;
+      }
+      await product.update(productFields, { transaction });
+
+      await ImageHash.bulkCreate(
+        uploaded.map(({ cid, hash }) => ({ cid, hash })),
+        { ignoreDuplicates: true, transaction }
+      );
+      await transaction.commit();
+      return { product, variant };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Thumbnail entries for image CIDs a product no longer references
+   */
+  detachedImages(product, remainingCids = []) {
+    const thumbnails = product.image_thumbnails || {};
+    return (product.image_cid || [])
+      .filter(cid => !remainingCids.includes(cid))
+      .map(cid => ({ cid, thumbnailCid: thumbnails[cid] || null }));
+  }
+
+  /**
+   * Thumbnail entries for every image of the given variants
+   */
+  variantImages(product, variants = []) {
+    const thumbnails = product.image_thumbnails || {};
+    return variants
+      .flatMap(variant => variant.image_cid || [])
+      .map(cid => ({ cid, thumbnailCid: thumbnails[cid] || null }));
+  }
+
+  /**
+   * Unpin images (and their thumbnails) that no product or variant
+   * references any more. Identical uploads share a CID, so an image still
+   * attached elsewhere is left pinned. Failures are logged rather than thrown; the
+   * caller's change has already been saved.
+   * @param {Array<object>} images - [{ cid, thumbnailCid }]
+   */
+  async releaseImages(images = []) {
+    for (const { cid, thumbnailCid } of images) {
+      try {
+        const stillUsed = await Product.count({ where: { image_cid: { [Op.contains]: [cid] } } }) +
+          await ProductVariant.count({ where: { image_cid: { [Op.contains]: [cid] } } });
+        if (stillUsed > 0) {
+          continue;
+        }
+
+        await this.getProvider().unpin(cid);
+        if (thumbnailCid) {
+          await this.getProvider().unpin(thumbnailCid);
+        }
+      } catch (error) {
+        console.error(`Failed to unpin image ${cid}:`, error.message);
+      }
+    }
+  }
+}
+
+export default new ProductImageService();
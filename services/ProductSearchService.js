@@ -0,0 +1,252 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import CategoryService from './CategoryService.js';
+import { ProductStatus } from '../utils/types.js';
+
+const { Product, User, sequelize } = db;
+
+const SEARCH_QUERY = `websearch_to_tsquery('english', :search)`;
+
+// Full-text match on name and description, or a trigram match on the name
+// so misspelt queries ("hedphones") still find something
+const MATCH_SQL = `("Product"."search_vector" @@ ${SEARCH_QUERY} OR "Product"."name" % :search)`;
+
+// Rounded so the value survives a round trip through the cursor unchanged
+const RANK_SQL = `ROUND((ts_rank_cd("Product"."search_vector", ${SEARCH_QUERY}) + similarity("Product"."name", :search))::numeric, 6)`;
+
+const SORTS = {
+  relevance: { expression: RANK_SQL, direction: 'DESC' },
+  newest: { expression: '"Product"."createdAt"', direction: 'DESC' },
+  price_asc: { expression: '"Product"."price"', direction: 'ASC' },
+  price_desc: { expression: '"Product"."price"', direction: 'DESC' }
+};
+
+/**
+ * Product catalogue search over the generated `search_vector` column (see
+ * the 20251113090000 migration) with keyset pagination and facet counts.
+ *
+ * Cursors encode the sort key and id of the last row served, so every page
+ * is an index range scan however deep the client pages. Each facet is
+ * counted with every filter applied except its own, so the counts show what
+ * choosing another value would return.
+ */
+class ProductSearchService {
+  static DEFAULT_LIMIT = 20;
+  static MAX_LIMIT = 100;
+  static SORTS = Object.keys(SORTS);
+
+  // Upper bounds of the price facet buckets, in the product's own currency
+  static PRICE_BUCKETS = (process.env.PRODUCT_PRICE_BUCKETS || '25,50,100,250,500,1000')
+    .split(',')
+    .map(bound => parseFloat(bound))
+    .filter(bound => Number.isFinite(bound))
+    .sort((a, b) => a - b);
+
+  static encodeCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify({ sort, value, id })).toString('base64url');
+  }
+
+  static decodeCursor(cursor, sort) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (decoded.sort !== sort || decoded.value === undefined || !Number.isInteger(decoded.id)) {
+        throw new Error('Cursor does not match this query');
+      }
+      return decoded;
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  static priceBuckets() {
+    const bounds = [0, ...ProductSearchService.PRICE_BUCKETS];
+    return bounds.map((min, index) => {
+      const max = bounds[index + 1] ?? null;
+      return { value: max === null ? `${min}+` : `${min}-${max}`, min, max };
+    });
+  }
+
+  static priceBucketSql() {
+    const buckets = this.priceBuckets();
+    const cases = buckets
+      .filter(bucket => bucket.max !== null)
+      .map(bucket => `WHEN "Product"."price" < ${bucket.max} THEN '${bucket.value}'`)
+      .join(' ');
+    return `CASE ${cases} ELSE '${buckets[buckets.length - 1].value}' END`;
+  }
+
+  /**
+   * Filter conditions, optionally leaving one facet's own filter out
+   * @param {string} omit - 'status' | 'currency' | 'price'
+   */
+  static buildWhere({ status, currency, minPrice, maxPrice, sellerId, categoryIds, search }, omit = null) {
+    const conditions = [];
+
+    if (status && omit !== 'status') {
+      conditions.push({ status });
+    }
+
+    if (currency && omit !== 'currency') {
+      conditions.push({ currency: currency.toUpperCase() });
+    }
+
+    if (omit !== 'price') {
+      if (minPrice !== undefined) {
+        conditions.push({ price: { [Op.gte]: parseFloat(minPrice) } });
+      }
+      if (maxPrice !== undefined) {
+        conditions.push({ price: { [Op.lte]: parseFloat(maxPrice) } });
+      }
+    }
+
+    if (sellerId) {
+      conditions.push({ seller_id: sellerId });
+    }
+
+    if (categoryIds) {
+      conditions.push({ category_id: { [Op.in]: categoryIds } });
+    }
+
+    if (search) {
+      conditions.push(sequelize.literal(MATCH_SQL));
+    }
+
+    return { [Op.and]: conditions };
+  }
+
+  /**
+   * Count matches per value of `expression`
+   */
+  static async countBy(expression, where, replacements) {
+    const rows = await Product.findAll({
+      attributes: [
+        [sequelize.literal(expression), 'value'],
+        [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']
+      ],
+      where,
+      group: [sequelize.literal(expression)],
+      replacements,
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.value] = parseInt(row.count);
+      return acc;
+    }, {});
+  }
+
+  static async getFacets(filters, replacements) {
+    const [currency, status, price] = await Promise.all([
+      this.countBy('"Product"."currency"', this.buildWhere(filters, 'currency'), replacements),
+      this.countBy('"Product"."status"', this.buildWhere(filters, 'status'), replacements),
+      this.countBy(this.priceBucketSql(), this.buildWhere(filters, 'price'), replacements)
+    ]);
+
+    const toList = counts => Object.entries(counts)
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      currency: toList(currency),
+      status: toList(status),
+      price: this.priceBuckets().map(bucket => ({ ...bucket, count: price[bucket.value] || 0 }))
+    };
+  }
+
+  /**
+   * Search the catalogue
+   * @param {object} options - { search, status, currency, minPrice, maxPrice, sellerId, categoryId,
+   *   sort: relevance|newest|price_asc|price_desc, cursor, page, limit, includeFacets }
+   *   A category matches its subcategories too. `page` is offset paging for
+   *   clients that predate the cursor; it cannot be combined with one.
+   * @returns {Promise<object>} { rows, total, limit, page, nextCursor, sort, facets }
+   */
+  static async search(options = {}) {
+    const search = options.search?.trim() || null;
+    const filters = {
+      status: options.status === undefined ? ProductStatus.active : options.status,
+      currency: options.currency,
+      minPrice: options.minPrice,
+      maxPrice: options.maxPrice,
+      sellerId: options.sellerId,
+      categoryIds: options.categoryId ? await CategoryService.getDescendantIds(options.categoryId) : null,
+      search
+    };
+
+    if (filters.status && !Object.values(ProductStatus).includes(filters.status)) {
+      throw new Error('Invalid product status');
+    }
+
+    let sort = options.sort || (search ? 'relevance' : 'newest');
+    if (!SORTS[sort]) {
+      throw new Error(`Invalid sort; use one of ${ProductSearchService.SORTS.join(', ')}`);
+    }
+    // Without a query every rank is zero
+    if (sort === 'relevance' && !search) {
+      sort = 'newest';
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(options.limit) || ProductSearchService.DEFAULT_LIMIT, 1),
+      ProductSearchService.MAX_LIMIT
+    );
+    const page = options.page === undefined || options.page === null ? null : parseInt(options.page);
+    if (page !== null && (!(page >= 1) || options.cursor)) {
+      throw new Error(options.cursor
+        ? 'Invalid pagination; send either page or cursor, not both'
+        : 'Invalid page; it must be a positive integer');
+    }
+
+    const { expression, direction } = SORTS[sort];
+    const replacements = search ? { search } : {};
+    const where = this.buildWhere(filters);
+
+    const pageWhere = { [Op.and]: [...where[Op.and]] };
+    if (options.cursor) {
+      const cursor = this.decodeCursor(options.cursor, sort);
+      pageWhere[Op.and].push(sequelize.literal(
+        `(${expression}, "Product"."id") ${direction === 'DESC' ? '<' : '>'} (:cursorValue, :cursorId)`
+      ));
+      replacements.cursorValue = cursor.value;
+      replacements.cursorId = cursor.id;
+    }
+
+    const [rows, total, facets] = await Promise.all([
+      Product.findAll({
+        attributes: {
+          include: sort === 'relevance' ? [[sequelize.literal(RANK_SQL), 'search_rank']] : []
+        },
+        where: pageWhere,
+        include: [{
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'username', 'email']
+        }],
+        order: [
+          [sequelize.literal(expression), direction],
+          ['id', direction]
+        ],
+        // One extra row tells us whether there is a next page
+        limit: limit + 1,
+        offset: page ? (page - 1) * limit : 0,
+        replacements
+      }),
+      Product.count({ where, replacements }),
+      options.includeFacets === false ? null : this.getFacets(filters, replacements)
+    ]);
+
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    let nextCursor = null;
+    if (rows.length > limit && last) {
+      const value = sort === 'relevance' ? last.get('search_rank')
+        : sort === 'newest' ? last.createdAt.toISOString()
+        : String(last.price);
+      nextCursor = this.encodeCursor(sort, value, last.id);
+    }
+
+    return { rows: pageRows, total, limit, page, nextCursor, sort, facets };
+  }
+}
+
+export default ProductSearchService;
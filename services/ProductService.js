@@ -1,10 +1,25 @@
 import { Op } from 'sequelize';
 import db from '../models/index.js';
-import { ProductStatus } from '../utils/types.js';
-
-const { Product, User } = db;
+import StockReservationService from './StockReservationService.js';
+import PriceOracleService from './PriceOracleService.js';
+import ProductImageService from './ProductImageService.js';
+import ProductSearchService from './ProductSearchService.js';
+import ProductVariantService from './ProductVariantService.js';
+import CategoryService from './CategoryService.js';
+import ProductVerificationService from './ProductVerificationService.js';
+import ProductValidationService from './validation/ProductValidationService.js';
+import WebhookService from './WebhookService.js';
+import { ProductStatus, WebhookEvent } from '../utils/types.js';
+
+const { Product, ProductVariant, Category, User } = db;
 
 class ProductService {
+  // Changing any of these sends the listing back through verification
+  static VERIFIED_FIELDS = ['name', 'description', 'image_cid', 'price', 'category_id', 'attributes'];
+
+  // Statuses only moderation moves a product into or out of
+  static MODERATED_STATUSES = [ProductStatus.under_review, ProductStatus.flagged, ProductStatus.rejected];
+
   /**
    * Create a new product
    */
@@ -18,7 +33,9 @@ class ProductService {
         price,
         quantity,
         currency = 'USD',
-        status = ProductStatus.under_review
+        status = ProductStatus.under_review,
+        category_id = null,
+        attributes = {}
       } = productData;
 
       // Verify seller exists
@@ -27,6 +44,8 @@ class ProductService {
         throw new Error('Seller not found');
       }
 
+      await this.validateCategoryAttributes(category_id, attributes);
+
       // Create product
       const product = await Product.create({
         seller_id,
@@ -37,9 +56,14 @@ class ProductService {
         quantity: parseInt(quantity),
         currency: currency.toUpperCase(),
         status,
-        ai_verification_score: null // Will be set by AI verification service
+        category_id: category_id || null,
+        attributes: attributes || {},
+        ai_verification_score: null, // Set by ProductVerificationService
+        verification_requested_at: new Date()
       });
 
+      await WebhookService.emitProductEvent(WebhookEvent.product_created, product);
+
       return {
         success: true,
         product: this.serializeProduct(product)
@@ -64,20 +88,44 @@ class ProductService {
   }
 
   /**
-   * Get product by ID
+   * Check a product's category exists and its attribute values fit the
+   * category's schema (non-variant attributes only)
+   */
+  static async validateCategoryAttributes(categoryId, attributes = {}) {
+    if (!categoryId) {
+      if (attributes && Object.keys(attributes).length > 0) {
+        throw new Error('Validation error: Attributes require a category');
+      }
+      return;
+    }
+
+    const schema = await CategoryService.getEffectiveSchema(categoryId);
+    const errors = ProductValidationService.validateAttributes(schema, attributes || {});
+    if (errors.length > 0) {
+      throw new Error(`Validation error: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+    }
+  }
+
+  /**
+   * Get product by ID, with its category and active variants
    */
   static async getProductById(productId, includeSeller = false) {
     try {
       const options = {
-        where: { id: productId }
+        where: { id: productId },
+        include: [{
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'slug']
+        }]
       };
 
       if (includeSeller) {
-        options.include = [{
+        options.include.push({
           model: User,
           as: 'seller',
           attributes: ['id', 'username', 'email']
-        }];
+        });
       }
 
       const product = await Product.findOne(options);
@@ -86,9 +134,15 @@ class ProductService {
         throw new Error('Product not found');
       }
 
+      const { variants } = await ProductVariantService.listVariants(product.id);
+
       return {
         success: true,
-        product: this.serializeProduct(product)
+        product: {
+          ...this.serializeProduct(product),
+          category: product.category ? product.category.toJSON() : null,
+          variants
+        }
       };
     } catch (error) {
       console.error('Error getting product by ID:', error);
@@ -96,6 +150,43 @@ class ProductService {
     }
   }
 
+  /**
+   * Price a product in a settlement token, e.g. an NGN listing paid in USDC
+   */
+  static async getProductQuote(productId, tokenSymbol, quantity = 1, variantId = null) {
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const variant = await ProductVariantService.resolvePurchaseVariant(product, variantId);
+      const unitPrice = ProductVariantService.unitPrice(product, variant);
+      const listingAmount = unitPrice * parseInt(quantity);
+      const settlement = await PriceOracleService.settle(listingAmount, product.currency || 'USD', tokenSymbol);
+
+      return {
+        success: true,
+        quote: {
+          productId: product.id,
+          variantId: variant?.id || null,
+          quantity: parseInt(quantity),
+          price: unitPrice,
+          currency: settlement.currency,
+          listingAmount,
+          tokenSymbol: settlement.tokenSymbol,
+          tokenAmount: settlement.amount,
+          amountUsd: settlement.amountUsd,
+          rate: settlement.rate,
+          quotedAt: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      console.error('Error quoting product:', error);
+      throw new Error(`Failed to quote product: ${error.message}`);
+    }
+  }
+
   /**
    * Get products by seller
    */
@@ -152,78 +243,25 @@ class ProductService {
   }
 
   /**
-   * Get all products with filtering and pagination
+   * Search and filter the catalogue with cursor pagination and facets
+   * (see ProductSearchService for the options)
    */
   static async getAllProducts(options = {}) {
     try {
-      const {
-        page = 1,
-        limit = 20,
-        status = ProductStatus.active, // Default to active products
-        minPrice,
-        maxPrice,
-        currency,
-        search,
-        sellerId
-      } = options;
-
-      const whereClause = {};
-
-      // Status filter
-      if (status) {
-        whereClause.status = status;
-      }
-
-      // Price range filter
-      if (minPrice !== undefined || maxPrice !== undefined) {
-        whereClause.price = {};
-        if (minPrice !== undefined) {
-          whereClause.price[Op.gte] = parseFloat(minPrice);
-        }
-        if (maxPrice !== undefined) {
-          whereClause.price[Op.lte] = parseFloat(maxPrice);
-        }
-      }
-
-      // Currency filter
-      if (currency) {
-        whereClause.currency = currency.toUpperCase();
-      }
-
-      // Seller filter
-      if (sellerId) {
-        whereClause.seller_id = sellerId;
-      }
-
-      // Search filter
-      if (search) {
-        whereClause[Op.or] = [
-          { name: { [Op.iLike]: `%${search}%` } },
-          { descrption: { [Op.iLike]: `%${search}%` } }
-        ];
-      }
-
-      const { count, rows } = await Product.findAndCountAll({
-        where: whereClause,
-        include: [{
-          model: User,
-          as: 'seller',
-          attributes: ['id', 'username', 'email']
-        }],
-        order: [['createdAt', 'DESC']],
-        limit: parseInt(limit),
-        offset: (parseInt(page) - 1) * parseInt(limit)
-      });
+      const result = await ProductSearchService.search(options);
 
       return {
         success: true,
-        products: rows.map(product => this.serializeProduct(product)),
+        products: result.rows.map(product => this.serializeProduct(product)),
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: count,
-          pages: Math.ceil(count / limit)
-        }
+          limit: result.limit,
+          total: result.total,
+          nextCursor: result.nextCursor,
+          hasMore: result.nextCursor !== null,
+          ...(result.page ? { page: result.page, pages: Math.ceil(result.total / result.limit) } : {})
+        },
+        sort: result.sort,
+        facets: result.facets
       };
     } catch (error) {
       console.error('Error getting all products:', error);
@@ -247,8 +285,28 @@ class ProductService {
       // Prepare update data
       const allowedFields = [
         'name', 'description', 'image_cid', 'price', 
-        'quantity', 'currency', 'status'
+        'quantity', 'currency', 'status', 'category_id', 'attributes'
       ];
+
+      if (updateData.status !== undefined) {
+        this.assertSellerStatusChange(product, updateData.status);
+      }
+
+      const hasVariants = await ProductVariantService.hasVariants(product.id);
+      if (hasVariants && updateData.quantity !== undefined) {
+        throw new Error('Validation error: Stock is tracked per variant; update the variants instead');
+      }
+
+      if (updateData.category_id !== undefined || updateData.attributes !== undefined) {
+        const categoryId = updateData.category_id !== undefined ? updateData.category_id : product.category_id;
+        if (hasVariants && (categoryId || null) !== (product.category_id || null)) {
+          throw new Error('Validation error: Remove the variants before moving the product to another category');
+        }
+        await this.validateCategoryAttributes(
+          categoryId,
+          updateData.attributes !== undefined ? updateData.attributes : product.attributes
+        );
+      }
       
       const updateFields = {};
       allowedFields.forEach(field => {
@@ -267,7 +325,26 @@ class ProductService {
         }
       });
 
+      // Images dropped from the list are unpinned once the update is saved
+      let detachedImages = [];
+      if (updateFields.image_cid) {
+        detachedImages = ProductImageService.detachedImages(product, updateFields.image_cid);
+        const thumbnails = { ...(product.image_thumbnails || {}) };
+        detachedImages.forEach(({ cid }) => delete thumbnails[cid]);
+        updateFields.image_thumbnails = thumbnails;
+      }
+
+      // Edited listings are checked again; a rejected one is resubmitted
+      if (ProductService.VERIFIED_FIELDS.some(field => updateData[field] !== undefined)) {
+        updateFields.verification_requested_at = new Date();
+        if (product.status === ProductStatus.rejected) {
+          updateFields.status = ProductStatus.under_review;
+        }
+      }
+
       await product.update(updateFields);
+      await ProductImageService.releaseImages(detachedImages);
+      await WebhookService.emitProductEvent(WebhookEvent.product_updated, product);
 
       return {
         success: true,
@@ -297,11 +374,10 @@ class ProductService {
         throw new Error('Product not found or access denied');
       }
 
-      if (product.status === ProductStatus.flagged) {
-        throw new Error(`Product with status ${product.status} can not be updated. Contact Admin for more information`)
-      }
+      this.assertSellerStatusChange(product, status);
 
       await product.update({ status });
+      await WebhookService.emitProductEvent(WebhookEvent.product_updated, product);
 
       return {
         success: true,
@@ -314,6 +390,36 @@ class ProductService {
     }
   }
 
+  /**
+   * Sellers manage their own listings but cannot take one out of moderation
+   * or put one into it
+   */
+  static assertSellerStatusChange(product, status) {
+    if (!Object.values(ProductStatus).includes(status)) {
+      throw new Error('Invalid product status');
+    }
+
+    if (product.status === ProductStatus.flagged) {
+      throw new Error(`Product with status ${product.status} can not be updated. Contact Admin for more information`)
+    }
+
+    if (status === product.status) {
+      return;
+    }
+
+    if (product.status === ProductStatus.rejected) {
+      throw new Error('Product was rejected by moderation; edit the listing to resubmit it');
+    }
+
+    if (product.status === ProductStatus.under_review) {
+      throw new Error('Product is under review and waiting for moderation');
+    }
+
+    if (ProductService.MODERATED_STATUSES.includes(status)) {
+      throw new Error(`Only moderators can set a product to ${status.replace('_', ' ')}`);
+    }
+  }
+
   /**
    * Delete product (soft delete by changing status)
    */
@@ -327,8 +433,17 @@ class ProductService {
         throw new Error('Product not found or access denied');
       }
 
-      // Instead of hard delete, mark as inactive
-      await product.update({ status: ProductStatus.paused });
+      const variants = await ProductVariant.findAll({ where: { product_id: product.id } });
+      const detachedImages = [
+        ...ProductImageService.detachedImages(product),
+        ...ProductImageService.variantImages(product, variants)
+      ];
+
+      // Instead of hard delete, mark as inactive and release its images
+      await product.update({ status: ProductStatus.paused, image_cid: [], image_thumbnails: {} });
+      await ProductVariant.update({ image_cid: [] }, { where: { product_id: product.id } });
+      await ProductImageService.releaseImages(detachedImages);
+      await WebhookService.emitProductEvent(WebhookEvent.product_deleted, product);
 
       return {
         success: true,
@@ -359,6 +474,10 @@ class ProductService {
         throw new Error('Product not found or access denied');
       }
 
+      if (await ProductVariantService.hasVariants(product.id)) {
+        throw new Error('Stock is tracked per variant; update the variants instead');
+      }
+
       // Update status based on quantity
       let status = product.status;
       if (quantity === 0 && status === ProductStatus.active) {
@@ -371,6 +490,7 @@ class ProductService {
         quantity,
         status
       });
+      await WebhookService.emitProductEvent(WebhookEvent.product_updated, product);
 
       return {
         success: true,
@@ -401,7 +521,7 @@ class ProductService {
 
       // Update status based on AI score
       let status = product.status;
-      if (aiScore >= 0.8 && product.status === ProductStatus.under_review) {
+      if (aiScore >= ProductVerificationService.AUTO_APPROVE_SCORE && product.status === ProductStatus.under_review) {
         status = ProductStatus.active;
       }
 
@@ -512,12 +632,16 @@ class ProductService {
       name: serialized.name,
       description: serialized.descrption, // Note: Fixing the typo in response
       image_cid: serialized.image_cid || [],
+      image_thumbnails: serialized.image_thumbnails || {},
+      category_id: serialized.category_id || null,
+      attributes: serialized.attributes || {},
       price: parseFloat(serialized.price),
       quantity: parseInt(serialized.quantity),
       currency: serialized.currency,
       status: serialized.status,
       ai_verification_score: serialized.ai_verification_score ? 
         parseFloat(serialized.ai_verification_score) : null,
+      verification_pending: Boolean(serialized.verification_requested_at),
       createdAt: serialized.createdAt,
       updatedAt: serialized.updatedAt,
       seller: serialized.seller // Include seller info if populated
@@ -529,33 +653,44 @@ class ProductService {
    */
   static async getSellerProductStats(sellerId) {
     try {
-      const stats = await Product.findAll({
+      const products = await Product.findAll({
         where: { seller_id: sellerId },
-        attributes: [
-          'status',
-          [db.Sequelize.fn('COUNT', db.Sequelize.col('id')), 'count'],
-          [db.Sequelize.fn('SUM', db.Sequelize.col('quantity')), 'total_quantity'],
-          [db.Sequelize.fn('SUM', db.Sequelize.col('price')), 'total_value']
-        ],
-        group: ['status']
+        attributes: ['id', 'status', 'quantity', 'price']
       });
 
-      const totalProducts = await Product.count({
-        where: { seller_id: sellerId }
-      });
+      const reserved = await StockReservationService.getReservedQuantities(products.map(product => product.id));
+
+      const byStatus = products.reduce((acc, product) => {
+        const entry = acc[product.status] || {
+          count: 0,
+          total_quantity: 0,
+          reserved_quantity: 0,
+          available_quantity: 0,
+          total_value: 0
+        };
+        const quantity = parseInt(product.quantity || 0);
+        const reservedQuantity = reserved[product.id] || 0;
+
+        entry.count += 1;
+        entry.total_quantity += quantity;
+        entry.reserved_quantity += reservedQuantity;
+        entry.available_quantity += Math.max(quantity - reservedQuantity, 0);
+        entry.total_value += parseFloat(product.price || 0);
+
+        acc[product.status] = entry;
+        return acc;
+      }, {});
+
+      const statusTotals = Object.values(byStatus);
 
       return {
         success: true,
         stats: {
-          totalProducts,
-          byStatus: stats.reduce((acc, stat) => {
-            acc[stat.status] = {
-              count: parseInt(stat.get('count')),
-              total_quantity: parseInt(stat.get('total_quantity') || 0),
-              total_value: parseFloat(stat.get('total_value') || 0)
-            };
-            return acc;
-          }, {})
+          totalProducts: products.length,
+          totalQuantity: statusTotals.reduce((sum, entry) => sum + entry.total_quantity, 0),
+          reservedQuantity: statusTotals.reduce((sum, entry) => sum + entry.reserved_quantity, 0),
+          availableQuantity: statusTotals.reduce((sum, entry) => sum + entry.available_quantity, 0),
+          byStatus
         }
       };
     } catch (error) {
@@ -0,0 +1,330 @@
+import db from '../models/index.js';
+import CategoryService from './CategoryService.js';
+import StockReservationService from './StockReservationService.js';
+import ProductImageService from './ProductImageService.js';
+import ProductValidationService from './validation/ProductValidationService.js';
+import { ProductStatus } from '../utils/types.js';
+
+const { Product, ProductVariant, sequelize } = db;
+
+/**
+ * Purchasable variants of a product (a T-shirt in five sizes is one product
+ * with five variants). Each variant has its own SKU, price, stock and images,
+ * and its option values (size, colour) come from the attributes its
+ * category marks as `variant`.
+ *
+ * Once a product has active variants, stock is tracked per variant and
+ * Product.quantity is kept as their sum so listings and stats stay accurate.
+ * Variants referenced by orders are deactivated rather than deleted.
+ */
+class ProductVariantService {
+  static MAX_VARIANTS = 100;
+
+  static async findSellerProduct(productId, sellerId, transaction) {
+    const product = await Product.findOne({
+      where: { id: productId, seller_id: sellerId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!product) {
+      throw new Error('Product not found or access denied');
+    }
+
+    return product;
+  }
+
+  static async hasVariants(productId, transaction = null) {
+    const count = await ProductVariant.count({
+      where: { product_id: productId, is_active: true },
+      transaction
+    });
+    return count > 0;
+  }
+
+  /**
+   * The variant a buyer is purchasing. Products with variants require one;
+   * products without them take none.
+   * @returns {Promise<object|null>} Active ProductVariant, or null for a plain product
+   */
+  static async resolvePurchaseVariant(product, variantId = null, transaction = null) {
+    if (!variantId) {
+      if (await this.hasVariants(product.id, transaction)) {
+        throw new Error('Select a product variant');
+      }
+      return null;
+    }
+
+    const variant = await ProductVariant.findOne({
+      where: { id: variantId, product_id: product.id },
+      transaction
+    });
+
+    if (!variant || !variant.is_active) {
+      throw new Error('Product variant is not available');
+    }
+
+    return variant;
+  }
+
+  /**
+   * Price of one unit: the variant's own price when there is one
+   */
+  static unitPrice(product, variant = null) {
+    return parseFloat(variant ? variant.price : product.price);
+  }
+
+  static sameOptions(a = {}, b = {}) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => a[key] === b[key]);
+  }
+
+  /**
+   * Check option values against the category schema and make sure no other
+   * active variant of the product has the same combination
+   */
+  static async validateOptions(product, attributes, excludeVariantId, transaction) {
+    const schema = await CategoryService.getEffectiveSchema(product.category_id, transaction);
+    const errors = ProductValidationService.validateAttributes(schema, attributes, { variant: true });
+    if (errors.length > 0) {
+      throw new Error(`Validation error: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+    }
+
+    const siblings = await ProductVariant.findAll({
+      where: { product_id: product.id, is_active: true },
+      transaction
+    });
+
+    const duplicate = siblings.find(sibling =>
+      sibling.id !== excludeVariantId && this.sameOptions(sibling.attributes, attributes)
+    );
+    if (duplicate) {
+      throw new Error(`Validation error: Variant ${duplicate.sku} already has these options`);
+    }
+
+    return siblings;
+  }
+
+  /**
+   * Recompute Product.quantity from its active variants and flip between
+   * active and sold out like a stock update on a plain product does
+   * @param {object} fields - Other product fields to save alongside
+   */
+  static async syncProductStock(product, transaction, fields = {}) {
+    const total = await ProductVariant.sum('quantity', {
+      where: { product_id: product.id, is_active: true },
+      transaction
+    }) || 0;
+
+    let status = product.status;
+    if (total === 0 && status === ProductStatus.active) {
+      status = ProductStatus.sold_out;
+    } else if (total > 0 && status === ProductStatus.sold_out) {
+      status = ProductStatus.active;
+    }
+
+    await product.update({ ...fields, quantity: total, status }, { transaction });
+  }
+
+  /**
+   * Active variants of a product with what is left after pending orders
+   */
+  static async listVariants(productId, { includeInactive = false } = {}) {
+    try {
+      const product = await Product.findByPk(productId);
+      if (!product) {
+        throw new Error('Product not found');
+      }
+
+      const variants = await ProductVariant.findAll({
+        where: { product_id: productId, ...(includeInactive ? {} : { is_active: true }) },
+        order: [['id', 'ASC']]
+      });
+
+      const reserved = await StockReservationService.getReservedVariantQuantities(variants.map(variant => variant.id));
+
+      return {
+        success: true,
+        variants: variants.map(variant => this.serializeVariant(variant, reserved[variant.id] || 0))
+      };
+    } catch (error) {
+      console.error('Error listing product variants:', error);
+      throw new Error(`Failed to retrieve product variants: ${error.message}`);
+    }
+  }
+
+  static async createVariant(productId, sellerId, variantData) {
+    const transaction = await sequelize.transaction();
+    try {
+      const errors = ProductValidationService.validateVariantData(variantData);
+      if (errors.length > 0) {
+        throw new Error(`Validation error: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+      }
+
+      const product = await this.findSellerProduct(productId, sellerId, transaction);
+      const attributes = variantData.attributes || {};
+      const siblings = await this.validateOptions(product, attributes, null, transaction);
+
+      if (siblings.length >= ProductVariantService.MAX_VARIANTS) {
+        throw new Error(`Validation error: A product can have at most ${ProductVariantService.MAX_VARIANTS} variants`);
+      }
+
+      const variant = await ProductVariant.create({
+        product_id: product.id,
+        sku: variantData.sku.trim(),
+        attributes,
+        price: parseFloat(variantData.price),
+        quantity: parseInt(variantData.quantity || 0),
+        image_cid: variantData.image_cid || [],
+        is_active: true
+      }, { transaction });
+
+      // A new variant is new listing content and is verified like an edit
+      await this.syncProductStock(product, transaction, { verification_requested_at: new Date() });
+      await transaction.commit();
+
+      return { success: true, variant: this.serializeVariant(variant) };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error creating product variant:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('Failed to create product variant: SKU already exists');
+      }
+
+      throw new Error(`Failed to create product variant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a variant's SKU, options, price, stock, images or availability.
+   * Units held by pending orders are not affected; the new stock only has
+   * to cover what is already reserved.
+   */
+  static async updateVariant(productId, variantId, sellerId, updates) {
+    const transaction = await sequelize.transaction();
+    try {
+      const errors = ProductValidationService.validateVariantData(updates, { partial: true });
+      if (errors.length > 0) {
+        throw new Error(`Validation error: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+      }
+
+      const product = await this.findSellerProduct(productId, sellerId, transaction);
+      const variant = await ProductVariant.findOne({
+        where: { id: variantId, product_id: product.id },
+        transaction
+      });
+
+      if (!variant) {
+        throw new Error('Product variant not found');
+      }
+
+      const fields = {};
+
+      if (updates.sku !== undefined) {
+        fields.sku = updates.sku.trim();
+      }
+
+      if (updates.price !== undefined) {
+        fields.price = parseFloat(updates.price);
+      }
+
+      let droppedImages = [];
+      if (updates.image_cid !== undefined) {
+        fields.image_cid = updates.image_cid;
+        droppedImages = ProductImageService.variantImages(product, [variant])
+          .filter(({ cid }) => !updates.image_cid.includes(cid));
+      }
+
+      if (updates.is_active !== undefined) {
+        fields.is_active = Boolean(updates.is_active);
+      }
+
+      if (updates.attributes !== undefined || fields.is_active === true) {
+        fields.attributes = updates.attributes ?? variant.attributes;
+        await this.validateOptions(product, fields.attributes, variant.id, transaction);
+      }
+
+      if (updates.quantity !== undefined) {
+        const quantity = parseInt(updates.quantity);
+        const reserved = (await StockReservationService.getReservedVariantQuantities([variant.id], transaction))[variant.id] || 0;
+        if (quantity < reserved) {
+          throw new Error(`Validation error: ${reserved} units are held by pending orders`);
+        }
+        fields.quantity = quantity;
+      }
+
+      await variant.update(fields, { transaction });
+
+      const contentChanged = ['sku', 'attributes', 'price', 'image_cid'].some(field => updates[field] !== undefined);
+      await this.syncProductStock(product, transaction, contentChanged ? { verification_requested_at: new Date() } : {});
+      await transaction.commit();
+
+      await ProductImageService.releaseImages(droppedImages);
+
+      return { success: true, variant: this.serializeVariant(variant) };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error updating product variant:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new Error('Failed to update product variant: SKU already exists');
+      }
+
+      throw new Error(`Failed to update product variant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw a variant from sale. The row stays so existing orders keep
+   * pointing at what the buyer paid for.
+   */
+  static async deactivateVariant(productId, variantId, sellerId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const product = await this.findSellerProduct(productId, sellerId, transaction);
+      const [updated] = await ProductVariant.update(
+        { is_active: false },
+        { where: { id: variantId, product_id: product.id }, transaction }
+      );
+
+      if (updated === 0) {
+        throw new Error('Product variant not found');
+      }
+
+      await this.syncProductStock(product, transaction);
+      await transaction.commit();
+
+      return { success: true, message: 'Product variant removed' };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error removing product variant:', error);
+      throw new Error(`Failed to remove product variant: ${error.message}`);
+    }
+  }
+
+  static serializeVariant(variant, reservedQuantity = 0) {
+    const serialized = variant.toJSON ? variant.toJSON() : variant;
+    const quantity = parseInt(serialized.quantity);
+
+    return {
+      id: serialized.id,
+      product_id: serialized.product_id,
+      sku: serialized.sku,
+      attributes: serialized.attributes || {},
+      price: parseFloat(serialized.price),
+      quantity,
+      available_quantity: Math.max(quantity - reservedQuantity, 0),
+      image_cid: serialized.image_cid || [],
+      is_active: serialized.is_active
+    };
+  }
+}
+
+export default ProductVariantService;
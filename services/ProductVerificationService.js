@@ -0,0 +1,208 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import KeywordCheck from './verification/KeywordCheck.js';
+import DuplicateImageCheck from './verification/DuplicateImageCheck.js';
+import PriceAnomalyCheck from './verification/PriceAnomalyCheck.js';
+import ModelEndpointCheck from './verification/ModelEndpointCheck.js';
+import { ProductStatus, VerificationOutcome } from '../utils/types.js';
+
+const { Product, ProductVerification, sequelize } = db;
+
+/**
+ * Automated listing verification. Products are queued by setting
+ * verification_requested_at (on creation and whenever the listing content
+ * changes) and the cron worker runs every check against them.
+ *
+ * The weighted score of the checks becomes the product's
+ * ai_verification_score. A run that scores at least AUTO_APPROVE_SCORE with
+ * no blocking hit and no failed check lists the product; anything else puts
+ * it under review in the moderation queue. Flagged and rejected products
+ * keep their status; only a moderator changes it.
+ */
+class ProductVerificationService {
+  static AUTO_APPROVE_SCORE = parseFloat(process.env.VERIFICATION_AUTO_APPROVE_SCORE || '0.8');
+
+  constructor(checks = null) {
+    this.checks = checks || this.defaultChecks();
+  }
+
+  defaultChecks() {
+    const checks = [new KeywordCheck(), new DuplicateImageCheck(), new PriceAnomalyCheck()];
+    if (process.env.VERIFICATION_MODEL_URL) {
+      checks.push(new ModelEndpointCheck());
+    }
+    return checks;
+  }
+
+  /**
+   * Add a check
+   * @param {object} check - Exposes name, weight and
+   *   `async run(product)` returning { score: 0..1, reasons, blocking, details }
+   */
+  use(check) {
+    this.checks.push(check);
+    return this;
+  }
+
+  /**
+   * Verify products waiting for a check, oldest request first
+   * @param {number} limit - Max products to process in one run
+   */
+  async run(limit = 20) {
+    const pending = await Product.findAll({
+      where: { verification_requested_at: { [Op.ne]: null } },
+      attributes: ['id'],
+      order: [['verification_requested_at', 'ASC']],
+      limit,
+      raw: true
+    });
+    const results = [];
+
+    for (const { id } of pending) {
+      try {
+        results.push(await this.verifyProduct(id));
+      } catch (error) {
+        console.error(`Product verification failed for product ${id}:`, error);
+        results.push({ productId: id, outcome: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Product verification: ${results.filter(r => r.outcome === VerificationOutcome.passed).length}/${results.length} passed`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run every check on one product and record the result
+   * @param {string} trigger - created | updated | manual; worked out from the history when omitted
+   */
+  async verifyProduct(productId, trigger = null) {
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      return { productId, outcome: 'skipped' };
+    }
+
+    const requestedAt = product.verification_requested_at;
+    const evaluation = await this.evaluate(product);
+
+    const transaction = await sequelize.transaction();
+    try {
+      const locked = await Product.findByPk(productId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!trigger) {
+        const previousRuns = await ProductVerification.count({ where: { product_id: productId }, transaction });
+        trigger = previousRuns > 0 ? 'updated' : 'created';
+      }
+
+      const verification = await ProductVerification.create({
+        product_id: productId,
+        trigger,
+        score: evaluation.score,
+        outcome: evaluation.outcome,
+        checks: evaluation.checks
+      }, { transaction });
+
+      const fields = {
+        ai_verification_score: evaluation.score,
+        status: this.nextStatus(locked, evaluation.outcome)
+      };
+
+      // An edit saved while the checks ran asks for another pass
+      const requestedAgain = locked.verification_requested_at &&
+        (!requestedAt || locked.verification_requested_at > requestedAt);
+      if (!requestedAgain) {
+        fields.verification_requested_at = null;
+      }
+
+      await locked.update(fields, { transaction });
+      await transaction.commit();
+
+      return {
+        productId,
+        verificationId: verification.id,
+        score: evaluation.score,
+        outcome: evaluation.outcome,
+        status: fields.status
+      };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the checks without saving anything
+   * @returns {Promise<object>} { score, outcome, checks }
+   */
+  async evaluate(product) {
+    const checks = [];
+
+    for (const check of this.checks) {
+      try {
+        const result = await check.run(product);
+        checks.push({
+          name: check.name,
+          status: 'ok',
+          weight: check.weight,
+          score: Math.round(Math.min(Math.max(parseFloat(result.score), 0), 1) * 10000) / 10000,
+          blocking: result.blocking === true,
+          reasons: result.reasons || [],
+          details: result.details || {}
+        });
+      } catch (error) {
+        console.error(`Verification check ${check.name} failed for product ${product.id}:`, error.message);
+        checks.push({
+          name: check.name,
+          status: 'error',
+          weight: check.weight,
+          score: null,
+          blocking: false,
+          reasons: [`Check could not run: ${error.message}`],
+          details: {}
+        });
+      }
+    }
+
+    const scored = checks.filter(check => check.status === 'ok' && check.weight > 0);
+    const totalWeight = scored.reduce((sum, check) => sum + check.weight, 0);
+    const score = totalWeight > 0
+      ? Math.round(scored.reduce((sum, check) => sum + check.score * check.weight, 0) / totalWeight * 10000) / 10000
+      : null;
+
+    // A failed check means we do not know enough to list without a human
+    const passed = score !== null &&
+      score >= ProductVerificationService.AUTO_APPROVE_SCORE &&
+      checks.every(check => check.status === 'ok' && !check.blocking);
+
+    return {
+      score,
+      outcome: passed ? VerificationOutcome.passed : VerificationOutcome.needs_review,
+      checks
+    };
+  }
+
+  nextStatus(product, outcome) {
+    if ([ProductStatus.flagged, ProductStatus.rejected].includes(product.status)) {
+      return product.status;
+    }
+
+    if (outcome === VerificationOutcome.needs_review) {
+      return ProductStatus.under_review;
+    }
+
+    if (product.status === ProductStatus.under_review) {
+      return parseInt(product.quantity) > 0 ? ProductStatus.active : ProductStatus.sold_out;
+    }
+
+    return product.status;
+  }
+}
+
+export default ProductVerificationService;
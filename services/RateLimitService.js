@@ -0,0 +1,129 @@
+import MemoryRateLimitStore from './ratelimit/MemoryRateLimitStore.js';
+import RedisRateLimitStore from './ratelimit/RedisRateLimitStore.js';
+import { getRateLimitPolicy } from '../config/rateLimits.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Fixed-window counters with progressive lockouts, evaluated against the
+ * policies in config/rateLimits.js. The store is chosen with
+ * RATE_LIMIT_STORE (memory | redis, with REDIS_URL).
+ */
+class RateLimitService {
+  constructor() {
+    this.store = this.createStore();
+  }
+
+  createStore() {
+    if (process.env.RATE_LIMIT_STORE === 'redis') {
+      return new RedisRateLimitStore({ url: process.env.REDIS_URL });
+    }
+    return new MemoryRateLimitStore();
+  }
+
+  /**
+   * Swap the backing store, e.g. for a shared client created elsewhere
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  bucketKey(policyName, bucket, value) {
+    return `${policyName}:${bucket.name}:${value}`;
+  }
+
+  resolveBuckets(policyName, req) {
+    const policy = getRateLimitPolicy(policyName);
+    return policy.buckets
+      .map(bucket => ({ bucket, value: bucket.key(req) }))
+      .filter(({ value }) => value !== null && value !== undefined && value !== '')
+      .map(({ bucket, value }) => ({ bucket, key: this.bucketKey(policyName, bucket, value) }));
+  }
+
+  /**
+   * Count this request and decide whether it may proceed
+   * @returns {Promise<object>} { allowed, retryAfterSeconds, bucket }
+   */
+  async consume(policyName, req) {
+    const now = Date.now();
+
+    for (const { bucket, key } of this.resolveBuckets(policyName, req)) {
+      const lock = await this.store.get(`lock:${key}`);
+      if (lock) {
+        return this.blocked(bucket, lock.resetAt, now);
+      }
+
+      if (bucket.failuresOnly) {
+        continue;
+      }
+
+      const { count, resetAt } = await this.store.increment(key, bucket.windowMs);
+      if (count > bucket.limit) {
+        const lockedUntil = bucket.lockoutMinutes
+          ? await this.applyLockout(bucket, key)
+          : resetAt;
+        return this.blocked(bucket, lockedUntil, now);
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * A guarded request failed (wrong password, bad OTP): count it against the
+   * failure-only buckets and lock the key once the limit is reached
+   */
+  async recordFailure(policyName, req) {
+    for (const { bucket, key } of this.resolveBuckets(policyName, req)) {
+      if (!bucket.failuresOnly) {
+        continue;
+      }
+
+      const { count } = await this.store.increment(key, bucket.windowMs);
+      if (count >= bucket.limit) {
+        await this.applyLockout(bucket, key);
+      }
+    }
+  }
+
+  /**
+   * A guarded request succeeded: forget earlier failures and lockout history
+   */
+  async recordSuccess(policyName, req) {
+    for (const { bucket, key } of this.resolveBuckets(policyName, req)) {
+      if (bucket.failuresOnly) {
+        await this.store.delete(key);
+        await this.store.delete(`level:${key}`);
+      }
+    }
+  }
+
+  /**
+   * Lock `key` for the next step of the bucket's lockout ladder
+   * @returns {Promise<number>} Lock expiry (ms since epoch)
+   */
+  async applyLockout(bucket, key) {
+    const steps = bucket.lockoutMinutes || [bucket.windowMs / MINUTE];
+    const { count: level } = await this.store.increment(
+      `level:${key}`,
+      (bucket.lockoutResetMinutes || 24 * 60) * MINUTE
+    );
+
+    const durationMs = steps[Math.min(level, steps.length) - 1] * MINUTE;
+    await this.store.set(`lock:${key}`, level, durationMs);
+    await this.store.delete(key);
+
+    console.warn(`Rate limit lockout on ${key} for ${durationMs / MINUTE} minute(s) (level ${level})`);
+    return Date.now() + durationMs;
+  }
+
+  blocked(bucket, until, now) {
+    return {
+      allowed: false,
+      bucket: bucket.name,
+      retryAfterSeconds: Math.max(Math.ceil((until - now) / 1000), 1)
+    };
+  }
+}
+
+export default new RateLimitService();
@@ -0,0 +1,101 @@
+import GaslessPaymentService from './GasslessPaymentService.js';
+import StockReservationService from './StockReservationService.js';
+import ChainJobService from './ChainJobService.js';
+import db from '../models/index.js';
+import { OrderStatus, PaymentStatus } from '../utils/types.js';
+
+const { Order, Transaction, sequelize } = db;
+
+class ReservationSweepService {
+  /**
+   * Release reservations whose hold has expired
+   * @param {number} limit - Max orders to process in one run
+   */
+  async run(limit = 50) {
+    const orderIds = await StockReservationService.findExpiredOrderIds(limit);
+    const results = [];
+
+    for (const orderId of orderIds) {
+      try {
+        results.push(await this.sweepOrder(orderId));
+      } catch (error) {
+        console.error(`Reservation sweep failed for order ${orderId}:`, error);
+        results.push({ orderId, action: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Reservation sweep: ${results.filter(r => r.action === 'released').length}/${results.length} released`);
+    }
+
+    return results;
+  }
+
+  /**
+   * An expired hold is only released if the order never reached the chain.
+   * If the factory already has an escrow for it the units are committed
+   * instead and the indexer moves the order to paid. Orders with a chain job
+   * still open are left to the job, which cancels them itself if it fails.
+   */
+  async sweepOrder(orderId) {
+    if (await ChainJobService.hasOpenJob(orderId)) {
+      return { orderId, action: 'skipped' };
+    }
+
+    const pending = await Order.findOne({ where: { order_id: orderId }, attributes: ['chain_id'] });
+    if (!pending) {
+      return { orderId, action: 'skipped' };
+    }
+
+    const escrowAddress = await GaslessPaymentService.forNetwork(pending.chain_id).findEscrowForOrder(orderId);
+
+    const transaction = await sequelize.transaction();
+    try {
+      const order = await Order.findOne({
+        where: { order_id: orderId },
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (!order) {
+        await transaction.rollback();
+        return { orderId, action: 'skipped' };
+      }
+
+      if (escrowAddress || order.status !== OrderStatus.pending) {
+        await StockReservationService.commitForOrder(orderId, transaction);
+        await transaction.commit();
+        return { orderId, action: 'committed', escrowAddress };
+      }
+
+      const reason = 'Stock reservation expired before payment';
+
+      await StockReservationService.releaseForOrder(orderId, reason, transaction);
+
+      await order.update({
+        status: OrderStatus.cancelled,
+        cancelled_at: new Date(),
+        metadata: { ...order.metadata, cancellation_reason: reason }
+      }, { transaction });
+
+      await Transaction.update({
+        status: PaymentStatus.cancelled,
+        failure_reason: reason
+      }, {
+        where: { order_id: orderId, status: PaymentStatus.pending },
+        transaction
+      });
+
+      await transaction.commit();
+      return { orderId, action: 'released' };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+}
+
+export default ReservationSweepService;
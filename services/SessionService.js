@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import AuditService from './AuditService.js';
+
+const { Session, User, sequelize } = db;
+
+/**
+ * Short-lived JWT access tokens backed by rotating refresh tokens.
+ *
+ * Each login starts a session family. Refreshing retires the presented token
+ * and issues the next one in the same family. Presenting a retired token
+ * means it was copied, so the whole family is revoked and every device using
+ * it has to log in again. Access tokens carry the family id (`sid`) so
+ * revocation also cuts them off before they expire.
+ */
+class SessionService {
+  static ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+  static REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  static getRefreshExpiry() {
+    return new Date(Date.now() + SessionService.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  static generateAccessToken(user, familyId, twoFactorVerified = false) {
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET || typeof JWT_SECRET !== 'string') {
+      throw new Error('JWT_SECRET environment variable is not defined or not a string');
+    }
+
+    return jwt.sign(
+      { id: user.id, email: user.email, roles: user.roles || [], sid: familyId, mfa: twoFactorVerified },
+      JWT_SECRET,
+      { expiresIn: SessionService.ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Start a new session family for a user who just authenticated
+   * @param {object} user - User instance
+   * @param {object} client - { userAgent, ipAddress }
+   * @param {object} options - { twoFactorVerified } when the login passed a second factor
+   * @returns {Promise<object>} { accessToken, refreshToken, refreshExpiresAt, sessionId }
+   */
+  static async createSession(user, { userAgent = null, ipAddress = null } = {}, { twoFactorVerified = false } = {}) {
+    try {
+      const familyId = crypto.randomUUID();
+      const refreshToken = this.generateRefreshToken();
+      const now = new Date();
+
+      const session = await Session.create({
+        user_id: user.id,
+        family_id: familyId,
+        refresh_token_hash: this.hashToken(refreshToken),
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        started_at: now,
+        last_seen_at: now,
+        expires_at: this.getRefreshExpiry(),
+        two_factor_verified: twoFactorVerified
+      });
+
+      return {
+        accessToken: this.generateAccessToken(user, familyId, twoFactorVerified),
+        refreshToken,
+        refreshExpiresAt: session.expires_at,
+        sessionId: familyId
+      };
+    } catch (error) {
+      console.error('Error creating session:', error);
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   */
+  static async refresh(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const transaction = await sequelize.transaction();
+    let reuseDetected = null;
+
+    try {
+      const session = await Session.findOne({
+        where: { refresh_token_hash: this.hashToken(refreshToken) },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!session) {
+        throw new Error('Invalid refresh token');
+      }
+
+      if (session.revoked_at) {
+        throw new Error('Session has been revoked');
+      }
+
+      if (session.rotated_at) {
+        reuseDetected = session;
+        throw new Error('Refresh token reuse detected');
+      }
+
+      if (session.expires_at <= new Date()) {
+        throw new Error('Session expired');
+      }
+
+      const user = await User.findByPk(session.user_id, { transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const now = new Date();
+      const nextToken = this.generateRefreshToken();
+
+      await session.update({ rotated_at: now, last_seen_at: now }, { transaction });
+
+      const next = await Session.create({
+        user_id: session.user_id,
+        family_id: session.family_id,
+        refresh_token_hash: this.hashToken(nextToken),
+        user_agent: userAgent || session.user_agent,
+        ip_address: ipAddress || session.ip_address,
+        started_at: session.started_at,
+        last_seen_at: now,
+        expires_at: this.getRefreshExpiry(),
+        two_factor_verified: session.two_factor_verified
+      }, { transaction });
+
+      await transaction.commit();
+
+      return {
+        accessToken: this.generateAccessToken(user, session.family_id, session.two_factor_verified),
+        refreshToken: nextToken,
+        refreshExpiresAt: next.expires_at,
+        sessionId: session.family_id
+      };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+
+      if (reuseDetected) {
+        await this.revokeFamily(reuseDetected.family_id, 'refresh_token_reuse');
+        await AuditService.record({
+          actorId: reuseDetected.user_id,
+          action: 'session.reuse_detected',
+          entityType: 'user',
+          entityId: reuseDetected.user_id,
+          details: { sessionId: reuseDetected.family_id, ipAddress }
+        }).catch(auditError => console.error('Failed to audit refresh token reuse:', auditError));
+      }
+
+      console.error('Error refreshing session:', error);
+      throw new Error(`Failed to refresh session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether an access token's session family is still live
+   */
+  static async isSessionActive(familyId) {
+    const live = await Session.count({
+      where: {
+        family_id: familyId,
+        revoked_at: null,
+        rotated_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    });
+
+    return live > 0;
+  }
+
+  static async revokeFamily(familyId, reason, userId = null) {
+    const [revoked] = await Session.update({
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }, {
+      where: {
+        family_id: familyId,
+        revoked_at: null,
+        ...(userId ? { user_id: userId } : {})
+      }
+    });
+
+    return revoked;
+  }
+
+  /**
+   * End one of the user's sessions
+   */
+  static async revokeSession(userId, familyId, reason = 'logout') {
+    try {
+      const revoked = await this.revokeFamily(familyId, reason, userId);
+      if (revoked === 0) {
+        throw new Error('Session not found');
+      }
+
+      return { success: true, message: 'Session revoked' };
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  /**
+   * End every session the user has, on all devices
+   * @param {string} exceptFamilyId - Optionally keep this session (e.g. the caller's own)
+   */
+  static async revokeAllSessions(userId, reason = 'logout_all', exceptFamilyId = null) {
+    try {
+      const [revoked] = await Session.update({
+        revoked_at: new Date(),
+        revoked_reason: reason
+      }, {
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          ...(exceptFamilyId ? { family_id: { [Op.ne]: exceptFamilyId } } : {})
+        }
+      });
+
+      return { success: true, message: 'All sessions revoked', revoked };
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active sessions for the account, most recently used first
+   */
+  static async listSessions(userId, currentFamilyId = null) {
+    try {
+      const sessions = await Session.findAll({
+        where: {
+          user_id: userId,
+          revoked_at: null,
+          rotated_at: null,
+          expires_at: { [Op.gt]: new Date() }
+        },
+        order: [['last_seen_at', 'DESC']]
+      });
+
+      return {
+        success: true,
+        sessions: sessions.map(session => ({
+          id: session.family_id,
+          device: session.user_agent,
+          ipAddress: session.ip_address,
+          startedAt: session.started_at,
+          lastSeenAt: session.last_seen_at,
+          expiresAt: session.expires_at,
+          current: session.family_id === currentFamilyId
+        }))
+      };
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      throw new Error(`Failed to retrieve sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop expired refresh tokens. Retired tokens are kept until their own
+   * expiry so presenting one before then still trips reuse detection.
+   */
+  static async pruneExpired() {
+    return Session.destroy({
+      where: { expires_at: { [Op.lt]: new Date() } }
+    });
+  }
+}
+
+export default SessionService;
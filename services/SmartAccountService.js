@@ -2,17 +2,29 @@ import { ethers } from 'ethers';
 import { createPublicClient, http } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import { toCircleSmartAccount } from '@circle-fin/modular-wallets-core';
-import { baseSepolia, base, sepolia, lisk, liskSepolia } from 'viem/chains';
+import { getCurrentNetworkConfig, getNetworkConfig } from '../config/networks.js';
 import EncryptionService from './EncryptionService.js';
+import KeyVaultService from './KeyVaultService.js';
 
 class SmartAccountService {
-  static DEFAULT_CHAIN = baseSepolia;
-  static PRODUCTION_CHAIN = base;
+  /**
+   * Network config by name or chain id; the selected network when omitted.
+   * Circle smart accounts have the same address on every supported chain.
+   */
+  static getNetwork(network = null) {
+    return network === null ? getCurrentNetworkConfig() : getNetworkConfig(network);
+  }
+
+  static getChain(network = null) {
+    return this.getNetwork(network).chain;
+  }
 
-  static getChain() {
-    return process.env.NODE_ENV === 'production' 
-      ? this.PRODUCTION_CHAIN 
-      : this.DEFAULT_CHAIN;
+  static createClient(network = null) {
+    const networkConfig = this.getNetwork(network);
+    return createPublicClient({
+      chain: networkConfig.chain,
+      transport: http(networkConfig.rpcUrl || process.env.RPC_URL || undefined)
+    });
   }
 
   static async createUserWallet(userId, userPassword) {
@@ -28,10 +40,7 @@ class SmartAccountService {
       const owner = privateKeyToAccount(privateKey);
       
       const chain = this.getChain();
-      const client = createPublicClient({ 
-        chain, 
-        transport: http(process.env.RPC_URL || undefined) 
-      });
+      const client = this.createClient();
 
       const smartAccount = await toCircleSmartAccount({ 
         client, 
@@ -40,14 +49,10 @@ class SmartAccountService {
 
       const smartAccountAddress = smartAccount.address;
 
-      const masterPassword = await EncryptionService.generateMasterPassword(
-        userPassword, 
-        userId
-      );
-
-      const encryptedPrivateKey = await EncryptionService.encryptPrivateKey(
-        privateKey, 
-        masterPassword
+      const encryptedPrivateKey = await KeyVaultService.sealPrivateKey(
+        privateKey,
+        userId,
+        userPassword
       );
 
       console.log(`Created wallet for user ${userId}:`);
@@ -75,23 +80,16 @@ class SmartAccountService {
 
   static async decryptUserPrivateKey(encryptedPrivateKey, userId, userPassword) {
     try {
-      const masterPassword = await EncryptionService.generateMasterPassword(
-        userPassword, 
-        userId
-      );
-
-      const decryptedPrivateKey = await EncryptionService.decryptPrivateKey(
+      const decryptedPrivateKey = await KeyVaultService.openPrivateKey(
         encryptedPrivateKey,
-        masterPassword
+        userId,
+        userPassword
       );
 
-
       if (!EncryptionService.validatePrivateKeyFormat(decryptedPrivateKey)) {
         throw new Error('Decrypted private key has invalid format');
       }
 
-      console.log("decrypted: ", decryptedPrivateKey)
-
       return decryptedPrivateKey;
 
     } catch (error) {
@@ -140,9 +138,10 @@ class SmartAccountService {
    * @param {string} encryptedPrivateKey - Encrypted private key
    * @param {string} userId - User ID
    * @param {string} userPassword - User's password
+   * @param {string|number} network - Network name or chain id; the selected network when omitted
    * @returns {Promise<object>} Smart account instance
    */
-  static async recreateSmartAccount(encryptedPrivateKey, userId, userPassword) {
+  static async recreateSmartAccount(encryptedPrivateKey, userId, userPassword, network = null) {
     try {
       const { viemAccount } = await this.createWalletFromEncrypted(
         encryptedPrivateKey, 
@@ -150,11 +149,7 @@ class SmartAccountService {
         userPassword
       );
 
-      const chain = this.getChain();
-      const client = createPublicClient({ 
-        chain, 
-        transport: http(process.env.RPC_URL || undefined) 
-      });
+      const client = this.createClient(network);
 
       const smartAccount = await toCircleSmartAccount({ 
         client, 
@@ -190,14 +185,10 @@ class SmartAccountService {
         oldPassword
       );
 
-      const newMasterPassword = await EncryptionService.generateMasterPassword(
-        newPassword, 
-        userId
-      );
-
-      const newEncryptedKey = await EncryptionService.encryptPrivateKey(
-        privateKey, 
-        newMasterPassword
+      const newEncryptedKey = await KeyVaultService.sealPrivateKey(
+        privateKey,
+        userId,
+        newPassword
       );
 
       return newEncryptedKey;
@@ -226,15 +217,12 @@ class SmartAccountService {
   /**
    * Get wallet balance (ETH)
    * @param {string} address - Wallet address
+   * @param {string|number} network - Network name or chain id; the selected network when omitted
    * @returns {Promise<string>} Balance in ETH
    */
-  static async getWalletBalance(address) {
+  static async getWalletBalance(address, network = null) {
     try {
-      const chain = this.getChain();
-      const client = createPublicClient({ 
-        chain, 
-        transport: http(process.env.RPC_URL || undefined) 
-      });
+      const client = this.createClient(network);
 
       const balance = await client.getBalance({ address });
       return ethers.formatEther(balance.toString());
@@ -247,10 +235,11 @@ class SmartAccountService {
 
   /**
    * Get network information
-   * @returns {object} Current network information
+   * @param {string|number} network - Network name or chain id; the selected network when omitted
+   * @returns {object} Network information
    */
-  static getNetworkInfo() {
-    const chain = this.getChain();
+  static getNetworkInfo(network = null) {
+    const chain = this.getChain(network);
     return {
       chainId: chain.id,
       name: chain.name,
@@ -0,0 +1,212 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import NotificationService from './NotificationService.js';
+import { ProductStatus, ReservationStatus } from '../utils/types.js';
+
+const { Product, ProductVariant, StockReservation } = db;
+
+/**
+ * Product.quantity is on-hand stock. Pending orders hold units through active
+ * reservations, which only come out of Product.quantity once the escrow is
+ * funded (commit). A reservation that is never committed expires and is
+ * released by the sweeper, so a crash mid-purchase cannot leak stock.
+ *
+ * For products with variants the same holds per variant: reservations carry
+ * the variant id and commit from ProductVariant.quantity as well as from the
+ * product total.
+ */
+class StockReservationService {
+  static TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || '15');
+
+  static getExpiry() {
+    return new Date(Date.now() + StockReservationService.TTL_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Units held by active reservations, keyed by product id
+   */
+  static async getReservedQuantities(productIds, transaction = null) {
+    if (productIds.length === 0) {
+      return {};
+    }
+
+    const rows = await StockReservation.findAll({
+      where: {
+        product_id: { [Op.in]: productIds },
+        status: ReservationStatus.active
+      },
+      attributes: [
+        'product_id',
+        [db.Sequelize.fn('SUM', db.Sequelize.col('quantity')), 'reserved']
+      ],
+      group: ['product_id'],
+      raw: true,
+      transaction
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.product_id] = parseInt(row.reserved || 0);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Units held by active reservations, keyed by variant id
+   */
+  static async getReservedVariantQuantities(variantIds, transaction = null) {
+    if (variantIds.length === 0) {
+      return {};
+    }
+
+    const rows = await StockReservation.findAll({
+      where: {
+        variant_id: { [Op.in]: variantIds },
+        status: ReservationStatus.active
+      },
+      attributes: [
+        'variant_id',
+        [db.Sequelize.fn('SUM', db.Sequelize.col('quantity')), 'reserved']
+      ],
+      group: ['variant_id'],
+      raw: true,
+      transaction
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.variant_id] = parseInt(row.reserved || 0);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * On-hand quantity minus active reservations, for the variant if given
+   */
+  static async getAvailableQuantity(product, transaction = null, variant = null) {
+    if (variant) {
+      const reserved = await this.getReservedVariantQuantities([variant.id], transaction);
+      return parseInt(variant.quantity) - (reserved[variant.id] || 0);
+    }
+
+    const reserved = await this.getReservedQuantities([product.id], transaction);
+    return parseInt(product.quantity) - (reserved[product.id] || 0);
+  }
+
+  /**
+   * Hold `quantity` units of a product (or one of its variants) for an
+   * order. The caller must hold a row lock on the product (SELECT ... FOR
+   * UPDATE) in `transaction`; that lock also covers the product's variants,
+   * so two buyers cannot reserve the same units.
+   */
+  static async reserve({ product, variant = null, orderId, quantity, expiresAt }, transaction) {
+    const available = await this.getAvailableQuantity(product, transaction, variant);
+    if (available < quantity) {
+      throw new Error(`Insufficient product quantity. Available: ${Math.max(available, 0)}`);
+    }
+
+    return StockReservation.create({
+      order_id: orderId,
+      product_id: product.id,
+      variant_id: variant?.id || null,
+      quantity,
+      status: ReservationStatus.active,
+      expires_at: expiresAt
+    }, { transaction });
+  }
+
+  /**
+   * The order's escrow is funded: take its reserved units out of stock.
+   * Released reservations are committed too, since funds on chain mean the
+   * sale happened even if the hold lapsed first.
+   */
+  static async commitForOrder(orderId, transaction) {
+    const reservations = await StockReservation.findAll({
+      where: {
+        order_id: orderId,
+        status: { [Op.in]: [ReservationStatus.active, ReservationStatus.released] }
+      },
+      order: [['product_id', 'ASC']],
+      transaction
+    });
+
+    for (const reservation of reservations) {
+      const product = await Product.findByPk(reservation.product_id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (product) {
+        const previous = parseInt(product.quantity);
+        const remaining = Math.max(previous - reservation.quantity, 0);
+        await product.update({
+          quantity: remaining,
+          status: remaining === 0 && product.status === ProductStatus.active ? ProductStatus.sold_out : product.status
+        }, { transaction });
+
+        if (!reservation.variant_id) {
+          await NotificationService.notifyLowStock({ product, previous, remaining }, transaction);
+        }
+      }
+
+      if (reservation.variant_id) {
+        const variant = await ProductVariant.findByPk(reservation.variant_id, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (variant) {
+          const previous = parseInt(variant.quantity);
+          const remaining = Math.max(previous - reservation.quantity, 0);
+          await variant.update({ quantity: remaining }, { transaction });
+
+          if (product) {
+            await NotificationService.notifyLowStock({ product, variant, previous, remaining }, transaction);
+          }
+        }
+      }
+
+      await reservation.update({
+        status: ReservationStatus.committed,
+        committed_at: new Date()
+      }, { transaction });
+    }
+
+    return reservations.length;
+  }
+
+  /**
+   * Give an order's held units back without touching on-hand stock
+   */
+  static async releaseForOrder(orderId, reason, transaction) {
+    const [released] = await StockReservation.update({
+      status: ReservationStatus.released,
+      released_at: new Date(),
+      release_reason: reason
+    }, {
+      where: { order_id: orderId, status: ReservationStatus.active },
+      transaction
+    });
+
+    return released;
+  }
+
+  /**
+   * Order ids with active reservations past their expiry, oldest first
+   */
+  static async findExpiredOrderIds(limit) {
+    const rows = await StockReservation.findAll({
+      where: {
+        status: ReservationStatus.active,
+        expires_at: { [Op.lte]: new Date() }
+      },
+      attributes: ['order_id'],
+      group: ['order_id'],
+      order: [[db.Sequelize.fn('MIN', db.Sequelize.col('expires_at')), 'ASC']],
+      limit,
+      raw: true
+    });
+
+    return rows.map(row => row.order_id);
+  }
+}
+
+export default StockReservationService;
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import db from '../models/index.js';
+import UserService from './UserService.js';
+import { AuthorizedAction } from '../utils/types.js';
+
+const { TransactionAuthorization, Order } = db;
+
+/**
+ * Short-lived, single-use approvals for actions that move funds. The buyer or
+ * seller proves the PIN once and receives a token bound to one action, one
+ * reference (order, product or cart) and an amount; the service consuming it
+ * checks all three, so a token cannot be replayed against another order or a
+ * larger spend.
+ */
+class TransactionAuthorizationService {
+  static TTL_SECONDS = parseInt(process.env.TX_AUTH_TTL_SECONDS || '300');
+
+  static ORDER_ACTIONS = [AuthorizedAction.release, AuthorizedAction.refund, AuthorizedAction.dispute];
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static purchaseReference(productId, quantity, variantId = null) {
+    return variantId
+      ? `product:${productId}:variant:${variantId}:${parseInt(quantity)}`
+      : `product:${productId}:${parseInt(quantity)}`;
+  }
+
+  static checkoutReference() {
+    return 'cart';
+  }
+
+  /**
+   * Verify the PIN and issue an authorization token
+   * @param {object} params - { userId, pin, password, action, orderId, productId, variantId, quantity, tokenSymbol, amount }
+   *   Order actions take the amount and token from the order; purchase and
+   *   checkout take the maximum amount the user approves.
+   * @returns {Promise<object>} { authorizationToken, action, reference, amount, tokenSymbol, expiresAt }
+   */
+  static async authorize({ userId, pin, password = null, action, orderId, productId, variantId = null, quantity = 1, tokenSymbol, amount }) {
+    try {
+      if (!Object.values(AuthorizedAction).includes(action)) {
+        throw new Error(`Action must be one of: ${Object.values(AuthorizedAction).join(', ')}`);
+      }
+
+      const binding = await this.resolveBinding({ userId, action, orderId, productId, variantId, quantity, tokenSymbol, amount });
+
+      const pinValid = await UserService.verifyUserPin(userId, pin, password);
+      if (!pinValid) {
+        throw new Error('Invalid PIN');
+      }
+
+      const authorizationToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + TransactionAuthorizationService.TTL_SECONDS * 1000);
+
+      await TransactionAuthorization.create({
+        token_hash: this.hashToken(authorizationToken),
+        user_id: userId,
+        action,
+        reference: binding.reference,
+        amount: binding.amount,
+        token_symbol: binding.tokenSymbol,
+        expires_at: expiresAt
+      });
+
+      return {
+        success: true,
+        authorizationToken,
+        action,
+        ...binding,
+        expiresAt
+      };
+    } catch (error) {
+      console.error('Error authorizing transaction:', error);
+      throw new Error(`Failed to authorize transaction: ${error.message}`);
+    }
+  }
+
+  static async resolveBinding({ userId, action, orderId, productId, variantId, quantity, tokenSymbol, amount }) {
+    if (this.ORDER_ACTIONS.includes(action)) {
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+
+      const order = await Order.findOne({ where: { order_id: orderId } });
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const isBuyer = order.buyer_id === userId.toString();
+      const isSeller = order.seller_id === userId.toString();
+      const allowed = action === AuthorizedAction.release ? isBuyer
+        : action === AuthorizedAction.refund ? isSeller
+        : isBuyer || isSeller;
+
+      if (!allowed) {
+        throw new Error(`Not allowed to ${action} this order`);
+      }
+
+      return { reference: orderId, amount: parseFloat(order.amount), tokenSymbol: order.token_symbol };
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (!tokenSymbol || !Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      throw new Error('Token symbol and a positive amount are required');
+    }
+
+    if (action === AuthorizedAction.purchase) {
+      if (!productId) {
+        throw new Error('Product ID is required');
+      }
+      return { reference: this.purchaseReference(productId, quantity, variantId), amount: parsedAmount, tokenSymbol };
+    }
+
+    return { reference: this.checkoutReference(), amount: parsedAmount, tokenSymbol };
+  }
+
+  /**
+   * Spend an authorization. Runs inside the caller's transaction so that if
+   * the action fails before anything leaves the database the token stays
+   * usable.
+   * @param {object} params - { token, userId, action, reference, amount, tokenSymbol }
+   */
+  static async consume({ token, userId, action, reference, amount, tokenSymbol }, transaction) {
+    if (!token) {
+      throw new Error('Transaction authorization required');
+    }
+
+    const authorization = await TransactionAuthorization.findOne({
+      where: { token_hash: this.hashToken(token) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!authorization || authorization.user_id.toString() !== userId.toString()) {
+      throw new Error('Transaction authorization is invalid');
+    }
+
+    if (authorization.used_at) {
+      throw new Error('Transaction authorization has already been used');
+    }
+
+    if (authorization.isExpired()) {
+      throw new Error('Transaction authorization has expired');
+    }
+
+    if (authorization.action !== action ||
+        authorization.reference !== reference ||
+        authorization.token_symbol !== tokenSymbol) {
+      throw new Error('Transaction authorization does not match this transaction');
+    }
+
+    // Compare in cents; the actual spend may come in under an approved maximum
+    if (Math.round(parseFloat(amount) * 100) > Math.round(parseFloat(authorization.amount) * 100)) {
+      throw new Error('Transaction authorization does not cover this amount');
+    }
+
+    await authorization.update({ used_at: new Date() }, { transaction });
+    return authorization;
+  }
+}
+
+export default TransactionAuthorizationService;
@@ -0,0 +1,298 @@
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import db from '../models/index.js';
+import KeyVaultService from './KeyVaultService.js';
+import AuditService from './AuditService.js';
+import {
+  buildOtpAuthUri,
+  generateTotpSecret,
+  verifyTotpCode
+} from '../utils/totp.js';
+
+const { User, sequelize } = db;
+
+/**
+ * Optional TOTP second factor with single-use backup codes.
+ *
+ * Secrets are sealed with the key vault like wallet keys. Backup codes are
+ * stored as SHA-256 hashes and removed once used. Methods that check a code
+ * take an optional `timestamp` (ms) and otherwise read TwoFactorService.now,
+ * which tests can replace with a fixed clock.
+ */
+class TwoFactorService {
+  static ISSUER = process.env.TOTP_ISSUER || 'TrustMart';
+  static BACKUP_CODE_COUNT = 10;
+  static MAX_ATTEMPTS = 5;
+  static LOCKOUT_MINUTES = 15;
+  static CHALLENGE_TTL = '5m';
+  static CHALLENGE_PURPOSE = 'login_2fa';
+
+  // Roles that may only use their privileges from a session that passed 2FA
+  static REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  static now = () => Date.now();
+
+  static isRequiredForRoles(roles = []) {
+    return roles.some(role => TwoFactorService.REQUIRED_ROLES.includes(role));
+  }
+
+  static hashBackupCode(code) {
+    return crypto.createHash('sha256')
+      .update(code.replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  static generateBackupCodes() {
+    return Array.from({ length: TwoFactorService.BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Start enrollment: store a new secret (not yet active) and return it with
+   * the otpauth URI for the authenticator app
+   */
+  static async beginEnrollment(userId) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = generateTotpSecret();
+      await user.update({
+        twoFactorSecret: await KeyVaultService.seal(secret, user.id.toString()),
+        twoFactorLastStep: null
+      });
+
+      return {
+        success: true,
+        secret,
+        otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: TwoFactorService.ISSUER })
+      };
+    } catch (error) {
+      console.error('Error starting 2FA enrollment:', error);
+      throw new Error(`Failed to start two-factor enrollment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Activate 2FA once the user proves the app produces valid codes
+   * @returns {Promise<object>} { backupCodes } - shown to the user once
+   */
+  static async confirmEnrollment(userId, code, timestamp = TwoFactorService.now()) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorSecret) {
+        throw new Error('Two-factor enrollment has not been started');
+      }
+
+      const secret = await KeyVaultService.open(user.twoFactorSecret, user.id.toString());
+      const step = verifyTotpCode(secret, code, timestamp);
+      if (step === null) {
+        throw new Error('Invalid authentication code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+      await user.update({
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(timestamp),
+        twoFactorLastStep: step,
+        twoFactorBackupCodes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)),
+        twoFactorFailedAttempts: 0,
+        twoFactorLockedUntil: null
+      }, { transaction });
+
+      await AuditService.record({
+        actorId: user.id,
+        action: 'user.2fa_enabled',
+        entityType: 'user',
+        entityId: user.id
+      }, transaction);
+
+      await transaction.commit();
+      return { success: true, backupCodes };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error confirming 2FA enrollment:', error);
+      throw new Error(`Failed to confirm two-factor enrollment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a TOTP code or backup code for an enrolled user. Codes are single
+   * use: a TOTP step at or before the last accepted one is rejected, and a
+   * backup code is removed. Repeated failures lock 2FA for LOCKOUT_MINUTES.
+   * @param {object} factor - { code } or { backupCode }
+   * @returns {Promise<object>} { method: 'totp'|'backup_code', backupCodesRemaining }
+   */
+  static async verify(userId, { code, backupCode }, timestamp = TwoFactorService.now()) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!user || !user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date(timestamp)) {
+        throw new Error(`Two-factor authentication is locked until ${user.twoFactorLockedUntil.toISOString()}`);
+      }
+
+      let method = null;
+      let updates = {};
+
+      if (code) {
+        const secret = await KeyVaultService.open(user.twoFactorSecret, user.id.toString());
+        const step = verifyTotpCode(secret, code, timestamp);
+        if (step !== null && (user.twoFactorLastStep === null || step > parseInt(user.twoFactorLastStep))) {
+          method = 'totp';
+          updates = { twoFactorLastStep: step };
+        }
+      } else if (backupCode) {
+        const hashed = this.hashBackupCode(backupCode);
+        const remaining = (user.twoFactorBackupCodes || []).filter(existing => existing !== hashed);
+        if (remaining.length < (user.twoFactorBackupCodes || []).length) {
+          method = 'backup_code';
+          updates = { twoFactorBackupCodes: remaining };
+        }
+      } else {
+        throw new Error('Authentication code is required');
+      }
+
+      if (!method) {
+        const attempts = (user.twoFactorFailedAttempts || 0) + 1;
+        const locked = attempts >= TwoFactorService.MAX_ATTEMPTS;
+        await user.update({
+          twoFactorFailedAttempts: locked ? 0 : attempts,
+          twoFactorLockedUntil: locked
+            ? new Date(timestamp + TwoFactorService.LOCKOUT_MINUTES * 60 * 1000)
+            : user.twoFactorLockedUntil
+        }, { transaction });
+        await transaction.commit();
+        throw new Error('Invalid authentication code');
+      }
+
+      await user.update({ ...updates, twoFactorFailedAttempts: 0, twoFactorLockedUntil: null }, { transaction });
+      await transaction.commit();
+
+      return {
+        method,
+        backupCodesRemaining: (method === 'backup_code' ? updates.twoFactorBackupCodes : user.twoFactorBackupCodes || []).length
+      };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error verifying 2FA code:', error);
+      throw new Error(`Failed to verify two-factor code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace all backup codes; requires a current TOTP code
+   */
+  static async regenerateBackupCodes(userId, code, timestamp = TwoFactorService.now()) {
+    try {
+      await this.verify(userId, { code }, timestamp);
+
+      const backupCodes = this.generateBackupCodes();
+      await User.update(
+        { twoFactorBackupCodes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)) },
+        { where: { id: userId } }
+      );
+
+      return { success: true, backupCodes };
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      throw new Error(`Failed to regenerate backup codes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn 2FA off; requires the password and a TOTP or backup code
+   */
+  static async disable(userId, password, factor, timestamp = TwoFactorService.now()) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!await bcrypt.compare(password, user.password)) {
+        throw new Error('Invalid password');
+      }
+
+      if (this.isRequiredForRoles(user.roles || [])) {
+        throw new Error('Two-factor authentication is required for your role');
+      }
+
+      await this.verify(userId, factor, timestamp);
+
+      await user.update({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: null,
+        twoFactorLastStep: null,
+        twoFactorEnabledAt: null
+      });
+
+      await AuditService.record({
+        actorId: user.id,
+        action: 'user.2fa_disabled',
+        entityType: 'user',
+        entityId: user.id
+      });
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      console.error('Error disabling 2FA:', error);
+      throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Token proving the password step passed, exchanged for a session at
+   * POST /auth/login/2fa. authenticateToken refuses it as an access token.
+   */
+  static createLoginChallenge(user) {
+    return jwt.sign(
+      { id: user.id, purpose: TwoFactorService.CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: TwoFactorService.CHALLENGE_TTL }
+    );
+  }
+
+  static verifyLoginChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+      if (decoded.purpose !== TwoFactorService.CHALLENGE_PURPOSE) {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded.id;
+    } catch (error) {
+      throw new Error('Invalid or expired login challenge');
+    }
+  }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,405 @@
+import { Op } from 'sequelize';
+import GaslessPaymentService from './GasslessPaymentService.js';
+import db from '../models/index.js';
+import { PaymentStatus, UserOperationStatus } from '../utils/types.js';
+
+const { Transaction, UserOperation, User, sequelize } = db;
+
+const OPEN_STATUSES = [UserOperationStatus.submitted, UserOperationStatus.replaced];
+
+/**
+ * Lifecycle of the UserOperations sent by the escrow flows.
+ *
+ * A flow submits its operation, records it with `track` and returns without
+ * waiting for a receipt. The cron worker (`run`) polls the bundler, moves the
+ * Transaction through markAsConfirmed / markAsFailed and passes the outcome to
+ * the handler registered for its transaction type, which settles the order.
+ *
+ * An operation the bundler has dropped, or one priced below what the bundler
+ * currently accepts, is re-sent under the same nonce with higher fees. Every
+ * hash sent for a transaction is kept because any of them can still be the
+ * one that lands.
+ */
+class UserOperationService {
+  // How long an operation may wait for inclusion before it is looked at
+  static STUCK_SECONDS = parseInt(process.env.USER_OP_STUCK_SECONDS || '90');
+  static MAX_REPLACEMENTS = parseInt(process.env.USER_OP_MAX_REPLACEMENTS || '3');
+  // Bundlers reject replacements that raise fees by less than 10%
+  static FEE_BUMP_PERCENT = parseInt(process.env.USER_OP_FEE_BUMP_PERCENT || '20');
+  // A transaction whose operations have not landed after this long is failed
+  static DROP_SECONDS = parseInt(process.env.USER_OP_DROP_SECONDS || '1800');
+
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Settle transactions of a type
+   * @param {string} type - TransactionType
+   * @param {object} handler - Exposes
+   *   `async confirmed(transactionRecord, receipt, transaction)`: the operation was included and executed;
+   *   `async failed(transactionRecord, reason, transaction)`: it reverted or never landed
+   */
+  use(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  /**
+   * Record a submitted operation and mark its transaction submitted
+   * @param {object} params - { transactionRecord, chainId, signerId, submission }, where
+   *   submission is what GaslessPaymentService.submitUserOperation returned
+   */
+  static async track({ transactionRecord, chainId, signerId, submission }) {
+    const transaction = await sequelize.transaction();
+    try {
+      const operation = await this.createOperation({
+        transactionId: transactionRecord.transaction_id,
+        chainId,
+        signerId,
+        tokenSymbol: transactionRecord.token_symbol,
+        submission
+      }, transaction);
+
+      await transactionRecord.markAsSubmitted(null, submission.userOpHash, { transaction });
+
+      await transaction.commit();
+      return operation;
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  static async createOperation({ transactionId, chainId, signerId, tokenSymbol, submission, replacementCount = 0 }, transaction) {
+    const { userOpHash, userOperation } = submission;
+
+    return UserOperation.create({
+      user_op_hash: userOpHash,
+      transaction_id: transactionId,
+      chain_id: chainId,
+      signer_id: signerId,
+      sender: userOperation.sender,
+      nonce: userOperation.nonce,
+      call_data: userOperation.callData,
+      max_fee_per_gas: userOperation.maxFeePerGas,
+      max_priority_fee_per_gas: userOperation.maxPriorityFeePerGas,
+      token_symbol: tokenSymbol,
+      replacement_count: replacementCount
+    }, { transaction });
+  }
+
+  /**
+   * Whether an order already has an operation of this type being sent or
+   * waiting for inclusion. Callers hold the order row lock so two requests
+   * cannot both see none. A pending row older than DROP_SECONDS never reached
+   * the bundler (its process died before sending) and no longer counts.
+   */
+  static async hasInProgress(orderId, transactionType, transaction = null) {
+    const staleBefore = new Date(Date.now() - UserOperationService.DROP_SECONDS * 1000);
+    const count = await Transaction.count({
+      where: {
+        order_id: orderId,
+        transaction_type: transactionType,
+        [Op.or]: [
+          { status: PaymentStatus.submitted },
+          { status: PaymentStatus.pending, createdAt: { [Op.gte]: staleBefore } }
+        ]
+      },
+      transaction
+    });
+    return count > 0;
+  }
+
+  /**
+   * Check every transaction with an operation waiting for inclusion
+   * @param {number} limit - Max transactions to process in one run
+   */
+  async run(limit = 50) {
+    const open = await UserOperation.findAll({
+      where: { status: UserOperationStatus.submitted },
+      attributes: ['transaction_id'],
+      order: [['last_checked_at', 'ASC NULLS FIRST'], ['id', 'ASC']],
+      limit,
+      raw: true
+    });
+    const results = [];
+
+    for (const transactionId of new Set(open.map(operation => operation.transaction_id))) {
+      try {
+        results.push(await this.check(transactionId));
+      } catch (error) {
+        console.error(`UserOperation check failed for transaction ${transactionId}:`, error);
+        results.push({ transactionId, action: 'error', error: error.message });
+      }
+    }
+
+    const settled = results.filter(result => ['confirmed', 'failed'].includes(result.action));
+    if (settled.length > 0 || results.some(result => result.action === 'replaced')) {
+      console.log(`UserOperations: ${settled.length}/${results.length} settled, ${results.filter(result => result.action === 'replaced').length} replaced`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Settle a transaction whose operation landed, replace it if it is stuck,
+   * or fail it once it is past saving
+   */
+  async check(transactionId) {
+    const operations = await UserOperation.findAll({
+      where: { transaction_id: transactionId, status: { [Op.in]: OPEN_STATUSES } },
+      order: [['id', 'ASC']]
+    });
+    const latest = operations[operations.length - 1];
+
+    if (!latest || latest.status !== UserOperationStatus.submitted) {
+      return { transactionId, action: 'skipped' };
+    }
+
+    const paymentService = GaslessPaymentService.forNetwork(latest.chain_id);
+
+    for (const operation of operations) {
+      const receipt = await paymentService.getUserOperationReceipt(operation.user_op_hash);
+      if (receipt) {
+        return this.settle(transactionId, { operation, receipt });
+      }
+    }
+
+    await latest.update({ last_checked_at: new Date() });
+
+    const now = Date.now();
+    if (now - latest.createdAt.getTime() < UserOperationService.STUCK_SECONDS * 1000) {
+      return { transactionId, action: 'waiting' };
+    }
+
+    if (latest.replacement_count < UserOperationService.MAX_REPLACEMENTS &&
+        await this.needsReplacement(paymentService, latest)) {
+      return this.replace(paymentService, latest);
+    }
+
+    if (now - operations[0].createdAt.getTime() < UserOperationService.DROP_SECONDS * 1000) {
+      return { transactionId, action: 'waiting' };
+    }
+
+    if (await paymentService.isNonceUsed(latest.sender, latest.nonce)) {
+      // Something with this nonce was included but none of our hashes has a
+      // receipt. If it carried our action the indexer has confirmed the
+      // transaction from the contract event by now; otherwise it failed (an
+      // event indexed later is still recorded as a confirmed transaction)
+      return this.settle(transactionId, { reason: 'Nonce used by an operation without a receipt' });
+    }
+
+    return this.settle(transactionId, { reason: 'UserOperation was not included' });
+  }
+
+  /**
+   * An operation needs replacing when the bundler no longer holds it or its
+   * fees are below what the bundler currently accepts
+   */
+  async needsReplacement(paymentService, operation) {
+    if (!await paymentService.isUserOperationKnown(operation.user_op_hash)) {
+      return true;
+    }
+
+    const current = await paymentService.getUserOperationGasPrice();
+    return BigInt(operation.max_fee_per_gas) < current.maxFeePerGas ||
+      BigInt(operation.max_priority_fee_per_gas) < current.maxPriorityFeePerGas;
+  }
+
+  async replace(paymentService, operation) {
+    const signer = await User.findByPk(operation.signer_id, {
+      attributes: ['id', 'privateKey', 'password']
+    });
+
+    let submission;
+    try {
+      submission = await paymentService.replaceUserOperation({
+        encryptedPrivateKey: signer.privateKey,
+        userId: signer.id.toString(),
+        userPassword: signer.password,
+        tokenSymbol: operation.token_symbol,
+        userOperation: {
+          sender: operation.sender,
+          nonce: operation.nonce,
+          callData: operation.call_data,
+          maxFeePerGas: operation.max_fee_per_gas,
+          maxPriorityFeePerGas: operation.max_priority_fee_per_gas
+        },
+        bumpPercent: UserOperationService.FEE_BUMP_PERCENT
+      });
+    } catch (error) {
+      // Retried on the next run; a nonce that is already used ends in the drop check
+      console.warn(`Failed to replace UserOperation ${operation.user_op_hash}:`, error.message);
+      await operation.update({ last_error: error.message });
+      return { transactionId: operation.transaction_id, action: 'replace_failed', error: error.message };
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      await operation.update({
+        status: UserOperationStatus.replaced,
+        replaced_by: submission.userOpHash
+      }, { transaction });
+
+      await UserOperationService.createOperation({
+        transactionId: operation.transaction_id,
+        chainId: operation.chain_id,
+        signerId: operation.signer_id,
+        tokenSymbol: operation.token_symbol,
+        submission,
+        replacementCount: operation.replacement_count + 1
+      }, transaction);
+
+      await Transaction.update(
+        { user_op_hash: submission.userOpHash },
+        { where: { transaction_id: operation.transaction_id }, transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+
+    return { transactionId: operation.transaction_id, action: 'replaced', userOpHash: submission.userOpHash };
+  }
+
+  /**
+   * Close every open operation of a transaction and settle the transaction
+   * @param {object} outcome - { operation, receipt } when one landed, { reason } when none did
+   */
+  async settle(transactionId, { operation: landed = null, receipt = null, reason = null }) {
+    const transaction = await sequelize.transaction();
+    try {
+      const transactionRecord = await Transaction.findOne({
+        where: { transaction_id: transactionId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const operations = await UserOperation.findAll({
+        where: { transaction_id: transactionId, status: { [Op.in]: OPEN_STATUSES } },
+        transaction
+      });
+
+      if (!transactionRecord || operations.length === 0) {
+        await transaction.rollback();
+        return { transactionId, action: 'skipped' };
+      }
+
+      for (const operation of operations) {
+        if (landed && operation.id === landed.id) {
+          await operation.update({
+            status: receipt.success ? UserOperationStatus.confirmed : UserOperationStatus.reverted,
+            blockchain_tx_hash: receipt.transactionHash,
+            block_number: receipt.blockNumber,
+            gas_used: receipt.gasUsed,
+            last_error: receipt.success ? null : receipt.reason,
+            settled_at: new Date()
+          }, { transaction });
+        } else {
+          await operation.update({
+            status: UserOperationStatus.dropped,
+            last_error: reason || operation.last_error,
+            settled_at: new Date()
+          }, { transaction });
+        }
+      }
+
+      const handler = this.handlers.get(transactionRecord.transaction_type);
+      let action;
+
+      if (receipt?.success) {
+        // The indexer may have confirmed it from the contract event already
+        if (transactionRecord.status !== PaymentStatus.confirmed) {
+          await transactionRecord.markAsConfirmed(receipt.blockNumber, receipt.gasUsed, receipt.transactionHash, { transaction });
+        }
+        await transactionRecord.update({ user_op_hash: landed.user_op_hash }, { transaction });
+        await handler?.confirmed(transactionRecord, receipt, transaction);
+        action = 'confirmed';
+      } else if (!receipt && transactionRecord.status === PaymentStatus.confirmed) {
+        // The indexer confirmed it from the contract event and settled the order
+        action = 'confirmed';
+      } else {
+        const failureReason = receipt
+          ? `UserOperation reverted: ${receipt.reason || 'unknown reason'}`
+          : reason;
+        await transactionRecord.markAsFailed(failureReason, { transaction });
+        await handler?.failed(transactionRecord, failureReason, transaction);
+        action = 'failed';
+      }
+
+      await transaction.commit();
+      return { transactionId, action };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Where a transaction stands, for clients polling after a submission
+   */
+  static async getTransactionStatus(transactionId, userId) {
+    try {
+      const transactionRecord = await Transaction.findOne({
+        where: { transaction_id: transactionId },
+        include: [{ model: UserOperation, as: 'operations' }],
+        order: [[{ model: UserOperation, as: 'operations' }, 'id', 'ASC']]
+      });
+
+      const isParty = transactionRecord &&
+        [transactionRecord.sender_id, transactionRecord.recipient_id].includes(userId.toString());
+      if (!isParty) {
+        throw new Error('Transaction not found');
+      }
+
+      return {
+        success: true,
+        transaction: this.serializeStatus(transactionRecord)
+      };
+    } catch (error) {
+      console.error('Error getting transaction status:', error);
+      throw new Error(`Failed to retrieve transaction status: ${error.message}`);
+    }
+  }
+
+  static serializeStatus(transactionRecord) {
+    return {
+      transactionId: transactionRecord.transaction_id,
+      orderId: transactionRecord.order_id,
+      type: transactionRecord.transaction_type,
+      status: transactionRecord.status,
+      final: transactionRecord.isFinal(),
+      tokenSymbol: transactionRecord.token_symbol,
+      amount: transactionRecord.amount,
+      escrowAddress: transactionRecord.escrow_address,
+      userOpHash: transactionRecord.user_op_hash,
+      transactionHash: transactionRecord.blockchain_tx_hash,
+      blockNumber: transactionRecord.block_number,
+      failureReason: transactionRecord.failure_reason,
+      submittedAt: transactionRecord.submitted_at,
+      confirmedAt: transactionRecord.confirmed_at,
+      failedAt: transactionRecord.failed_at,
+      operations: (transactionRecord.operations || []).map(operation => ({
+        userOpHash: operation.user_op_hash,
+        status: operation.status,
+        maxFeePerGas: operation.max_fee_per_gas,
+        maxPriorityFeePerGas: operation.max_priority_fee_per_gas,
+        replacedBy: operation.replaced_by,
+        transactionHash: operation.blockchain_tx_hash,
+        submittedAt: operation.createdAt,
+        settledAt: operation.settled_at
+      }))
+    };
+  }
+}
+
+export default UserOperationService;
@@ -5,11 +5,20 @@ import db from '../models/index.js';
 import { BASE_URL } from '../utils/constants.js';
 import SmartAccountService from './SmartAccountService.js';
 import EncryptionService from './EncryptionService.js';
+import AuditService from './AuditService.js';
+import SessionService from './SessionService.js';
 import { UserRoles } from '../utils/types.js';
 
-const { User } = db;
+const { User, sequelize } = db;
 
 class UserService {
+  static PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS || '5');
+  static PIN_LOCKOUT_MINUTES = parseInt(process.env.PIN_LOCKOUT_MINUTES || '15');
+  static PASSWORD_RESET_TTL_MINUTES = 15;
+  static PASSWORD_RESET_MAX_ATTEMPTS = 5;
+  // Marks a PIN hash keyed with PIN_PEPPER; bare bcrypt hashes predate it
+  static PIN_HASH_PREFIX = 'pin1$';
+
   static async checkUserExists(email, username) {
     try {
       const existingUser = await User.findOne({
@@ -105,6 +114,15 @@ class UserService {
     }
   }
 
+  static async findUserById(userId) {
+    try {
+      return await User.findByPk(userId);
+    } catch (error) {
+      console.error('Error finding user by id:', error);
+      throw new Error('Database error occurred');
+    }
+  }
+
   static async findUserByUsername(username) {
     try {
       return await User.findOne({ 
@@ -199,11 +217,10 @@ static async setUserPin(userId, password, pin) {
       throw new Error('PIN must be 6 digits');
     }
 
-    const masterPassword = await EncryptionService.generateMasterPassword(password, userId);
-
-    const encryptedPin = await EncryptionService.encryptPrivateKey(pin, masterPassword);
+    // Hashed so the PIN can be checked on its own when authorizing a transaction
+    const hashedPin = await UserService.hashPin(pin);
 
-    await user.update({ pin: encryptedPin });
+    await user.update({ pin: hashedPin, pinFailedAttempts: 0, pinLockedUntil: null });
     return true;
   } catch (error) {
     console.error('Error setting user PIN:', error);
@@ -220,33 +237,374 @@ static async updateUserPin(userId, currentPassword, newPin) {
   }
 }
 
-static async getDecryptedPin(userId, password) {
-  try {
-    const user = await User.findByPk(userId);
-    if (!user || !user.pin) {
-      throw new Error('PIN not set for user');
+  /**
+   * Hash a PIN for storage. A six-digit PIN has a million possible values,
+   * so a bcrypt hash alone is searched offline in minutes if the users table
+   * leaks. The PIN is first keyed with PIN_PEPPER, a secret kept out of the
+   * database, so the table alone is not enough.
+   */
+  static async hashPin(pin) {
+    return UserService.PIN_HASH_PREFIX + await bcrypt.hash(this.pepperPin(pin), 12);
+  }
+
+  static pepperPin(pin) {
+    const pepper = process.env.PIN_PEPPER;
+    if (!pepper || typeof pepper !== 'string') {
+      throw new Error('PIN_PEPPER environment variable is not defined or not a string');
+    }
+    return crypto.createHmac('sha256', pepper).update(String(pin)).digest('hex');
+  }
+
+  static isHashedPin(storedPin) {
+    return storedPin.startsWith(UserService.PIN_HASH_PREFIX) || storedPin.startsWith('$2');
+  }
+
+  /**
+   * Compare a PIN against the stored value. Older PINs are re-stored with
+   * hashPin once they match: bare bcrypt hashes from before the pepper, and
+   * PINs from before hashing, which are encrypted with the master password
+   * and need the login password once.
+   */
+  static async matchesStoredPin(user, pin, password, transaction) {
+    if (user.pin.startsWith(UserService.PIN_HASH_PREFIX)) {
+      return bcrypt.compare(this.pepperPin(pin), user.pin.slice(UserService.PIN_HASH_PREFIX.length));
+    }
+
+    if (user.pin.startsWith('$2')) {
+      if (!await bcrypt.compare(String(pin), user.pin)) {
+        return false;
+      }
+      await user.update({ pin: await this.hashPin(pin) }, { transaction });
+      return true;
     }
 
-    const masterPassword = await EncryptionService.generateMasterPassword(password, userId);
+    if (!password) {
+      throw new Error('Password is required to verify this PIN');
+    }
 
+    const masterPassword = await EncryptionService.generateMasterPassword(password, user.id);
     const decryptedPin = await EncryptionService.decryptPrivateKey(user.pin, masterPassword);
-    
-    return decryptedPin;
-  } catch (error) {
-    console.error('Error getting user PIN:', error);
-    throw new Error(`Failed to get PIN: ${error.message}`);
+    if (decryptedPin !== pin) {
+      return false;
+    }
+
+    await user.update({ pin: await this.hashPin(pin) }, { transaction });
+    return true;
   }
-}
 
-static async verifyUserPin(userId, password, pin) {
-  try {
-    const decryptedPin = await this.getDecryptedPin(userId, password);
-    return decryptedPin === pin;
-  } catch (error) {
-    console.error('Error verifying user PIN:', error);
-    throw new Error(`Failed to verify PIN: ${error.message}`);
+  /**
+   * Check a user's PIN, counting failures. After PIN_MAX_ATTEMPTS wrong
+   * PINs in a row the PIN is locked for PIN_LOCKOUT_MINUTES.
+   * @param {string} password - Only needed for PINs stored before hashing
+   * @returns {Promise<boolean>} Whether the PIN matched
+   */
+  static async verifyUserPin(userId, pin, password = null) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!user || !user.pin) {
+        throw new Error('PIN not set for user');
+      }
+
+      if (user.pinLockedUntil && user.pinLockedUntil > new Date()) {
+        throw new Error(`PIN is locked until ${user.pinLockedUntil.toISOString()}`);
+      }
+
+      const matches = await this.matchesStoredPin(user, pin, password, transaction);
+
+      if (matches) {
+        await user.update({ pinFailedAttempts: 0, pinLockedUntil: null }, { transaction });
+      } else {
+        const attempts = (user.pinFailedAttempts || 0) + 1;
+        const locked = attempts >= UserService.PIN_MAX_ATTEMPTS;
+
+        await user.update({
+          pinFailedAttempts: locked ? 0 : attempts,
+          pinLockedUntil: locked ? new Date(Date.now() + UserService.PIN_LOCKOUT_MINUTES * 60 * 1000) : user.pinLockedUntil
+        }, { transaction });
+
+        if (locked) {
+          await AuditService.record({
+            actorId: userId,
+            action: 'user.pin_locked',
+            entityType: 'user',
+            entityId: userId,
+            details: { attempts }
+          }, transaction);
+        }
+      }
+
+      await transaction.commit();
+      return matches;
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error verifying user PIN:', error);
+      throw new Error(`Failed to verify PIN: ${error.message}`);
+    }
+  }
+
+  static hashResetCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  /**
+   * Start a password reset. Returns null for unknown or unverified emails so
+   * the caller can answer the same way whether or not the account exists.
+   * @returns {Promise<object|null>} { user, otp }
+   */
+  static async createPasswordResetOtp(email) {
+    try {
+      const user = await this.findUserByEmail(email);
+      if (!user || !user.isverified) {
+        return null;
+      }
+
+      const otp = this.generateOTP();
+      await user.update({
+        passwordResetToken: this.hashResetCode(otp),
+        passwordResetExpiresAt: new Date(Date.now() + UserService.PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        passwordResetAttempts: 0
+      });
+
+      return { user, otp };
+    } catch (error) {
+      console.error('Error creating password reset OTP:', error);
+      throw new Error(`Failed to start password reset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set a new password with an emailed OTP.
+   *
+   * Recovery without the old password: the wallet key's master password is
+   * derived from the stored password hash, not the plaintext password, so the
+   * key is re-wrapped here from the hash being replaced and the wallet keeps
+   * working. The one thing that cannot be carried over is a PIN stored before
+   * PINs were hashed (it was encrypted with the plaintext password); such a
+   * PIN is cleared and the user sets a new one with POST /auth/set-pin.
+   */
+  static async resetPassword(email, otp, newPassword) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findOne({
+        where: { email: email.toLowerCase() },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!user || !user.passwordResetToken) {
+        throw new Error('Invalid or expired reset code');
+      }
+
+      if (user.passwordResetExpiresAt < new Date() ||
+          user.passwordResetAttempts >= UserService.PASSWORD_RESET_MAX_ATTEMPTS) {
+        await user.update({ passwordResetToken: null, passwordResetExpiresAt: null }, { transaction });
+        await transaction.commit();
+        throw new Error('Invalid or expired reset code');
+      }
+
+      const expected = Buffer.from(user.passwordResetToken, 'hex');
+      const provided = Buffer.from(this.hashResetCode(otp.toString()), 'hex');
+      if (!crypto.timingSafeEqual(expected, provided)) {
+        await user.update({ passwordResetAttempts: user.passwordResetAttempts + 1 }, { transaction });
+        await transaction.commit();
+        throw new Error('Invalid or expired reset code');
+      }
+
+      const result = await this.replacePassword(user, newPassword, null, transaction);
+
+      await AuditService.record({
+        actorId: user.id,
+        action: 'user.password_reset',
+        entityType: 'user',
+        entityId: user.id,
+        details: { pinCleared: result.pinCleared }
+      }, transaction);
+
+      await transaction.commit();
+
+      await SessionService.revokeAllSessions(user.id, 'password_reset');
+
+      return {
+        success: true,
+        pinCleared: result.pinCleared,
+        message: result.pinCleared
+          ? 'Password reset successfully. Please set a new transaction PIN.'
+          : 'Password reset successfully'
+      };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error resetting password:', error);
+      throw new Error(`Failed to reset password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the password of a signed-in user. Other sessions are logged out.
+   */
+  static async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const passwordMatch = await bcrypt.compare(currentPassword, user.password);
+      if (!passwordMatch) {
+        throw new Error('Invalid password');
+      }
+
+      if (currentPassword === newPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+
+      await this.replacePassword(user, newPassword, currentPassword, transaction);
+
+      await AuditService.record({
+        actorId: user.id,
+        action: 'user.password_changed',
+        entityType: 'user',
+        entityId: user.id
+      }, transaction);
+
+      await transaction.commit();
+
+      await SessionService.revokeAllSessions(user.id, 'password_changed', currentSessionId);
+
+      return { success: true, message: 'Password changed successfully' };
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      console.error('Error changing password:', error);
+      throw new Error(`Failed to change password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Swap the password hash and re-encrypt everything derived from it in the
+   * same transaction, so a failure leaves the old password fully working.
+   * @param {string|null} currentPassword - Plaintext old password, if known
+   */
+  static async replacePassword(user, newPassword, currentPassword, transaction) {
+    const newHash = await this.hashPassword(newPassword);
+    const updates = {
+      password: newHash,
+      passwordChangedAt: new Date(),
+      passwordResetToken: null,
+      passwordResetExpiresAt: null,
+      passwordResetAttempts: 0
+    };
+
+    if (user.privateKey) {
+      updates.privateKey = await SmartAccountService.reencryptPrivateKey(
+        user.privateKey,
+        user.id.toString(),
+        user.password,
+        newHash
+      );
+    }
+
+    let pinCleared = false;
+    if (user.pin && !UserService.isHashedPin(user.pin)) {
+      if (currentPassword) {
+        const masterPassword = await EncryptionService.generateMasterPassword(currentPassword, user.id);
+        const pin = await EncryptionService.decryptPrivateKey(user.pin, masterPassword);
+        updates.pin = await UserService.hashPin(pin);
+      } else {
+        updates.pin = null;
+        pinCleared = true;
+      }
+    }
+
+    await user.update(updates, { transaction });
+    return { pinCleared };
+  }
+
+  static async getUserRoles(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'username', 'roles'] });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return { success: true, user: user.toJSON() };
+  }
+
+  /**
+   * Grant a role to a user and record who granted it
+   */
+  static async grantRole(userId, role, actorId) {
+    return this.changeRole(userId, role, actorId, 'grant');
+  }
+
+  /**
+   * Revoke a role from a user and record who revoked it
+   */
+  static async revokeRole(userId, role, actorId) {
+    if (role === UserRoles.admin && userId.toString() === actorId.toString()) {
+      throw new Error('Admins cannot revoke their own admin role');
+    }
+
+    return this.changeRole(userId, role, actorId, 'revoke');
+  }
+
+  static async changeRole(userId, role, actorId, change) {
+    if (!Object.values(UserRoles).includes(role)) {
+      throw new Error(`Invalid role. Must be one of: ${Object.values(UserRoles).join(', ')}`);
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const previousRoles = [...(user.roles || [])];
+
+      if (change === 'grant') {
+        await user.assignRole(role, { transaction });
+      } else {
+        await user.removeRole(role, { transaction });
+      }
+
+      const changed = previousRoles.length !== user.roles.length;
+
+      if (changed) {
+        await AuditService.record({
+          actorId,
+          action: `user.role_${change === 'grant' ? 'granted' : 'revoked'}`,
+          entityType: 'user',
+          entityId: user.id,
+          details: { role, previousRoles, roles: user.roles }
+        }, transaction);
+      }
+
+      await transaction.commit();
+
+      return {
+        success: true,
+        changed,
+        user: { id: user.id, username: user.username, roles: user.roles },
+        message: changed
+          ? `Role ${role} ${change === 'grant' ? 'granted' : 'revoked'} successfully`
+          : `User ${change === 'grant' ? 'already has' : 'does not have'} role ${role}`
+      };
+    } catch (error) {
+      await transaction.rollback();
+      console.error(`Error trying to ${change} role:`, error);
+      throw new Error(`Failed to ${change} role: ${error.message}`);
+    }
   }
-}
 }
 
-export default UserService;
\ No newline at end of file
+export default UserService;
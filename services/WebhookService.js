@@ -0,0 +1,780 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Op } from 'sequelize';
+import KeyVaultService from './KeyVaultService.js';
+import db from '../models/index.js';
+import { UserRoles, WebhookDeliveryStatus, WebhookEvent } from '../utils/types.js';
+
+const { User, WebhookDelivery, WebhookSubscription, sequelize } = db;
+
+/**
+ * Webhook subscriptions for order and product events.
+ *
+ * A subscription belongs to a user, who receives events for orders they buy
+ * or sell and for their own products, or to the platform (user_id null, e.g.
+ * a logistics partner), which receives every matching event and is managed by
+ * admins. Emitting an event writes one delivery per matching subscription in
+ * the caller's DB transaction, so an event is only sent for changes that were
+ * committed. Order events carry a fixed id per order and type, which lets the
+ * request path and the chain indexer both emit them without duplicates.
+ *
+ * The cron worker POSTs due deliveries, signed with the subscription's secret
+ * (see sign()). A failed attempt is retried with exponential backoff; once
+ * out of attempts the delivery is dead-lettered and stays in the log until
+ * the subscriber replays it.
+ */
+class WebhookService {
+  static EVENTS = Object.values(WebhookEvent);
+  static MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '10');
+  static BACKOFF_BASE_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_SECONDS || '30');
+  static BACKOFF_MAX_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_SECONDS || '21600');
+  static TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+  // Lets endpoints on private addresses through, for local development only
+  static ALLOW_PRIVATE_URLS = process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+  static MAX_SUBSCRIPTIONS = parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || '10');
+  // Attempts kept on a delivery's log
+  static ATTEMPT_LOG_SIZE = 20;
+  static DEFAULT_PAGE_SIZE = 20;
+  static MAX_PAGE_SIZE = 100;
+
+  /**
+   * Queue an event for every active subscription that wants it
+   * @param {string} type - WebhookEvent
+   * @param {object} data - Event body
+   * @param {object} options - { userIds: users the event concerns, eventId: stable id to deduplicate on }
+   * @param {object} transaction - The transaction that made the change
+   * @returns {Promise<number>} Subscriptions the event was queued for
+   */
+  static async emit(type, data, { userIds = [], eventId = null } = {}, transaction = null) {
+    const owners = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+
+    const subscriptions = await WebhookSubscription.findAll({
+      where: {
+        is_active: true,
+        events: { [Op.contains]: [type] },
+        [Op.or]: [
+          { user_id: null },
+          ...(owners.length > 0 ? [{ user_id: { [Op.in]: owners } }] : [])
+        ]
+      },
+      attributes: ['id'],
+      transaction
+    });
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const event = {
+      id: eventId || `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    await WebhookDelivery.bulkCreate(subscriptions.map(subscription => ({
+      delivery_id: `whd_${crypto.randomUUID()}`,
+      subscription_id: subscription.id,
+      event_id: event.id,
+      event_type: type,
+      payload: event,
+      max_attempts: WebhookService.MAX_ATTEMPTS,
+      next_attempt_at: new Date()
+    })), { ignoreDuplicates: true, transaction });
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Emit an order lifecycle event to the buyer, the seller and platform apps
+   */
+  static async emitOrderEvent(type, order, transaction = null, extra = {}) {
+    return this.emit(type, { order: this.serializeOrder(order), ...extra }, {
+      userIds: [order.buyer_id, order.seller_id],
+      eventId: `${type}:${order.order_id}`
+    }, transaction);
+  }
+
+  /**
+   * Emit a product event to its seller and platform apps. Product writes are
+   * not transactional, so a failure here is logged rather than undoing them.
+   */
+  static async emitProductEvent(type, product) {
+    try {
+      await this.emit(type, { product: this.serializeProduct(product) }, {
+        userIds: [product.seller_id]
+      });
+    } catch (error) {
+      console.error(`Failed to emit ${type} for product ${product.id}:`, error);
+    }
+  }
+
+  static async listSubscriptions(userId) {
+    try {
+      const isAdmin = await this.isAdmin(userId);
+
+      const subscriptions = await WebhookSubscription.findAll({
+        where: isAdmin
+          ? { [Op.or]: [{ user_id: userId }, { user_id: null }] }
+          : { user_id: userId },
+        order: [['createdAt', 'DESC']]
+      });
+
+      return {
+        success: true,
+        subscriptions: subscriptions.map(subscription => this.serializeSubscription(subscription))
+      };
+    } catch (error) {
+      console.error('Error listing webhook subscriptions:', error);
+      throw new Error(`Failed to retrieve webhook subscriptions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Register an endpoint. The signing secret is only ever returned here and
+   * when it is rotated.
+   * @param {object} params - { userId, name, url, events, platform }
+   */
+  static async createSubscription({ userId, name, url, events, platform = false }) {
+    try {
+      if (platform && !(await this.isAdmin(userId))) {
+        throw new Error('Only admins can register platform webhooks');
+      }
+
+      const ownerId = platform ? null : userId;
+      const trimmedName = name?.trim();
+      if (!trimmedName) {
+        throw new Error('Validation error: Name is required');
+      }
+
+      const endpoint = await this.validateUrl(url);
+      const subscribedEvents = this.validateEvents(events);
+
+      const existing = await WebhookSubscription.count({ where: { user_id: ownerId } });
+      if (existing >= WebhookService.MAX_SUBSCRIPTIONS) {
+        throw new Error(`Validation error: At most ${WebhookService.MAX_SUBSCRIPTIONS} webhook subscriptions are allowed`);
+      }
+
+      const secret = this.generateSecret();
+      const subscription = await WebhookSubscription.create({
+        user_id: ownerId,
+        name: trimmedName,
+        url: endpoint,
+        events: subscribedEvents,
+        secret: await KeyVaultService.seal(secret, this.secretContext(ownerId)),
+        created_by: userId
+      });
+
+      return {
+        success: true,
+        subscription: this.serializeSubscription(subscription),
+        secret,
+        message: 'Webhook registered. Store the signing secret now; it will not be shown again.'
+      };
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      throw new Error(`Failed to create webhook subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {object} updates - Any of { name, url, events, isActive }
+   */
+  static async updateSubscription(subscriptionId, userId, updates) {
+    try {
+      const subscription = await this.findAccessible(subscriptionId, userId);
+      const fields = {};
+
+      if (updates.name !== undefined) {
+        fields.name = updates.name?.trim();
+        if (!fields.name) {
+          throw new Error('Validation error: Name is required');
+        }
+      }
+      if (updates.url !== undefined) {
+        fields.url = await this.validateUrl(updates.url);
+      }
+      if (updates.events !== undefined) {
+        fields.events = this.validateEvents(updates.events);
+      }
+      if (updates.isActive !== undefined) {
+        fields.is_active = Boolean(updates.isActive);
+      }
+
+      await subscription.update(fields);
+
+      return { success: true, subscription: this.serializeSubscription(subscription) };
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+      throw new Error(`Failed to update webhook subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an endpoint along with its delivery log
+   */
+  static async deleteSubscription(subscriptionId, userId) {
+    try {
+      const subscription = await this.findAccessible(subscriptionId, userId);
+      await subscription.destroy();
+
+      return { success: true, message: 'Webhook deleted' };
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      throw new Error(`Failed to delete webhook subscription: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue a new signing secret. Deliveries still queued are signed with the new one.
+   */
+  static async rotateSecret(subscriptionId, userId) {
+    try {
+      const subscription = await this.findAccessible(subscriptionId, userId);
+      const secret = this.generateSecret();
+
+      await subscription.update({
+        secret: await KeyVaultService.seal(secret, this.secretContext(subscription.user_id))
+      });
+
+      return {
+        success: true,
+        subscription: this.serializeSubscription(subscription),
+        secret,
+        message: 'Signing secret rotated. Store it now; it will not be shown again.'
+      };
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      throw new Error(`Failed to rotate webhook secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delivery log of a subscription, newest first
+   * @param {object} filters - { status, eventType, page, limit }
+   */
+  static async listDeliveries(subscriptionId, userId, { status, eventType, page, limit } = {}) {
+    try {
+      const pageSize = Math.min(Math.max(parseInt(limit) || WebhookService.DEFAULT_PAGE_SIZE, 1), WebhookService.MAX_PAGE_SIZE);
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      const subscription = await this.findAccessible(subscriptionId, userId);
+      const where = { subscription_id: subscription.id };
+
+      if (status) {
+        if (!Object.values(WebhookDeliveryStatus).includes(status)) {
+          throw new Error(`Validation error: Status must be one of ${Object.values(WebhookDeliveryStatus).join(', ')}`);
+        }
+        where.status = status;
+      }
+      if (eventType) {
+        where.event_type = eventType;
+      }
+
+      const { count, rows } = await WebhookDelivery.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
+      });
+
+      return {
+        success: true,
+        deliveries: rows.map(delivery => this.serializeDelivery(delivery)),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total: count,
+          pages: Math.ceil(count / pageSize)
+        }
+      };
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      throw new Error(`Failed to retrieve webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a delivery again from scratch, whatever its outcome was. The payload
+   * and event id stay the same so the receiver can deduplicate.
+   */
+  static async replayDelivery(subscriptionId, deliveryId, userId) {
+    try {
+      const subscription = await this.findAccessible(subscriptionId, userId);
+      const delivery = await WebhookDelivery.findOne({
+        where: { delivery_id: deliveryId, subscription_id: subscription.id }
+      });
+
+      if (!delivery) {
+        throw new Error('Webhook delivery not found');
+      }
+      if (delivery.status === WebhookDeliveryStatus.pending) {
+        throw new Error('Delivery is already queued');
+      }
+
+      await delivery.update(this.replayFields(delivery));
+
+      return { success: true, delivery: this.serializeDelivery(delivery), message: 'Delivery queued for replay' };
+    } catch (error) {
+      console.error('Error replaying webhook delivery:', error);
+      throw new Error(`Failed to replay webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Requeue every dead-lettered delivery of a subscription, e.g. after the
+   * endpoint has been fixed
+   */
+  static async replayDeadLetters(subscriptionId, userId) {
+    try {
+      const subscription = await this.findAccessible(subscriptionId, userId);
+
+      const [replayed] = await WebhookDelivery.update({
+        status: WebhookDeliveryStatus.pending,
+        attempts: 0,
+        next_attempt_at: new Date(),
+        dead_at: null,
+        replay_count: sequelize.literal('replay_count + 1')
+      }, {
+        where: { subscription_id: subscription.id, status: WebhookDeliveryStatus.dead }
+      });
+
+      return { success: true, replayed, message: `${replayed} dead-lettered deliveries queued for replay` };
+    } catch (error) {
+      console.error('Error replaying dead-lettered webhook deliveries:', error);
+      throw new Error(`Failed to replay webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send deliveries that are due
+   * @param {number} limit - Max deliveries to send in one run
+   */
+  static async run(limit = 50) {
+    const due = await WebhookDelivery.findAll({
+      where: {
+        status: WebhookDeliveryStatus.pending,
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      attributes: ['id', 'next_attempt_at'],
+      order: [['next_attempt_at', 'ASC']],
+      limit,
+      raw: true
+    });
+    const results = [];
+
+    for (const { id, next_attempt_at: dueAt } of due) {
+      try {
+        const delivery = await this.claim(id, dueAt);
+        if (delivery) {
+          await this.attempt(delivery);
+          results.push({ deliveryId: delivery.delivery_id, status: delivery.status });
+        }
+      } catch (error) {
+        console.error(`Webhook delivery ${id} failed:`, error);
+        results.push({ deliveryId: id, status: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`Webhooks: ${results.filter(r => r.status === WebhookDeliveryStatus.delivered).length}/${results.length} delivered`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Push a delivery's next attempt past the request timeout so another worker
+   * does not send it at the same time. Returns null if someone else got it first.
+   */
+  static async claim(id, dueAt) {
+    const [claimed] = await WebhookDelivery.update({
+      next_attempt_at: new Date(Date.now() + WebhookService.TIMEOUT_MS * 3)
+    }, {
+      where: { id, status: WebhookDeliveryStatus.pending, next_attempt_at: dueAt }
+    });
+
+    if (claimed === 0) {
+      return null;
+    }
+
+    return WebhookDelivery.findByPk(id, {
+      include: [{ model: WebhookSubscription, as: 'subscription' }]
+    });
+  }
+
+  /**
+   * POST a delivery once and record the outcome
+   */
+  static async attempt(delivery) {
+    const subscription = delivery.subscription;
+    const attemptNumber = delivery.attempts + 1;
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    if (!subscription.is_active) {
+      error = 'Subscription is disabled';
+    } else {
+      try {
+        const secret = await KeyVaultService.open(subscription.secret, this.secretContext(subscription.user_id));
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(startedAt / 1000);
+
+        statusCode = await this.post(subscription.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'TrustMart-Webhooks/1.0',
+            'X-TrustMart-Event': delivery.event_type,
+            'X-TrustMart-Delivery': delivery.delivery_id,
+            'X-TrustMart-Signature': `t=${timestamp},v1=${this.sign(secret, timestamp, body)}`
+          },
+          body
+        });
+
+        if (statusCode < 200 || statusCode >= 300) {
+          error = `Endpoint responded with HTTP ${statusCode}`;
+        }
+      } catch (requestError) {
+        error = requestError.cause?.name === 'TimeoutError'
+          ? `Endpoint did not respond within ${WebhookService.TIMEOUT_MS}ms`
+          : requestError.cause?.message || requestError.message;
+      }
+    }
+
+    const attemptLog = [...(delivery.attempt_log || []), {
+      attempt: attemptNumber,
+      at: new Date(startedAt).toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - startedAt
+    }].slice(-WebhookService.ATTEMPT_LOG_SIZE);
+
+    const fields = {
+      attempts: attemptNumber,
+      last_status_code: statusCode,
+      last_error: error,
+      attempt_log: attemptLog
+    };
+
+    if (!error) {
+      Object.assign(fields, {
+        status: WebhookDeliveryStatus.delivered,
+        delivered_at: new Date(),
+        next_attempt_at: null
+      });
+    } else if (attemptNumber >= delivery.max_attempts || !subscription.is_active) {
+      Object.assign(fields, {
+        status: WebhookDeliveryStatus.dead,
+        dead_at: new Date(),
+        next_attempt_at: null
+      });
+      console.warn(`Webhook delivery ${delivery.delivery_id} dead-lettered after ${attemptNumber} attempts: ${error}`);
+    } else {
+      fields.next_attempt_at = new Date(Date.now() + this.backoffSeconds(attemptNumber) * 1000);
+    }
+
+    await delivery.update(fields);
+    return delivery;
+  }
+
+  /**
+   * Delay before the attempt after `attempts` failures: doubling from the
+   * base up to the cap, with ±20% jitter so retries do not arrive in bursts
+   */
+  static backoffSeconds(attempts) {
+    const delay = Math.min(
+      WebhookService.BACKOFF_BASE_SECONDS * 2 ** (attempts - 1),
+      WebhookService.BACKOFF_MAX_SECONDS
+    );
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * HMAC-SHA256 of `${timestamp}.${body}`, hex encoded. Receivers recompute it
+   * from the raw request body and the `t` value of X-TrustMart-Signature, and
+   * should reject timestamps too far from their own clock.
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  // Binds a sealed secret to its owner so it cannot be moved to another subscription owner
+  static secretContext(ownerId) {
+    return `webhook:${ownerId === null ? 'platform' : ownerId.toString()}`;
+  }
+
+  static replayFields(delivery) {
+    return {
+      status: WebhookDeliveryStatus.pending,
+      attempts: 0,
+      next_attempt_at: new Date(),
+      dead_at: null,
+      replay_count: delivery.replay_count + 1
+    };
+  }
+
+  /**
+   * The user's own subscription, or a platform one if they are an admin
+   */
+  static async findAccessible(subscriptionId, userId) {
+    const subscription = await WebhookSubscription.findByPk(subscriptionId);
+
+    const allowed = subscription && (
+      subscription.isPlatform()
+        ? await this.isAdmin(userId)
+        : subscription.user_id.toString() === userId.toString()
+    );
+
+    if (!allowed) {
+      throw new Error('Webhook subscription not found');
+    }
+
+    return subscription;
+  }
+
+  static async isAdmin(userId) {
+    const user = await User.findByPk(userId, { attributes: ['id', 'roles'] });
+    return Boolean(user?.hasRole(UserRoles.admin));
+  }
+
+  static validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('Validation error: events must be a non-empty array');
+    }
+
+    const unknown = events.filter(event => !WebhookService.EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Validation error: Unknown events ${unknown.join(', ')}. Supported: ${WebhookService.EVENTS.join(', ')}`);
+    }
+
+    return [...new Set(events)];
+  }
+
+  /**
+   * Endpoints must be https in production and may not point into the
+   * platform's own network
+   */
+  static async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (parseError) {
+      throw new Error('Validation error: url must be a valid URL');
+    }
+
+    const production = process.env.NODE_ENV === 'production';
+    const allowedProtocols = production ? ['https:'] : ['https:', 'http:'];
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw new Error(`Validation error: url must use ${production ? 'https' : 'http or https'}`);
+    }
+    if (parsed.username || parsed.password) {
+      throw new Error('Validation error: url must not contain credentials');
+    }
+
+    await this.resolvePublicAddresses(parsed.hostname.replace(/^\[|\]$/g, ''));
+
+    return parsed.toString();
+  }
+
+  /**
+   * Addresses a hostname resolves to, refused if any is not public
+   * @returns {Promise<object[]>} [{ address, family }]
+   */
+  static async resolvePublicAddresses(hostname) {
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch (lookupError) {
+      throw new Error(`Validation error: Could not resolve ${hostname}`);
+    }
+
+    if (!WebhookService.ALLOW_PRIVATE_URLS && addresses.some(({ address }) => this.isPrivateAddress(address))) {
+      throw new Error('Validation error: url must point to a public address');
+    }
+
+    return addresses;
+  }
+
+  /**
+   * POST a body and return the response status. The hostname is resolved and
+   * checked here, at send time, and the connection goes to the address that
+   * was checked, so a name that points somewhere internal after it was
+   * registered (DNS rebinding) is refused. Redirects are not followed.
+   */
+  static async post(url, { headers, body }) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    // IP literals skip the lookup below
+    if (net.isIP(hostname)) {
+      await this.resolvePublicAddresses(hostname);
+    }
+
+    const lookup = (host, options, callback) => {
+      this.resolvePublicAddresses(host).then(addresses => options.all
+        ? callback(null, addresses)
+        : callback(null, addresses[0].address, addresses[0].family), callback);
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(WebhookService.TIMEOUT_MS)
+      }, response => {
+        // Drain the body so the socket is released
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Whether an address is outside the public internet: private, loopback,
+   * link-local, shared, reserved, documentation, benchmarking, multicast or
+   * broadcast, including IPv4 carried in mapped, NAT64 and 6to4 IPv6 forms
+   */
+  static isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+      const groups = this.ipv6Groups(address);
+      const embedded = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+      const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+      // IPv4-compatible (::/96, which covers :: and ::1) and IPv4-mapped (::ffff:0:0/96)
+      if (zeros(0, 5) && (groups[5] === 0 || groups[5] === 0xffff)) {
+        return this.isPrivateAddress(embedded(groups[6], groups[7]));
+      }
+      // NAT64, well-known prefix 64:ff9b::/96
+      if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) {
+        return this.isPrivateAddress(embedded(groups[6], groups[7]));
+      }
+      // 6to4, 2002::/16 carries the IPv4 address in the next 32 bits
+      if (groups[0] === 0x2002) {
+        return this.isPrivateAddress(embedded(groups[1], groups[2]));
+      }
+
+      return (groups[0] === 0x64 && groups[1] === 0xff9b && groups[2] === 1) || // local-use NAT64 64:ff9b:1::/48
+        (groups[0] === 0x100 && zeros(1, 4)) || // discard 100::/64
+        (groups[0] === 0x2001 && groups[1] < 0x200) || // IETF protocol assignments incl. Teredo 2001::/23
+        (groups[0] === 0x2001 && groups[1] === 0xdb8) || // documentation
+        (groups[0] & 0xfe00) === 0xfc00 || // unique local fc00::/7
+        (groups[0] & 0xffc0) === 0xfe80 || // link-local fe80::/10
+        (groups[0] & 0xffc0) === 0xfec0 || // site-local fec0::/10
+        (groups[0] & 0xff00) === 0xff00; // multicast ff00::/8
+    }
+
+    const [a, b, c] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 0 && (c === 0 || c === 2)) ||
+      (a === 192 && b === 88 && c === 99) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      (a === 198 && b === 51 && c === 100) ||
+      (a === 203 && b === 0 && c === 113) ||
+      a >= 224; // multicast 224/4, reserved 240/4 and broadcast
+  }
+
+  /**
+   * The eight 16-bit groups of an IPv6 address
+   */
+  static ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+      const [a, b, c, d] = dotted.slice(1).map(Number);
+      text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const headGroups = parse(head);
+    const tailGroups = parse(tail);
+
+    return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+  }
+
+  static serializeOrder(order) {
+    return {
+      orderId: order.order_id,
+      status: order.status,
+      buyerId: order.buyer_id,
+      sellerId: order.seller_id,
+      productId: order.product_id,
+      variantId: order.variant_id || null,
+      quantity: order.quantity,
+      amount: order.amount,
+      tokenSymbol: order.token_symbol,
+      chainId: order.chain_id,
+      escrowAddress: order.escrow_address || null,
+      paidAt: order.paid_at || null,
+      completedAt: order.completed_at || null,
+      cancelledAt: order.cancelled_at || null,
+      updatedAt: order.updatedAt
+    };
+  }
+
+  static serializeProduct(product) {
+    return {
+      id: product.id,
+      sellerId: product.seller_id,
+      name: product.name,
+      status: product.status,
+      price: product.price,
+      currency: product.currency,
+      quantity: product.quantity,
+      categoryId: product.category_id || null,
+      updatedAt: product.updatedAt
+    };
+  }
+
+  static serializeSubscription(subscription) {
+    return {
+      id: subscription.id,
+      name: subscription.name,
+      url: subscription.url,
+      events: subscription.events,
+      isActive: subscription.is_active,
+      platform: subscription.isPlatform(),
+      createdAt: subscription.createdAt,
+      updatedAt: subscription.updatedAt
+    };
+  }
+
+  static serializeDelivery(delivery) {
+    return {
+      deliveryId: delivery.delivery_id,
+      eventId: delivery.event_id,
+      eventType: delivery.event_type,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      maxAttempts: delivery.max_attempts,
+      nextAttemptAt: delivery.next_attempt_at,
+      lastStatusCode: delivery.last_status_code,
+      lastError: delivery.last_error,
+      attemptLog: delivery.attempt_log,
+      replayCount: delivery.replay_count,
+      deliveredAt: delivery.delivered_at,
+      deadAt: delivery.dead_at,
+      payload: delivery.payload,
+      createdAt: delivery.createdAt
+    };
+  }
+}
+
+export default WebhookService;
@@ -0,0 +1,81 @@
+import axios from 'axios';
+
+/**
+ * Wraps data keys through a remote key service speaking the HashiCorp Vault
+ * transit API (encrypt / decrypt / rewrap / rotate). The key-encryption key
+ * never leaves the service; HSM gateways exposing the same endpoints work too.
+ */
+class HttpKeyProvider {
+  constructor({ baseUrl, token, keyName, mount = 'transit', timeoutMs = 5000 }) {
+    if (!baseUrl || !token || !keyName) {
+      throw new Error('HTTP key provider requires a base URL, token and key name');
+    }
+
+    this.name = 'http';
+    this.keyName = keyName;
+    this.client = axios.create({
+      baseURL: `${baseUrl.replace(/\/$/, '')}/v1/${mount}`,
+      timeout: timeoutMs,
+      headers: { 'X-Vault-Token': token }
+    });
+  }
+
+  /**
+   * Vault ciphertexts look like "vault:v3:..."; the version is embedded
+   */
+  parseVersion(ciphertext) {
+    const match = /^vault:v(\d+):/.exec(ciphertext);
+    if (!match) {
+      throw new Error('Unrecognised ciphertext from key service');
+    }
+    return parseInt(match[1]);
+  }
+
+  async post(endpoint, body) {
+    try {
+      const response = await this.client.post(`${endpoint}/${this.keyName}`, body);
+      return response.data?.data || {};
+    } catch (error) {
+      const detail = error.response?.data?.errors?.join('; ') || error.message;
+      throw new Error(`Key service ${endpoint} failed: ${detail}`);
+    }
+  }
+
+  async getCurrentVersion() {
+    try {
+      const response = await this.client.get(`keys/${this.keyName}`);
+      return response.data.data.latest_version;
+    } catch (error) {
+      throw new Error(`Key service lookup failed: ${error.message}`);
+    }
+  }
+
+  async wrapKey(dataKey) {
+    const { ciphertext } = await this.post('encrypt', { plaintext: dataKey.toString('base64') });
+    return { keyVersion: this.parseVersion(ciphertext), wrappedKey: ciphertext };
+  }
+
+  async unwrapKey({ wrappedKey }) {
+    const { plaintext } = await this.post('decrypt', { ciphertext: wrappedKey });
+    return Buffer.from(plaintext, 'base64');
+  }
+
+  /**
+   * Re-wrap under the latest version without the data key leaving the service
+   */
+  async rewrapKey({ wrappedKey }) {
+    const { ciphertext } = await this.post('rewrap', { ciphertext: wrappedKey });
+    return { keyVersion: this.parseVersion(ciphertext), wrappedKey: ciphertext };
+  }
+
+  async rotate() {
+    try {
+      await this.client.post(`keys/${this.keyName}/rotate`);
+    } catch (error) {
+      throw new Error(`Key service rotate failed: ${error.message}`);
+    }
+    return { keyVersion: await this.getCurrentVersion() };
+  }
+}
+
+export default HttpKeyProvider;
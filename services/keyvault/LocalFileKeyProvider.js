@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Keeps versioned key-encryption keys in a JSON keystore on disk:
+ * { "current": 2, "keys": { "1": { "key": "<base64>", "createdAt": "..." }, ... } }
+ *
+ * Old versions stay in the file after a rotation so data keys wrapped under
+ * them can still be opened until they have been re-wrapped.
+ */
+class LocalFileKeyProvider {
+  static ALGORITHM = 'aes-256-gcm';
+  static IV_LENGTH = 12;
+  static TAG_LENGTH = 16;
+
+  constructor({ filePath }) {
+    this.name = 'local';
+    this.filePath = path.resolve(filePath);
+    this.keystore = null;
+    this.loadedMtimeMs = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      console.warn(`Keystore ${this.filePath} not found, creating it with a new key`);
+      this.save({ current: 1, keys: { 1: this.generateKey() } });
+    }
+
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    this.keystore = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return this.keystore;
+  }
+
+  /**
+   * The keystore as it is on disk. Re-read whenever the file has changed, so
+   * a rotation by scripts/rotate-keys.js reaches running servers without a restart.
+   */
+  current() {
+    if (!this.keystore || !fs.existsSync(this.filePath) || fs.statSync(this.filePath).mtimeMs !== this.loadedMtimeMs) {
+      return this.load();
+    }
+    return this.keystore;
+  }
+
+  save(keystore) {
+    // Write then rename so a reader never sees a half-written keystore
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.keystore = keystore;
+    this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  generateKey() {
+    return {
+      key: crypto.randomBytes(32).toString('base64'),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  getKey(version) {
+    const entry = this.current().keys[version];
+    if (!entry) {
+      throw new Error(`Key version ${version} not found in keystore`);
+    }
+
+    return Buffer.from(entry.key, 'base64');
+  }
+
+  async getCurrentVersion() {
+    return this.current().current;
+  }
+
+  /**
+   * @param {Buffer} dataKey - Plaintext data key
+   * @returns {Promise<object>} { keyVersion, wrappedKey }
+   */
+  async wrapKey(dataKey) {
+    const keyVersion = await this.getCurrentVersion();
+    const iv = crypto.randomBytes(LocalFileKeyProvider.IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(LocalFileKeyProvider.ALGORITHM, this.getKey(keyVersion), iv);
+    cipher.setAAD(Buffer.from(`kek:v${keyVersion}`));
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyVersion,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  /**
+   * @param {object} wrapped - { keyVersion, wrappedKey } as returned by wrapKey
+   * @returns {Promise<Buffer>} Plaintext data key
+   */
+  async unwrapKey({ keyVersion, wrappedKey }) {
+    const combined = Buffer.from(wrappedKey, 'base64');
+    const iv = combined.subarray(0, LocalFileKeyProvider.IV_LENGTH);
+    const tag = combined.subarray(LocalFileKeyProvider.IV_LENGTH, LocalFileKeyProvider.IV_LENGTH + LocalFileKeyProvider.TAG_LENGTH);
+    const encrypted = combined.subarray(LocalFileKeyProvider.IV_LENGTH + LocalFileKeyProvider.TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(LocalFileKeyProvider.ALGORITHM, this.getKey(keyVersion), iv);
+    decipher.setAAD(Buffer.from(`kek:v${keyVersion}`));
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+
+  async rewrapKey(wrapped) {
+    return this.wrapKey(await this.unwrapKey(wrapped));
+  }
+
+  /**
+   * Add a new key version and make it current
+   * @returns {Promise<object>} { keyVersion }
+   */
+  async rotate() {
+    const keystore = this.load();
+    const keyVersion = Math.max(...Object.keys(keystore.keys).map(Number)) + 1;
+
+    this.save({
+      current: keyVersion,
+      keys: { ...keystore.keys, [keyVersion]: this.generateKey() }
+    });
+
+    return { keyVersion };
+  }
+}
+
+export default LocalFileKeyProvider;
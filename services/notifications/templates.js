@@ -0,0 +1,199 @@
+import { NotificationType } from '../../utils/types.js';
+
+export const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const amountOf = order => `${order.amount} ${order.tokenSymbol}`;
+
+const orderDetails = data => [
+  ['Order', data.order.orderId],
+  ['Product', data.productName],
+  ['Quantity', data.order.quantity],
+  ['Amount', amountOf(data.order)]
+];
+
+const SAMPLE_ORDER = {
+  orderId: 'ORD-1731974400000-A1B2C3D4',
+  status: 'paid',
+  quantity: 2,
+  amount: '49.98',
+  tokenSymbol: 'USDC',
+  chainId: 84532,
+  escrowAddress: '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+};
+
+/**
+ * One entry per NotificationType. `role` on the data is the recipient's side
+ * of the order (buyer or seller) so both can get the same event in their own words.
+ * `sample` is what the preview route renders with.
+ */
+export const NOTIFICATION_TEMPLATES = {
+  [NotificationType.order_placed]: {
+    label: 'Order placed',
+    heading: 'Order Placed',
+    subject: data => `We received your order ${data.order.orderId}`,
+    paragraphs: () => [
+      'Thanks for your order. We are creating the escrow that will hold your payment until you confirm delivery.',
+      'We will email you again once the payment is secured.'
+    ],
+    details: orderDetails,
+    sample: { role: 'buyer', order: { ...SAMPLE_ORDER, status: 'pending' }, productName: 'Handwoven Basket' }
+  },
+  [NotificationType.payment_escrowed]: {
+    label: 'Payment held in escrow',
+    heading: 'Payment Secured',
+    subject: data => data.role === 'seller'
+      ? `New paid order ${data.order.orderId}`
+      : `Payment for order ${data.order.orderId} is held in escrow`,
+    paragraphs: data => data.role === 'seller'
+      ? ['A buyer has paid for your listing. The funds are held in escrow and released to you once the buyer confirms delivery.', 'Please ship the order and add its tracking details.']
+      : ['Your payment is held safely in escrow. The seller is paid only after you confirm the order arrived.'],
+    details: data => [...orderDetails(data), ['Escrow', data.order.escrowAddress]],
+    sample: { role: 'seller', order: SAMPLE_ORDER, productName: 'Handwoven Basket' }
+  },
+  [NotificationType.order_shipped]: {
+    label: 'Order shipped',
+    heading: 'Order Shipped',
+    subject: data => `Your order ${data.order.orderId} is on its way`,
+    paragraphs: () => ['The seller has shipped your order.'],
+    details: data => [
+      ...orderDetails(data),
+      ['Tracking number', data.shipment?.trackingNumber],
+      ['Estimated delivery', data.shipment?.estimatedDeliveryDays ? `${data.shipment.estimatedDeliveryDays} days` : null]
+    ],
+    sample: {
+      role: 'buyer',
+      order: { ...SAMPLE_ORDER, status: 'shipped' },
+      productName: 'Handwoven Basket',
+      shipment: { trackingNumber: '1Z999AA10123456784', estimatedDeliveryDays: 3 }
+    }
+  },
+  [NotificationType.order_delivered]: {
+    label: 'Order delivered',
+    heading: 'Order Delivered',
+    subject: data => `Order ${data.order.orderId} was delivered`,
+    paragraphs: data => data.role === 'seller'
+      ? ['The order was delivered. The escrowed funds are released to you when the buyer confirms, or automatically once the release period ends.']
+      : ['Your order was delivered. If everything is as expected, release the payment to the seller. If not, you can open a dispute before the release period ends.'],
+    details: orderDetails,
+    sample: { role: 'buyer', order: { ...SAMPLE_ORDER, status: 'delivered' }, productName: 'Handwoven Basket' }
+  },
+  [NotificationType.funds_released]: {
+    label: 'Funds released',
+    heading: 'Funds Released',
+    subject: data => data.role === 'seller'
+      ? `Payment released for order ${data.order.orderId}`
+      : `Order ${data.order.orderId} is complete`,
+    paragraphs: data => data.role === 'seller'
+      ? ['The escrowed payment for this order has been released to your account.']
+      : ['The payment has been released to the seller and your order is complete. Thanks for shopping with TrustMart.'],
+    details: orderDetails,
+    sample: { role: 'seller', order: { ...SAMPLE_ORDER, status: 'completed' }, productName: 'Handwoven Basket' }
+  },
+  [NotificationType.dispute_opened]: {
+    label: 'Dispute opened',
+    heading: 'Dispute Opened',
+    subject: data => `A dispute was opened for order ${data.order.orderId}`,
+    paragraphs: () => [
+      'A dispute was opened for this order. The escrowed funds stay locked until an arbitrator resolves it.',
+      'Add any evidence that supports your side from the order page.'
+    ],
+    details: orderDetails,
+    sample: { role: 'seller', order: { ...SAMPLE_ORDER, status: 'disputed' }, productName: 'Handwoven Basket' }
+  },
+  [NotificationType.dispute_resolved]: {
+    label: 'Dispute resolved',
+    heading: 'Dispute Resolution',
+    subject: data => `Dispute resolved for order ${data.order.orderId}`,
+    paragraphs: data => [
+      data.winner === 'buyer'
+        ? 'The dispute was resolved in favour of the buyer and the escrowed funds have been refunded.'
+        : 'The dispute was resolved in favour of the seller and the escrowed funds have been released.'
+    ],
+    details: data => [...orderDetails(data), ['Arbitrator notes', data.notes]],
+    sample: {
+      role: 'buyer',
+      order: { ...SAMPLE_ORDER, status: 'refunded' },
+      productName: 'Handwoven Basket',
+      winner: 'buyer',
+      notes: 'The item did not match the listing photos.'
+    }
+  },
+  [NotificationType.low_stock]: {
+    label: 'Low stock',
+    heading: 'Low Stock',
+    subject: data => `"${data.productName}" is running low`,
+    paragraphs: data => [
+      data.remaining === 0
+        ? 'Your listing has sold out and is hidden from buyers until you restock it.'
+        : `Only ${data.remaining} left in stock. Restock soon to keep your listing available.`
+    ],
+    details: data => [
+      ['Product', `${data.productName} (#${data.productId})`],
+      ['Variant', data.variantSku],
+      ['In stock', data.remaining]
+    ],
+    sample: { role: 'seller', productId: 42, productName: 'Handwoven Basket', variantSku: 'BASKET-L', remaining: 2 }
+  }
+};
+
+const layout = ({ heading, username, paragraphs, details }) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>${escapeHtml(heading)} - TrustMart</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f8f9fa;">
+      <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+        <div style="background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #0f0f0f 100%); padding: 40px 30px; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: 300; letter-spacing: 1px;">TrustMart</h1>
+          <p style="color: #cccccc; margin: 10px 0 0 0; font-size: 14px;">${escapeHtml(heading)}</p>
+        </div>
+        <div style="padding: 40px 30px;">
+          <h2 style="color: #2d3748; margin: 0 0 20px 0; font-size: 24px; font-weight: 600;">Hello ${escapeHtml(username)},</h2>
+          ${paragraphs.map(paragraph => `<p style="color: #4a5568; line-height: 1.6; font-size: 16px;">${escapeHtml(paragraph)}</p>`).join('\n          ')}
+          ${details.length > 0 ? `<div style="background-color: #edf2f7; padding: 20px; border-radius: 8px; margin: 25px 0;">
+            ${details.map(([label, value]) => `<p style="color: #4a5568; margin: 0 0 6px 0; font-size: 14px;"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n            ')}
+          </div>` : ''}
+        </div>
+        <div style="background-color: #f7fafc; padding: 25px 30px; border-top: 1px solid #e2e8f0; text-align: center;">
+          <p style="color: #a0aec0; font-size: 12px; margin: 0 0 8px 0;">You can choose which emails you receive in your notification settings.</p>
+          <p style="color: #a0aec0; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} TrustMart. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+/**
+ * Render a notification for one recipient
+ * @param {string} type - NotificationType
+ * @param {object} data - What was stored when the notification was queued
+ * @param {object} recipient - { username }
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function renderNotification(type, data, recipient) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type ${type}`);
+  }
+
+  const paragraphs = template.paragraphs(data);
+  const details = template.details(data).filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  return {
+    subject: template.subject(data),
+    html: layout({ heading: template.heading, username: recipient.username, paragraphs, details }),
+    text: [
+      `Hello ${recipient.username},`,
+      ...paragraphs,
+      details.map(([label, value]) => `${label}: ${value}`).join('\n'),
+      'Best regards,\nTrustMart Team'
+    ].filter(Boolean).join('\n\n')
+  };
+}
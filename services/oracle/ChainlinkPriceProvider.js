@@ -0,0 +1,55 @@
+import { createPublicClient, http, getContract, formatUnits } from 'viem';
+import { NETWORK_CONFIG } from '../../config/networks.js';
+import { getPriceFeeds } from '../../config/priceFeeds.js';
+import AggregatorV3ABI from '../../abis/AggregatorV3.json' with { type: 'json' };
+
+/**
+ * Reads <SYMBOL>/USD prices from Chainlink aggregators
+ */
+class ChainlinkPriceProvider {
+  constructor({ networkName }) {
+    this.name = 'chainlink';
+    this.networkName = networkName;
+    this.feeds = getPriceFeeds(networkName);
+
+    const network = NETWORK_CONFIG[networkName];
+    this.client = network ? createPublicClient({
+      chain: network.chain,
+      transport: http(network.rpcUrl)
+    }) : null;
+  }
+
+  /**
+   * @returns {Promise<object|null>} { price, updatedAt, source } or null if no feed exists for the symbol
+   */
+  async getUsdPrice(symbol) {
+    const feedAddress = this.feeds[symbol];
+    if (!feedAddress || !this.client) {
+      return null;
+    }
+
+    const feed = getContract({
+      address: feedAddress,
+      abi: AggregatorV3ABI,
+      client: this.client
+    });
+
+    const [decimals, roundData] = await Promise.all([
+      feed.read.decimals(),
+      feed.read.latestRoundData()
+    ]);
+
+    const [, answer, , updatedAt] = roundData;
+    if (answer <= 0n) {
+      throw new Error(`Chainlink feed for ${symbol} returned a non-positive answer`);
+    }
+
+    return {
+      price: parseFloat(formatUnits(answer, decimals)),
+      updatedAt: new Date(Number(updatedAt) * 1000),
+      source: `${this.name}:${this.networkName}`
+    };
+  }
+}
+
+export default ChainlinkPriceProvider;
@@ -0,0 +1,42 @@
+/**
+ * Fiat USD prices from an exchange-rates API that quotes currencies per USD,
+ * e.g. { "rates": { "NGN": 1538.4 }, "time_last_update_unix": 1731974400 }
+ * as served by open.er-api.com/v6/latest/USD. Chainlink has no NGN feed, so
+ * this is where NGN listings get their production price. Tokens are left to
+ * the other providers.
+ */
+class ExchangeRateApiProvider {
+  constructor({ url, symbols, timeoutMs = 5000 }) {
+    this.name = 'fxrates';
+    this.url = url;
+    this.symbols = symbols;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async getUsdPrice(symbol) {
+    if (!this.symbols.includes(symbol)) {
+      return null;
+    }
+
+    const response = await fetch(this.url, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`Exchange rates API responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    const perUsd = parseFloat(body.rates?.[symbol]);
+    if (!(perUsd > 0)) {
+      return null;
+    }
+
+    const updatedAtSeconds = body.time_last_update_unix || body.timestamp;
+
+    return {
+      price: 1 / perUsd,
+      updatedAt: updatedAtSeconds ? new Date(updatedAtSeconds * 1000) : new Date(),
+      source: `${this.name}:${new URL(this.url).hostname}`
+    };
+  }
+}
+
+export default ExchangeRateApiProvider;
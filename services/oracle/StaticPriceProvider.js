@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Serves fixed USD prices from a JSON file ({ "prices": { "NGN": 0.00065 } }).
+ * Meant for development and tests. A fixed price is as current as it will
+ * ever be, so each quote is stamped with the time it is served and never
+ * trips the oracle's staleness check.
+ */
+class StaticPriceProvider {
+  constructor({ filePath }) {
+    this.name = 'static';
+    this.filePath = path.resolve(filePath);
+
+    const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.prices = contents.prices || {};
+  }
+
+  async getUsdPrice(symbol) {
+    const price = this.prices[symbol];
+    if (price === undefined) {
+      return null;
+    }
+
+    return {
+      price: parseFloat(price),
+      updatedAt: new Date(),
+      source: `${this.name}:${path.basename(this.filePath)}`
+    };
+  }
+}
+
+export default StaticPriceProvider;
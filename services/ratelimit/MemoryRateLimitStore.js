@@ -0,0 +1,60 @@
+/**
+ * Process-local counters. Fine for a single instance or development; behind
+ * a load balancer each instance counts separately, so use the Redis store.
+ */
+class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.name = 'memory';
+    this.entries = new Map();
+
+    // Drop expired keys so idle IPs do not accumulate forever
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Add one to `key`, starting a new window of `ttlMs` if none is open
+   * @returns {Promise<object>} { count, resetAt }
+   */
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + ttlMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  /**
+   * @returns {Promise<object|null>} { count, resetAt } or null if unset or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      return null;
+    }
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async set(key, count, ttlMs) {
+    this.entries.set(key, { count, resetAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+export default MemoryRateLimitStore;
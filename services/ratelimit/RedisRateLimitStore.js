@@ -0,0 +1,57 @@
+import Redis from 'ioredis';
+
+// INCR and start the window on the first hit in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return {count, redis.call('PTTL', KEYS[1])}
+`;
+
+/**
+ * Counters shared by every API instance, kept in Redis or any server that
+ * speaks its protocol (KeyDB, Dragonfly, Valkey)
+ */
+class RedisRateLimitStore {
+  constructor({ url, prefix = 'ratelimit:' }) {
+    if (!url) {
+      throw new Error('Redis rate limit store requires a URL');
+    }
+
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = new Redis(url, {
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+    this.client.on('error', error => console.error('Rate limit store error:', error.message));
+  }
+
+  async increment(key, ttlMs) {
+    const [count, pttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, ttlMs);
+    return { count, resetAt: Date.now() + Math.max(pttl, 0) };
+  }
+
+  async get(key) {
+    const [[, value], [, pttl]] = await this.client.multi()
+      .get(this.prefix + key)
+      .pttl(this.prefix + key)
+      .exec();
+
+    if (value === null || pttl <= 0) {
+      return null;
+    }
+    return { count: parseInt(value), resetAt: Date.now() + pttl };
+  }
+
+  async set(key, count, ttlMs) {
+    await this.client.set(this.prefix + key, count, 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+export default RedisRateLimitStore;
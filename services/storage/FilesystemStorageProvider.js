@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { base32Encode } from '../../utils/totp.js';
+
+// CIDv1 header: version 1, raw codec (0x55), sha2-256 multihash (0x12, 32 bytes)
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+/**
+ * Stand-in for development and tests: stores files in a local directory under
+ * their content identifier. CIDs are genuine CIDv1 (raw, sha2-256) strings,
+ * but files larger than one IPFS block would get a different CID on a real
+ * node, so never mix this store with a live one.
+ */
+class FilesystemStorageProvider {
+  constructor({ directory }) {
+    this.name = 'filesystem';
+    this.directory = path.resolve(directory);
+  }
+
+  computeCid(buffer) {
+    const digest = crypto.createHash('sha256').update(buffer).digest();
+    return `b${base32Encode(Buffer.concat([CID_PREFIX, digest])).toLowerCase()}`;
+  }
+
+  filePath(cid) {
+    if (!/^b[a-z2-7]+$/.test(cid)) {
+      throw new Error('Invalid CID');
+    }
+    return path.join(this.directory, cid);
+  }
+
+  async pin(buffer) {
+    const cid = this.computeCid(buffer);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(cid), buffer);
+    return cid;
+  }
+
+  async unpin(cid) {
+    await fs.rm(this.filePath(cid), { force: true });
+  }
+
+  async read(cid) {
+    return fs.readFile(this.filePath(cid));
+  }
+}
+
+export default FilesystemStorageProvider;
@@ -0,0 +1,52 @@
+import axios from 'axios';
+
+/**
+ * Adds and pins files on a self-hosted IPFS node through the Kubo RPC API
+ * (IPFS_API_URL, e.g. http://127.0.0.1:5001)
+ */
+class IpfsNodeStorageProvider {
+  constructor({ apiUrl, timeoutMs = 30000 }) {
+    if (!apiUrl) {
+      throw new Error('IPFS node storage provider requires IPFS_API_URL');
+    }
+
+    this.name = 'ipfs';
+    this.client = axios.create({
+      baseURL: `${apiUrl.replace(/\/$/, '')}/api/v0`,
+      timeout: timeoutMs
+    });
+  }
+
+  /**
+   * @param {Buffer} buffer - File contents
+   * @param {object} options - { filename, contentType }
+   * @returns {Promise<string>} CID (v1)
+   */
+  async pin(buffer, { filename, contentType }) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: contentType }), filename);
+
+    try {
+      const response = await this.client.post('/add', form, {
+        params: { 'cid-version': 1, pin: true },
+        maxBodyLength: Infinity
+      });
+      return response.data.Hash;
+    } catch (error) {
+      throw new Error(`IPFS add failed: ${error.response?.data?.Message || error.message}`);
+    }
+  }
+
+  async unpin(cid) {
+    try {
+      await this.client.post('/pin/rm', null, { params: { arg: cid } });
+    } catch (error) {
+      if (/not pinned/i.test(error.response?.data?.Message || '')) {
+        return;
+      }
+      throw new Error(`IPFS unpin failed: ${error.response?.data?.Message || error.message}`);
+    }
+  }
+}
+
+export default IpfsNodeStorageProvider;
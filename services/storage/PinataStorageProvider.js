@@ -0,0 +1,55 @@
+import axios from 'axios';
+
+/**
+ * Pins files through Pinata's pinning API, authenticated with a JWT
+ */
+class PinataStorageProvider {
+  constructor({ jwt, baseUrl = 'https://api.pinata.cloud', timeoutMs = 30000 }) {
+    if (!jwt) {
+      throw new Error('Pinata storage provider requires PINATA_JWT');
+    }
+
+    this.name = 'pinata';
+    this.client = axios.create({
+      baseURL: baseUrl.replace(/\/$/, ''),
+      timeout: timeoutMs,
+      headers: { Authorization: `Bearer ${jwt}` }
+    });
+  }
+
+  /**
+   * @param {Buffer} buffer - File contents
+   * @param {object} options - { filename, contentType }
+   * @returns {Promise<string>} CID (v1)
+   */
+  async pin(buffer, { filename, contentType }) {
+    const form = new FormData();
+    form.append('file', new Blob([buffer], { type: contentType }), filename);
+    form.append('pinataMetadata', JSON.stringify({ name: filename }));
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+    try {
+      const response = await this.client.post('/pinning/pinFileToIPFS', form, {
+        maxBodyLength: Infinity
+      });
+      return response.data.IpfsHash;
+    } catch (error) {
+      const detail = error.response?.data?.error?.details || error.response?.data?.error || error.message;
+      throw new Error(`Pinata pin failed: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    }
+  }
+
+  async unpin(cid) {
+    try {
+      await this.client.delete(`/pinning/unpin/${cid}`);
+    } catch (error) {
+      // Already unpinned (or never pinned by this account)
+      if (error.response?.status === 404) {
+        return;
+      }
+      throw new Error(`Pinata unpin failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+}
+
+export default PinataStorageProvider;
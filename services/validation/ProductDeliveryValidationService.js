@@ -1,4 +1,3 @@
-import { DeliveryStatus } from '../../utils/types.js';
 
 class ProductDeliveryValidationService {
   static validateDeliveryData(deliveryData) {
@@ -86,9 +85,13 @@ class ProductDeliveryValidationService {
       errors.push({ field: 'notes', message: 'Notes must not exceed 1000 characters' });
     }
 
-    // Delivery status validation
-    if (delivery_status !== undefined && !Object.values(DeliveryStatus).includes(delivery_status)) {
-      errors.push({ field: 'delivery_status', message: 'Invalid delivery status' });
+    // Status and delivery date follow the shipment lifecycle
+    if (delivery_status !== undefined) {
+      errors.push({ field: 'delivery_status', message: 'Delivery status must be changed through the status endpoint' });
+    }
+
+    if (actual_delivery_date !== undefined) {
+      errors.push({ field: 'actual_delivery_date', message: 'Delivery date is set when the delivery is marked delivered' });
     }
 
     return {
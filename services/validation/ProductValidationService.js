@@ -1,3 +1,5 @@
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'enum'];
+
 class ProductValidationService {
   static validateProductData(productData) {
     const errors = [];
@@ -128,6 +130,137 @@ class ProductValidationService {
       validatedData: updateData
     };
   }
+
+  /**
+   * Check a category's attribute definitions:
+   * [{ key, label, type: string|number|boolean|enum, options, required, variant }]
+   * `variant: true` marks an option that distinguishes variants (size, colour)
+   */
+  static validateAttributeSchema(schema) {
+    const errors = [];
+
+    if (!Array.isArray(schema)) {
+      return [{ field: 'attribute_schema', message: 'Attribute schema must be an array' }];
+    }
+
+    const keys = new Set();
+    schema.forEach((definition, index) => {
+      const field = `attribute_schema[${index}]`;
+
+      if (!definition || typeof definition !== 'object') {
+        errors.push({ field, message: 'Attribute definition must be an object' });
+        return;
+      }
+
+      if (!/^[a-z][a-z0-9_]{0,49}$/.test(definition.key || '')) {
+        errors.push({ field: `${field}.key`, message: 'Key must be lowercase letters, digits or underscores' });
+      } else if (keys.has(definition.key)) {
+        errors.push({ field: `${field}.key`, message: `Duplicate attribute key ${definition.key}` });
+      }
+      keys.add(definition.key);
+
+      if (!ATTRIBUTE_TYPES.includes(definition.type)) {
+        errors.push({ field: `${field}.type`, message: `Type must be one of: ${ATTRIBUTE_TYPES.join(', ')}` });
+      }
+
+      if (definition.type === 'enum' &&
+          (!Array.isArray(definition.options) || definition.options.length === 0 ||
+           definition.options.some(option => typeof option !== 'string'))) {
+        errors.push({ field: `${field}.options`, message: 'Enum attributes need a non-empty list of string options' });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check attribute values against a category schema. Product-level values
+   * cover the non-variant attributes; variant values cover the variant
+   * options, all of which are required so every variant is identifiable.
+   * @param {Array<object>} schema - Effective schema (see CategoryService.getEffectiveSchema)
+   * @param {object} values - { key: value }
+   * @param {object} options - { variant }
+   */
+  static validateAttributes(schema, values = {}, { variant = false } = {}) {
+    const errors = [];
+    const prefix = variant ? 'variant.attributes' : 'attributes';
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return [{ field: prefix, message: 'Attributes must be an object' }];
+    }
+
+    const definitions = schema.filter(definition => Boolean(definition.variant) === variant);
+
+    for (const key of Object.keys(values)) {
+      if (!definitions.some(definition => definition.key === key)) {
+        errors.push({ field: `${prefix}.${key}`, message: `Unknown attribute ${key} for this category` });
+      }
+    }
+
+    for (const definition of definitions) {
+      const value = values[definition.key];
+      const field = `${prefix}.${definition.key}`;
+
+      if (value === undefined || value === null || value === '') {
+        if (variant || definition.required) {
+          errors.push({ field, message: `${definition.label || definition.key} is required` });
+        }
+        continue;
+      }
+
+      if (definition.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+        errors.push({ field, message: `${definition.label || definition.key} must be a number` });
+      } else if (definition.type === 'boolean' && typeof value !== 'boolean') {
+        errors.push({ field, message: `${definition.label || definition.key} must be true or false` });
+      } else if (definition.type === 'string' && (typeof value !== 'string' || value.length > 255)) {
+        errors.push({ field, message: `${definition.label || definition.key} must be text of at most 255 characters` });
+      } else if (definition.type === 'enum' && !definition.options.includes(value)) {
+        errors.push({ field, message: `${definition.label || definition.key} must be one of: ${definition.options.join(', ')}` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * SKU, price, stock and images of a variant; `partial` for updates
+   */
+  static validateVariantData(variantData, { partial = false } = {}) {
+    const errors = [];
+    const { sku, price, quantity, image_cid } = variantData;
+
+    if (sku !== undefined || !partial) {
+      if (typeof sku !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(sku)) {
+        errors.push({ field: 'sku', message: 'SKU must be 1-64 letters, digits, dots, dashes or underscores' });
+      }
+    }
+
+    if (price !== undefined || !partial) {
+      if (price === undefined || price === null || isNaN(price) || parseFloat(price) < 0) {
+        errors.push({ field: 'price', message: 'Price must be a non-negative number' });
+      } else if (parseFloat(price) > 1000000) {
+        errors.push({ field: 'price', message: 'Price must not exceed 1,000,000' });
+      }
+    }
+
+    if (quantity !== undefined) {
+      if (isNaN(quantity) || parseInt(quantity) < 0) {
+        errors.push({ field: 'quantity', message: 'Quantity must be a non-negative integer' });
+      } else if (parseInt(quantity) > 100000) {
+        errors.push({ field: 'quantity', message: 'Quantity must not exceed 100,000' });
+      }
+    }
+
+    if (image_cid !== undefined) {
+      if (!Array.isArray(image_cid)) {
+        errors.push({ field: 'image_cid', message: 'Image CID must be an array' });
+      } else if (image_cid.length > 10) {
+        errors.push({ field: 'image_cid', message: 'Cannot upload more than 10 images' });
+      }
+    }
+
+    return errors;
+  }
 }
 
 export default ProductValidationService;
\ No newline at end of file
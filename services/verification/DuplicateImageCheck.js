@@ -0,0 +1,83 @@
+import { QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+
+const { ProductVariant, sequelize } = db;
+
+// Other sellers' listings using one of our images, or a near copy of it.
+// bit_count needs PostgreSQL 14 or later.
+const MATCH_SQL = `
+  SELECT mine.cid AS cid, theirs.cid AS match_cid, p.id AS product_id, p.name AS product_name,
+    bit_count((mine.hash # theirs.hash)::bit(64)) AS distance
+  FROM image_hashes mine
+  JOIN image_hashes theirs ON bit_count((mine.hash # theirs.hash)::bit(64)) <= :maxDistance
+  JOIN products p ON theirs.cid = ANY(p.image_cid)
+  WHERE mine.cid IN (:cids) AND p.seller_id <> :sellerId AND p.status <> 'rejected'
+  UNION
+  SELECT mine.cid, theirs.cid, p.id, p.name, bit_count((mine.hash # theirs.hash)::bit(64))
+  FROM image_hashes mine
+  JOIN image_hashes theirs ON bit_count((mine.hash # theirs.hash)::bit(64)) <= :maxDistance
+  JOIN product_variants v ON theirs.cid = ANY(v.image_cid)
+  JOIN products p ON p.id = v.product_id
+  WHERE mine.cid IN (:cids) AND p.seller_id <> :sellerId AND p.status <> 'rejected'
+  ORDER BY distance ASC
+  LIMIT 20
+`;
+
+/**
+ * Flags images another seller already lists, byte-identical or a near copy
+ * by perceptual hash (see utils/imageHash.js). Images attached by CID
+ * without going through the upload pipeline have no hash and are skipped.
+ */
+class DuplicateImageCheck {
+  constructor({ maxDistance = parseInt(process.env.VERIFICATION_IMAGE_MAX_DISTANCE || '6'), weight = 1 } = {}) {
+    this.name = 'duplicate_images';
+    this.weight = weight;
+    this.maxDistance = maxDistance;
+  }
+
+  async run(product) {
+    const variants = await ProductVariant.findAll({
+      where: { product_id: product.id, is_active: true },
+      attributes: ['image_cid']
+    });
+    const cids = [...new Set([
+      ...(product.image_cid || []),
+      ...variants.flatMap(variant => variant.image_cid || [])
+    ])];
+
+    if (cids.length === 0) {
+      return { score: 1, reasons: [], details: { images: 0, matches: [] } };
+    }
+
+    const matches = await sequelize.query(MATCH_SQL, {
+      replacements: { cids, sellerId: product.seller_id, maxDistance: this.maxDistance },
+      type: QueryTypes.SELECT
+    });
+
+    const copied = new Set(matches.filter(match => parseInt(match.distance) === 0).map(match => match.cid));
+    const similar = new Set(matches.map(match => match.cid).filter(cid => !copied.has(cid)));
+    const score = copied.size > 0 ? 0.2 : similar.size > 0 ? 0.5 : 1;
+
+    const reasons = [...new Set(matches.map(match => match.cid))].map(cid => {
+      const match = matches.find(candidate => candidate.cid === cid);
+      const kind = copied.has(cid) ? 'is also listed' : 'closely matches an image listed';
+      return `Image ${cid} ${kind} by another seller (product #${match.product_id} "${match.product_name}")`;
+    });
+
+    return {
+      score,
+      reasons,
+      details: {
+        images: cids.length,
+        matches: matches.map(match => ({
+          cid: match.cid,
+          matchCid: match.match_cid,
+          productId: match.product_id,
+          distance: parseInt(match.distance)
+        }))
+      }
+    };
+  }
+}
+
+export default DuplicateImageCheck;
@@ -0,0 +1,50 @@
+import { KEYWORD_RULES } from '../../config/moderation.js';
+
+const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Prohibited-keyword rules (config/moderation.js) over the listing text
+ */
+class KeywordCheck {
+  constructor({ rules = KEYWORD_RULES, weight = 2 } = {}) {
+    this.name = 'keywords';
+    this.weight = weight;
+    this.rules = rules.map(rule => ({
+      ...rule,
+      patterns: rule.terms.map(term => ({
+        term,
+        // Whole words only, so short terms like "lsd" do not match inside other words
+        regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escape(term)}($|[^\\p{L}\\p{N}])`, 'iu')
+      }))
+    }));
+  }
+
+  listingText(product) {
+    const attributeValues = Object.values(product.attributes || {}).map(value => String(value));
+    return [product.name, product.descrption, ...attributeValues].filter(Boolean).join('\n');
+  }
+
+  async run(product) {
+    const text = this.listingText(product);
+    const hits = [];
+
+    for (const rule of this.rules) {
+      const terms = rule.patterns.filter(({ regex }) => regex.test(text)).map(({ term }) => term);
+      if (terms.length > 0) {
+        hits.push({ category: rule.category, severity: rule.severity, penalty: rule.penalty, terms });
+      }
+    }
+
+    const blocking = hits.some(hit => hit.severity === 'block');
+    const score = blocking ? 0 : hits.reduce((current, hit) => Math.max(current - (hit.penalty ?? 0.5), 0), 1);
+
+    return {
+      score,
+      blocking,
+      reasons: hits.map(hit => `Listing mentions ${hit.terms.map(term => `"${term}"`).join(', ')} (${hit.category.replace(/_/g, ' ')})`),
+      details: { hits }
+    };
+  }
+}
+
+export default KeywordCheck;
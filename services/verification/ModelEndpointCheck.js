@@ -0,0 +1,66 @@
+/**
+ * Asks an external classification model about the listing. The endpoint
+ * receives `{ product: { id, name, description, price, currency, category_id,
+ * attributes, image_cid } }` and answers `{ score: 0..1, reasons?: string[],
+ * blocking?: boolean }`, where 1 means the listing looks legitimate.
+ */
+class ModelEndpointCheck {
+  constructor({
+    url = process.env.VERIFICATION_MODEL_URL,
+    token = process.env.VERIFICATION_MODEL_TOKEN,
+    timeoutMs = parseInt(process.env.VERIFICATION_MODEL_TIMEOUT_MS || '10000'),
+    weight = parseFloat(process.env.VERIFICATION_MODEL_WEIGHT || '2')
+  } = {}) {
+    if (!url) {
+      throw new Error('ModelEndpointCheck requires a model URL');
+    }
+
+    this.name = 'model';
+    this.weight = weight;
+    this.url = url;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async run(product) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: JSON.stringify({
+        product: {
+          id: product.id,
+          name: product.name,
+          description: product.descrption,
+          price: parseFloat(product.price),
+          currency: product.currency,
+          category_id: product.category_id,
+          attributes: product.attributes || {},
+          image_cid: product.image_cid || []
+        }
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Model endpoint returned HTTP ${response.status}`);
+    }
+
+    const result = await response.json();
+    const score = parseFloat(result.score);
+    if (!Number.isFinite(score) || score < 0 || score > 1) {
+      throw new Error('Model endpoint returned an invalid score');
+    }
+
+    return {
+      score,
+      blocking: result.blocking === true,
+      reasons: Array.isArray(result.reasons) ? result.reasons.map(String) : [],
+      details: { labels: result.labels || null }
+    };
+  }
+}
+
+export default ModelEndpointCheck;
@@ -0,0 +1,77 @@
+import { QueryTypes } from 'sequelize';
+import db from '../../models/index.js';
+import CategoryService from '../CategoryService.js';
+
+const { ProductVariant, sequelize } = db;
+
+/**
+ * Compares a listing's prices with the median of active listings in the same
+ * currency (and category branch, when it has one). Prices far below the
+ * market are the usual bait in scam listings; far above often means a typo
+ * or a laundering attempt. Skipped while there are too few comparable
+ * listings for a meaningful median.
+ */
+class PriceAnomalyCheck {
+  constructor({
+    minSamples = parseInt(process.env.VERIFICATION_PRICE_MIN_SAMPLES || '10'),
+    lowRatio = parseFloat(process.env.VERIFICATION_PRICE_LOW_RATIO || '0.2'),
+    highRatio = parseFloat(process.env.VERIFICATION_PRICE_HIGH_RATIO || '10'),
+    weight = 1
+  } = {}) {
+    this.name = 'price_anomaly';
+    this.weight = weight;
+    this.minSamples = minSamples;
+    this.lowRatio = lowRatio;
+    this.highRatio = highRatio;
+  }
+
+  async marketPrice(product) {
+    const replacements = { currency: product.currency, productId: product.id };
+    let categoryFilter = '';
+    if (product.category_id) {
+      replacements.categoryIds = await CategoryService.getDescendantIds(product.category_id);
+      categoryFilter = 'AND category_id IN (:categoryIds)';
+    }
+
+    const [stats] = await sequelize.query(`
+      SELECT COUNT(*)::int AS count, percentile_cont(0.5) WITHIN GROUP (ORDER BY price) AS median
+      FROM products
+      WHERE status = 'active' AND currency = :currency AND id <> :productId ${categoryFilter}
+    `, { replacements, type: QueryTypes.SELECT });
+
+    return { count: stats.count, median: stats.median === null ? null : parseFloat(stats.median) };
+  }
+
+  async run(product) {
+    const market = await this.marketPrice(product);
+    if (market.count < this.minSamples || !market.median) {
+      return { score: 1, reasons: [], details: { skipped: 'Not enough comparable listings', samples: market.count } };
+    }
+
+    const variants = await ProductVariant.findAll({
+      where: { product_id: product.id, is_active: true },
+      attributes: ['sku', 'price']
+    });
+    const prices = [
+      { label: 'Price', price: parseFloat(product.price) },
+      ...variants.map(variant => ({ label: `Variant ${variant.sku}`, price: parseFloat(variant.price) }))
+    ];
+
+    const reasons = [];
+    let score = 1;
+    for (const { label, price } of prices) {
+      const ratio = price / market.median;
+      if (ratio < this.lowRatio) {
+        reasons.push(`${label} ${price} ${product.currency} is ${Math.round((1 - ratio) * 100)}% below the market median of ${market.median}`);
+        score = Math.min(score, 0.3);
+      } else if (ratio > this.highRatio) {
+        reasons.push(`${label} ${price} ${product.currency} is ${ratio.toFixed(1)}x the market median of ${market.median}`);
+        score = Math.min(score, 0.6);
+      }
+    }
+
+    return { score, reasons, details: { median: market.median, samples: market.count } };
+  }
+}
+
+export default PriceAnomalyCheck;
@@ -0,0 +1,180 @@
+import { after, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Order notifications from queue to the captured email: opt-out, dedupe,
+ * retry with backoff and rendering. Mail goes through the capture transport
+ * and the two tables NotificationService uses are held in memory, so no
+ * database or SMTP server is needed.
+ */
+
+// Set before the services load: capture transport, and a DB config that is never connected to
+process.env.EMAIL_TRANSPORT = 'capture';
+process.env.NODE_ENV ??= 'test';
+process.env.EMAIL_FROM ??= 'notifications@example.com';
+for (const name of ['DB_USER', 'DB_PASSWORD', 'DB_NAME', 'DB_HOST']) {
+  process.env[name] ??= 'unused';
+}
+process.env.DB_DIALECT ??= 'postgres';
+
+const { Op } = await import('sequelize');
+const { default: db } = await import('../models/index.js');
+const { default: EmailService } = await import('../services/EmailService.js');
+const { default: NotificationService } = await import('../services/NotificationService.js');
+const { NotificationStatus, NotificationType } = await import('../utils/types.js');
+
+const { EmailNotification, User } = db;
+
+const users = new Map();
+let notifications = [];
+
+const addUser = fields => {
+  const user = { notificationPreferences: {}, ...fields, id: fields.id.toString() };
+  users.set(user.id, user);
+  return user;
+};
+
+const notificationRow = fields => ({
+  status: NotificationStatus.pending,
+  attempts: 0,
+  last_error: null,
+  message_id: null,
+  sent_at: null,
+  ...fields,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+// The queries NotificationService makes, answered from the fixtures above
+mock.method(User, 'findAll', async ({ where }) => where.id[Op.in].map(id => users.get(id)).filter(Boolean));
+
+mock.method(EmailNotification, 'bulkCreate', async records => {
+  for (const record of records) {
+    if (!notifications.some(row => row.dedupe_key === record.dedupe_key)) {
+      notifications.push(notificationRow({ id: notifications.length + 1, ...record }));
+    }
+  }
+});
+
+mock.method(EmailNotification, 'findAll', async ({ where, limit }) => notifications
+  .filter(row => row.status === where.status && row.next_attempt_at <= where.next_attempt_at[Op.lte])
+  .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+  .slice(0, limit)
+  .map(row => ({ id: row.id, next_attempt_at: row.next_attempt_at })));
+
+mock.method(EmailNotification, 'update', async (changes, { where }) => {
+  const row = notifications.find(candidate => candidate.id === where.id &&
+    candidate.status === where.status &&
+    candidate.next_attempt_at.getTime() === where.next_attempt_at.getTime());
+  if (row) {
+    Object.assign(row, changes);
+  }
+  return [row ? 1 : 0];
+});
+
+mock.method(EmailNotification, 'findByPk', async id => {
+  const row = notifications.find(candidate => candidate.id === id);
+  return row && Object.assign(row, { recipient: users.get(row.user_id.toString()) });
+});
+
+after(() => mock.restoreAll());
+
+describe('order notifications', () => {
+  const order = {
+    order_id: 'ORD-1731974400000-A1B2C3D4',
+    buyer_id: '1',
+    seller_id: '2',
+    status: 'paid',
+    quantity: 2,
+    amount: '49.98',
+    token_symbol: 'USDC',
+    chain_id: 84532,
+    escrow_address: '0x5FbDB2315678afecb367f032d93F642f64180aa3'
+  };
+  const extra = { productName: 'Tea & <Biscuits>' };
+  let buyer;
+
+  beforeEach(() => {
+    users.clear();
+    notifications = [];
+    EmailService.takeCaptured();
+
+    buyer = addUser({ id: 1, username: 'ada', email: 'ada@example.com' });
+    addUser({
+      id: 2,
+      username: 'grace',
+      email: 'grace@example.com',
+      notificationPreferences: { [NotificationType.payment_escrowed]: false }
+    });
+  });
+
+  it('queues only for recipients who have not switched the type off', async () => {
+    const queued = await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+
+    assert.equal(queued, 1);
+    assert.deepEqual(notifications.map(row => row.user_id), ['1']);
+  });
+
+  it('queues an event reported twice once', async () => {
+    await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+    await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+
+    assert.equal(notifications.length, 1);
+  });
+
+  it('retries a failed send with backoff and sends nothing meanwhile', async () => {
+    await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+    buyer.email = null;
+
+    const startedAt = Date.now();
+    await NotificationService.run();
+    const [notification] = notifications;
+
+    assert.equal(notification.status, NotificationStatus.pending);
+    assert.equal(notification.attempts, 1);
+    assert.match(notification.last_error, /no email address/);
+    assert.ok(notification.next_attempt_at.getTime() - startedAt >= NotificationService.RETRY_BASE_SECONDS * 1000);
+    assert.equal(EmailService.takeCaptured().length, 0);
+
+    // Not due yet
+    await NotificationService.run();
+    assert.equal(notification.attempts, 1);
+  });
+
+  it('fails a notification once it is out of attempts', async () => {
+    await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+    buyer.email = null;
+    const [notification] = notifications;
+
+    for (let attempt = 0; attempt < NotificationService.MAX_ATTEMPTS; attempt++) {
+      notification.next_attempt_at = new Date(Date.now() - 1000);
+      await NotificationService.run();
+    }
+
+    assert.equal(notification.status, NotificationStatus.failed);
+    assert.equal(notification.attempts, NotificationService.MAX_ATTEMPTS);
+    assert.equal(notification.next_attempt_at, null);
+  });
+
+  it('renders and sends a due notification through the transport', async () => {
+    await NotificationService.notifyOrder(NotificationType.payment_escrowed, order, null, extra);
+    await NotificationService.run();
+
+    const [notification] = notifications;
+    assert.equal(notification.status, NotificationStatus.sent);
+    assert.equal(notification.attempts, 1);
+
+    const messages = EmailService.takeCaptured();
+    assert.equal(messages.length, 1);
+    const [message] = messages;
+    assert.equal(message.to, 'ada@example.com');
+    assert.equal(message.messageId, notification.message_id);
+    assert.equal(message.subject, `Payment for order ${order.order_id} is held in escrow`);
+    assert.ok(message.text.startsWith('Hello ada,'));
+    assert.ok(message.text.includes('Product: Tea & <Biscuits>'));
+    assert.ok(message.html.includes('Tea &amp; &lt;Biscuits&gt;'));
+    assert.ok(!message.html.includes('<Biscuits>'));
+  });
+});
@@ -60,6 +60,13 @@ class ApiResponse {
     return this.error(res, message, 409, details);
   }
 
+  static tooManyRequests(res, message = 'Too many requests', retryAfterSeconds = null) {
+    if (retryAfterSeconds !== null) {
+      res.set('Retry-After', String(retryAfterSeconds));
+    }
+    return this.error(res, message, 429, retryAfterSeconds !== null ? { retryAfter: retryAfterSeconds } : null);
+  }
+
   static serverError(res, message = 'Internal server error') {
     return this.error(res, message, 500);
   }
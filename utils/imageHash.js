@@ -0,0 +1,31 @@
+import sharp from 'sharp';
+
+// 64-bit difference hash (dHash) for spotting re-uploaded images. The image
+// is shrunk to 9x8 greyscale and each bit records whether a pixel is
+// brighter than its right-hand neighbour, so resizing, recompression and
+// small colour changes only flip a few bits. Compare hashes by Hamming
+// distance; 0 is the same picture, up to about 10 is a near-duplicate.
+
+export const HASH_BITS = 64;
+
+/**
+ * @param {Buffer} input - Encoded image
+ * @returns {Promise<string>} Hash as a signed 64-bit integer string, ready for a BIGINT column
+ */
+export async function differenceHash(input) {
+  const pixels = await sharp(input)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      const offset = row * 9 + column;
+      hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+
+  return BigInt.asIntN(HASH_BITS, hash).toString();
+}
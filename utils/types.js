@@ -65,7 +65,19 @@ export const ProductStatus = {
   sold_out: 'sold_out',
   under_review: 'under_review',
   paused: 'paused',
-  flagged: 'flagged'
+  flagged: 'flagged',
+  rejected: 'rejected'
+}
+
+export const VerificationOutcome = {
+  passed: 'passed',              // Cleared by the checks, listed without a moderator
+  needs_review: 'needs_review'   // Waiting in the moderation queue
+}
+
+export const ModerationDecision = {
+  approved: 'approved',
+  flagged: 'flagged',   // Hidden; only a moderator can lift it
+  rejected: 'rejected'  // Hidden until the seller edits and resubmits
 }
 
 export const DeliveryStatus = {
@@ -86,6 +98,75 @@ export const OrderStatus = {
   refunded: 'refunded'
 }
 
+export const ReservationStatus = {
+  active: 'active',         // Units held for a pending order
+  committed: 'committed',   // Escrow funded, units taken out of stock
+  released: 'released'      // Order failed or expired, units available again
+}
+
+export const ChainJobType = {
+  escrow_create: 'escrow_create',              // One order's escrow (direct purchase)
+  escrow_create_batch: 'escrow_create_batch'   // Every escrow of a cart checkout in one UserOperation
+}
+
+export const ChainJobStatus = {
+  pending: 'pending',       // Written with the order, not yet picked up
+  running: 'running',       // Claimed by a worker; stale claims are retried
+  completed: 'completed',   // On chain and recorded on the order
+  failed: 'failed'          // Not on chain; the order was cancelled
+}
+
+export const UserOperationStatus = {
+  submitted: 'submitted',   // Sent to the bundler, no receipt yet
+  confirmed: 'confirmed',   // Included and executed
+  reverted: 'reverted',     // Included but the call reverted
+  replaced: 'replaced',     // Re-sent with higher fees under a new hash
+  dropped: 'dropped'        // Never included; another operation settled the transaction or it was given up
+}
+
+export const WebhookEvent = {
+  order_paid: 'order.paid',
+  order_shipped: 'order.shipped',
+  order_delivered: 'order.delivered',
+  order_released: 'order.released',
+  order_refunded: 'order.refunded',
+  order_disputed: 'order.disputed',
+  product_created: 'product.created',
+  product_updated: 'product.updated',
+  product_deleted: 'product.deleted'
+}
+
+export const WebhookDeliveryStatus = {
+  pending: 'pending',       // Waiting for its next attempt
+  delivered: 'delivered',   // Endpoint answered 2xx
+  dead: 'dead'              // Out of attempts; kept for replay
+}
+
+export const NotificationType = {
+  order_placed: 'order_placed',
+  payment_escrowed: 'payment_escrowed',
+  order_shipped: 'order_shipped',
+  order_delivered: 'order_delivered',
+  funds_released: 'funds_released',
+  dispute_opened: 'dispute_opened',
+  dispute_resolved: 'dispute_resolved',
+  low_stock: 'low_stock'
+}
+
+export const NotificationStatus = {
+  pending: 'pending',       // Waiting to be sent or retried
+  sent: 'sent',             // Accepted by the mail server
+  failed: 'failed'          // Out of attempts
+}
+
+export const AuthorizedAction = {
+  purchase: 'purchase',
+  checkout: 'checkout',
+  release: 'release',
+  refund: 'refund',
+  dispute: 'dispute'
+}
+
 export const SocialMediaProviders = {
   twitter: 'twitter',
   instagram: 'instagram',